@@ -0,0 +1,626 @@
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+// Lines of source `list` shows before and after the current one
+const LIST_CONTEXT = 4;
+
+/**
+ * DebugConsole - gdb-style commands over a debug session
+ *
+ * Drives a session with the browser's inspector client (see inspector-client.js): the
+ * Debugger and Runtime controllers send the commands, their events keep track of where
+ * the program is. Commands are text lines, typed at the prompt or read from a script;
+ * the ones that let the program run (continue, next, step, out, pause) return once it
+ * has stopped again (paused or exited), so a script reads top to bottom.
+ *
+ * Lines are 1-based. Breakpoints take `file:line`, where file is matched against the
+ * end of the script's path (`main.js:12` is line 12 of any main.js), or just `line`
+ * in the file the program is paused in.
+ */
+class DebugConsole {
+    /**
+     * Creates a new DebugConsole instance
+     * @param {Object} client - Inspector client classes (loadInspectorClient)
+     * @param {Object} [options={}] - Console options
+     * @param {string} [options.workspaceRoot] - Shown paths are relative to it
+     * @param {Function} [options.write] - Prints a line (defaults to stdout)
+     */
+    constructor(client, options = {}) {
+        this.client = client;
+        this.workspaceRoot = options.workspaceRoot || null;
+        this.write = options.write || (line => process.stdout.write(`${line}\n`));
+
+        this.queue = null;
+        this.debugger = null;
+        this.runtime = null;
+        this.clientId = null;
+        this.role = null;
+        this.scripts = new Map();       // scriptId -> url
+        this.sources = new Map();       // scriptId -> source lines
+        this.breakpoints = new Map();   // number -> { number, breakpointId, spec, condition, resolved }
+        this.nextBreakpoint = 1;
+        this.watches = [];
+        this.paused = null;             // Debugger.paused params
+        this.frame = 0;                 // Selected call frame
+        this.exited = null;             // Proxy.targetExited params
+        this.closed = false;
+        this.stopWaiters = [];
+
+        this.commands = this.defineCommands();
+    }
+
+    /**
+     * Connects to a session and enables the debugger
+     * @param {string} wsUrl - The session's WebSocket URL (with its token)
+     * @returns {Promise<Object>} Proxy.ready params { clientId, role, resumed, restarted }
+     * @throws {Error} If the connection fails or the proxy refuses it
+     */
+    async connect(wsUrl) {
+        const { BaseDomainController } = this.client;
+        this.queue = BaseDomainController.initialize(wsUrl);
+        this.debugger = this.queue.debuggerController;
+        this.runtime = this.queue.runtimeController;
+
+        const ready = new Promise((resolve, reject) => {
+            this.queue.queue.once('^Proxy\\.ready$', (topic, message) => resolve(message.params));
+            this.queue.queue.once('^Proxy\\.error$', (topic, message) => reject(new Error(message.params.message)));
+            this.queue.queue.once('^WebSocket\\.(close|error)$', () => reject(new Error(`Cannot connect to ${wsUrl}`)));
+        });
+
+        this.subscribe();
+        await this.queue.connect();
+        const params = await ready;
+        this.clientId = params.clientId;
+        this.role = params.role;
+
+        await this.queue.enable();
+        return params;
+    }
+
+    /**
+     * Follows the session's events
+     * @private
+     */
+    subscribe() {
+        this.debugger.on('Debugger.scriptParsed', params => {
+            this.scripts.set(params.scriptId, params.url);
+        });
+        this.debugger.on('Debugger.breakpointResolved', params => {
+            const breakpoint = [...this.breakpoints.values()].find(b => b.breakpointId === params.breakpointId);
+            if (breakpoint) breakpoint.resolved++;
+        });
+        this.debugger.on('Debugger.paused', params => {
+            this.paused = params;
+            this.frame = 0;
+            this.showPause().finally(() => this.settleStop());
+        });
+        this.debugger.on('Debugger.resumed', () => {
+            this.paused = null;
+        });
+
+        const queue = this.queue.queue;
+        // Roles change hands (Proxy.takeControl, the driver leaving)
+        queue.subscribe('^Proxy\\.clientsChanged$', (topic, message) => {
+            const self = message.params.clients.find(c => c.clientId === this.clientId);
+            if (self) this.role = self.role;
+        });
+        queue.subscribe('^Proxy\\.(limitExceeded|sandboxViolation)$', (topic, message) => {
+            this.write(message.params.message);
+        });
+        queue.subscribe('^Proxy\\.targetExited$', (topic, message) => {
+            this.paused = null;
+            this.exited = message.params;
+            this.write(this.describeExit());
+            this.settleStop();
+        });
+        queue.subscribe('^WebSocket\\.close$', () => {
+            this.closed = true;
+            this.paused = null;
+            this.settleStop();
+        });
+    }
+
+    /**
+     * @returns {Promise<void>} Resolves the next time the program pauses (once shown) or ends
+     * @private
+     */
+    waitForStop() {
+        return new Promise(resolve => {
+            this.stopWaiters.push(resolve);
+        });
+    }
+
+    /**
+     * @private
+     */
+    settleStop() {
+        const waiters = this.stopWaiters;
+        this.stopWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    /**
+     * Lets the program start (it waits for the debugger), then waits until it stops
+     * @returns {Promise<void>}
+     */
+    async start() {
+        const stopped = this.waitForStop();
+        await this.release();
+        await stopped;
+    }
+
+    /**
+     * Lets the program start if it waits for the debugger (nothing happens otherwise)
+     * @returns {Promise<void>}
+     */
+    async release() {
+        await this.runtime.runIfWaitingForDebugger();
+    }
+
+    /**
+     * @returns {boolean} Whether the program is gone (or the connection to it)
+     */
+    isFinished() {
+        return this.exited !== null || this.closed;
+    }
+
+    /**
+     * Runs a command line
+     * @param {string} line - e.g. 'break main.js:12', 'print total'
+     * @returns {Promise<boolean>} false once the command was quit
+     * @throws {Error} If the command is unknown or fails
+     */
+    async execute(line) {
+        const text = line.trim();
+        if (!text || text.startsWith('#')) return true;
+
+        const [name] = text.split(/\s+/, 1);
+        const argument = text.slice(name.length).trim();
+        const command = this.commands.find(c => c.names.includes(name));
+        if (!command) {
+            throw new Error(`Unknown command: ${name} (try 'help')`);
+        }
+
+        return (await command.run(argument)) !== false;
+    }
+
+    /**
+     * @returns {Array<Object>} The commands { names, usage, help, run(argument) }
+     * @private
+     */
+    defineCommands() {
+        return [
+            { names: ['continue', 'cont', 'c'], usage: 'continue', help: 'Resume until the next breakpoint or the end',
+                run: () => this.resume(() => this.debugger.resume()) },
+            { names: ['next', 'n'], usage: 'next', help: 'Step over the current line',
+                run: () => this.resume(() => this.debugger.stepOver()) },
+            { names: ['step', 's'], usage: 'step', help: 'Step into the call on the current line',
+                run: () => this.resume(() => this.debugger.stepInto()) },
+            { names: ['out', 'finish', 'o'], usage: 'out', help: 'Run until the current function returns',
+                run: () => this.resume(() => this.debugger.stepOut()) },
+            { names: ['pause'], usage: 'pause', help: 'Pause the running program',
+                run: () => this.pause() },
+            { names: ['print', 'p'], usage: 'print <expression>', help: 'Evaluate an expression in the selected frame',
+                run: argument => this.print(argument) },
+            { names: ['backtrace', 'bt', 'where'], usage: 'backtrace', help: 'Show the call stack',
+                run: () => this.backtrace() },
+            { names: ['frame', 'f'], usage: 'frame <n>', help: 'Select a call frame (print and list use it)',
+                run: argument => this.selectFrame(argument) },
+            { names: ['list', 'l'], usage: 'list', help: 'Show the source around the current line',
+                run: () => this.list() },
+            { names: ['watch', 'w'], usage: 'watch [expression]', help: 'Show an expression at every pause (no argument: list them)',
+                run: argument => this.watch(argument) },
+            { names: ['unwatch'], usage: 'unwatch <n>', help: 'Remove a watch expression',
+                run: argument => this.unwatch(argument) },
+            { names: ['break', 'b'], usage: 'break [file:line | line] [if <condition>]', help: 'Set a breakpoint (no argument: list them)',
+                run: argument => (argument ? this.setBreakpoint(argument) : this.listBreakpoints()) },
+            { names: ['delete', 'd'], usage: 'delete <n>', help: 'Remove a breakpoint',
+                run: argument => this.removeBreakpoint(argument) },
+            { names: ['help', 'h', '?'], usage: 'help', help: 'Show this list',
+                run: () => this.help() },
+            { names: ['quit', 'q', 'exit'], usage: 'quit', help: 'Stop debugging',
+                run: () => false }
+        ];
+    }
+
+    /**
+     * @throws {Error} Unless we may control the program
+     * @private
+     */
+    requireControl() {
+        if (this.isFinished()) {
+            throw new Error(this.closed && !this.exited ? 'The session is closed' : 'The program has exited');
+        }
+        if (this.role !== 'driver') {
+            throw new Error('Another client drives this session; you can only watch');
+        }
+    }
+
+    /**
+     * @throws {Error} Unless the program is paused
+     * @private
+     */
+    requirePaused() {
+        this.requireControl();
+        if (!this.paused) {
+            throw new Error('The program is not paused');
+        }
+    }
+
+    /**
+     * Lets the paused program run and waits until it stops again
+     * @param {Function} send - Sends the resume or step command
+     * @private
+     */
+    async resume(send) {
+        this.requirePaused();
+        const stopped = this.waitForStop();
+        this.paused = null;
+        await send();
+        await stopped;
+    }
+
+    /**
+     * Pauses the running program and waits until it has
+     */
+    async pause() {
+        this.requireControl();
+        if (this.paused) {
+            throw new Error('The program is already paused');
+        }
+        const stopped = this.waitForStop();
+        await this.debugger.pause();
+        await stopped;
+    }
+
+    /**
+     * @param {string} expression - Expression to evaluate
+     * @private
+     */
+    async print(expression) {
+        if (!expression) {
+            throw new Error('Usage: print <expression>');
+        }
+        this.write(await this.evaluate(expression));
+    }
+
+    /**
+     * Evaluates an expression in the selected frame, or globally while the program runs
+     * @param {string} expression - Expression
+     * @returns {Promise<string>} The value, formatted
+     * @throws {Error} If the expression throws
+     */
+    async evaluate(expression) {
+        if (this.isFinished()) {
+            throw new Error('The program has exited');
+        }
+
+        const options = { expression, generatePreview: true, returnByValue: false };
+        const response = this.paused
+            ? await this.debugger.send('evaluateOnCallFrame', { callFrameId: this.paused.callFrames[this.frame].callFrameId, ...options })
+            : await this.runtime.evaluate(expression, options);
+
+        if (response.exceptionDetails) {
+            const { exception, text } = response.exceptionDetails;
+            throw new Error(exception && exception.description ? exception.description.split('\n')[0] : text);
+        }
+        return formatValue(response.result);
+    }
+
+    /**
+     * @private
+     */
+    backtrace() {
+        this.requirePaused();
+        this.paused.callFrames.forEach((callFrame, index) => {
+            const marker = index === this.frame ? '>' : ' ';
+            this.write(`${marker} #${index} ${callFrame.functionName || '(anonymous)'} at ${this.describeLocation(callFrame.location)}`);
+        });
+    }
+
+    /**
+     * @param {string} argument - Frame index
+     * @private
+     */
+    selectFrame(argument) {
+        this.requirePaused();
+        const index = parseInt(argument);
+        if (!(index >= 0 && index < this.paused.callFrames.length)) {
+            throw new Error(`Invalid frame: ${argument} (0-${this.paused.callFrames.length - 1})`);
+        }
+
+        this.frame = index;
+        const callFrame = this.paused.callFrames[index];
+        this.write(`#${index} ${callFrame.functionName || '(anonymous)'} at ${this.describeLocation(callFrame.location)}`);
+    }
+
+    /**
+     * Shows the source around the selected frame's line
+     * @private
+     */
+    async list() {
+        this.requirePaused();
+        const { scriptId, lineNumber } = this.paused.callFrames[this.frame].location;
+        const lines = await this.getSource(scriptId);
+        const first = Math.max(0, lineNumber - LIST_CONTEXT);
+        const last = Math.min(lines.length - 1, lineNumber + LIST_CONTEXT);
+        const width = String(last + 1).length;
+
+        for (let index = first; index <= last; index++) {
+            const marker = index === lineNumber ? '>' : ' ';
+            this.write(`${marker} ${String(index + 1).padStart(width)}  ${lines[index]}`);
+        }
+    }
+
+    /**
+     * @param {string} scriptId - Script
+     * @returns {Promise<Array<string>>} Its source lines
+     * @private
+     */
+    async getSource(scriptId) {
+        if (!this.sources.has(scriptId)) {
+            const { scriptSource } = await this.debugger.getScriptSource(scriptId);
+            this.sources.set(scriptId, scriptSource.split(/\r?\n/));
+        }
+        return this.sources.get(scriptId);
+    }
+
+    /**
+     * @param {string} expression - Expression to add (none: list them)
+     * @private
+     */
+    async watch(expression) {
+        if (!expression) {
+            if (this.watches.length === 0) this.write('No watch expressions');
+            this.watches.forEach((watched, index) => this.write(`${index + 1}: ${watched}`));
+            return;
+        }
+
+        this.watches.push(expression);
+        if (this.paused) {
+            await this.showWatch(this.watches.length - 1);
+        }
+    }
+
+    /**
+     * @param {string} argument - Watch number
+     * @private
+     */
+    unwatch(argument) {
+        const index = parseInt(argument) - 1;
+        if (!(index >= 0 && index < this.watches.length)) {
+            throw new Error(`No watch expression ${argument}`);
+        }
+        this.watches.splice(index, 1);
+    }
+
+    /**
+     * @param {number} index - Watch to show
+     * @private
+     */
+    async showWatch(index) {
+        const expression = this.watches[index];
+        const value = await this.evaluate(expression).catch(error => `<${error.message}>`);
+        this.write(`${index + 1}: ${expression} = ${value}`);
+    }
+
+    /**
+     * Sets a breakpoint, before its script is loaded too
+     * @param {string} argument - 'file:line', or 'line' in the current file, optionally followed by 'if <condition>'
+     * @returns {Promise<Object>} The breakpoint { number, breakpointId, spec, condition, resolved }
+     * @throws {Error} If the location is invalid or we don't drive the session
+     */
+    async setBreakpoint(argument) {
+        this.requireControl();
+        const [, location, condition = ''] = argument.match(/^(\S+)(?:\s+if\s+(.+))?$/) || [];
+        const [, file, line] = (location || '').match(/^(?:(.+):)?(\d+)$/) || [];
+        if (!line || parseInt(line) < 1) {
+            throw new Error(`Invalid breakpoint: ${argument} (expected file:line or line)`);
+        }
+
+        const target = { lineNumber: parseInt(line) - 1, columnNumber: 0, condition };
+        let spec;
+        if (file) {
+            // The file may be given with or without its directories
+            target.urlRegex = `(^|[\\\\/])${escapeRegExp(file.replace(/^\.\//, ''))}$`;
+            spec = `${file}:${line}`;
+        } else {
+            if (!this.paused) {
+                throw new Error('Give a file (file:line) unless the program is paused');
+            }
+            target.url = this.scripts.get(this.paused.callFrames[this.frame].location.scriptId);
+            spec = `${this.describeUrl(target.url)}:${line}`;
+        }
+
+        const result = await this.debugger.send(this.client.DEBUGGER_COMMANDS.SET_BREAKPOINT_BY_URL, target);
+        const breakpoint = {
+            number: this.nextBreakpoint++,
+            breakpointId: result.breakpointId,
+            spec,
+            condition,
+            resolved: result.locations.length
+        };
+        this.breakpoints.set(breakpoint.number, breakpoint);
+        this.write(`Breakpoint ${breakpoint.number} at ${this.describeBreakpoint(breakpoint)}`);
+        return breakpoint;
+    }
+
+    /**
+     * @param {string} argument - Breakpoint number
+     * @private
+     */
+    async removeBreakpoint(argument) {
+        this.requireControl();
+        const breakpoint = this.breakpoints.get(parseInt(argument));
+        if (!breakpoint) {
+            throw new Error(`No breakpoint ${argument}`);
+        }
+
+        await this.debugger.removeBreakpoint(breakpoint.breakpointId);
+        this.breakpoints.delete(breakpoint.number);
+    }
+
+    /**
+     * @private
+     */
+    listBreakpoints() {
+        if (this.breakpoints.size === 0) this.write('No breakpoints');
+        this.breakpoints.forEach(breakpoint => this.write(`${breakpoint.number}: ${this.describeBreakpoint(breakpoint)}`));
+    }
+
+    /**
+     * @param {Object} breakpoint - Breakpoint
+     * @returns {string} e.g. 'main.js:12 if n > 3 (pending)'
+     * @private
+     */
+    describeBreakpoint({ spec, condition, resolved }) {
+        return `${spec}${condition ? ` if ${condition}` : ''}${resolved === 0 ? ' (pending)' : ''}`;
+    }
+
+    /**
+     * @private
+     */
+    help() {
+        const width = Math.max(...this.commands.map(c => c.usage.length));
+        this.commands.forEach(({ names, usage, help }) => {
+            const aliases = names.slice(1).join(', ');
+            this.write(`  ${usage.padEnd(width)}  ${help}${aliases ? ` (${aliases})` : ''}`);
+        });
+    }
+
+    /**
+     * Shows where the program paused, and the watch expressions
+     * @private
+     */
+    async showPause() {
+        const { reason, hitBreakpoints = [], callFrames, data } = this.paused;
+        const [top] = callFrames;
+
+        const hit = [...this.breakpoints.values()].find(b => hitBreakpoints.includes(b.breakpointId));
+        let why = 'Paused';
+        if (hit) {
+            why = `Breakpoint ${hit.number}`;
+        } else if (reason === 'exception' || reason === 'promiseRejection') {
+            why = `Exception: ${data && data.description ? data.description.split('\n')[0] : 'thrown'}\nPaused`;
+        }
+        this.write(`${why} in ${top.functionName || '(anonymous)'} at ${this.describeLocation(top.location)}`);
+
+        const lines = await this.getSource(top.location.scriptId).catch(() => []);
+        if (lines[top.location.lineNumber] !== undefined) {
+            this.write(`> ${top.location.lineNumber + 1}  ${lines[top.location.lineNumber]}`);
+        }
+
+        for (let index = 0; index < this.watches.length; index++) {
+            await this.showWatch(index);
+        }
+    }
+
+    /**
+     * @param {Object} location - CDP location { scriptId, lineNumber, columnNumber }
+     * @returns {string} e.g. 'src/main.js:12'
+     * @private
+     */
+    describeLocation(location) {
+        return `${this.describeUrl(this.scripts.get(location.scriptId))}:${location.lineNumber + 1}`;
+    }
+
+    /**
+     * @param {string} [url] - Script URL
+     * @returns {string} Its path, relative to the workspace if it is in it
+     * @private
+     */
+    describeUrl(url) {
+        if (!url) return '<unknown>';
+        if (!url.startsWith('file://')) return url;
+
+        const file = fileURLToPath(url);
+        if (this.workspaceRoot) {
+            const relative = path.relative(this.workspaceRoot, file);
+            if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+                return relative.split(path.sep).join('/');
+            }
+        }
+        return file;
+    }
+
+    /**
+     * @returns {string} How the program ended
+     * @private
+     */
+    describeExit() {
+        const { code, signal } = this.exited;
+        return signal ? `Program exited with signal ${signal}` : `Program exited with code ${code}`;
+    }
+
+    /**
+     * @returns {number} The program's exit code (1 if it was killed by a signal)
+     */
+    getExitCode() {
+        if (!this.exited) return 0;
+        return this.exited.signal ? 1 : this.exited.code ?? 1;
+    }
+
+    /**
+     * Pauses the program while a command waits for it to stop (Ctrl-C at the prompt)
+     * @returns {boolean} Whether a command was waiting
+     */
+    interrupt() {
+        if (this.stopWaiters.length === 0 || this.paused || this.isFinished()) {
+            return false;
+        }
+        this.debugger.pause().catch(() => {});
+        return true;
+    }
+
+    /**
+     * Disconnects (the session itself keeps running)
+     */
+    close() {
+        this.settleStop();
+        if (this.queue && this.queue.ws) {
+            this.queue.ws.close();
+        }
+    }
+}
+
+/**
+ * @param {string} text - Literal text
+ * @returns {string} A regular expression source matching it
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Formats a value the way Node's REPL roughly would
+ * @param {Object} remote - CDP RemoteObject (with a preview for objects)
+ * @returns {string} e.g. '42', '"text"', '[1, 2, 3]', '{ a: 1, b: Array(2) }'
+ */
+function formatValue(remote) {
+    const { type, subtype, value, unserializableValue, description, preview } = remote;
+
+    if (type === 'undefined') return 'undefined';
+    if (type === 'string') return JSON.stringify(value);
+    if (unserializableValue !== undefined) return unserializableValue;
+    if (type === 'object' && subtype === 'null') return 'null';
+    if (type === 'function') {
+        const [, name] = description.match(/^(?:async\s+)?(?:function\*?\s*)?([\w$]+)\s*\(/) || [];
+        return name ? `[Function: ${name}]` : '[Function (anonymous)]';
+    }
+    if (type !== 'object') return description !== undefined ? description : String(value);
+    if (!preview || !preview.properties || (subtype && subtype !== 'array')) return description;
+
+    const more = preview.overflow ? ', …' : '';
+    const properties = preview.properties.map(property => {
+        const shown = property.type === 'string' ? JSON.stringify(property.value) : property.value;
+        return subtype === 'array' ? shown : `${property.name}: ${shown}`;
+    });
+
+    if (subtype === 'array') {
+        return `[${properties.join(', ')}${more}]`;
+    }
+    const prefix = description === 'Object' ? '' : `${description} `;
+    return properties.length === 0 ? `${prefix}{}` : `${prefix}{ ${properties.join(', ')}${more} }`;
+}
+
+module.exports = DebugConsole;
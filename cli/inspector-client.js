@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const WebSocket = require('ws');
+
+// The browser client, in the order debugger.html loads it
+const CLIENT_DIR = path.join(__dirname, '..', 'www', 'client');
+const CLIENT_SCRIPTS = [
+    'inspector-constants.js',
+    'regex-pubsub.js',
+    'inspector-browser-proxy.js',
+    'inspector-controllers.js'
+];
+
+/**
+ * Loads the browser's inspector client (InspectorBrowserProxy and the domain controllers)
+ * into Node, so terminal tools drive sessions with the same code as the debugger UI.
+ *
+ * The scripts are plain browser scripts (globals, no exports), so they run in a vm
+ * context that stands in for the page: `ws` provides WebSocket, and their console
+ * chatter is dropped unless `verbose` is set. Each call returns a fresh set of classes;
+ * BaseDomainController's connection is static, so one set drives one session.
+ *
+ * @param {Object} [options={}] - Loader options
+ * @param {boolean} [options.verbose=false] - Print the client's own logging (to stderr)
+ * @returns {Object} { BaseDomainController, InspectorBrowserProxy, RuntimeController, DebuggerController,
+ *                     ConsoleController, RUNTIME_COMMANDS, DEBUGGER_COMMANDS }
+ */
+function loadInspectorClient(options = {}) {
+    const quiet = () => {};
+    const log = (...args) => console.error(...args);
+    const sandbox = {
+        WebSocket,
+        setTimeout,
+        clearTimeout,
+        console: options.verbose
+            ? { log, info: log, warn: log, error: log, debug: log }
+            : { log: quiet, info: quiet, warn: quiet, error: quiet, debug: quiet }
+    };
+    // Scripts check `window` to tell the page from CommonJS
+    sandbox.window = sandbox;
+
+    const context = vm.createContext(sandbox);
+    for (const script of CLIENT_SCRIPTS) {
+        const filename = path.join(CLIENT_DIR, script);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    }
+
+    // Top-level classes and consts are script-scoped bindings, not properties of the context
+    return vm.runInContext(`({
+        BaseDomainController,
+        InspectorBrowserProxy,
+        RuntimeController,
+        DebuggerController,
+        ConsoleController,
+        RUNTIME_COMMANDS,
+        DEBUGGER_COMMANDS
+    })`, context);
+}
+
+module.exports = { loadInspectorClient };
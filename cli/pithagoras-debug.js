@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+
+/**
+ * pithagoras-debug - Debug workspace programs from the terminal
+ *
+ * Starts (or joins) a session through the server's session API and drives it with the
+ * debugger UI's inspector client, at a gdb-style prompt or from a script of commands.
+ *
+ * Usage:
+ *   pithagoras-debug run <file> [options] [-- program arguments...]
+ *   pithagoras-debug attach <sessionId> [options]
+ *
+ * Options:
+ *   -b, --break <file:line>   Set a breakpoint before the program starts (repeatable)
+ *   --stop-on-entry           Pause on the program's first line
+ *   --sandbox                 Run the program under Node's permission model (project files only)
+ *   --script <file>           Run the commands in a file ('-' for stdin) instead of prompting
+ *   --server <url>            Server (default: $PITHAGORAS_SERVER or http://localhost:8080)
+ *   --token <token>           Session token from POST /auth/login (default: $PITHAGORAS_TOKEN)
+ *   --api-key <key>           API key, if the server has any (default: $PITHAGORAS_API_KEY)
+ *   --verbose                 Print the inspector client's logging
+ *
+ * <file> is relative to the workspace root, as for POST /debug/session. A session started
+ * by `run` is stopped when the CLI exits; an attached one keeps running. Unless the server
+ * runs with authentication off, log in first and pass the token:
+ *
+ *   export PITHAGORAS_TOKEN=$(curl -s -H 'Content-Type: application/json' \
+ *     -d '{"username":"ada","password":"..."}' http://localhost:8080/auth/login | jq -r .token)
+ *
+ * In script mode, commands run one after the other; each command that lets the program
+ * run returns once it is paused again or has exited. The CLI exits with the program's
+ * exit code (0 if it is still running), or 1 as soon as a command fails.
+ *
+ * Examples:
+ *   pithagoras-debug run src/main.js --break main.js:12
+ *   pithagoras-debug run src/main.js -b main.js:12 --script checks.txt -- --verbose
+ *   printf 'bt\nprint total\ncontinue\n' | pithagoras-debug run src/main.js -b main.js:12 --script -
+ *   pithagoras-debug attach session-3
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const { loadInspectorClient } = require('./inspector-client');
+const SessionApiClient = require('./session-api-client');
+const DebugConsole = require('./debug-console');
+
+const USAGE = `Usage:
+  pithagoras-debug run <file> [options] [-- program arguments...]
+  pithagoras-debug attach <sessionId> [options]
+
+Options:
+  -b, --break <file:line>   Set a breakpoint before the program starts (repeatable)
+  --stop-on-entry           Pause on the program's first line
+  --sandbox                 Run the program under Node's permission model (project files only)
+  --script <file>           Run the commands in a file ('-' for stdin) instead of prompting
+  --server <url>            Server (default: $PITHAGORAS_SERVER or http://localhost:8080)
+  --token <token>           Session token from POST /auth/login (default: $PITHAGORAS_TOKEN)
+  --api-key <key>           API key, if the server has any (default: $PITHAGORAS_API_KEY)
+  --verbose                 Print the inspector client's logging
+
+Type 'help' at the prompt for the debugger commands.`;
+
+/**
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Object} { mode, target, programArgs, breaks, stopOnEntry, sandbox, script, server, token, apiKey, verbose, help }
+ * @throws {Error} On unknown options or missing arguments
+ */
+function parseCommandLine(argv) {
+    // Everything after -- belongs to the program
+    const separator = argv.indexOf('--');
+    const ownArgs = separator === -1 ? argv : argv.slice(0, separator);
+    const programArgs = separator === -1 ? [] : argv.slice(separator + 1);
+
+    const { values, positionals } = parseArgs({
+        args: ownArgs,
+        allowPositionals: true,
+        options: {
+            break: { type: 'string', short: 'b', multiple: true },
+            'stop-on-entry': { type: 'boolean' },
+            sandbox: { type: 'boolean' },
+            script: { type: 'string' },
+            server: { type: 'string' },
+            token: { type: 'string' },
+            'api-key': { type: 'string' },
+            verbose: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    const [mode, target] = positionals;
+    if (!values.help) {
+        if (mode !== 'run' && mode !== 'attach') {
+            throw new Error(mode ? `Unknown command: ${mode}` : 'Missing command: run or attach');
+        }
+        if (!target) {
+            throw new Error(mode === 'run' ? 'Missing file to run' : 'Missing session ID');
+        }
+    }
+
+    return {
+        mode,
+        target,
+        programArgs,
+        breaks: values.break || [],
+        stopOnEntry: values['stop-on-entry'] || false,
+        sandbox: values.sandbox || false,
+        script: values.script,
+        server: values.server || process.env.PITHAGORAS_SERVER || 'http://localhost:8080',
+        token: values.token || process.env.PITHAGORAS_TOKEN,
+        apiKey: values['api-key'] || process.env.PITHAGORAS_API_KEY,
+        verbose: values.verbose || false,
+        help: values.help || false
+    };
+}
+
+/**
+ * Runs commands one after the other, echoing them, until the program is gone
+ * @param {DebugConsole} debugConsole - Console
+ * @param {Array<string>} lines - Command lines
+ * @returns {Promise<number>} The exit code
+ */
+async function runScript(debugConsole, lines) {
+    for (const line of lines) {
+        if (debugConsole.isFinished()) break;
+        if (!line.trim() || line.trim().startsWith('#')) continue;
+
+        console.log(`(debug) ${line.trim()}`);
+        try {
+            if (!(await debugConsole.execute(line))) break;
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            return 1;
+        }
+    }
+    return debugConsole.getExitCode();
+}
+
+/**
+ * Prompts for commands until quit, or until the program is gone
+ * Ctrl-C pauses the running program; at the prompt it quits.
+ * @param {DebugConsole} debugConsole - Console
+ * @returns {Promise<number>} The exit code
+ */
+async function prompt(debugConsole) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '(debug) ' });
+    rl.on('SIGINT', () => {
+        if (!debugConsole.interrupt()) rl.close();
+    });
+
+    if (!debugConsole.isFinished()) {
+        rl.prompt();
+        for await (const line of rl) {
+            try {
+                if (!(await debugConsole.execute(line))) break;
+            } catch (error) {
+                console.error(`Error: ${error.message}`);
+            }
+            if (debugConsole.isFinished()) break;
+            rl.prompt();
+        }
+    }
+
+    rl.close();
+    return debugConsole.getExitCode();
+}
+
+/**
+ * @param {Object} options - Parsed command line (parseCommandLine)
+ * @returns {Promise<number>} The exit code
+ */
+async function main(options) {
+    // Read up front: a missing script should not start a session
+    const script = options.script ? fs.readFileSync(options.script === '-' ? 0 : options.script, 'utf8').split(/\r?\n/) : null;
+
+    const api = new SessionApiClient(options.server, { token: options.token, apiKey: options.apiKey });
+    const session = options.mode === 'run'
+        ? await api.startSession({
+            file: options.target,
+            args: options.programArgs,
+            stopOnEntry: options.stopOnEntry,
+            sandbox: options.sandbox,
+            waitForDebugger: true
+        })
+        : await api.getSession(options.target);
+
+    // The server's own notes ('system') repeat what the console reports
+    const stopFollowing = api.followOutput(session.sessionId, entry => {
+        if (entry.stream === 'stdout') process.stdout.write(entry.text);
+        if (entry.stream === 'stderr') process.stderr.write(entry.text);
+    });
+    const debugConsole = new DebugConsole(loadInspectorClient({ verbose: options.verbose }), {
+        workspaceRoot: await api.getWorkspaceRoot()
+    });
+
+    try {
+        const ready = await debugConsole.connect(session.wsUrl);
+        if (ready.role !== 'driver') {
+            console.log('Another client drives this session; you can only watch');
+        }
+
+        for (const spec of options.breaks) {
+            await debugConsole.setBreakpoint(spec);
+        }
+        if (options.mode === 'run') {
+            await debugConsole.start();
+        } else if (ready.role === 'driver') {
+            // Sessions started with waitForDebugger are held until their driver is ready
+            await debugConsole.release();
+        }
+
+        return script ? await runScript(debugConsole, script) : await prompt(debugConsole);
+    } finally {
+        stopFollowing();
+        debugConsole.close();
+        if (options.mode === 'run') {
+            await api.stopSession(session.sessionId).catch(() => {});
+        }
+    }
+}
+
+let options;
+try {
+    options = parseCommandLine(process.argv.slice(2));
+} catch (error) {
+    console.error(`Error: ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+main(options)
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    });
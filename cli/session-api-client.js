@@ -0,0 +1,140 @@
+/**
+ * SessionApiClient - The server's session API (/debug) as seen from the terminal
+ *
+ * Starts, describes and stops debug sessions and follows their program output
+ * (Server-Sent Events), the way the debugger UI does over HTTP.
+ */
+class SessionApiClient {
+    /**
+     * Creates a new SessionApiClient instance
+     * @param {string} server - Server origin, e.g. 'http://localhost:8080'
+     * @param {Object} [options={}] - Client options
+     * @param {string} [options.token] - Session token (POST /auth/login), sent as a Bearer token
+     * @param {string} [options.apiKey] - API key (X-Workspace-API-Key), if the server has any
+     */
+    constructor(server, options = {}) {
+        this.server = server.replace(/\/+$/, '');
+        this.token = options.token || null;
+        this.apiKey = options.apiKey || null;
+    }
+
+    /**
+     * @param {Object} [extra={}] - Headers to add
+     * @returns {Object} Request headers
+     * @private
+     */
+    headers(extra = {}) {
+        const headers = { ...extra };
+        if (this.token) headers.Authorization = `Bearer ${this.token}`;
+        if (this.apiKey) headers['X-Workspace-API-Key'] = this.apiKey;
+        return headers;
+    }
+
+    /**
+     * Sends a JSON request
+     * @param {string} method - HTTP method
+     * @param {string} route - Path, e.g. '/debug/session'
+     * @param {Object} [body] - JSON body
+     * @returns {Promise<Object>} The JSON response
+     * @throws {Error} With the server's message if the request fails
+     * @private
+     */
+    async request(method, route, body) {
+        let response;
+        try {
+            response = await fetch(`${this.server}${route}`, {
+                method,
+                headers: this.headers(body ? { 'Content-Type': 'application/json' } : {}),
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            throw new Error(`Cannot reach the server at ${this.server}: ${error.cause ? error.cause.message : error.message}`);
+        }
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.message || result.error || `${method} ${route} failed (${response.status})`);
+        }
+        return result;
+    }
+
+    /**
+     * Starts a session (POST /debug/session)
+     * @param {Object} options - Request body, e.g. { file, args, waitForDebugger }
+     * @returns {Promise<Object>} The session { sessionId, wsUrl, ... }
+     */
+    async startSession(options) {
+        const result = await this.request('POST', '/debug/session', options);
+        return result.session;
+    }
+
+    /**
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<Object>} The session { sessionId, wsUrl, ... }
+     */
+    getSession(sessionId) {
+        return this.request('GET', `/debug/session/${encodeURIComponent(sessionId)}`);
+    }
+
+    /**
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<Object>} The stop result
+     */
+    stopSession(sessionId) {
+        return this.request('DELETE', `/debug/session/${encodeURIComponent(sessionId)}`);
+    }
+
+    /**
+     * @returns {Promise<string|null>} The server's workspace root (null if unknown)
+     */
+    async getWorkspaceRoot() {
+        try {
+            const info = await this.request('GET', '/workspace/info');
+            return info.workspaceRoot || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Follows a session's program output (GET /debug/session/:id/output)
+     * @param {string} sessionId - Session ID
+     * @param {Function} onEntry - Called with each entry { seq, stream, text, timestamp }
+     * @returns {Function} Stops following
+     */
+    followOutput(sessionId, onEntry) {
+        const controller = new AbortController();
+
+        const follow = async () => {
+            const response = await fetch(`${this.server}/debug/session/${encodeURIComponent(sessionId)}/output`, {
+                headers: this.headers(),
+                signal: controller.signal
+            });
+            if (!response.ok) return;
+
+            const decoder = new TextDecoder();
+            let buffered = '';
+            for await (const chunk of response.body) {
+                buffered += decoder.decode(chunk, { stream: true });
+
+                let end;
+                while ((end = buffered.indexOf('\n\n')) !== -1) {
+                    const lines = buffered.slice(0, end).split('\n');
+                    buffered = buffered.slice(end + 2);
+
+                    const event = lines.find(line => line.startsWith('event: '));
+                    const data = lines.find(line => line.startsWith('data: '));
+                    if (event === 'event: output' && data) {
+                        onEntry(JSON.parse(data.slice('data: '.length)));
+                    }
+                }
+            }
+        };
+
+        // The stream ends with the session; being stopped (abort) is expected too
+        follow().catch(() => {});
+        return () => controller.abort();
+    }
+}
+
+module.exports = SessionApiClient;
@@ -21,7 +21,8 @@ const WebSocket = require('ws');
 class PithagorasGPIO {
     constructor(options = {}) {
         this.mode = options.mode || 'simulator'; // 'simulator' or 'hardware'
-        this.serverUrl = options.serverUrl || 'ws://localhost:8081';
+        // Programs started by the debugger get the server's GPIO address in PITHAGORAS_GPIO_URL
+        this.serverUrl = options.serverUrl || process.env.PITHAGORAS_GPIO_URL || 'ws://localhost:8080/gpio/ws';
         this.clientName = options.clientName || 'GPIO Client';
         this.autoReconnect = options.autoReconnect !== false;
         this.reconnectDelay = options.reconnectDelay || 3000;
@@ -0,0 +1,50 @@
+const express = require('express');
+
+/**
+ * Audit API
+ *
+ * Lets teachers look through the audit log (see AuditLog): who changed which files,
+ * projects and debug sessions, and whether it worked.
+ *
+ * @param {Object} config - Configuration
+ * @param {AuditLog} config.audit - The audit log
+ * @param {AuthMiddleware} config.auth - Authentication (teachers only)
+ * @returns {express.Router} Express router
+ */
+function createAuditApi(config = {}) {
+    const router = express.Router();
+    const { audit, auth } = config;
+
+    router.use(auth.requireAuth);
+
+    /**
+     * GET /api/audit - Audit log entries, newest first
+     * Query: actor?, role?, action?, path?, sessionId?, result?, since?, until?, limit? (see AuditLog.query)
+     * Response: { entries: [{ time, actor, role, action, path, result, status, ... }], total }
+     */
+    router.get('/', auth.requireRole('teacher'), async (req, res) => {
+        try {
+            const { actor, role, action, path, sessionId, result, since, until, limit } = req.query;
+            const found = await audit.query({ actor, role, action, path, sessionId, result, since, until, limit });
+
+            res.json(found);
+        } catch (error) {
+            if (error.message.includes('Invalid audit query')) {
+                return res.status(400).json({
+                    error: 'Bad request',
+                    message: error.message
+                });
+            }
+
+            console.error('Audit query error:', error);
+            res.status(500).json({
+                error: 'Failed to read audit log',
+                message: error.message
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAuditApi };
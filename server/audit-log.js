@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// Most entries a query returns
+const MAX_QUERY_LIMIT = 1000;
+
+/**
+ * AuditLog - Who changed what in the workspace, projects and debug sessions
+ *
+ * An append-only JSON Lines file, one entry per mutating request, written once the
+ * response has been sent:
+ *
+ *   {"time":"...","actor":"ada","role":"student","action":"file.write","path":"users/ada/blink/main.js",
+ *    "result":"success","status":200,"ip":"::1"}
+ *
+ * `actor` is the username (null for API keys and with authentication off), `path` is
+ * relative to the workspace root (a student's paths include their workspace, see
+ * UserWorkspaces). `result` is 'success', 'denied' (401/403) or 'failure'; failures
+ * carry the response's `message`. Routes add what else identifies the change
+ * (sessionId, configuration...). The file lives outside the workspace, so nobody can
+ * edit it through the workspace API.
+ */
+class AuditLog {
+    /**
+     * Creates a new AuditLog instance
+     * @param {string|null} logFile - Absolute path of the log file (created on the first entry; null: record nothing)
+     * @param {Object} [options={}] - Options
+     * @param {UserWorkspaces} [options.workspaces] - Makes students' paths relative to the workspace root
+     */
+    constructor(logFile, options = {}) {
+        this.logFile = logFile;
+        this.workspaces = options.workspaces || null;
+        this.writing = Promise.resolve();
+    }
+
+    /**
+     * Creates middleware that records the request once its response is sent
+     * Use after requireAuth (for req.user), before requireWrite (refusals are recorded too).
+     * @param {string|Function} action - Action name (e.g. 'file.delete'), or (req) => name
+     * @param {Function} [describe] - (req, body) => { path, ...details }; body is the JSON response (if any)
+     * @returns {Function} Express middleware
+     */
+    track(action, describe = () => ({})) {
+        return (req, res, next) => {
+            if (!this.logFile) {
+                return next();
+            }
+
+            let body = null;
+            const json = res.json;
+            res.json = function (data) {
+                body = data;
+                return json.call(this, data);
+            };
+
+            res.on('finish', () => {
+                let details = {};
+                try {
+                    details = describe(req, body) || {};
+                } catch (err) {
+                    // A response we didn't expect: record the action without details
+                }
+                this.record(req, {
+                    action: typeof action === 'function' ? action(req) : action,
+                    status: res.statusCode,
+                    message: res.statusCode >= 400 && body ? body.message || body.error : undefined,
+                    ...details
+                });
+            });
+            next();
+        };
+    }
+
+    /**
+     * Appends an entry
+     * @param {Object} req - Express request (actor and address)
+     * @param {Object} entry - { action, status, path?, message?, ...details }, path relative to the actor's workspace
+     * @returns {Promise<void>} Resolves once the entry is written
+     */
+    record(req, { action, status, path: entryPath, message, ...details }) {
+        if (!this.logFile) {
+            return Promise.resolve();
+        }
+
+        const user = req.user || null;
+        const entry = {
+            time: new Date().toISOString(),
+            actor: user ? user.username : null,
+            role: user ? user.role : null,
+            action,
+            path: entryPath ? this.toWorkspacePath(user, entryPath) : null,
+            ...details,
+            result: status === 401 || status === 403 ? 'denied' : status >= 400 ? 'failure' : 'success',
+            status,
+            ...(message && { message }),
+            ip: req.ip
+        };
+
+        // One write at a time, so entries never interleave
+        this.writing = this.writing
+            .then(() => fs.promises.mkdir(path.dirname(this.logFile), { recursive: true }))
+            .then(() => fs.promises.appendFile(this.logFile, JSON.stringify(entry) + '\n', { mode: 0o600 }))
+            .catch(err => console.error(`Cannot write audit log ${this.logFile}: ${err.message}`));
+        return this.writing;
+    }
+
+    /**
+     * Makes a path from a request relative to the workspace root
+     * @param {Object|null} user - Actor
+     * @param {string} requestPath - Path relative to the actor's workspace
+     * @returns {string}
+     * @private
+     */
+    toWorkspacePath(user, requestPath) {
+        const relative = path.posix.normalize(String(requestPath).replace(/^\/+/, '')) || '.';
+        return this.workspaces && this.workspaces.isConfined(user)
+            ? path.posix.join(this.workspaces.getUserPath(user.username), relative)
+            : relative;
+    }
+
+    /**
+     * Finds entries, newest first
+     * @param {Object} [filters={}] - Filters
+     * @param {string} [filters.actor] - Username
+     * @param {string} [filters.role] - Role of the actor
+     * @param {string} [filters.action] - Action, or a group of actions ('session' matches 'session.start', ...)
+     * @param {string} [filters.path] - Path (relative to the workspace root), or a directory it is in
+     * @param {string} [filters.sessionId] - Debug session
+     * @param {string} [filters.result] - 'success', 'denied' or 'failure'
+     * @param {string} [filters.since] - Entries at or after this time (ISO 8601)
+     * @param {string} [filters.until] - Entries before this time (ISO 8601)
+     * @param {number} [filters.limit=100] - Most entries to return (at most 1000)
+     * @returns {Promise<Object>} { entries, total } (total: entries that match)
+     * @throws {Error} If a filter is invalid
+     */
+    async query(filters = {}) {
+        const limit = filters.limit === undefined ? 100 : Number(filters.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_LIMIT) {
+            throw new Error(`Invalid audit query: limit must be between 1 and ${MAX_QUERY_LIMIT}`);
+        }
+        const since = parseTime(filters.since, 'since');
+        const until = parseTime(filters.until, 'until');
+        const filterPath = filters.path ? path.posix.normalize(filters.path.replace(/^\/+/, '')).replace(/\/$/, '') : null;
+
+        const matches = (entry) =>
+            (!filters.actor || entry.actor === filters.actor)
+            && (!filters.role || entry.role === filters.role)
+            && (!filters.action || entry.action === filters.action || entry.action.startsWith(`${filters.action}.`))
+            && (!filterPath || entry.path === filterPath || (entry.path || '').startsWith(`${filterPath}/`))
+            && (!filters.sessionId || entry.sessionId === filters.sessionId)
+            && (!filters.result || entry.result === filters.result)
+            && (since === null || Date.parse(entry.time) >= since)
+            && (until === null || Date.parse(entry.time) < until);
+
+        // Pending entries first, then the last `limit` matches of the file
+        await this.writing;
+        const entries = [];
+        let total = 0;
+        if (!this.logFile || !fs.existsSync(this.logFile)) {
+            return { entries, total };
+        }
+
+        const lines = readline.createInterface({ input: fs.createReadStream(this.logFile), crlfDelay: Infinity });
+        for await (const line of lines) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (err) {
+                continue;       // A line cut short (the server stopped while writing)
+            }
+            if (!matches(entry)) continue;
+
+            total++;
+            entries.push(entry);
+            if (entries.length > limit) entries.shift();
+        }
+
+        return { entries: entries.reverse(), total };
+    }
+}
+
+/**
+ * @param {string} [value] - ISO 8601 time
+ * @param {string} name - Filter name, for the error
+ * @returns {number|null} Milliseconds since the epoch, or null without a value
+ * @throws {Error} If the time cannot be parsed
+ */
+function parseTime(value, name) {
+    if (value === undefined || value === '') return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid audit query: ${name} must be an ISO 8601 time`);
+    }
+    return time;
+}
+
+module.exports = AuditLog;
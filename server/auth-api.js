@@ -0,0 +1,125 @@
+const express = require('express');
+
+/**
+ * Authentication API
+ *
+ * Logs users in and out of the workspace, project, debugger and GPIO APIs (see
+ * AuthMiddleware). A login answers with a session token for scripts and sets the same
+ * token as an HttpOnly, SameSite=Strict cookie for the browser.
+ *
+ * @param {Object} config - Configuration
+ * @param {AuthMiddleware} config.auth - Issues and checks the session tokens
+ * @param {UserWorkspaces} [config.workspaces] - Where the students' workspaces are
+ * @returns {express.Router} Express router
+ */
+function createAuthApi(config = {}) {
+    const router = express.Router();
+    const auth = config.auth;
+
+    /**
+     * GET /auth/me - Who the caller is (never 401; the login page asks this first)
+     * Response: { authRequired, authenticated, user: { username, role } | null, setupRequired }
+     * setupRequired: authentication is on but no account exists yet (see manage-users.js)
+     */
+    router.get('/me', async (req, res) => {
+        if (auth.userStore) {
+            await auth.userStore.refresh();
+        }
+
+        const user = auth.enabled ? auth.authenticate(req) : null;
+        res.json({
+            authRequired: auth.enabled,
+            authenticated: !auth.enabled || user !== null,
+            user,
+            setupRequired: auth.enabled && (!auth.userStore || !auth.userStore.hasUsers())
+        });
+    });
+
+    /**
+     * POST /auth/login - Log in
+     * Body: { username, password }
+     * Response: { success, token, user: { username, role }, expiresAt } (and the session cookie)
+     */
+    router.post('/login', async (req, res) => {
+        const { username, password } = req.body || {};
+        if (!username || !password) {
+            return res.status(400).json({
+                error: 'Bad request',
+                message: 'Missing required fields: username, password'
+            });
+        }
+
+        try {
+            const session = await auth.login(String(username), String(password), req.ip);
+
+            res.cookie(auth.cookieName, session.token, {
+                httpOnly: true,
+                sameSite: 'strict',
+                secure: req.secure,
+                path: '/',
+                maxAge: auth.tokenTtl
+            });
+            res.json({
+                success: true,
+                ...session
+            });
+        } catch (error) {
+            if (error.message.includes('Too many failed logins')) {
+                return res.status(429).json({
+                    error: 'Too many requests',
+                    message: error.message
+                });
+            }
+
+            if (error.message.includes('Invalid username or password') || error.message.includes('No user accounts')) {
+                return res.status(401).json({
+                    error: 'Authentication failed',
+                    message: error.message
+                });
+            }
+
+            console.error('Login error:', error);
+            res.status(500).json({
+                error: 'Login failed',
+                message: error.message
+            });
+        }
+    });
+
+    /**
+     * GET /auth/users - The accounts (teachers and viewers)
+     * Response: { users: [{ username, role, createdAt, workspace }] }
+     * workspace: path of a student's workspace, relative to the workspace root (else null)
+     */
+    router.get('/users', auth.requireAuth, auth.requireRole('teacher', 'viewer'), async (req, res) => {
+        if (!auth.userStore) {
+            return res.json({ users: [] });
+        }
+
+        await auth.userStore.refresh();
+        const users = auth.userStore.listUsers().map(user => ({
+            ...user,
+            workspace: config.workspaces && config.workspaces.isConfined(user)
+                ? config.workspaces.getUserPath(user.username)
+                : null
+        }));
+        res.json({ users });
+    });
+
+    /**
+     * POST /auth/logout - End the caller's session (token and cookie)
+     */
+    router.post('/logout', (req, res) => {
+        const token = auth.getToken(req);
+        if (token) {
+            auth.logout(token);
+        }
+
+        res.clearCookie(auth.cookieName, { path: '/' });
+        res.json({ success: true });
+    });
+
+    return router;
+}
+
+module.exports = { createAuthApi };
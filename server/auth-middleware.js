@@ -1,47 +1,121 @@
+const crypto = require('crypto');
+
+// Failed logins allowed per user and address within the window before logins are refused
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW = 15 * 60 * 1000;
+
 /**
- * AuthMiddleware - Handles API key authentication for workspace operations
+ * AuthMiddleware - Authenticates requests to the workspace, project, debugger and GPIO APIs
  * Designed to be pluggable for future mTLS support
+ *
+ * Users log in with a local account (UserStore) and get a session token, sent back as a
+ * Bearer token (Authorization header; scripts, the CLI) or in the HttpOnly session cookie
+ * the login sets (the browser, including its WebSocket upgrades and EventSource streams).
+ * Tokens are kept in memory, so restarting the server logs everyone out. API keys
+ * (X-Workspace-API-Key) still work for automation when the server is given some.
+ *
+ * Authenticated requests carry `req.user` ({ username, role }; API keys act as
+ * { username: null, role: 'teacher' }). requireWrite and requireRole authorize on top of
+ * that (see UserStore.ROLES). With authentication disabled (`enabled: false`) every
+ * request passes and has no `req.user`.
  */
 class AuthMiddleware {
     /**
      * Creates a new AuthMiddleware instance
      * @param {Object} config - Configuration object
-     * @param {string[]} config.apiKeys - Array of valid API keys
+     * @param {string[]} [config.apiKeys=[]] - Array of valid API keys
      * @param {string} [config.apiKeyHeader='X-Workspace-API-Key'] - Header name for API key
+     * @param {UserStore} [config.userStore] - Accounts users log in with
+     * @param {boolean} [config.enabled=true] - Require authentication
+     * @param {number} [config.tokenTtl=43200000] - How long (ms) a session token is valid (default 12 hours)
+     * @param {string} [config.cookieName='pithagoras_session'] - Name of the session cookie
      */
     constructor(config = {}) {
         this.apiKeys = config.apiKeys || [];
         this.apiKeyHeader = config.apiKeyHeader || 'X-Workspace-API-Key';
+        this.userStore = config.userStore || null;
+        this.enabled = config.enabled !== false;
+        this.tokenTtl = config.tokenTtl || 12 * 60 * 60 * 1000;
+        this.cookieName = config.cookieName || 'pithagoras_session';
+        this.tokens = new Map();            // token -> { username, role, expiresAt }
+        this.failedLogins = new Map();      // "address|username" -> { count, since }
     }
 
     /**
      * Express middleware that requires authentication
-     * Checks for valid API key in request headers
+     * Accepts a session token (Bearer or cookie) or a valid API key
      * @param {Object} req - Express request
      * @param {Object} res - Express response
      * @param {Function} next - Express next function
      */
-    requireAuth = (req, res, next) => {
+    requireAuth = async (req, res, next) => {
+        if (!this.enabled) {
+            return next();
+        }
+
         const apiKey = req.headers[this.apiKeyHeader.toLowerCase()];
+        if (apiKey && !this.validateApiKey(apiKey)) {
+            return res.status(403).json({
+                error: 'Authentication failed',
+                message: 'Invalid API key'
+            });
+        }
 
-        if (!apiKey) {
+        // Accounts removed with manage-users.js lose their sessions
+        if (this.userStore) {
+            await this.userStore.refresh();
+        }
+
+        const user = this.authenticate(req);
+        if (!user) {
             return res.status(401).json({
                 error: 'Authentication required',
-                message: `Missing ${this.apiKeyHeader} header`
+                message: this.getToken(req)
+                    ? 'Session expired, log in again'
+                    : `Log in first (Authorization: Bearer <token>, or the ${this.apiKeyHeader} header)`
             });
         }
 
-        if (!this.validateApiKey(apiKey)) {
+        // Authentication successful
+        req.user = user;
+        next();
+    };
+
+    /**
+     * Express middleware that refuses changes to viewers (read-only accounts)
+     * Use after requireAuth on routes that change files or sessions.
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {Function} next - Express next function
+     */
+    requireWrite = (req, res, next) => {
+        if (req.user && req.user.role === 'viewer') {
             return res.status(403).json({
-                error: 'Authentication failed',
-                message: 'Invalid API key'
+                error: 'Forbidden',
+                message: 'Read-only account: viewers cannot change anything'
             });
         }
-
-        // Authentication successful
         next();
     };
 
+    /**
+     * Creates middleware that only lets the given roles through
+     * Use after requireAuth.
+     * @param {...string} roles - Allowed roles
+     * @returns {Function} Express middleware
+     */
+    requireRole(...roles) {
+        return (req, res, next) => {
+            if (req.user && !roles.includes(req.user.role)) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: `Only for ${roles.join(' or ')} accounts`
+                });
+            }
+            next();
+        };
+    }
+
     /**
      * Express middleware that allows all requests (no authentication)
      * Use this for development or when authentication is not required
@@ -54,6 +128,116 @@ class AuthMiddleware {
         next();
     };
 
+    /**
+     * Identifies the user of a request (also plain http.IncomingMessage, e.g. WebSocket upgrades)
+     * @param {http.IncomingMessage} req - Request
+     * @returns {Object|null} { username, role } (username null for API keys), or null if not authenticated
+     */
+    authenticate(req) {
+        const apiKey = req.headers[this.apiKeyHeader.toLowerCase()];
+        if (apiKey && this.validateApiKey(apiKey)) {
+            return { username: null, role: 'teacher' };
+        }
+
+        const token = this.getToken(req);
+        return token ? this.validateToken(token) : null;
+    }
+
+    /**
+     * Checks a session token
+     * @param {string} token - Session token
+     * @returns {Object|null} { username, role }, or null if the token is unknown, expired or its account is gone
+     */
+    validateToken(token) {
+        const session = this.tokens.get(token);
+        if (!session) return null;
+
+        if (session.expiresAt <= Date.now() || (this.userStore && !this.userStore.users.has(session.username))) {
+            this.tokens.delete(token);
+            return null;
+        }
+        // The current role: changes made with manage-users.js apply right away
+        return { username: session.username, role: this.userStore ? this.userStore.getRole(session.username) : session.role };
+    }
+
+    /**
+     * @param {http.IncomingMessage} req - Request
+     * @returns {string|null} The session token of a request (Bearer header first, then cookie)
+     */
+    getToken(req) {
+        const authorization = req.headers.authorization || '';
+        if (authorization.startsWith('Bearer ')) {
+            return authorization.slice('Bearer '.length).trim() || null;
+        }
+
+        const cookies = (req.headers.cookie || '').split(';');
+        for (const cookie of cookies) {
+            const [name, ...value] = cookie.trim().split('=');
+            if (name === this.cookieName) {
+                return decodeURIComponent(value.join('=')) || null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Logs a user in
+     * @param {string} username - Account
+     * @param {string} password - Password
+     * @param {string} [address=''] - Client address (failed logins are counted per user and address)
+     * @returns {Promise<Object>} { token, user: { username, role }, expiresAt }
+     * @throws {Error} If the credentials are wrong, or after too many failed attempts
+     */
+    async login(username, password, address = '') {
+        if (!this.userStore) {
+            throw new Error('No user accounts are configured');
+        }
+
+        const key = `${address}|${username}`;
+        const failures = this.failedLogins.get(key);
+        if (failures && Date.now() - failures.since > FAILED_LOGIN_WINDOW) {
+            this.failedLogins.delete(key);
+        } else if (failures && failures.count >= MAX_FAILED_LOGINS) {
+            throw new Error('Too many failed logins, try again later');
+        }
+
+        await this.userStore.refresh();
+        const user = await this.userStore.verify(username, password);
+        if (!user) {
+            const entry = this.failedLogins.get(key) || { count: 0, since: Date.now() };
+            entry.count++;
+            this.failedLogins.set(key, entry);
+            throw new Error('Invalid username or password');
+        }
+
+        this.failedLogins.delete(key);
+        this.pruneTokens();
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = Date.now() + this.tokenTtl;
+        this.tokens.set(token, { username: user.username, role: user.role, expiresAt });
+        return { token, user, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    /**
+     * Ends a session
+     * @param {string} token - Session token
+     */
+    logout(token) {
+        this.tokens.delete(token);
+    }
+
+    /**
+     * Forgets expired tokens
+     * @private
+     */
+    pruneTokens() {
+        const now = Date.now();
+        this.tokens.forEach((session, token) => {
+            if (session.expiresAt <= now) this.tokens.delete(token);
+        });
+    }
+
     /**
      * Validates an API key
      * @param {string} key - API key to validate
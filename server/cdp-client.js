@@ -0,0 +1,135 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+/**
+ * CdpClient - Server-side client of a debug session
+ *
+ * Connects to a session's wsUrl like the browser does, so the proxy treats it like
+ * any other client (driver or observer, see RemoteDebuggerProxyServer), and offers
+ * promise-based CDP requests on top. Used by the adapters that drive sessions on
+ * someone else's behalf (DAP, the HTTP control API).
+ *
+ * Events:
+ * - 'ready' (params) - Proxy.ready { clientId, role, resumed, restarted }
+ * - 'event' (method, params, sessionId) - every CDP event; `sessionId` is set for child targets
+ * - 'close' - the connection ended
+ */
+class CdpClient extends EventEmitter {
+    /**
+     * Creates a new CdpClient instance
+     * @param {Object} [options={}] - Client options
+     * @param {number} [options.timeout=30000] - How long (ms) to wait for a response
+     * @param {Object} [options.tls] - TLS options for wss:// URLs (see TlsCredentials.getClientOptions)
+     */
+    constructor(options = {}) {
+        super();
+        this.timeout = options.timeout ?? 30000;
+        this.tls = options.tls || {};
+        this.ws = null;
+        this.nextId = 1;
+        this.pending = new Map();
+        this.clientId = null;
+        this.role = null;
+    }
+
+    /**
+     * Connects to a session
+     * @param {string} wsUrl - The session's WebSocket URL (with its token)
+     * @returns {Promise<Object>} Proxy.ready params, once the debugger is connected
+     * @throws {Error} If the connection fails or the proxy reports an error first
+     */
+    connect(wsUrl) {
+        return new Promise((resolve, reject) => {
+            this.ws = new WebSocket(wsUrl, this.tls);
+
+            this.ws.on('message', data => {
+                const message = JSON.parse(data.toString());
+
+                if (message.id !== undefined) {
+                    this.onResponse(message);
+                    return;
+                }
+
+                if (message.method === 'Proxy.ready') {
+                    this.clientId = message.params.clientId;
+                    this.role = message.params.role;
+                    resolve(message.params);
+                    this.emit('ready', message.params);
+                } else if (message.method === 'Proxy.clientsChanged') {
+                    // Roles change hands (Proxy.takeControl, the driver leaving)
+                    const self = message.params.clients.find(c => c.clientId === this.clientId);
+                    if (self) this.role = self.role;
+                } else if (message.method === 'Proxy.error') {
+                    reject(new Error(message.params.message));
+                }
+
+                this.emit('event', message.method, message.params || {}, message.sessionId || null);
+            });
+
+            this.ws.on('error', reject);
+            this.ws.on('close', () => {
+                this.pending.forEach(({ reject: fail, timer }) => {
+                    clearTimeout(timer);
+                    fail(new Error('Connection to the session closed'));
+                });
+                this.pending.clear();
+                reject(new Error('Connection to the session closed'));
+                this.emit('close');
+            });
+        });
+    }
+
+    /**
+     * Sends a CDP request
+     * @param {string} method - e.g. 'Debugger.resume'
+     * @param {Object} [params={}] - Parameters
+     * @param {string|null} [sessionId=null] - Child target to send it to (null: the main target)
+     * @returns {Promise<Object>} The result
+     * @throws {Error} With the debugger's error message, or on timeout
+     */
+    send(method, params = {}, sessionId = null) {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            return Promise.reject(new Error('Not connected to the session'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`${method} timed out`));
+            }, this.timeout);
+
+            this.pending.set(id, { resolve, reject, timer });
+            this.ws.send(JSON.stringify({ id, method, params, ...(sessionId ? { sessionId } : {}) }));
+        });
+    }
+
+    /**
+     * Settles the request a response belongs to
+     * @param {Object} message - CDP response
+     * @private
+     */
+    onResponse(message) {
+        const pending = this.pending.get(message.id);
+        if (!pending) return;
+
+        this.pending.delete(message.id);
+        clearTimeout(pending.timer);
+        if (message.error) {
+            pending.reject(new Error(message.error.message));
+        } else {
+            pending.resolve(message.result || {});
+        }
+    }
+
+    /**
+     * Disconnects from the session (the session itself keeps running)
+     */
+    close() {
+        if (this.ws) {
+            this.ws.close();
+        }
+    }
+}
+
+module.exports = CdpClient;
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * CdpRecorder - Records the CDP traffic of a debug session to a .jsonl file
+ *
+ * The first line is a header, every following line one message as a client saw it
+ * (request ids are the client's own, not the renumbered ones sent to Node):
+ *
+ *   {"type":"header","version":1,"sessionId":"session-1","mode":"launch","targetFile":"blink/main.js","startedAt":"..."}
+ *   {"t":12,"clientId":1,"from":"inspector","message":{"method":"Proxy.ready","params":{...}}}
+ *   {"t":40,"clientId":1,"from":"client","message":{"id":1,"method":"Runtime.enable","params":{}}}
+ *
+ * `t` is milliseconds since the recording started; `from` is "client" for messages
+ * the client sent and "inspector" for messages it received.
+ * Recordings can be served again with CdpReplayServer.
+ */
+class CdpRecorder {
+    static VERSION = 1;
+
+    /**
+     * Creates a new CdpRecorder instance and writes the header
+     * @param {string} filePath - Absolute path of the .jsonl file (directories are created)
+     * @param {Object} [header={}] - Session details stored in the header line
+     */
+    constructor(filePath, header = {}) {
+        this.filePath = filePath;
+        this.startTime = Date.now();
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.stream = fs.createWriteStream(filePath, { flags: 'a' });
+        this.stream.write(JSON.stringify({
+            type: 'header',
+            version: CdpRecorder.VERSION,
+            ...header,
+            startedAt: new Date(this.startTime).toISOString()
+        }) + '\n');
+    }
+
+    /**
+     * Records one message
+     * @param {number} clientId - Client the message was sent by or to
+     * @param {string} from - 'client' or 'inspector'
+     * @param {string} raw - The message as sent (must be valid JSON)
+     */
+    record(clientId, from, raw) {
+        if (!this.stream) return;
+
+        // Embed the raw message rather than re-serializing it (messages can be large)
+        this.stream.write(`{"t":${Date.now() - this.startTime},"clientId":${clientId},"from":"${from}","message":${raw}}\n`);
+    }
+
+    /**
+     * Finishes the recording
+     */
+    close() {
+        if (this.stream) {
+            this.stream.end();
+            this.stream = null;
+        }
+    }
+}
+
+module.exports = CdpRecorder;
@@ -0,0 +1,443 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const http = require('http');
+const https = require('https');
+const Logger = require('../util/logger');
+const OutputBuffer = require('./output-buffer');
+
+/**
+ * Plays a recording to one connected client
+ *
+ * Events are sent with their recorded timing. A recorded response is only sent once
+ * the live client has made the matching request (same method, in recorded order);
+ * it then carries the live request's id. Requests that are not in the recording
+ * get an empty result so the client keeps going.
+ */
+class ReplayPlayer {
+    /**
+     * Creates a new ReplayPlayer instance
+     * @param {WebSocket} ws - Client connection
+     * @param {Array} messages - Recorded messages of one client, oldest first
+     * @param {Object} options - Playback options
+     * @param {number} options.clientId - Id of this client within the replay server
+     * @param {number} options.speed - Playback speed factor (0 sends events without delay)
+     * @param {number} options.maxDelay - Longest pause (ms) between two events
+     * @param {number} options.requestTimeout - How long (ms) to wait for a recorded request before skipping its response
+     * @param {Logger} options.logger - Logger
+     */
+    constructor(ws, messages, options) {
+        this.ws = ws;
+        this.messages = messages;
+        this.clientId = options.clientId;
+        this.speed = options.speed;
+        this.maxDelay = options.maxDelay;
+        this.requestTimeout = options.requestTimeout;
+        this.logger = options.logger;
+
+        this.index = 0;
+        this.idMap = new Map();
+        this.matched = new Set();
+        this.responseIndex = new Map();
+        this.waitingFor = null;
+        this.timer = null;
+
+        messages.forEach((entry, i) => {
+            if (entry.from === 'inspector' && entry.message.id !== undefined) {
+                this.responseIndex.set(entry.message.id, i);
+            }
+        });
+    }
+
+    /**
+     * Starts playback
+     */
+    start() {
+        this.ws.on('message', data => this.onClientMessage(data));
+        this.ws.on('close', () => this.stop());
+        this.step();
+    }
+
+    /**
+     * Sends recorded messages until playback has to pause or the recording ends
+     * @private
+     */
+    step() {
+        this.timer = null;
+
+        while (this.index < this.messages.length) {
+            const entry = this.messages[this.index];
+
+            if (entry.from === 'client') {
+                this.index++;
+                continue;
+            }
+
+            const message = entry.message;
+            if (message.id !== undefined) {
+                if (!this.idMap.has(message.id)) {
+                    this.waitForRequest(message.id);
+                    return;
+                }
+                this.send({ ...message, id: this.idMap.get(message.id) });
+            } else {
+                this.send(message);
+            }
+            this.index++;
+
+            const delay = this.getDelay(entry);
+            if (delay > 0) {
+                this.timer = setTimeout(() => this.step(), delay);
+                return;
+            }
+        }
+
+        this.logger.info(`Replay to client ${this.clientId} finished`);
+    }
+
+    /**
+     * Time to wait before sending the next recorded event
+     * Responses are paced by the client's requests instead.
+     * @param {Object} entry - Entry that was just sent
+     * @returns {number} Delay in ms
+     * @private
+     */
+    getDelay(entry) {
+        if (this.speed <= 0) return 0;
+
+        const next = this.messages.slice(this.index).find(e => e.from === 'inspector');
+        if (!next || next.message.id !== undefined) return 0;
+
+        return Math.min((next.t - entry.t) / this.speed, this.maxDelay);
+    }
+
+    /**
+     * Pauses playback until the client sends the request a recorded response belongs to
+     * @param {number} recordedId - Request id in the recording
+     * @private
+     */
+    waitForRequest(recordedId) {
+        this.waitingFor = recordedId;
+        this.timer = setTimeout(() => {
+            const request = this.messages.find(e => e.from === 'client' && e.message.id === recordedId);
+            this.logger.warn(`Client ${this.clientId} never sent ${request ? request.message.method : `request ${recordedId}`}, skipping its response`);
+            this.waitingFor = null;
+            this.index++;
+            this.step();
+        }, this.requestTimeout);
+    }
+
+    /**
+     * Matches a live request to the next recorded request with the same method
+     * @param {Buffer|string} data - Raw client message
+     * @private
+     */
+    onClientMessage(data) {
+        let command;
+        try {
+            command = JSON.parse(data);
+        } catch (err) {
+            this.logger.error(`Ignoring malformed message from client ${this.clientId}`);
+            return;
+        }
+        if (command.id === undefined) return;
+
+        const recorded = this.messages.findIndex((e, i) =>
+            e.from === 'client' && e.message.method === command.method && !this.matched.has(i));
+
+        if (recorded === -1) {
+            this.logger.warn(`${command.method} is not in the recording, answering with an empty result`);
+            this.send({ id: command.id, result: {} });
+            return;
+        }
+
+        this.matched.add(recorded);
+        const recordedId = this.messages[recorded].message.id;
+        this.idMap.set(recordedId, command.id);
+
+        // Playback already went past this response (e.g. it timed out): answer right away
+        const responseIndex = this.responseIndex.get(recordedId);
+        if (responseIndex !== undefined && responseIndex < this.index) {
+            this.send({ ...this.messages[responseIndex].message, id: command.id });
+        }
+
+        if (this.waitingFor === recordedId) {
+            clearTimeout(this.timer);
+            this.waitingFor = null;
+            this.step();
+        }
+    }
+
+    /**
+     * Sends a message to the client
+     * @param {Object} message - CDP message
+     * @private
+     */
+    send(message) {
+        if (this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Describes the client for the session API
+     * @returns {Object} { clientId, role }
+     */
+    describe() {
+        return { clientId: this.clientId, role: 'driver' };
+    }
+
+    /**
+     * Stops playback
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+/**
+ * CdpReplayServer - Serves a CDP recording (see CdpRecorder) on a proxy port as if
+ * it were a live debug session
+ *
+ * Clients connect exactly like they connect to RemoteDebuggerProxyServer and are
+ * played the messages one client received during the recorded session. Every
+ * connection gets its own playback from the start, so several clients (or repeated
+ * UI test runs) see the same session. No process is involved.
+ *
+ * Standalone usage:
+ *   node server/cdp-replay-server.js <recording.jsonl> [--port 8888] [--speed 1]
+ */
+class CdpReplayServer {
+    /**
+     * Reads and parses a recording
+     * @param {string} filePath - Path to a .jsonl recording
+     * @returns {Promise<Object>} { header, messages }
+     * @throws {Error} If the file is not a recording
+     */
+    static async load(filePath) {
+        const content = await fs.readFile(filePath, 'utf8');
+        const lines = content.split('\n').filter(line => line.trim());
+
+        let header;
+        const messages = [];
+        lines.forEach((line, i) => {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (err) {
+                throw new Error(`Invalid recording: line ${i + 1} is not valid JSON`);
+            }
+
+            if (entry.type === 'header') {
+                header = header || entry;
+            } else if (entry.message && (entry.from === 'client' || entry.from === 'inspector')) {
+                messages.push(entry);
+            }
+        });
+
+        if (!header) {
+            throw new Error('Invalid recording: missing header');
+        }
+
+        return { header, messages };
+    }
+
+    /**
+     * Creates a new CdpReplayServer instance
+     * @param {Object} recording - Recording as returned by CdpReplayServer.load()
+     * @param {Object} [options={}] - Configuration options
+     * @param {number} [options.proxyPort=8888] - Port to serve the recording on
+     * @param {boolean} [options.listen=true] - Listen on proxyPort (false when upgrades are routed to handleUpgrade)
+     * @param {TlsCredentials} [options.tls] - Serve HTTPS/WSS on proxyPort with this certificate
+     * @param {Function} [options.verifyUpgrade] - (request) => boolean, whether an upgrade on proxyPort may connect
+     * @param {Function} [options.authorize] - (request) => boolean, whether an upgrade on proxyPort may connect
+     *                                         (e.g. a logged-in user); others are refused with 401
+     * @param {number} [options.clientId] - Recorded client to play (defaults to the first one)
+     * @param {number} [options.speed=1] - Playback speed factor (0 sends events without delay)
+     * @param {number} [options.maxDelay=5000] - Longest pause (ms) between two events
+     * @param {number} [options.requestTimeout=10000] - How long (ms) to wait for a recorded request before skipping its response
+     * @param {string} [options.logLevel='debug'] - Log level
+     */
+    constructor(recording, options = {}) {
+        this.header = recording.header;
+        this.proxyPort = options.proxyPort || 8888;
+        this.listen = options.listen !== false;
+        this.tls = options.tls || null;
+        this.verifyUpgrade = options.verifyUpgrade || (() => true);
+        this.authorize = options.authorize || (() => true);
+        this.speed = options.speed ?? 1;
+        this.maxDelay = options.maxDelay ?? 5000;
+        this.requestTimeout = options.requestTimeout ?? 10000;
+        this.logLevel = options.logLevel || 'debug';
+
+        const first = recording.messages[0];
+        this.recordedClientId = options.clientId ?? (first ? first.clientId : undefined);
+        this.messages = recording.messages.filter(m => m.clientId === this.recordedClientId);
+
+        this.server = null;
+        this.players = [];
+        this.nextClientId = 1;
+        this.stopped = false;
+        this.sessionToken = crypto.randomBytes(16).toString('hex');
+        this.output = new OutputBuffer();
+        this.logger = new Logger('CdpReplayServer', 'info', this.logLevel);
+    }
+
+    /**
+     * Starts serving the recording
+     */
+    start() {
+        if (this.listen) {
+            const onRequest = (req, res) => {
+                res.writeHead(200);
+                res.end('Debugger Proxy API is running (replay).');
+            };
+            this.server = this.tls
+                ? https.createServer({ cert: this.tls.cert, key: this.tls.key }, onRequest)
+                : http.createServer(onRequest);
+
+            this.server.on('upgrade', (request, socket, head) => {
+                if (!this.verifyUpgrade(request)) {
+                    socket.write('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+                    socket.destroy();
+                    return;
+                }
+                if (!this.authorize(request)) {
+                    socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+                    socket.destroy();
+                    return;
+                }
+                this.handleUpgrade(request, socket, head);
+            });
+
+            this.server.listen(this.proxyPort, () => {
+                this.logger.info(`Replaying ${this.messages.length} messages on ${this.tls ? 'wss' : 'ws'}://0.0.0.0:${this.proxyPort}`);
+            });
+        }
+
+        const target = this.header.targetFile || this.header.mode || 'session';
+        this.output.append('system', `Replaying a recording of ${target} from ${this.header.startedAt}\n`);
+    }
+
+    /**
+     * Accepts a client WebSocket connection and starts a playback for it
+     * @param {http.IncomingMessage} request - Upgrade request
+     * @param {net.Socket} socket - Client socket
+     * @param {Buffer} head - First packet of the upgraded stream
+     */
+    handleUpgrade(request, socket, head) {
+        const wss = new WebSocket.Server({ noServer: true });
+        wss.handleUpgrade(request, socket, head, (ws) => this.addClient(ws));
+    }
+
+    /**
+     * Describes the replay as a /json/list target
+     * @param {string} address - WebSocket address without scheme (host:port/path)
+     * @param {boolean} [secure] - Whether the address is wss:// (default: whether the server has TLS)
+     * @returns {Object} Target description in the inspector's format
+     */
+    describeTarget(address, secure = this.tls !== null) {
+        const scheme = secure ? 'wss' : 'ws';
+        return {
+            description: 'recorded node.js session',
+            devtoolsFrontendUrl: `devtools://devtools/bundled/js_app.html?experiments=true&v8only=true&${scheme}=${address}`,
+            id: this.sessionToken,
+            title: `replay of ${this.header.targetFile || this.header.mode || 'session'}`,
+            type: 'node',
+            url: '',
+            webSocketDebuggerUrl: `${scheme}://${address}`
+        };
+    }
+
+    /**
+     * Starts a playback for a connecting client
+     * @param {WebSocket} ws - Client connection
+     * @private
+     */
+    addClient(ws) {
+        const player = new ReplayPlayer(ws, this.messages, {
+            clientId: this.nextClientId++,
+            speed: this.speed,
+            maxDelay: this.maxDelay,
+            requestTimeout: this.requestTimeout,
+            logger: this.logger
+        });
+
+        this.players.push(player);
+        ws.on('close', () => {
+            this.players = this.players.filter(p => p !== player);
+        });
+
+        this.logger.info(`Client ${player.clientId} connected, starting replay`);
+        player.start();
+    }
+
+    /**
+     * Whether clients can (re)connect; always true until stopped
+     * @returns {boolean}
+     */
+    isResumable() {
+        return !this.stopped;
+    }
+
+    /**
+     * Lists the connected clients
+     * @returns {Array} [{ clientId, role }]
+     */
+    getClients() {
+        return this.players.map(p => p.describe());
+    }
+
+    /**
+     * Lists the child targets; a recording is replayed as a single target
+     * @returns {Array} Always empty
+     */
+    getTargets() {
+        return [];
+    }
+
+    /**
+     * Stops serving and disconnects all clients
+     */
+    stop() {
+        this.stopped = true;
+        this.players.forEach(player => {
+            player.stop();
+            player.ws.close();
+        });
+        this.players = [];
+        if (this.server) this.server.close();
+        this.output.close();
+    }
+}
+
+// Run if executed directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const i = args.indexOf(name);
+        return i !== -1 ? args.splice(i, 2)[1] : undefined;
+    };
+    const port = parseInt(option('--port')) || 8888;
+    const speed = option('--speed');
+    const file = args[0];
+
+    if (!file) {
+        console.error('Usage: node server/cdp-replay-server.js <recording.jsonl> [--port 8888] [--speed 1]');
+        process.exit(1);
+    }
+
+    CdpReplayServer.load(file).then(recording => {
+        new CdpReplayServer(recording, {
+            proxyPort: port,
+            speed: speed !== undefined ? parseFloat(speed) : 1,
+            logLevel: 'info'
+        }).start();
+    }).catch(err => {
+        console.error('Failed to start replay:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = CdpReplayServer;
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+
+/**
+ * ChildProcessDiscovery - Finds the inspectors of the processes a debugged program starts
+ *
+ * Each run of a target gets a directory of its own (passed to its processes as
+ * BADGERBOX_DEBUG_DIR). debug-bootstrap.js, preloaded into every process of the run,
+ * opens the inspector of a child process on a free port and announces it there as
+ * <pid>.json; the announcement is renamed into place, so it is complete once it shows up.
+ *
+ * Events:
+ * - 'process' ({ pid, ppid, port, title, url }) - a child process waits for the debugger on `port`
+ * - 'error' (err) - the directory can no longer be watched
+ */
+class ChildProcessDiscovery extends EventEmitter {
+    /**
+     * Creates the run's directory
+     */
+    constructor() {
+        super();
+        this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'badgerbox-debug-'));
+        this.watcher = null;
+        this.seen = new Set();
+    }
+
+    /**
+     * Starts watching for announcements
+     * @throws {Error} If the directory cannot be watched
+     */
+    start() {
+        if (this.watcher) return;
+
+        this.watcher = fs.watch(this.dir, (eventType, filename) => {
+            if (filename) this.onAnnouncement(filename.toString());
+        });
+        this.watcher.on('error', (err) => {
+            this.stop();
+            this.emit('error', err);
+        });
+    }
+
+    /**
+     * Reads an announcement the first time its file shows up
+     * @param {string} filename - Name of the file within the directory
+     * @private
+     */
+    onAnnouncement(filename) {
+        if (!filename.endsWith('.json') || this.seen.has(filename)) return;
+
+        let announcement;
+        try {
+            announcement = JSON.parse(fs.readFileSync(path.join(this.dir, filename), 'utf8'));
+        } catch (err) {
+            // Not (yet) there
+            return;
+        }
+
+        this.seen.add(filename);
+        this.emit('process', announcement);
+    }
+
+    /**
+     * Stops watching and removes the directory
+     * Processes of the run that start later find it gone and run without a debugger.
+     */
+    stop() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        fs.rm(this.dir, { recursive: true, force: true }, () => {});
+    }
+}
+
+module.exports = ChildProcessDiscovery;
@@ -0,0 +1,98 @@
+/**
+ * ChildTarget - A worker thread or child process of the debugged program
+ *
+ * The proxy attaches to these next to the main target: worker threads through the
+ * NodeWorker domain of the process that started them, child processes through their
+ * own inspector (see ChildProcessDiscovery). Clients address a child target the way
+ * CDP does for flattened sessions: requests carry its `sessionId`, and every response
+ * and event from it is sent with that `sessionId`.
+ *
+ * Like the main target, each child target has its own request numbering and keeps
+ * the state (enabled domains, scripts, contexts, pause) replayed to late joiners.
+ */
+class ChildTarget {
+    /**
+     * Creates a new ChildTarget instance
+     * @param {Object} info - Target description
+     * @param {string} info.sessionId - Id clients address the target by
+     * @param {string} info.type - 'worker' or 'process'
+     * @param {string} info.title - Display name
+     * @param {string} [info.url=''] - Script the target runs
+     * @param {number|null} [info.pid=null] - Process id (child processes)
+     * @param {ChildTarget|null} [info.parent=null] - Target that started it (null: the main target)
+     * @param {boolean} [info.waitingForDebugger=false] - Whether it waits for Runtime.runIfWaitingForDebugger
+     * @param {Function} send - Delivers a raw CDP message to the target
+     */
+    constructor(info, send) {
+        this.sessionId = info.sessionId;
+        this.type = info.type;
+        this.title = info.title;
+        this.url = info.url || '';
+        this.pid = info.pid ?? null;
+        this.parent = info.parent || null;
+        this.waitingForDebugger = info.waitingForDebugger || false;
+        // Resume the pause on the first line a waiting worker adds (see RemoteDebuggerProxyServer)
+        this.skipEntryPause = false;
+        // NodeWorker session of a worker, within its parent
+        this.workerSessionId = null;
+        // Inspector connection of a child process
+        this.ws = null;
+        this.send = send;
+        this.pendingRequests = new Map();
+        this.nextRequestId = 1;
+        this.state = {
+            enabledDomains: new Map(),
+            scripts: new Map(),
+            contexts: new Map(),
+            paused: null
+        };
+    }
+
+    /**
+     * Sends a request of the proxy's own; its response is dropped
+     * @param {string} method - CDP method
+     * @param {Object} [params={}] - Parameters
+     */
+    request(method, params = {}) {
+        this.send(JSON.stringify({ id: this.nextRequestId++, method, params }));
+    }
+
+    /**
+     * Adds the target's sessionId to a raw message from it
+     * @param {string} text - Raw CDP message (a JSON object)
+     * @returns {string} The message as clients receive it
+     */
+    tag(text) {
+        return `${text.slice(0, text.lastIndexOf('}'))},"sessionId":${JSON.stringify(this.sessionId)}}`;
+    }
+
+    /**
+     * Describes the target for Proxy.targetAttached and the session API
+     * @returns {Object} { sessionId, type, title, url, pid, parentSessionId, waitingForDebugger }
+     */
+    describe() {
+        return {
+            sessionId: this.sessionId,
+            type: this.type,
+            title: this.title,
+            url: this.url,
+            pid: this.pid,
+            parentSessionId: this.parent ? this.parent.sessionId : null,
+            waitingForDebugger: this.waitingForDebugger
+        };
+    }
+
+    /**
+     * Closes the connection to a child process (workers go with their parent)
+     */
+    close() {
+        if (this.ws) {
+            this.ws.removeAllListeners('message');
+            this.ws.close();
+            this.ws = null;
+        }
+        this.pendingRequests.clear();
+    }
+}
+
+module.exports = ChildTarget;
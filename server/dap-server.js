@@ -0,0 +1,94 @@
+const net = require('net');
+const Logger = require('../util/logger');
+const DapSession = require('./dap-session');
+
+/**
+ * DAP Server
+ *
+ * Lets editors (VS Code, Neovim, JetBrains IDEs...) debug programs in the workspace over
+ * the Debug Adapter Protocol. Editors connect to dapPort over TCP (in VS Code: "debugServer"
+ * in launch.json); each connection is a DapSession that launches or attaches through the
+ * same DebuggerSessionManager as the web UI, so the GPIO bridge and the simulator keep
+ * working while an editor debugs.
+ *
+ * Launch arguments: { program } (a file, relative to the workspace root or absolute), or
+ * { projectPath, script | command }, plus args, env, envFile, cwd, nodeFlags, stopOnEntry,
+ * record, watch, limits and sandbox as for POST /debug/session.
+ * Attach arguments: { sessionId } to join a running session (e.g. one started in the
+ * browser), or { port, host?, targetId? } to attach to a process started with --inspect.
+ * When the server requires authentication, both also need { token } (from POST /auth/login);
+ * the token's user then owns the session, as in the web UI (paths are relative to a
+ * student's own workspace, only teachers attach by port, viewers are refused).
+ */
+class DapServer {
+    /**
+     * Creates a new DapServer instance
+     * @param {DebuggerSessionManager} sessionManager - Sessions editors launch or join
+     * @param {Object} [config={}] - Server options
+     * @param {number} [config.dapPort=4711] - TCP port to listen on
+     * @param {string} [config.logLevel='info'] - Log level (debug, info, warn, error)
+     * @param {AuthMiddleware} [config.auth] - Checks the token of launch and attach requests
+     */
+    constructor(sessionManager, config = {}) {
+        this.sessionManager = sessionManager;
+        this.auth = config.auth || null;
+        this.port = config.dapPort || 4711;
+        this.logLevel = config.logLevel || 'info';
+        this.logger = new Logger('DapServer', 'info', this.logLevel);
+        this.server = null;
+        this.connections = new Set();
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<void>} Resolves once the port is open
+     * @throws {Error} If the port is already in use
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = net.createServer(socket => {
+                this.logger.info(`Editor connected from ${socket.remoteAddress}`);
+                this.connections.add(socket);
+                new DapSession(socket, this.sessionManager, { logLevel: this.logLevel, auth: this.auth });
+
+                socket.on('close', () => {
+                    this.logger.info('Editor disconnected');
+                    this.connections.delete(socket);
+                });
+            });
+
+            this.server.on('error', (err) => {
+                if (err.code === 'EADDRINUSE') {
+                    reject(new Error(`Port ${this.port} is already in use`));
+                } else {
+                    reject(err);
+                }
+            });
+
+            this.server.listen(this.port, () => {
+                this.logger.info(`DAP server listening on port ${this.port}`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stop the server; connected editors are disconnected (and what they launched stopped)
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this.server) return Promise.resolve();
+
+        this.logger.info('Stopping DAP server');
+        this.connections.forEach(socket => socket.destroy());
+        this.connections.clear();
+
+        const server = this.server;
+        this.server = null;
+        return new Promise(resolve => {
+            server.close(() => resolve());
+        });
+    }
+}
+
+module.exports = DapServer;
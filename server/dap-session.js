@@ -0,0 +1,1061 @@
+const path = require('path');
+const { fileURLToPath, pathToFileURL } = require('url');
+const Logger = require('../util/logger');
+const CdpClient = require('./cdp-client');
+
+// Scope types as the Variables view names them
+const SCOPE_NAMES = {
+    local: 'Local',
+    closure: 'Closure',
+    block: 'Block',
+    catch: 'Catch',
+    with: 'With',
+    script: 'Script',
+    module: 'Module',
+    global: 'Global'
+};
+
+/**
+ * DapSession - One editor connected over the Debug Adapter Protocol
+ *
+ * Translates DAP requests into CDP and CDP events back into DAP events. The editor
+ * launches a program (or command) through DebuggerSessionManager, or attaches to a
+ * running process or to an existing session, and then talks to that session through
+ * a CdpClient like any browser would; browsers can watch (or drive) the same session.
+ *
+ * The main target is thread 1; worker threads and child processes are added as
+ * further threads when the proxy attaches them. Frame, scope and variable references
+ * handed to the editor stay valid while their thread is paused.
+ *
+ * Breakpoints are set by URL, so they can be sent before a script is loaded. Launched
+ * programs wait (waitForDebugger) until the editor is done setting them
+ * (configurationDone) and so hit breakpoints from the first line.
+ */
+class DapSession {
+    /**
+     * Creates a new DapSession instance
+     * @param {net.Socket} socket - The editor's connection
+     * @param {DebuggerSessionManager} sessionManager - Sessions to launch or join
+     * @param {Object} [options={}] - Session options
+     * @param {string} [options.logLevel='info'] - Log level (debug, info, warn, error)
+     * @param {AuthMiddleware} [options.auth] - Checks the token of launch and attach requests
+     */
+    constructor(socket, sessionManager, options = {}) {
+        this.socket = socket;
+        this.sessionManager = sessionManager;
+        this.auth = options.auth || null;
+        this.user = null;           // from the token of launch/attach (null without authentication)
+        this.logger = new Logger('DapSession', 'info', options.logLevel || 'info');
+        this.buffer = Buffer.alloc(0);
+        this.seq = 1;
+        this.queue = Promise.resolve();
+
+        // Editors count lines and columns from 1 unless they say otherwise
+        this.lineBase = 1;
+        this.columnBase = 1;
+
+        this.client = null;
+        this.sessionId = null;
+        this.mode = null;           // 'launch' or 'attach'
+        this.ownsSession = false;   // started by us, so stopped with us
+        this.watch = false;
+        this.terminated = false;
+        this.output = null;
+        this.onOutput = null;
+
+        this.threads = new Map();   // threadId -> { id, name, sessionId, callFrames, stopReason }
+        this.threadIds = new Map(); // target sessionId (null: main) -> threadId
+        this.nextThreadId = 1;
+        this.handles = new Map();   // frame/variables reference -> { thread, callFrame } | { thread, objectId }
+        this.nextHandle = 1;
+        this.scriptUrls = new Map(); // `${threadId}:${scriptId}` -> script URL
+        this.sources = new Map();   // sourceReference -> { thread, scriptId }
+        this.sourceRefs = new Map(); // `${threadId}:${scriptId}` -> sourceReference
+        this.breakpoints = new Map(); // script URL -> [{ id, requestedLine, line, condition, verified, message, cdpIds }]
+        this.nextBreakpointId = 1;
+        this.pauseOnExceptions = 'none';
+
+        socket.on('data', chunk => this.onData(chunk));
+        socket.on('close', () => this.dispose());
+        socket.on('error', err => this.logger.warn('Connection error:', err.message));
+    }
+
+    /**
+     * Splits incoming data into messages (Content-Length framed JSON)
+     * @param {Buffer} chunk - Data from the editor
+     * @private
+     */
+    onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        for (;;) {
+            const headerEnd = this.buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) return;
+
+            const match = /Content-Length:\s*(\d+)/i.exec(this.buffer.toString('ascii', 0, headerEnd));
+            const start = headerEnd + 4;
+            if (!match) {
+                this.buffer = this.buffer.subarray(start);
+                continue;
+            }
+
+            const end = start + parseInt(match[1]);
+            if (this.buffer.length < end) return;
+
+            const body = this.buffer.toString('utf8', start, end);
+            this.buffer = this.buffer.subarray(end);
+
+            let message;
+            try {
+                message = JSON.parse(body);
+            } catch (err) {
+                this.logger.warn('Dropping malformed message:', err.message);
+                continue;
+            }
+
+            if (message.type === 'request') {
+                // One at a time, so e.g. configurationDone runs after the breakpoints sent before it
+                this.queue = this.queue.then(() => this.handleRequest(message));
+            }
+        }
+    }
+
+    /**
+     * Sends a message to the editor
+     * @param {Object} message - DAP message (seq is filled in)
+     * @private
+     */
+    write(message) {
+        if (!this.socket.writable) return;
+
+        const json = JSON.stringify({ seq: this.seq++, ...message });
+        this.socket.write(`Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`);
+    }
+
+    /**
+     * @param {string} event - Event name
+     * @param {Object} [body] - Event body
+     * @private
+     */
+    sendEvent(event, body) {
+        this.write({ type: 'event', event, body });
+    }
+
+    /**
+     * Runs a request and answers it
+     * @param {Object} request - DAP request { seq, command, arguments }
+     * @private
+     */
+    async handleRequest(request) {
+        this.logger.debug(`-> ${request.command}`);
+
+        try {
+            const body = await this.dispatch(request.command, request.arguments || {});
+            this.write({ type: 'response', request_seq: request.seq, command: request.command, success: true, body });
+        } catch (err) {
+            this.logger.debug(`${request.command} failed:`, err.message);
+            this.write({
+                type: 'response',
+                request_seq: request.seq,
+                command: request.command,
+                success: false,
+                message: err.message,
+                body: { error: { id: 1, format: err.message, showUser: false } }
+            });
+            return;
+        }
+
+        if (request.command === 'launch' || request.command === 'attach') {
+            // The editor now sends its breakpoints, then configurationDone
+            this.sendEvent('initialized');
+        } else if (request.command === 'disconnect') {
+            this.socket.end();
+        }
+    }
+
+    /**
+     * Runs a request
+     * @param {string} command - DAP command
+     * @param {Object} args - Its arguments
+     * @returns {Promise<Object|undefined>} Response body
+     * @throws {Error} If the request fails or is not supported
+     * @private
+     */
+    async dispatch(command, args) {
+        switch (command) {
+            case 'initialize': return this.initialize(args);
+            case 'launch': return this.launch(args);
+            case 'attach': return this.attach(args);
+            case 'setBreakpoints': return this.setBreakpoints(args);
+            case 'setExceptionBreakpoints': return this.setExceptionBreakpoints(args);
+            case 'configurationDone': return this.configurationDone();
+            case 'threads': return this.getThreads();
+            case 'stackTrace': return this.stackTrace(args);
+            case 'scopes': return this.scopes(args);
+            case 'variables': return this.variables(args);
+            case 'evaluate': return this.evaluate(args);
+            case 'source': return this.source(args);
+            case 'continue': return this.step(args, 'Debugger.resume', null, { allThreadsContinued: false });
+            case 'next': return this.step(args, 'Debugger.stepOver', 'step');
+            case 'stepIn': return this.step(args, 'Debugger.stepInto', 'step');
+            case 'stepOut': return this.step(args, 'Debugger.stepOut', 'step');
+            case 'pause': return this.step(args, 'Debugger.pause', 'pause');
+            case 'terminate': return this.terminate();
+            case 'disconnect': return this.disconnect(args);
+            default:
+                throw new Error(`Unsupported request: ${command}`);
+        }
+    }
+
+    /**
+     * @param {Object} args - { linesStartAt1, columnsStartAt1, ... }
+     * @returns {Object} Capabilities
+     * @private
+     */
+    initialize(args) {
+        this.lineBase = args.linesStartAt1 === false ? 0 : 1;
+        this.columnBase = args.columnsStartAt1 === false ? 0 : 1;
+
+        return {
+            supportsConfigurationDoneRequest: true,
+            supportsConditionalBreakpoints: true,
+            supportsEvaluateForHovers: true,
+            supportsTerminateRequest: true,
+            exceptionBreakpointFilters: [
+                { filter: 'all', label: 'All Exceptions', default: false },
+                { filter: 'uncaught', label: 'Uncaught Exceptions', default: false }
+            ]
+        };
+    }
+
+    /**
+     * Starts a session for a program or a command and connects to it
+     * @param {Object} args - { program } (workspace-relative or absolute), or { projectPath, script | command },
+     *                        plus args, env, envFile, cwd, nodeFlags, stopOnEntry, record, watch, limits, sandbox
+     * @private
+     */
+    async launch(args) {
+        this.authenticate(args);
+        const { program, projectPath, script, command, env, envFile, cwd, nodeFlags, stopOnEntry, record, watch, limits, sandbox } = args;
+        const runsCommand = script !== undefined || command !== undefined;
+
+        if (runsCommand && !projectPath) {
+            throw new Error('Missing required field: projectPath (required with script or command)');
+        }
+        if (!runsCommand && !program) {
+            throw new Error('Missing required field: program');
+        }
+
+        const options = { args: args.args, env, envFile, cwd, nodeFlags, stopOnEntry, record, watch, limits, sandbox };
+        const session = runsCommand
+            ? await this.sessionManager.startCommandSession(this.toWorkspacePath(projectPath), undefined, { ...options, script, command }, this.user)
+            : await this.sessionManager.startSession(this.toWorkspacePath(program), undefined, { ...options, waitForDebugger: true }, this.user);
+
+        this.mode = 'launch';
+        this.ownsSession = true;
+        this.watch = session.watch;
+        await this.connect(session, program ? path.basename(program) : session.command);
+    }
+
+    /**
+     * Checks the session token (POST /auth/login) editors pass as the "token" launch or
+     * attach argument, when the server requires authentication, and remembers whose it is
+     * @param {Object} args - Launch or attach arguments
+     * @throws {Error} If the token is missing, unknown or expired, or belongs to a viewer
+     * @private
+     */
+    authenticate(args) {
+        if (!this.auth || !this.auth.enabled) return;
+
+        const user = args.token ? this.auth.validateToken(args.token) : null;
+        if (!user) {
+            throw new Error('Authentication required: set "token" (from POST /auth/login) in the launch configuration');
+        }
+        if (user.role === 'viewer') {
+            throw new Error('Read-only account: viewers cannot debug from an editor');
+        }
+        this.user = user;
+    }
+
+    /**
+     * Joins an existing session, or attaches a new session to a running process
+     * @param {Object} args - { sessionId } or { port, host?, targetId?, record? }
+     * @private
+     */
+    async attach(args) {
+        this.authenticate(args);
+        let session;
+        if (args.sessionId) {
+            if (!this.sessionManager.workspaces.canAccess(this.user, this.sessionManager.getOwner(args.sessionId))) {
+                throw new Error(`Session not found: ${args.sessionId}`);
+            }
+            session = this.sessionManager.getSession(args.sessionId, undefined, this.user);
+        } else if (args.port) {
+            if (this.user && this.user.role !== 'teacher') {
+                throw new Error('Only teachers can attach to running processes');
+            }
+            session = await this.sessionManager.attachSession(args, undefined, this.user);
+            this.ownsSession = true;
+        } else {
+            throw new Error('Missing required field: sessionId or port');
+        }
+
+        this.mode = 'attach';
+        this.watch = Boolean(session.watch);
+        await this.connect(session, session.targetFile || session.command || session.sessionId);
+    }
+
+    /**
+     * Connects to a session and gets the main target ready
+     * @param {Object} session - Session info (sessionId, wsUrl)
+     * @param {string} name - Name of the main thread
+     * @private
+     */
+    async connect(session, name) {
+        this.sessionId = session.sessionId;
+        this.addThread(null, name);
+
+        this.client = new CdpClient({ tls: this.sessionManager.clientTls });
+        this.client.on('event', (method, params, sessionId) => this.onCdpEvent(method, params, sessionId));
+        this.client.on('close', () => this.onSessionClosed());
+
+        try {
+            await this.client.connect(session.wsUrl);
+        } catch (err) {
+            if (this.ownsSession) {
+                await this.sessionManager.stopSession(this.sessionId).catch(() => {});
+            }
+            throw err;
+        }
+
+        // Program output (attached processes write theirs elsewhere)
+        this.output = this.sessionManager.getSessionOutput(this.sessionId);
+        this.onOutput = entry => this.sendEvent('output', {
+            category: entry.stream === 'system' ? 'console' : entry.stream,
+            output: entry.text
+        });
+        this.output.on('data', this.onOutput);
+
+        if (this.isDriver()) {
+            // We release new workers and child processes once our breakpoints are set
+            await this.client.send('Proxy.setAutoAttach', { waitForDebuggerOnStart: true });
+        }
+        await this.client.send('Runtime.enable');
+        await this.client.send('Debugger.enable');
+    }
+
+    /**
+     * @returns {boolean} Whether we may control the session (the first client drives, others watch)
+     * @private
+     */
+    isDriver() {
+        return this.client !== null && this.client.role === 'driver';
+    }
+
+    /**
+     * @returns {CdpClient} The connection to the session
+     * @throws {Error} If nothing has been launched or attached to yet
+     * @private
+     */
+    getClient() {
+        if (!this.client) {
+            throw new Error('No debug session (launch or attach first)');
+        }
+        return this.client;
+    }
+
+    /**
+     * Replaces the breakpoints of a source
+     * @param {Object} args - { source: { path }, breakpoints: [{ line, condition }] }
+     * @returns {Promise<Object>} { breakpoints }
+     * @private
+     */
+    async setBreakpoints(args) {
+        const client = this.getClient();
+        const requested = args.breakpoints || (args.lines || []).map(line => ({ line }));
+
+        if (!args.source || !args.source.path) {
+            return {
+                breakpoints: requested.map(({ line }) => ({
+                    verified: false,
+                    line,
+                    message: 'Breakpoints can only be set in files'
+                }))
+            };
+        }
+
+        const url = pathToFileURL(this.toAbsolutePath(args.source.path)).href;
+
+        for (const breakpoint of this.breakpoints.get(url) || []) {
+            for (const [sessionId, breakpointId] of breakpoint.cdpIds) {
+                await client.send('Debugger.removeBreakpoint', { breakpointId }, sessionId).catch(() => {});
+            }
+        }
+
+        const breakpoints = requested.map(({ line, condition }) => ({
+            id: this.nextBreakpointId++,
+            requestedLine: line,
+            line,
+            condition: condition || '',
+            verified: false,
+            message: undefined,
+            cdpIds: new Map()
+        }));
+        this.breakpoints.set(url, breakpoints);
+
+        for (const breakpoint of breakpoints) {
+            for (const sessionId of this.threadIds.keys()) {
+                await this.setBreakpoint(url, breakpoint, sessionId);
+            }
+        }
+
+        return { breakpoints: breakpoints.map(breakpoint => this.describeBreakpoint(breakpoint)) };
+    }
+
+    /**
+     * Sets a breakpoint in one target
+     * @param {string} url - Script URL
+     * @param {Object} breakpoint - Our breakpoint
+     * @param {string|null} sessionId - Target (null: the main target)
+     * @private
+     */
+    async setBreakpoint(url, breakpoint, sessionId) {
+        try {
+            const result = await this.client.send('Debugger.setBreakpointByUrl', {
+                url,
+                lineNumber: breakpoint.requestedLine - this.lineBase,
+                columnNumber: 0,
+                condition: breakpoint.condition
+            }, sessionId);
+
+            breakpoint.cdpIds.set(sessionId, result.breakpointId);
+            if (!breakpoint.verified && result.locations.length > 0) {
+                breakpoint.verified = true;
+                breakpoint.line = result.locations[0].lineNumber + this.lineBase;
+            }
+        } catch (err) {
+            breakpoint.message = err.message;
+        }
+    }
+
+    /**
+     * @param {Object} breakpoint - Our breakpoint
+     * @returns {Object} DAP Breakpoint
+     * @private
+     */
+    describeBreakpoint(breakpoint) {
+        return {
+            id: breakpoint.id,
+            verified: breakpoint.verified,
+            line: breakpoint.line,
+            message: breakpoint.verified ? undefined : breakpoint.message
+        };
+    }
+
+    /**
+     * @param {Object} args - { filters: ['all' | 'uncaught'] }
+     * @private
+     */
+    async setExceptionBreakpoints(args) {
+        const filters = args.filters || [];
+        this.pauseOnExceptions = filters.includes('all') ? 'all' : filters.includes('uncaught') ? 'uncaught' : 'none';
+
+        for (const sessionId of this.threadIds.keys()) {
+            await this.getClient().send('Debugger.setPauseOnExceptions', { state: this.pauseOnExceptions }, sessionId);
+        }
+    }
+
+    /**
+     * The editor has sent its configuration: let the program run
+     * @private
+     */
+    async configurationDone() {
+        if (this.isDriver()) {
+            await this.getClient().send('Runtime.runIfWaitingForDebugger');
+        }
+    }
+
+    /**
+     * @returns {Object} { threads }
+     * @private
+     */
+    getThreads() {
+        return {
+            threads: [...this.threads.values()].map(({ id, name }) => ({ id, name }))
+        };
+    }
+
+    /**
+     * @param {Object} args - { threadId, startFrame, levels }
+     * @returns {Object} { stackFrames, totalFrames }
+     * @private
+     */
+    stackTrace(args) {
+        const thread = this.getThread(args.threadId);
+        if (!thread.callFrames) {
+            throw new Error('Thread is not paused');
+        }
+
+        const start = args.startFrame || 0;
+        const end = args.levels ? start + args.levels : undefined;
+        const stackFrames = thread.callFrames.slice(start, end).map(callFrame => ({
+            id: this.createHandle({ thread, callFrame }),
+            name: callFrame.functionName || '(anonymous)',
+            source: this.describeSource(thread, callFrame.location.scriptId),
+            line: callFrame.location.lineNumber + this.lineBase,
+            column: (callFrame.location.columnNumber || 0) + this.columnBase
+        }));
+
+        return { stackFrames, totalFrames: thread.callFrames.length };
+    }
+
+    /**
+     * Files are referred to by path; anything else (node: internals, eval) by a reference
+     * the editor fetches with a source request
+     * @param {Object} thread - Thread the script belongs to
+     * @param {string} scriptId - Script id
+     * @returns {Object} DAP Source
+     * @private
+     */
+    describeSource(thread, scriptId) {
+        const key = `${thread.id}:${scriptId}`;
+        const url = this.scriptUrls.get(key) || '';
+        if (url.startsWith('file://')) {
+            const filePath = fileURLToPath(url);
+            return { name: path.basename(filePath), path: filePath };
+        }
+
+        if (!this.sourceRefs.has(key)) {
+            const sourceReference = this.nextHandle++;
+            this.sourceRefs.set(key, sourceReference);
+            this.sources.set(sourceReference, { thread, scriptId });
+        }
+
+        return {
+            name: url || `VM${scriptId}`,
+            sourceReference: this.sourceRefs.get(key),
+            presentationHint: url.startsWith('node:') ? 'deemphasize' : undefined
+        };
+    }
+
+    /**
+     * @param {Object} args - { frameId }
+     * @returns {Object} { scopes }
+     * @private
+     */
+    scopes(args) {
+        const { thread, callFrame } = this.getHandle(args.frameId);
+        if (!callFrame) {
+            throw new Error(`Not a stack frame: ${args.frameId}`);
+        }
+
+        return {
+            scopes: callFrame.scopeChain.map(scope => ({
+                name: SCOPE_NAMES[scope.type] || scope.type,
+                variablesReference: this.createHandle({ thread, objectId: scope.object.objectId }),
+                expensive: scope.type === 'global'
+            }))
+        };
+    }
+
+    /**
+     * @param {Object} args - { variablesReference }
+     * @returns {Promise<Object>} { variables }
+     * @private
+     */
+    async variables(args) {
+        const { thread, objectId } = this.getHandle(args.variablesReference);
+        if (!objectId) {
+            throw new Error(`Not a variables reference: ${args.variablesReference}`);
+        }
+
+        const { result } = await this.getClient().send('Runtime.getProperties', {
+            objectId,
+            ownProperties: true,
+            generatePreview: false
+        }, thread.sessionId);
+
+        return {
+            variables: result
+                .filter(property => property.value)
+                .map(property => ({ name: property.name, ...this.describeValue(thread, property.value) }))
+        };
+    }
+
+    /**
+     * @param {Object} args - { expression, frameId, context }
+     * @returns {Promise<Object>} { result, type, variablesReference }
+     * @private
+     */
+    async evaluate(args) {
+        const client = this.getClient();
+        let response;
+        let thread;
+
+        if (args.frameId) {
+            const handle = this.getHandle(args.frameId);
+            thread = handle.thread;
+            response = await client.send('Debugger.evaluateOnCallFrame', {
+                callFrameId: handle.callFrame.callFrameId,
+                expression: args.expression,
+                // Hovering must not change anything
+                throwOnSideEffect: args.context === 'hover'
+            }, thread.sessionId);
+        } else {
+            thread = this.getThread(1);
+            response = await client.send('Runtime.evaluate', { expression: args.expression });
+        }
+
+        if (response.exceptionDetails) {
+            const { exception, text } = response.exceptionDetails;
+            throw new Error(exception && exception.description ? exception.description.split('\n')[0] : text);
+        }
+
+        const { value, type, variablesReference } = this.describeValue(thread, response.result);
+        return { result: value, type, variablesReference };
+    }
+
+    /**
+     * Formats a CDP RemoteObject for the editor; objects get a reference to expand them by
+     * @param {Object} thread - Thread the object lives in
+     * @param {Object} remoteObject - CDP RemoteObject
+     * @returns {Object} { value, type, variablesReference }
+     * @private
+     */
+    describeValue(thread, remoteObject) {
+        const { type, subtype, value, unserializableValue, description, objectId } = remoteObject;
+        let text;
+
+        switch (type) {
+            case 'string':
+                text = JSON.stringify(value);
+                break;
+            case 'undefined':
+                text = 'undefined';
+                break;
+            case 'number':
+            case 'bigint':
+                text = unserializableValue || description || String(value);
+                break;
+            case 'boolean':
+                text = String(value);
+                break;
+            case 'function':
+                text = (description || 'function').split('\n')[0];
+                break;
+            default:
+                text = subtype === 'null' ? 'null' : description || String(value);
+        }
+
+        const expandable = type === 'object' && subtype !== 'null' && objectId;
+        return {
+            value: text,
+            type: subtype || type,
+            variablesReference: expandable ? this.createHandle({ thread, objectId }) : 0
+        };
+    }
+
+    /**
+     * @param {Object} args - { sourceReference }
+     * @returns {Promise<Object>} { content, mimeType }
+     * @private
+     */
+    async source(args) {
+        const source = this.sources.get(args.sourceReference);
+        if (!source) {
+            throw new Error(`Unknown source reference: ${args.sourceReference}`);
+        }
+
+        const { scriptSource } = await this.getClient().send('Debugger.getScriptSource', {
+            scriptId: source.scriptId
+        }, source.thread.sessionId);
+        return { content: scriptSource, mimeType: 'text/javascript' };
+    }
+
+    /**
+     * Continues, steps or pauses a thread
+     * @param {Object} args - { threadId }
+     * @param {string} method - CDP method
+     * @param {string|null} stopReason - Reason reported when the thread stops next
+     * @param {Object} [body] - Response body
+     * @returns {Promise<Object|undefined>} body
+     * @private
+     */
+    async step(args, method, stopReason, body) {
+        const thread = this.getThread(args.threadId);
+        thread.stopReason = stopReason;
+        await this.getClient().send(method, {}, thread.sessionId);
+        return body;
+    }
+
+    /**
+     * Ends the program of a launched session
+     * @private
+     */
+    async terminate() {
+        if (this.mode !== 'launch' || !this.ownsSession) {
+            throw new Error('Only programs started by this editor can be terminated');
+        }
+        await this.stopSession();
+    }
+
+    /**
+     * Leaves the session; a launched program is ended unless terminateDebuggee is false
+     * @param {Object} args - { terminateDebuggee }
+     * @private
+     */
+    async disconnect(args) {
+        const keepRunning = this.mode === 'launch' && args.terminateDebuggee === false;
+
+        if (this.ownsSession && !keepRunning) {
+            await this.stopSession();
+        } else if (this.client) {
+            this.client.removeAllListeners();
+            this.client.close();
+            this.client = null;
+        }
+    }
+
+    /**
+     * Stops the session we started
+     * @private
+     */
+    async stopSession() {
+        const sessionId = this.sessionId;
+        this.ownsSession = false;
+        await this.sessionManager.stopSession(sessionId).catch(err => this.logger.warn(err.message));
+    }
+
+    /**
+     * Handles an event from the session
+     * @param {string} method - CDP or Proxy method
+     * @param {Object} params - Its parameters
+     * @param {string|null} sessionId - Child target it came from (null: the main target)
+     * @private
+     */
+    onCdpEvent(method, params, sessionId) {
+        switch (method) {
+            case 'Debugger.paused':
+                this.onPaused(params, sessionId);
+                break;
+            case 'Debugger.resumed':
+                this.onResumed(sessionId);
+                break;
+            case 'Debugger.scriptParsed':
+                this.onScriptParsed(params, sessionId);
+                break;
+            case 'Debugger.breakpointResolved':
+                this.onBreakpointResolved(params, sessionId);
+                break;
+            case 'Proxy.targetAttached':
+                this.onTargetAttached(params);
+                break;
+            case 'Proxy.targetDetached':
+                this.onTargetDetached(params);
+                break;
+            case 'Proxy.targetRestarting':
+                this.onResumed(null);
+                this.forgetScripts(this.getThread(1));
+                this.breakpoints.forEach(breakpoints => breakpoints.forEach(breakpoint => breakpoint.cdpIds.delete(null)));
+                break;
+            case 'Proxy.ready':
+                if (params.restarted) this.setUpTarget(null, true);
+                break;
+            case 'Proxy.targetExited':
+                this.sendEvent('exited', { exitCode: params.code ?? 1 });
+                if (!this.watch) this.sendTerminated();
+                break;
+            case 'Proxy.limitExceeded':
+            case 'Proxy.sandboxViolation':
+                this.sendEvent('output', { category: 'important', output: `${params.message}\n` });
+                break;
+        }
+    }
+
+    /**
+     * @param {Object} params - Debugger.paused params
+     * @param {string|null} sessionId - Target that paused
+     * @private
+     */
+    onPaused(params, sessionId) {
+        const thread = this.threads.get(this.threadIds.get(sessionId));
+        if (!thread) return;
+
+        thread.callFrames = params.callFrames;
+        const hitBreakpointIds = this.findBreakpoints(params.hitBreakpoints || [], sessionId);
+
+        let reason = thread.stopReason;
+        if (!reason) {
+            if (params.reason === 'Break on start') reason = 'entry';
+            else if (params.reason === 'exception' || params.reason === 'promiseRejection') reason = 'exception';
+            else if (hitBreakpointIds.length > 0) reason = 'breakpoint';
+            else reason = 'pause';
+        }
+        thread.stopReason = null;
+
+        this.sendEvent('stopped', {
+            reason,
+            threadId: thread.id,
+            allThreadsStopped: false,
+            hitBreakpointIds: hitBreakpointIds.length > 0 ? hitBreakpointIds : undefined,
+            text: reason === 'exception' && params.data ? params.data.description : undefined
+        });
+    }
+
+    /**
+     * Forgets a thread's call frames and the references into them
+     * @param {string|null} sessionId - Target that resumed
+     * @private
+     */
+    onResumed(sessionId) {
+        const thread = this.threads.get(this.threadIds.get(sessionId));
+        if (!thread || !thread.callFrames) return;
+
+        thread.callFrames = null;
+        for (const [reference, handle] of this.handles) {
+            if (handle.thread === thread) this.handles.delete(reference);
+        }
+        this.sendEvent('continued', { threadId: thread.id, allThreadsContinued: false });
+    }
+
+    /**
+     * @param {Object} params - Debugger.scriptParsed params { scriptId, url }
+     * @param {string|null} sessionId - Target the script was loaded in
+     * @private
+     */
+    onScriptParsed(params, sessionId) {
+        const threadId = this.threadIds.get(sessionId);
+        if (threadId !== undefined) {
+            this.scriptUrls.set(`${threadId}:${params.scriptId}`, params.url);
+        }
+    }
+
+    /**
+     * Forgets the scripts of a thread whose target went away or was restarted
+     * (script ids are only unique within a run)
+     * @param {Object} thread - The thread
+     * @private
+     */
+    forgetScripts(thread) {
+        const prefix = `${thread.id}:`;
+        for (const key of this.scriptUrls.keys()) {
+            if (key.startsWith(prefix)) this.scriptUrls.delete(key);
+        }
+        for (const [key, sourceReference] of this.sourceRefs) {
+            if (!key.startsWith(prefix)) continue;
+            this.sourceRefs.delete(key);
+            this.sources.delete(sourceReference);
+        }
+    }
+
+    /**
+     * A breakpoint set before its script loaded found its location
+     * @param {Object} params - { breakpointId, location }
+     * @param {string|null} sessionId - Target it resolved in
+     * @private
+     */
+    onBreakpointResolved(params, sessionId) {
+        for (const breakpoints of this.breakpoints.values()) {
+            const breakpoint = breakpoints.find(bp => bp.cdpIds.get(sessionId) === params.breakpointId);
+            if (breakpoint && !breakpoint.verified) {
+                breakpoint.verified = true;
+                breakpoint.line = params.location.lineNumber + this.lineBase;
+                this.sendEvent('breakpoint', { reason: 'changed', breakpoint: this.describeBreakpoint(breakpoint) });
+            }
+        }
+    }
+
+    /**
+     * @param {string[]} cdpIds - CDP breakpoint ids
+     * @param {string|null} sessionId - Target they belong to
+     * @returns {number[]} Our breakpoint ids
+     * @private
+     */
+    findBreakpoints(cdpIds, sessionId) {
+        const ids = [];
+        for (const breakpoints of this.breakpoints.values()) {
+            breakpoints
+                .filter(bp => cdpIds.includes(bp.cdpIds.get(sessionId)))
+                .forEach(bp => ids.push(bp.id));
+        }
+        return ids;
+    }
+
+    /**
+     * A worker or child process became a new thread
+     * @param {Object} params - Proxy.targetAttached params
+     * @private
+     */
+    onTargetAttached(params) {
+        // Sent again on joining for targets attached before
+        if (this.threadIds.has(params.sessionId)) return;
+
+        const name = params.type === 'worker' ? `Worker: ${params.title}` : `Process ${params.pid}: ${params.title}`;
+        const thread = this.addThread(params.sessionId, name);
+        this.sendEvent('thread', { reason: 'started', threadId: thread.id });
+        this.setUpTarget(params.sessionId, params.waitingForDebugger);
+    }
+
+    /**
+     * @param {Object} params - { sessionId }
+     * @private
+     */
+    onTargetDetached(params) {
+        const threadId = this.threadIds.get(params.sessionId);
+        if (threadId === undefined) return;
+
+        this.onResumed(params.sessionId);
+        this.forgetScripts(this.threads.get(threadId));
+        this.threads.delete(threadId);
+        this.threadIds.delete(params.sessionId);
+        this.breakpoints.forEach(breakpoints => breakpoints.forEach(bp => bp.cdpIds.delete(params.sessionId)));
+        this.sendEvent('thread', { reason: 'exited', threadId });
+    }
+
+    /**
+     * Enables a (new or restarted) target and, as the driver, gives it our breakpoints
+     * before it runs
+     * @param {string|null} sessionId - Target (null: the main target)
+     * @param {boolean} release - Whether it waits for Runtime.runIfWaitingForDebugger
+     * @private
+     */
+    async setUpTarget(sessionId, release) {
+        const client = this.client;
+
+        try {
+            await client.send('Runtime.enable', {}, sessionId);
+            await client.send('Debugger.enable', {}, sessionId);
+            if (!this.isDriver()) return;
+
+            await client.send('Debugger.setPauseOnExceptions', { state: this.pauseOnExceptions }, sessionId);
+            for (const [url, breakpoints] of this.breakpoints) {
+                for (const breakpoint of breakpoints) {
+                    await this.setBreakpoint(url, breakpoint, sessionId);
+                }
+            }
+            if (release) {
+                await client.send('Runtime.runIfWaitingForDebugger', {}, sessionId);
+            }
+        } catch (err) {
+            // The target may already be gone again
+            this.logger.warn(`Failed to set up target ${sessionId || 'main'}:`, err.message);
+        }
+    }
+
+    /**
+     * @param {string|null} sessionId - Target (null: the main target)
+     * @param {string} name - Thread name
+     * @returns {Object} The thread
+     * @private
+     */
+    addThread(sessionId, name) {
+        const thread = { id: this.nextThreadId++, name, sessionId, callFrames: null, stopReason: null };
+        this.threads.set(thread.id, thread);
+        this.threadIds.set(sessionId, thread.id);
+        return thread;
+    }
+
+    /**
+     * @param {number} threadId - Thread id
+     * @returns {Object} The thread
+     * @throws {Error} If there is no such thread
+     * @private
+     */
+    getThread(threadId) {
+        const thread = this.threads.get(threadId);
+        if (!thread) {
+            throw new Error(`Unknown thread: ${threadId}`);
+        }
+        return thread;
+    }
+
+    /**
+     * @param {Object} handle - { thread, callFrame } or { thread, objectId }
+     * @returns {number} Reference for the editor
+     * @private
+     */
+    createHandle(handle) {
+        const reference = this.nextHandle++;
+        this.handles.set(reference, handle);
+        return reference;
+    }
+
+    /**
+     * @param {number} reference - Frame or variables reference
+     * @returns {Object} The handle
+     * @throws {Error} If the reference is unknown or its thread has resumed
+     * @private
+     */
+    getHandle(reference) {
+        const handle = this.handles.get(reference);
+        if (!handle) {
+            throw new Error(`Stale or unknown reference: ${reference}`);
+        }
+        return handle;
+    }
+
+    /**
+     * @param {string} filePath - Absolute path, or relative to the user's workspace root
+     * @returns {string} Path relative to the user's workspace root (checked by the session manager)
+     * @private
+     */
+    toWorkspacePath(filePath) {
+        return path.relative(this.getWorkspaceRoot(), this.toAbsolutePath(filePath));
+    }
+
+    /**
+     * @param {string} filePath - Absolute path, or relative to the user's workspace root
+     * @returns {string} Absolute path
+     * @private
+     */
+    toAbsolutePath(filePath) {
+        return path.resolve(this.getWorkspaceRoot(), filePath);
+    }
+
+    /**
+     * @returns {string} Absolute path of the user's workspace (a student's own, see UserWorkspaces)
+     * @private
+     */
+    getWorkspaceRoot() {
+        return this.sessionManager.workspaces.getSecurity(this.user).getWorkspaceRoot();
+    }
+
+    /**
+     * The session ended (stopped from here, the web UI or the API)
+     * @private
+     */
+    onSessionClosed() {
+        this.client = null;
+        this.sendTerminated();
+    }
+
+    /**
+     * @private
+     */
+    sendTerminated() {
+        if (this.terminated) return;
+        this.terminated = true;
+        this.sendEvent('terminated');
+    }
+
+    /**
+     * The editor went away: stops what it started and drops the connection to the session
+     */
+    dispose() {
+        if (this.output) {
+            this.output.off('data', this.onOutput);
+            this.output = null;
+        }
+
+        if (this.ownsSession) {
+            this.stopSession();
+        }
+        if (this.client) {
+            this.client.removeAllListeners();
+            this.client.close();
+            this.client = null;
+        }
+    }
+}
+
+module.exports = DapSession;
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const inspector = require('inspector');
+const { pathToFileURL } = require('url');
+const { isMainThread } = require('worker_threads');
+
+/**
+ * Debug Bootstrap
+ *
+ * Preloaded (NODE_OPTIONS=--require) into every Node process of a debug session.
+ *
+ * With a command (npm run <script>, node --test, ...) the first process that runs the
+ * user's code claims the session: it opens the inspector on the session's port and waits
+ * there until the debugger has attached and sent Runtime.runIfWaitingForDebugger, so
+ * breakpoints set on connect are hit from the first line. Launchers (package manager
+ * CLIs, the node --test runner) are passed over.
+ *
+ * Every other process of the session (child_process.fork, later test files, ...) opens
+ * the inspector on a free port, announces it as <pid>.json in the session's directory,
+ * where ChildProcessDiscovery picks it up, and waits for the proxy to attach the same way.
+ * Processes already started with --inspect keep their own inspector. Worker threads are
+ * left alone; the proxy reaches them through their process's NodeWorker domain.
+ *
+ * Environment (set by RemoteDebuggerProxyServer):
+ * - BADGERBOX_DEBUG_DIR: directory of the session (claim file and announcements)
+ * - BADGERBOX_DEBUG_PORT: inspector port of the session (only with a command)
+ */
+
+// Scripts that only start the processes worth debugging
+const LAUNCHER_SCRIPT = /[\\/](npm|npx|yarn|yarnpkg|pnpm|pnpx|corepack)(-cli)?(\.c?js)?$/;
+
+/**
+ * Whether this process only launches others (package manager, test runner)
+ * @returns {boolean}
+ */
+function isLauncher() {
+    return LAUNCHER_SCRIPT.test(process.argv[1] || '') || process.execArgv.includes('--test');
+}
+
+/**
+ * Claims the session for this process; only the first caller succeeds
+ * @param {string} claimFile - Path of the claim file
+ * @returns {boolean} True if this process claimed the session
+ */
+function claim(claimFile) {
+    try {
+        fs.closeSync(fs.openSync(claimFile, 'wx'));
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Opens the inspector on a free port and tells the proxy about it
+ * The announcement appears at once (written aside, then renamed) so it is never read half-written.
+ * @param {string} debugDir - Directory of the session
+ * @returns {boolean} False if the session is gone (the process then runs without a debugger)
+ */
+function announce(debugDir) {
+    if (!fs.existsSync(debugDir)) return false;
+
+    inspector.open(0, '127.0.0.1');
+    // Closed before exiting, so the process doesn't wait for the debugger to disconnect
+    process.on('exit', () => inspector.close());
+
+    const announcement = {
+        pid: process.pid,
+        ppid: process.ppid,
+        port: parseInt(new URL(inspector.url()).port),
+        title: [path.basename(process.argv[1] || process.execPath), ...process.argv.slice(2)].join(' '),
+        url: process.argv[1] ? pathToFileURL(path.resolve(process.argv[1])).href : ''
+    };
+    const file = path.join(debugDir, `${process.pid}.json`);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(announcement));
+    fs.renameSync(`${file}.tmp`, file);
+    return true;
+}
+
+const debugDir = process.env.BADGERBOX_DEBUG_DIR;
+const port = parseInt(process.env.BADGERBOX_DEBUG_PORT);
+
+if (debugDir && isMainThread && !inspector.url() && !isLauncher()) {
+    if (port && claim(path.join(debugDir, 'claim'))) {
+        inspector.open(port, '127.0.0.1');
+        inspector.waitForDebugger();
+    } else if (announce(debugDir)) {
+        inspector.waitForDebugger();
+    }
+}
@@ -1,80 +1,843 @@
 const express = require('express');
+const fs = require('fs').promises;
 const path = require('path');
+const { fileURLToPath } = require('url');
 const RemoteDebuggerProxyServer = require('./inspector-proxy-factory');
-const WorkspaceSecurity = require('./workspace-security');
+const CdpRecorder = require('./cdp-recorder');
+const CdpReplayServer = require('./cdp-replay-server');
+const ProjectWatcher = require('./project-watcher');
+const UserWorkspaces = require('./user-workspaces');
 const AuthMiddleware = require('./auth-middleware');
+const AuditLog = require('./audit-log');
+const PortAllocator = require('./port-allocator');
+const LaunchConfigManager = require('./launch-config');
+const SessionController = require('./session-controller');
 
 /**
  * Debugger Session Management API
  *
  * Manages debugger sessions tied to workspace files.
  * A session must be started explicitly with a target file from the workspace.
+ * Several sessions can run side by side; each gets its own inspector port (the
+ * configured port is used when free, otherwise the OS picks one). Clients reach a
+ * session's WebSocket on the main HTTP port at /debug/ws/:sessionId, or, with
+ * `separatePorts`, on a proxy port of its own.
+ *
+ * A session's wsUrl carries a session token. A client that drops (page reload,
+ * network blip) and reconnects with it within the reconnect grace period
+ * re-attaches to the same running process instead of restarting it.
+ * More clients can join a running session with the same wsUrl: the first one
+ * drives, the others watch as read-only observers (see `clients` in session info).
+ *
+ * Sessions started with `record: true` save their CDP traffic to
+ * .badgerbox/recordings/<session>-<time>.jsonl in the workspace. A recording can be
+ * served again as a replay session (POST /debug/session with {mode: 'replay', recording}),
+ * which behaves like a live session without running anything.
+ *
+ * Sessions started with `watch: true` restart their program whenever a file of its
+ * project changes (e.g. after a save). Connected clients stay attached and are told
+ * to set their breakpoints again (Proxy.targetRestarting, then Proxy.ready with
+ * `restarted: true`).
+ *
+ * Every session also gets a history entry that outlives it (GET /debug/history):
+ * start and stop times, and, when the program ended on its own, its exit code or
+ * signal, the last lines of its output and the uncaught exception it died of.
+ * The most recent `historySize` sessions are kept (in memory).
+ *
+ * Instead of a file, a session can run a command in a project: one of its package.json
+ * scripts (`script`, run with npm) or e.g. `node --test` (`command`). The first Node
+ * process of the command that runs user code is debugged (see debug-bootstrap.js).
+ *
+ * Worker threads and child processes the program starts are attached as well, each
+ * as a child target of the session (see `targets` in session info); clients address
+ * one by adding its sessionId to their CDP requests.
+ *
+ * Sessions can also be controlled over HTTP, for scripts and CI (see SessionController):
+ * breakpoints, continue/step/pause, evaluate, and waiting until the program pauses.
+ * The server then talks CDP to the target on the caller's behalf, as one more client.
+ *
+ * Launched programs run under resource limits (wall-clock time, CPU time, heap size,
+ * output rate): the server's `limits` apply to every session, and a session can set
+ * tighter ones. Violations are reported to clients as Proxy.limitExceeded.
+ * With `sandbox` a program runs under Node's permission model (see SandboxPolicy);
+ * what it is denied is reported to clients as Proxy.sandboxViolation.
+ *
+ * With `tls` (see TlsCredentials) the proxy ports of separate-port sessions speak
+ * HTTPS/WSS like the main port, and programs trust the server's certificate
+ * (NODE_EXTRA_CA_CERTS), so they can reach the GPIO bridge over wss://. Upgrades on
+ * those ports must pass `verifyUpgrade` (the server's Origin check) first, and then
+ * `authorize` like upgrades on the main port.
+ *
+ * Sessions belong to the user who started them (`owner`), and their paths (program,
+ * recording, history) are relative to the owner's workspace (see UserWorkspaces).
+ * Students only see and control their own sessions; teachers see everyone's and alone
+ * may attach to running processes; viewers watch: their wsUrls carry the session's
+ * observer token, and everything that would change a session is refused to them.
  *
  * Lifecycle:
+ * 0. Client logs in (POST /auth/login), unless authentication is off
  * 1. Client establishes workspace (GET /workspace/info)
  * 2. Client browses files (GET /project/*)
- * 3. Client starts debug session (POST /debug/session with {file})
- * 4. Client connects to WebSocket (ws://0.0.0.0:8888)
+ * 3. Client starts debug session (POST /debug/session with {file}, or {projectPath, script|command}),
+ *    or attaches to a running process (POST /debug/session with {mode: 'attach', host, port}),
+ *    or replays a recording (POST /debug/session with {mode: 'replay', recording})
+ * 4. Client connects to the session's WebSocket (wsUrl in the response)
+ *    and, optionally, to its program output stream (GET /debug/session/:id/output)
  * 5. Client debugs...
  * 6. Client stops session (DELETE /debug/session/:id)
- * 7. Client can start new session with different file
+ * 7. Client can start more sessions or switch between running ones
  */
 
 class DebuggerSessionManager {
     constructor(config = {}) {
         this.sessions = new Map();
         this.nextSessionId = 1;
-        this.workspaceSecurity = new WorkspaceSecurity(config.workspaceRoot || process.cwd());
+        this.workspaces = config.workspaces || new UserWorkspaces(config.workspaceRoot || process.cwd());
+        this.workspaceSecurity = this.workspaces.root;
         this.proxyPort = config.proxyPort || 8888;
         this.inspectPort = config.inspectPort || 9229;
         this.websocketLogLevel = config.websocketLogLevel || 'debug';
+        this.reconnectGracePeriod = config.reconnectGracePeriod ?? 30000;
+        this.httpPort = config.httpPort || 8080;
+        this.separatePorts = config.separatePorts || false;
+        this.tls = config.tls || null;
+        // TLS options of the server's own clients (SessionController, DAP)
+        this.clientTls = this.tls ? this.tls.getClientOptions() : undefined;
+        this.targetEnv = {
+            ...(config.gpioUrl && { PITHAGORAS_GPIO_URL: config.gpioUrl }),
+            ...(this.tls && { NODE_EXTRA_CA_CERTS: this.tls.certFile })
+        };
+        // (request, session) => boolean: whether a WebSocket upgrade may connect to the session
+        this.authorize = config.authorize || (() => true);
+        // Who is asking for /json/list on a session's own proxy port (see listProxyTargets)
+        this.auth = config.auth || null;
+        // (request) => boolean: whether an upgrade on a session's own proxy port may connect (its Origin)
+        this.verifyUpgrade = config.verifyUpgrade || (() => true);
+        this.portAllocator = new PortAllocator();
+        this.launchConfigs = new LaunchConfigManager(this.workspaceSecurity.getWorkspaceRoot());
+        this.recordingsDir = path.join(this.workspaceSecurity.getWorkspaceRoot(), '.badgerbox', 'recordings');
+        this.scopes = new Map();    // workspace root -> { security, launchConfigs, recordingsDir }
+        this.history = new Map();
+        this.historySize = config.historySize || 50;
+        this.historyOutputLines = config.historyOutputLines || 50;
+        this.defaultLimits = config.limits || {};
+    }
+
+    /**
+     * Combine a session's resource limits with the server defaults
+     * The tighter value wins, so a session can lower a default but not lift it.
+     * @param {Object} [limits={}] - The session's limits
+     * @returns {Object} Effective limits (0 = unlimited)
+     */
+    resolveLimits(limits = {}) {
+        const resolved = {};
+        for (const name of LaunchConfigManager.LIMITS) {
+            const values = [this.defaultLimits[name], limits[name]].filter(v => v > 0);
+            resolved[name] = values.length > 0 ? Math.min(...values) : 0;
+        }
+        return resolved;
+    }
+
+    /**
+     * The workspace a user starts sessions in
+     * @param {Object} [user] - Authenticated user (req.user)
+     * @returns {Object} { owner, security, launchConfigs, recordingsDir }
+     */
+    getScope(user) {
+        const security = this.workspaces.getSecurity(user);
+        const root = security.getWorkspaceRoot();
+
+        if (!this.scopes.has(root)) {
+            this.scopes.set(root, security === this.workspaceSecurity
+                ? { security, launchConfigs: this.launchConfigs, recordingsDir: this.recordingsDir }
+                : { security, launchConfigs: new LaunchConfigManager(root), recordingsDir: path.join(root, '.badgerbox', 'recordings') });
+        }
+        return { owner: user?.username || null, ...this.scopes.get(root) };
+    }
+
+    /**
+     * Create a recorder for a new session
+     * @param {string} sessionId - Session ID
+     * @param {Object} header - Session details stored in the recording header
+     * @param {Object} scope - Workspace of the session's owner (see getScope)
+     * @returns {CdpRecorder} Recorder writing to .badgerbox/recordings in the owner's workspace
+     */
+    createRecorder(sessionId, header, scope) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const filePath = path.join(scope.recordingsDir, `${sessionId}-${stamp}.jsonl`);
+        return new CdpRecorder(filePath, { sessionId, ...header });
+    }
+
+    /**
+     * Watch the project of a session's program and restart the program on changes
+     * @param {string} sessionId - Session ID
+     * @param {string} projectRoot - Absolute path of the program's project
+     * @param {RemoteDebuggerProxyServer} proxy - The session's proxy
+     * @returns {ProjectWatcher} Started watcher
+     */
+    createWatcher(sessionId, projectRoot, proxy) {
+        const watcher = new ProjectWatcher(projectRoot);
+
+        watcher.on('change', (files) => {
+            proxy.restartTarget(files.length === 1 ? `${files[0]} changed` : `${files.length} files changed`);
+        });
+        watcher.on('error', (err) => {
+            console.error(`Watch mode of ${sessionId} stopped:`, err.message);
+            proxy.output.append('system', `Watch mode stopped: ${err.message}\n`);
+            const session = this.sessions.get(sessionId);
+            if (session) session.watch = false;
+        });
+
+        watcher.start();
+        return watcher;
     }
 
     /**
      * Start a new debug session
-     * @param {string} targetFile - Relative path to file from workspace root
+     * @param {string} targetFile - Relative path to file from the user's workspace root
+     * @param {string} [origin] - WebSocket origin the client reached us on (ws://host:port), used to build wsUrl
+     * @param {Object} [launchOptions={}] - Launch options, see LaunchConfigManager
+     * @param {string[]} [launchOptions.args] - Program arguments
+     * @param {Object} [launchOptions.env] - Environment variables
+     * @param {string} [launchOptions.envFile] - .env file to load, relative to the project root
+     * @param {string} [launchOptions.cwd] - Working directory, relative to the project root
+     * @param {string[]} [launchOptions.nodeFlags] - Extra node flags
+     * @param {boolean} [launchOptions.stopOnEntry] - Pause on the first line (--inspect-brk)
+     * @param {boolean} [launchOptions.waitForDebugger] - Hold the program until the driver sends
+     *                                                    Runtime.runIfWaitingForDebugger (breakpoints first)
+     * @param {boolean} [launchOptions.record] - Record the session's CDP traffic
+     * @param {boolean} [launchOptions.watch] - Restart the program when a file of its project changes
+     * @param {Object} [launchOptions.limits] - Resource limits, see LaunchConfigManager.LIMITS
+     * @param {boolean} [launchOptions.sandbox] - Run the program under Node's permission model, see SandboxPolicy
+     * @param {Object} [user] - User starting the session (its owner)
      * @returns {Promise<Object>} Session info
      */
-    async startSession(targetFile) {
-        // Validate file is within workspace
-        const absolutePath = await this.workspaceSecurity.validatePath(targetFile);
+    async startSession(targetFile, origin, launchOptions = {}, user) {
+        const scope = this.getScope(user);
+
+        // Validate file is within the user's workspace
+        const absolutePath = await scope.security.validatePath(targetFile);
 
-        // Stop any existing session (only one session at a time for now)
-        await this.stopAllSessions();
+        // Resolve args/env/cwd/flags (validates paths against the workspace too)
+        const launch = await scope.launchConfigs.resolve(absolutePath, launchOptions);
+        const projectRoot = await scope.launchConfigs.findProjectRoot(absolutePath);
+
+        return this.launchSession({ targetFile, absolutePath, projectRoot, launch }, origin, launchOptions, scope);
+    }
+
+    /**
+     * Start a new debug session that runs a command (npm script, node --test...) in a project
+     * @param {string} projectPath - Project path relative to the user's workspace root
+     * @param {string} [origin] - WebSocket origin the client reached us on (ws://host:port), used to build wsUrl
+     * @param {Object} launchOptions - Launch options, see LaunchConfigManager.resolveCommand
+     * @param {string} [launchOptions.script] - package.json script to run with npm
+     * @param {string[]} [launchOptions.command] - Command to run, e.g. ['node', '--test']
+     * @param {Object} [user] - User starting the session (its owner)
+     * @returns {Promise<Object>} Session info
+     */
+    async startCommandSession(projectPath, origin, launchOptions, user) {
+        const scope = this.getScope(user);
+        const projectRoot = await scope.security.validatePath(projectPath);
+        const launch = await scope.launchConfigs.resolveCommand(projectRoot, launchOptions);
+
+        return this.launchSession({ targetFile: null, absolutePath: null, projectRoot, launch }, origin, launchOptions, scope);
+    }
+
+    /**
+     * Create and store a launch session (program file or command)
+     * @param {Object} target - What to run
+     * @param {string|null} target.targetFile - Program path relative to workspace root (null for a command)
+     * @param {string|null} target.absolutePath - Absolute program path (null for a command)
+     * @param {string} target.projectRoot - Absolute path of the project (watched in watch mode)
+     * @param {Object} target.launch - Resolved launch options (with `command` for a command)
+     * @param {string} [origin] - WebSocket origin the client reached us on (ws://host:port), used to build wsUrl
+     * @param {Object} launchOptions - Launch options (waitForDebugger, record, watch, limits)
+     * @param {Object} scope - Workspace of the session's owner (see getScope)
+     * @returns {Promise<Object>} Session info
+     * @private
+     */
+    async launchSession({ targetFile, absolutePath, projectRoot, launch }, origin, launchOptions, scope) {
+        const limits = this.resolveLimits(launchOptions.limits);
+        const command = launch.command ? launch.command.join(' ') : undefined;
 
         // Create session ID
         const sessionId = `session-${this.nextSessionId++}`;
 
+        // Allocate ports for this session (configured ports are preferred when free)
+        const inspectPort = await this.portAllocator.allocate(this.inspectPort);
+        const proxyPort = await this.allocateProxyPort();
+
+        const recorder = launchOptions.record
+            ? this.createRecorder(sessionId, { mode: 'launch', targetFile, command }, scope)
+            : null;
+
         // Create proxy server
         const proxy = new RemoteDebuggerProxyServer(absolutePath, {
-            inspectPort: this.inspectPort,
-            proxyPort: this.proxyPort,
-            logLevel: this.websocketLogLevel
+            inspectPort,
+            proxyPort,
+            listen: this.separatePorts,
+            tls: this.tls,
+            verifyUpgrade: this.verifyUpgrade,
+            authorize: (request) => this.authorizeUpgrade(sessionId, request),
+            listTargets: (request) => this.listProxyTargets(sessionId, request),
+            logLevel: this.websocketLogLevel,
+            reconnectGracePeriod: this.reconnectGracePeriod,
+            recorder,
+            limits,
+            waitForDebugger: launchOptions.waitForDebugger,
+            ...launch,
+            env: { ...this.targetEnv, ...launch.env }
         });
 
+        let watcher = null;
+        if (launchOptions.watch) {
+            try {
+                watcher = this.createWatcher(sessionId, projectRoot, proxy);
+            } catch (err) {
+                // Nothing has started yet: give back what the session would have used
+                this.portAllocator.release(inspectPort);
+                if (proxyPort) this.portAllocator.release(proxyPort);
+                if (recorder) recorder.close();
+                throw err;
+            }
+        }
+
         // Start the proxy (this spawns the Node process)
         proxy.start();
 
+        const recording = recorder ? scope.security.getRelativePath(recorder.filePath) : undefined;
+        const watch = Boolean(watcher);
+
         // Store session
-        this.sessions.set(sessionId, {
+        const session = {
             id: sessionId,
+            mode: 'launch',
+            owner: scope.owner,
+            security: scope.security,
             targetFile,
+            command,
             absolutePath,
+            launch,
+            limits,
+            recording,
+            watch,
+            watcher,
             proxy,
+            inspectPort,
+            proxyPort,
             startedAt: new Date().toISOString(),
             status: 'running'
-        });
+        };
+        this.sessions.set(sessionId, session);
+        this.addHistory(session);
 
         return {
             sessionId,
+            mode: 'launch',
+            owner: scope.owner,
             targetFile,
-            wsUrl: `ws://127.0.0.1:${this.proxyPort}`,
-            inspectPort: this.inspectPort,
-            proxyPort: this.proxyPort,
+            command,
+            launch: this.describeLaunch(launch, scope.security),
+            limits,
+            recording,
+            watch,
+            wsUrl: this.buildWsUrl(sessionId, proxyPort, origin, proxy.sessionToken),
+            inspectPort,
+            proxyPort,
+            status: 'running'
+        };
+    }
+
+    /**
+     * Attach a new debug session to an already-running Node process
+     * The process must have been started with --inspect; it is never killed by the session.
+     * @param {Object} target - Inspector to attach to
+     * @param {string} [target.host='127.0.0.1'] - Inspector host
+     * @param {number} target.port - Inspector port
+     * @param {string} [target.targetId] - Target id from /json/list (defaults to the first target)
+     * @param {boolean} [target.record] - Record the session's CDP traffic
+     * @param {string} [origin] - WebSocket origin the client reached us on (ws://host:port), used to build wsUrl
+     * @param {Object} [user] - User attaching (the session's owner)
+     * @returns {Promise<Object>} Session info
+     */
+    async attachSession({ host: inspectHost = '127.0.0.1', port, targetId, record }, origin, user) {
+        const scope = this.getScope(user);
+
+        const inspectPort = parseInt(port);
+        if (!inspectPort) {
+            throw new Error('Invalid inspector port');
+        }
+
+        // Make sure the inspector is reachable and the requested target exists
+        const targets = await RemoteDebuggerProxyServer.listTargets(inspectHost, inspectPort);
+        const target = targetId ? targets.find(t => t.id === targetId) : targets[0];
+        if (!target) {
+            throw new Error(targetId
+                ? `Target not found: ${targetId}`
+                : `No inspectable targets found on ${inspectHost}:${inspectPort}`);
+        }
+
+        const sessionId = `session-${this.nextSessionId++}`;
+        const proxyPort = await this.allocateProxyPort();
+        const attach = {
+            host: inspectHost,
+            port: inspectPort,
+            targetId: target.id,
+            title: target.title
+        };
+
+        const recorder = record ? this.createRecorder(sessionId, { mode: 'attach', attach }, scope) : null;
+
+        const proxy = new RemoteDebuggerProxyServer(null, {
+            proxyPort,
+            listen: this.separatePorts,
+            tls: this.tls,
+            verifyUpgrade: this.verifyUpgrade,
+            authorize: (request) => this.authorizeUpgrade(sessionId, request),
+            listTargets: (request) => this.listProxyTargets(sessionId, request),
+            logLevel: this.websocketLogLevel,
+            reconnectGracePeriod: this.reconnectGracePeriod,
+            recorder,
+            attach
+        });
+
+        proxy.start();
+
+        const recording = recorder ? scope.security.getRelativePath(recorder.filePath) : undefined;
+
+        const session = {
+            id: sessionId,
+            mode: 'attach',
+            owner: scope.owner,
+            security: scope.security,
+            targetFile: null,
+            absolutePath: null,
+            attach,
+            recording,
+            proxy,
+            inspectPort,
+            proxyPort,
+            startedAt: new Date().toISOString(),
+            status: 'running'
+        };
+        this.sessions.set(sessionId, session);
+        this.addHistory(session);
+
+        return {
+            sessionId,
+            mode: 'attach',
+            owner: scope.owner,
+            attach,
+            recording,
+            wsUrl: this.buildWsUrl(sessionId, proxyPort, origin, proxy.sessionToken),
+            inspectPort,
+            proxyPort,
+            status: 'running'
+        };
+    }
+
+    /**
+     * Start a session that replays a recording instead of debugging a process
+     * @param {string} recordingPath - Path to a .jsonl recording, relative to the user's workspace root
+     * @param {string} [origin] - WebSocket origin the client reached us on (ws://host:port), used to build wsUrl
+     * @param {Object} [replayOptions={}] - Playback options
+     * @param {number} [replayOptions.speed=1] - Playback speed factor (0 sends events without delay)
+     * @param {Object} [user] - User starting the replay (the session's owner)
+     * @returns {Promise<Object>} Session info
+     */
+    async replaySession(recordingPath, origin, replayOptions = {}, user) {
+        const scope = this.getScope(user);
+        const absolutePath = await scope.security.validatePath(recordingPath);
+        let recording;
+        try {
+            recording = await CdpReplayServer.load(absolutePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`Recording not found: ${recordingPath}`);
+            }
+            throw error;
+        }
+
+        const speed = replayOptions.speed !== undefined ? Number(replayOptions.speed) : 1;
+        if (!(speed >= 0)) {
+            throw new Error('Invalid replay speed');
+        }
+
+        const sessionId = `session-${this.nextSessionId++}`;
+        const proxyPort = await this.allocateProxyPort();
+
+        const proxy = new CdpReplayServer(recording, {
+            proxyPort,
+            speed,
+            listen: this.separatePorts,
+            tls: this.tls,
+            verifyUpgrade: this.verifyUpgrade,
+            authorize: (request) => this.authorizeUpgrade(sessionId, request),
+            logLevel: this.websocketLogLevel
+        });
+
+        proxy.start();
+
+        const replay = {
+            recording: scope.security.getRelativePath(absolutePath),
+            recordedAt: recording.header.startedAt,
+            speed
+        };
+
+        const session = {
+            id: sessionId,
+            mode: 'replay',
+            owner: scope.owner,
+            security: scope.security,
+            targetFile: recording.header.targetFile || null,
+            absolutePath: null,
+            replay,
+            proxy,
+            proxyPort,
+            startedAt: new Date().toISOString(),
+            status: 'running'
+        };
+        this.sessions.set(sessionId, session);
+        this.addHistory(session);
+
+        return {
+            sessionId,
+            mode: 'replay',
+            owner: scope.owner,
+            targetFile: recording.header.targetFile || null,
+            replay,
+            wsUrl: this.buildWsUrl(sessionId, proxyPort, origin, proxy.sessionToken),
+            proxyPort,
             status: 'running'
         };
     }
 
+    /**
+     * List the recordings saved in a user's workspace
+     * @param {Object} [user] - Authenticated user
+     * @returns {Promise<Array>} [{ path, size, modified }], newest first
+     */
+    async listRecordings(user) {
+        const scope = this.getScope(user);
+        let names;
+        try {
+            names = await fs.readdir(scope.recordingsDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const recordings = await Promise.all(names
+            .filter(name => name.endsWith('.jsonl'))
+            .map(async name => {
+                const filePath = path.join(scope.recordingsDir, name);
+                const stats = await fs.stat(filePath);
+                return {
+                    path: scope.security.getRelativePath(filePath),
+                    size: stats.size,
+                    modified: stats.mtime.toISOString()
+                };
+            }));
+
+        return recordings.sort((a, b) => b.modified.localeCompare(a.modified));
+    }
+
+    /**
+     * Start the history entry of a new session
+     * Launch sessions keep theirs up to date as the program starts and ends.
+     * @param {Object} session - Stored session
+     */
+    addHistory(session) {
+        const entry = {
+            sessionId: session.id,
+            mode: session.mode,
+            owner: session.owner,
+            targetFile: session.targetFile,
+            command: session.command,
+            startedAt: session.startedAt,
+            stoppedAt: null,
+            status: 'running',
+            pid: null,
+            exitCode: null,
+            signal: null,
+            exitedAt: null,
+            exception: null,
+            limit: null,
+            output: []
+        };
+        this.history.set(session.id, entry);
+
+        // Forget the oldest sessions that are no longer running
+        for (const id of this.history.keys()) {
+            if (this.history.size <= this.historySize) break;
+            if (!this.sessions.has(id)) this.history.delete(id);
+        }
+
+        if (session.mode === 'launch') {
+            session.proxy.on('start', ({ pid }) => {
+                entry.status = 'running';
+                entry.pid = pid;
+            });
+            session.proxy.on('exit', (run) => this.recordExit(entry, session.proxy.output, run, session.security));
+        }
+    }
+
+    /**
+     * Record how a session's program ended
+     * Exits caused by the session itself (stop, restart) are not recorded; the entry
+     * then keeps describing the last time the program ended on its own.
+     * @param {Object} entry - History entry
+     * @param {OutputBuffer} output - The session's output buffer
+     * @param {Object} run - 'exit' event of RemoteDebuggerProxyServer
+     * @param {WorkspaceSecurity} security - Workspace of the session's owner
+     */
+    recordExit(entry, output, run, security) {
+        if (run.killed) return;
+
+        entry.status = run.limit ? 'killed' : run.code === 0 ? 'exited' : 'crashed';
+        entry.exitCode = run.code;
+        entry.signal = run.signal;
+        entry.exitedAt = run.exitedAt;
+        entry.limit = run.limit;
+        entry.exception = run.exception
+            ? { ...run.exception, file: this.getWorkspaceFile(run.exception.url, security) }
+            : null;
+
+        const text = output.getEntries(run.outputSeq)
+            .filter(e => e.stream !== 'system')
+            .map(e => e.text)
+            .join('');
+        entry.output = text ? text.replace(/\n$/, '').split('\n').slice(-this.historyOutputLines) : [];
+    }
+
+    /**
+     * Map a script URL to its file in the workspace
+     * @param {string|null} url - Script URL (file://...) or path
+     * @param {WorkspaceSecurity} [security] - Workspace to map into (default: the whole workspace)
+     * @returns {string|null} Path relative to that workspace's root, or null if outside it
+     */
+    getWorkspaceFile(url, security = this.workspaceSecurity) {
+        if (!url) return null;
+
+        const filePath = url.startsWith('file://') ? fileURLToPath(url) : url;
+        if (!path.isAbsolute(filePath) || !security.isWithinWorkspace(filePath)) {
+            return null;
+        }
+        return security.getRelativePath(filePath);
+    }
+
+    /**
+     * List the session history, newest first
+     * @param {Object} [user] - Authenticated user (students only get their own sessions)
+     * @returns {Array} History entries (without output)
+     */
+    listHistory(user) {
+        return Array.from(this.history.values())
+            .filter(entry => this.workspaces.canAccess(user, entry.owner))
+            .reverse()
+            .map(({ output, ...entry }) => entry);
+    }
+
+    /**
+     * Get the history entry of a session
+     * @param {string} sessionId - Session ID
+     * @returns {Object} History entry
+     */
+    getHistory(sessionId) {
+        const entry = this.history.get(sessionId);
+        if (!entry) {
+            throw new Error(`Session not found in history: ${sessionId}`);
+        }
+        return entry;
+    }
+
+    /**
+     * Describe resolved launch options for API responses
+     * Environment values are left out (they may hold secrets); only the names are listed.
+     * @param {Object} [launch] - Resolved launch options
+     * @param {WorkspaceSecurity} security - Workspace of the session's owner
+     * @returns {Object|undefined} Launch description
+     */
+    describeLaunch(launch, security) {
+        if (!launch) return undefined;
+
+        return {
+            args: launch.args,
+            envKeys: Object.keys(launch.env),
+            cwd: security.getRelativePath(launch.cwd),
+            nodeFlags: launch.nodeFlags,
+            stopOnEntry: launch.stopOnEntry,
+            ...(launch.sandbox && { sandbox: launch.sandbox.describe() })
+        };
+    }
+
+    /**
+     * Build the WebSocket URL a client should use to reach a session's proxy
+     * Sessions are served on the main HTTP port at /debug/ws/:sessionId, or on their
+     * own proxy port when separate ports are enabled.
+     * @param {string} sessionId - Session ID
+     * @param {number|null} proxyPort - The session's proxy port (null in single-port mode)
+     * @param {string} [origin] - WebSocket origin the client reached us on (ws://host:port)
+     * @param {string} token - Session token, lets the client re-attach after a disconnect
+     * @returns {string} WebSocket URL
+     */
+    buildWsUrl(sessionId, proxyPort, origin, token) {
+        const base = new URL(origin || `${this.tls ? 'wss' : 'ws'}://127.0.0.1:${this.httpPort}`);
+
+        if (proxyPort) {
+            return `${base.protocol}//${base.hostname}:${proxyPort}/?token=${token}`;
+        }
+        return `${base.protocol}//${base.host}/debug/ws/${encodeURIComponent(sessionId)}?token=${token}`;
+    }
+
+    /**
+     * The WebSocket URL of a session for a user
+     * Viewers get the observer token, which only lets them watch.
+     * @param {Object} session - Stored session
+     * @param {string} [origin] - WebSocket origin the client reached us on (ws://host:port)
+     * @param {Object} [user] - Authenticated user
+     * @returns {string} WebSocket URL
+     */
+    getWsUrl(session, origin, user) {
+        if (user && user.role === 'viewer') {
+            // Replays have no observer token; they cannot change anything anyway
+            const token = session.proxy.observerToken || session.proxy.sessionToken;
+            return `${this.buildWsUrl(session.id, session.proxyPort, origin, token)}&role=observer`;
+        }
+        return this.buildWsUrl(session.id, session.proxyPort, origin, session.proxy.sessionToken);
+    }
+
+    /**
+     * Owner of a running or past session
+     * @param {string} sessionId - Session ID
+     * @returns {string|null|undefined} Username (null: started without a user), undefined if unknown
+     */
+    getOwner(sessionId) {
+        const session = this.sessions.get(sessionId) || this.history.get(sessionId);
+        return session ? session.owner : undefined;
+    }
+
+    /**
+     * Allocate a proxy port for a new session
+     * @returns {Promise<number|null>} Port, or null when sessions are served on the main HTTP port
+     */
+    async allocateProxyPort() {
+        return this.separatePorts ? this.portAllocator.allocate(this.proxyPort) : null;
+    }
+
+    /**
+     * Hand a WebSocket upgrade from the main HTTP server to a session
+     * @param {string} [sessionId] - Session ID (defaults to the most recently started session the
+     *                               request may connect to)
+     * @param {http.IncomingMessage} request - Upgrade request
+     * @param {net.Socket} socket - Client socket
+     * @param {Buffer} head - First packet of the upgraded stream
+     * @returns {boolean} False if there is no such session
+     */
+    handleUpgrade(sessionId, request, socket, head) {
+        let session;
+        if (sessionId) {
+            session = this.sessions.get(sessionId);
+        } else {
+            // Not just the newest session: that may be someone else's
+            const newestFirst = Array.from(this.sessions.values()).reverse();
+            session = newestFirst.find(candidate => this.authorize(request, candidate)) || newestFirst[0];
+        }
+        if (!session) return false;
+
+        if (!this.authorize(request, session)) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return true;
+        }
+
+        session.proxy.handleUpgrade(request, socket, head);
+        return true;
+    }
+
+    /**
+     * Whether a WebSocket upgrade may connect to a session (see config.authorize)
+     * @param {string} sessionId - Session ID
+     * @param {http.IncomingMessage} request - Upgrade request
+     * @returns {boolean} False if there is no such session (any longer)
+     * @private
+     */
+    authorizeUpgrade(sessionId, request) {
+        const session = this.sessions.get(sessionId);
+        return Boolean(session) && this.authorize(request, session);
+    }
+
+    /**
+     * Describe all sessions as inspector targets (for /json/list on the main HTTP port)
+     * @param {string} [origin] - WebSocket origin the client reached us on (ws://host:port)
+     * @param {Object} [user] - Authenticated user (students only get their own sessions)
+     * @returns {Array} Targets in the inspector's /json/list format
+     */
+    listTargets(origin, user) {
+        return this.getAccessibleSessions(user).map(session => {
+            const wsUrl = this.getWsUrl(session, origin, user);
+            return session.proxy.describeTarget(wsUrl.replace(/^wss?:\/\//, ''), wsUrl.startsWith('wss:'));
+        });
+    }
+
+    /**
+     * Describe a session as an inspector target for /json/list on its own proxy port
+     * Checked like /json/list on the main HTTP port: the target's URL carries a token.
+     * @param {string} sessionId - Session ID
+     * @param {http.IncomingMessage} request - Discovery request
+     * @returns {Array|null} Targets in the inspector's /json/list format, null if not logged in
+     */
+    listProxyTargets(sessionId, request) {
+        let user;
+        if (this.auth && this.auth.enabled) {
+            user = this.auth.authenticate(request);
+            if (!user) return null;
+        }
+
+        const session = this.sessions.get(sessionId);
+        if (!session || !this.workspaces.canAccess(user, session.owner)) {
+            return [];
+        }
+
+        const wsUrl = this.getWsUrl(session, `${this.tls ? 'wss' : 'ws'}://${request.headers.host || '127.0.0.1'}`, user);
+        return [session.proxy.describeTarget(wsUrl.replace(/^wss?:\/\//, ''), wsUrl.startsWith('wss:'))];
+    }
+
+    /**
+     * @param {Object} [user] - Authenticated user
+     * @returns {Array<Object>} The stored sessions the user may see, oldest first
+     * @private
+     */
+    getAccessibleSessions(user) {
+        return Array.from(this.sessions.values())
+            .filter(session => this.workspaces.canAccess(user, session.owner));
+    }
+
+    /**
+     * Get the controller that drives a session on behalf of HTTP callers
+     * It connects on first use, which starts the program if no client has yet.
+     * @param {string} sessionId - Session ID
+     * @returns {SessionController} The session's controller
+     */
+    getController(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            throw new Error(`Session not found: ${sessionId}`);
+        }
+        if (session.mode === 'replay') {
+            throw new Error('Replay sessions cannot be controlled');
+        }
+
+        if (!session.controller) {
+            session.controller = new SessionController(
+                this.buildWsUrl(session.id, session.proxyPort, undefined, session.proxy.sessionToken),
+                this,
+                session.security
+            );
+        }
+        return session.controller;
+    }
+
     /**
      * Stop a specific session
      * @param {string} sessionId - Session ID to stop
@@ -85,16 +848,37 @@ class DebuggerSessionManager {
             throw new Error(`Session not found: ${sessionId}`);
         }
 
-        // Stop the proxy server (kills Node process)
-        if (session.proxy) {
-            session.proxy.stop();
+        if (session.watcher) {
+            session.watcher.stop();
+        }
+
+        if (session.controller) {
+            session.controller.close();
         }
 
+        // Stop the proxy server (kills Node process unless we attached to it)
+        const stopped = session.proxy ? session.proxy.stop() : undefined;
+
         session.status = 'stopped';
         session.stoppedAt = new Date().toISOString();
 
+        const entry = this.history.get(sessionId);
+        if (entry) {
+            entry.stoppedAt = session.stoppedAt;
+            if (entry.status === 'running') entry.status = 'stopped';
+        }
+
         this.sessions.delete(sessionId);
 
+        // Its ports are free once the program is gone
+        await stopped;
+        if (session.mode === 'launch') {
+            this.portAllocator.release(session.inspectPort);
+        }
+        if (session.proxyPort) {
+            this.portAllocator.release(session.proxyPort);
+        }
+
         return {
             sessionId,
             status: 'stopped'
@@ -112,9 +896,11 @@ class DebuggerSessionManager {
     /**
      * Get session info
      * @param {string} sessionId - Session ID
+     * @param {string} [origin] - WebSocket origin the client reached us on (ws://host:port), used to build wsUrl
+     * @param {Object} [user] - Authenticated user (decides the wsUrl's token)
      * @returns {Object} Session info
      */
-    getSession(sessionId) {
+    getSession(sessionId, origin, user) {
         const session = this.sessions.get(sessionId);
         if (!session) {
             throw new Error(`Session not found: ${sessionId}`);
@@ -122,78 +908,307 @@ class DebuggerSessionManager {
 
         return {
             sessionId: session.id,
+            mode: session.mode,
+            owner: session.owner,
             targetFile: session.targetFile,
+            command: session.command,
             absolutePath: session.absolutePath,
+            launch: this.describeLaunch(session.launch, session.security),
+            limits: session.limits,
+            attach: session.attach,
+            replay: session.replay,
+            recording: session.recording,
+            watch: session.watch,
             startedAt: session.startedAt,
             status: session.status,
-            wsUrl: `ws://0.0.0.0:${this.proxyPort}`,
-            inspectPort: this.inspectPort,
-            proxyPort: this.proxyPort
+            resumable: session.proxy.isResumable(),
+            clients: session.proxy.getClients(),
+            targets: session.proxy.getTargets(),
+            wsUrl: this.getWsUrl(session, origin, user),
+            inspectPort: session.inspectPort,
+            proxyPort: session.proxyPort
         };
     }
 
+    /**
+     * Get the output buffer of a session's target process
+     * Attach sessions have an empty buffer; their output goes wherever the process was started.
+     * @param {string} sessionId - Session ID
+     * @returns {OutputBuffer} The session's output buffer
+     */
+    getSessionOutput(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            throw new Error(`Session not found: ${sessionId}`);
+        }
+
+        return session.proxy.output;
+    }
+
     /**
      * List all sessions
+     * @param {string} [origin] - WebSocket origin the client reached us on (ws://host:port), used to build wsUrl
+     * @param {Object} [user] - Authenticated user (students only get their own sessions)
      * @returns {Array} Array of session info
      */
-    listSessions() {
-        return Array.from(this.sessions.values()).map(session => ({
+    listSessions(origin, user) {
+        return this.getAccessibleSessions(user).map(session => ({
             sessionId: session.id,
+            mode: session.mode,
+            owner: session.owner,
             targetFile: session.targetFile,
+            command: session.command,
+            attach: session.attach,
+            replay: session.replay,
+            recording: session.recording,
+            watch: session.watch,
             startedAt: session.startedAt,
-            status: session.status
+            status: session.status,
+            resumable: session.proxy.isResumable(),
+            clients: session.proxy.getClients(),
+            targets: session.proxy.getTargets(),
+            wsUrl: this.getWsUrl(session, origin, user),
+            inspectPort: session.inspectPort,
+            proxyPort: session.proxyPort
         }));
     }
 
     /**
      * Get current active session (if any)
+     * The most recently started session (of those the user may see) is considered current.
+     * @param {string} [origin] - WebSocket origin the client reached us on (ws://host:port), used to build wsUrl
+     * @param {Object} [user] - Authenticated user
      * @returns {Object|null} Current session or null
      */
-    getCurrentSession() {
-        // For now, we only support one session at a time
-        if (this.sessions.size > 0) {
-            const sessionId = Array.from(this.sessions.keys())[0];
-            return this.getSession(sessionId);
-        }
-        return null;
+    getCurrentSession(origin, user) {
+        const session = this.getAccessibleSessions(user).pop();
+        return session ? this.getSession(session.id, origin, user) : null;
     }
 }
 
+/**
+ * WebSocket origin (ws://host:port) of the request, as seen by the client
+ * Honours X-Forwarded-Proto so URLs stay wss:// behind a TLS-terminating reverse proxy.
+ * @param {express.Request} req - Request
+ * @returns {string} WebSocket origin
+ */
+function getWsOrigin(req) {
+    const secure = req.secure || req.get('X-Forwarded-Proto') === 'https';
+    return `${secure ? 'wss' : 'ws'}://${req.get('host')}`;
+}
+
 /**
  * Create debugger session API router
+ * Routes that start, control or stop sessions are refused to viewers, and recorded in
+ * the audit log (config.audit).
  * @param {Object} config - Configuration
  * @returns {express.Router} Express router
  */
 function createDebuggerSessionApi(config = {}) {
     const router = express.Router();
-    const sessionManager = new DebuggerSessionManager(config);
 
-    // Optional authentication
-    const auth = new AuthMiddleware({
+    // Every route needs a logged-in user: session info carries the wsUrl (and its token)
+    const auth = config.auth || new AuthMiddleware({
         apiKeys: config.apiKeys || [],
         apiKeyHeader: 'X-Workspace-API-Key'
     });
+    router.use(auth.requireAuth);
+    const sessionManager = new DebuggerSessionManager({ ...config, auth });
+    const audit = config.audit || new AuditLog(null);
 
-    // Optionally require auth for starting sessions
-    // Use noAuth method when authentication is not required (keeps middleware in place)
-    const maybeAuth = config.requireAuth ? auth.requireAuth : auth.noAuth;
+    // What session a control request was for
+    const trackControl = (action, describe = () => ({})) =>
+        audit.track(action, req => ({ sessionId: req.params.id, ...describe(req) }));
+
+    // Other users' sessions don't exist for students
+    router.param('id', (req, res, next, id) => {
+        const owner = sessionManager.getOwner(id);
+        if (owner !== undefined && !sessionManager.workspaces.canAccess(req.user, owner)) {
+            return res.status(404).json({
+                error: 'Session not found',
+                message: `Session not found: ${id}`
+            });
+        }
+        next();
+    });
+
+    /**
+     * GET /debug/targets - List inspectable targets of a running Node process (teachers)
+     * Query: ?host=127.0.0.1&port=9229
+     */
+    router.get('/targets', auth.requireRole('teacher'), async (req, res) => {
+        try {
+            const host = req.query.host || '127.0.0.1';
+            const port = parseInt(req.query.port);
+
+            if (!port) {
+                return res.status(400).json({
+                    error: 'Bad request',
+                    message: 'Missing required query parameter: port'
+                });
+            }
+
+            const targets = await RemoteDebuggerProxyServer.listTargets(host, port);
+            res.json({
+                host,
+                port,
+                targets: targets.map(t => ({ id: t.id, title: t.title, url: t.url, type: t.type }))
+            });
+        } catch (error) {
+            res.status(502).json({
+                error: 'Failed to list targets',
+                message: error.message
+            });
+        }
+    });
+
+    /**
+     * GET /debug/recordings - List the CDP recordings saved in the caller's workspace
+     */
+    router.get('/recordings', async (req, res) => {
+        try {
+            const recordings = await sessionManager.listRecordings(req.user);
+            res.json({ recordings });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to list recordings',
+                message: error.message
+            });
+        }
+    });
+
+    /**
+     * GET /debug/history - List running, stopped and crashed sessions (newest first)
+     */
+    router.get('/history', (req, res) => {
+        res.json({ history: sessionManager.listHistory(req.user) });
+    });
+
+    /**
+     * GET /debug/history/:id - Get a session's history entry, with the last lines of
+     * its output and the uncaught exception it died of (if it crashed)
+     */
+    router.get('/history/:id', (req, res) => {
+        try {
+            res.json(sessionManager.getHistory(req.params.id));
+        } catch (error) {
+            res.status(404).json({
+                error: 'Session not found',
+                message: error.message
+            });
+        }
+    });
 
     /**
      * POST /debug/session - Start a new debug session
-     * Body: { file: "/path/to/script.js" }
+     * Body: { file: "/path/to/script.js", args?, env?, envFile?, cwd?, nodeFlags?, stopOnEntry?, waitForDebugger?, record?, watch?, limits?, sandbox? }
+     *    or { projectPath: "my-project", script: "test" | command: ["node", "--test"], args?, env?, envFile?, cwd?, nodeFlags?, record?, watch?, limits? }
+     *    or { projectPath: "my-project", configuration: "<saved launch configuration name>", file?, record?, watch?, limits?, sandbox? }
+     *    or { mode: "attach", host: "127.0.0.1", port: 9229, targetId?: "<id from /json/list>", record? }  (teachers)
+     *    or { mode: "replay", recording: ".badgerbox/recordings/<file>.jsonl", speed?: 1 }
+     * Paths are relative to the caller's workspace.
      */
-    router.post('/session', maybeAuth, async (req, res) => {
+    router.post('/session', audit.track('session.start', (req, body) => ({
+        path: req.body.file || req.body.projectPath || req.body.recording,
+        mode: req.body.mode || 'launch',
+        sessionId: body?.session?.sessionId
+    })), auth.requireWrite, async (req, res) => {
         try {
-            const { file } = req.body;
+            const { mode = 'launch', projectPath, configuration } = req.body;
+            let { file } = req.body;
 
-            if (!file) {
+            if (mode === 'attach') {
+                // Any process on the server could be attached to
+                if (req.user && req.user.role !== 'teacher') {
+                    return res.status(403).json({
+                        error: 'Forbidden',
+                        message: 'Only teachers can attach to running processes'
+                    });
+                }
+
+                if (!req.body.port) {
+                    return res.status(400).json({
+                        error: 'Bad request',
+                        message: 'Missing required field: port'
+                    });
+                }
+
+                const session = await sessionManager.attachSession(req.body, getWsOrigin(req), req.user);
+
+                return res.status(201).json({
+                    success: true,
+                    session
+                });
+            }
+
+            if (mode === 'replay') {
+                if (!req.body.recording) {
+                    return res.status(400).json({
+                        error: 'Bad request',
+                        message: 'Missing required field: recording'
+                    });
+                }
+
+                const session = await sessionManager.replaySession(req.body.recording, getWsOrigin(req), {
+                    speed: req.body.speed
+                }, req.user);
+
+                return res.status(201).json({
+                    success: true,
+                    session
+                });
+            }
+
+            if (mode !== 'launch') {
+                return res.status(400).json({
+                    error: 'Bad request',
+                    message: `Unknown mode: ${mode}. Expected 'launch', 'attach' or 'replay'`
+                });
+            }
+
+            // Saved launch configuration (from the project's .badgerbox/launch.json)
+            let launchOptions = req.body;
+            if (configuration) {
+                if (!projectPath) {
+                    return res.status(400).json({
+                        error: 'Bad request',
+                        message: 'Missing required field: projectPath (required with configuration)'
+                    });
+                }
+
+                launchOptions = await sessionManager.getScope(req.user).launchConfigs.get(projectPath, configuration);
+                if (!file && launchOptions.program) {
+                    file = path.join(projectPath, launchOptions.program);
+                }
+            }
+
+            // npm script or command (node --test...) run in the project instead of a file
+            const runsCommand = launchOptions.script !== undefined || launchOptions.command !== undefined;
+
+            if (runsCommand && !projectPath) {
+                return res.status(400).json({
+                    error: 'Bad request',
+                    message: 'Missing required field: projectPath (required with script or command)'
+                });
+            }
+
+            if (!runsCommand && !file) {
                 return res.status(400).json({
                     error: 'Bad request',
                     message: 'Missing required field: file'
                 });
             }
 
-            const session = await sessionManager.startSession(file);
+            const { args, env, envFile, cwd, nodeFlags, stopOnEntry, script, command } = launchOptions;
+            const record = req.body.record ?? launchOptions.record;
+            const watch = req.body.watch ?? launchOptions.watch;
+            const limits = req.body.limits ?? launchOptions.limits;
+            const sandbox = req.body.sandbox ?? launchOptions.sandbox;
+            const waitForDebugger = req.body.waitForDebugger;
+            const options = { args, env, envFile, cwd, nodeFlags, stopOnEntry, waitForDebugger, record, watch, limits, sandbox };
+            const session = runsCommand
+                ? await sessionManager.startCommandSession(projectPath, getWsOrigin(req), { ...options, script, command }, req.user)
+                : await sessionManager.startSession(file, getWsOrigin(req), options, req.user);
 
             res.status(201).json({
                 success: true,
@@ -209,6 +1224,43 @@ function createDebuggerSessionApi(config = {}) {
                 });
             }
 
+            if (error.message.includes('Invalid inspector port') || error.message.includes('Invalid launch configuration') ||
+                error.message.includes('Invalid recording') || error.message.includes('Invalid replay speed') ||
+                error.message.includes('Invalid sandbox permissions') || error.message.includes('Sandbox not supported')) {
+                return res.status(400).json({
+                    error: 'Bad request',
+                    message: error.message
+                });
+            }
+
+            if (error.message.includes('Cannot reach inspector') || error.message.includes('Timed out contacting inspector')) {
+                return res.status(502).json({
+                    error: 'Inspector unreachable',
+                    message: error.message
+                });
+            }
+
+            if (error.message.includes('Recording not found')) {
+                return res.status(404).json({
+                    error: 'Recording not found',
+                    message: error.message
+                });
+            }
+
+            if (error.message.includes('Launch configuration not found')) {
+                return res.status(404).json({
+                    error: 'Launch configuration not found',
+                    message: error.message
+                });
+            }
+
+            if (error.message.includes('Target not found') || error.message.includes('No inspectable targets')) {
+                return res.status(404).json({
+                    error: 'Target not found',
+                    message: error.message
+                });
+            }
+
             res.status(500).json({
                 error: 'Failed to start session',
                 message: error.message
@@ -217,11 +1269,11 @@ function createDebuggerSessionApi(config = {}) {
     });
 
     /**
-     * GET /debug/session - Get current session info
+     * GET /debug/session - Get current (most recently started) session info
      */
     router.get('/session', (req, res) => {
         try {
-            const session = sessionManager.getCurrentSession();
+            const session = sessionManager.getCurrentSession(getWsOrigin(req), req.user);
 
             if (!session) {
                 return res.status(404).json({
@@ -244,7 +1296,7 @@ function createDebuggerSessionApi(config = {}) {
      */
     router.get('/sessions', (req, res) => {
         try {
-            const sessions = sessionManager.listSessions();
+            const sessions = sessionManager.listSessions(getWsOrigin(req), req.user);
             res.json({ sessions });
         } catch (error) {
             res.status(500).json({
@@ -259,7 +1311,7 @@ function createDebuggerSessionApi(config = {}) {
      */
     router.get('/session/:id', (req, res) => {
         try {
-            const session = sessionManager.getSession(req.params.id);
+            const session = sessionManager.getSession(req.params.id, getWsOrigin(req), req.user);
             res.json(session);
         } catch (error) {
             if (error.message.includes('not found')) {
@@ -276,10 +1328,240 @@ function createDebuggerSessionApi(config = {}) {
         }
     });
 
+    /**
+     * GET /debug/session/:id/output - Stream the target's stdout/stderr (Server-Sent Events)
+     * Buffered output is replayed first, then new output is pushed as it arrives.
+     * Query: ?since=<seq> to skip entries already seen (Last-Event-ID is honoured on reconnect)
+     *
+     * Events:
+     *   output - { seq, stream: 'stdout'|'stderr'|'system', text, timestamp }
+     *   end    - the session was stopped
+     */
+    router.get('/session/:id/output', (req, res) => {
+        let output;
+        try {
+            output = sessionManager.getSessionOutput(req.params.id);
+        } catch (error) {
+            return res.status(404).json({
+                error: 'Session not found',
+                message: error.message
+            });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+
+        const sendEntry = (entry) => {
+            res.write(`id: ${entry.seq}\nevent: output\ndata: ${JSON.stringify(entry)}\n\n`);
+        };
+
+        const sendEnd = () => {
+            res.write('event: end\ndata: {}\n\n');
+            res.end();
+        };
+
+        const since = parseInt(req.query.since || req.get('Last-Event-ID')) || 0;
+        output.getEntries(since).forEach(sendEntry);
+
+        if (output.closed) {
+            return sendEnd();
+        }
+
+        // Comment lines keep idle connections from being dropped by intermediaries
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+        output.on('data', sendEntry);
+        output.once('close', sendEnd);
+
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            output.off('data', sendEntry);
+            output.off('close', sendEnd);
+        });
+    });
+
+    /**
+     * Answer a failed control request (breakpoints, stepping, evaluate, waiting)
+     * @param {Response} res - Express response
+     * @param {Error} error - What went wrong
+     * @param {string} action - What was attempted, for the generic error
+     */
+    const sendControlError = (res, error, action) => {
+        if (error.message.includes('Session not found') || error.message.includes('Breakpoint not found')) {
+            return res.status(404).json({
+                error: error.message.includes('Session') ? 'Session not found' : 'Breakpoint not found',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('Path traversal')) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('Invalid') || error.message.includes('Evaluation failed')) {
+            return res.status(400).json({
+                error: 'Bad request',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('Timed out waiting')) {
+            return res.status(408).json({
+                error: 'Timeout',
+                message: error.message
+            });
+        }
+
+        // Someone else drives the session, or the program is not in a state to do this
+        if (error.message.includes('only available to the session\'s driver') || error.message.includes('is not paused') ||
+            error.message.includes('cannot be controlled') || error.message.includes('Program exited')) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: `Failed to ${action}`,
+            message: error.message
+        });
+    };
+
+    /**
+     * GET /debug/session/:id/breakpoints - List the breakpoints set through this API
+     * Like every control route, refused to viewers: the controller joins the session as
+     * a client and would start its program if nobody had yet.
+     */
+    router.get('/session/:id/breakpoints', auth.requireWrite, (req, res) => {
+        try {
+            const breakpoints = sessionManager.getController(req.params.id).listBreakpoints();
+            res.json({ breakpoints });
+        } catch (error) {
+            sendControlError(res, error, 'list breakpoints');
+        }
+    });
+
+    /**
+     * POST /debug/session/:id/breakpoints - Set a breakpoint
+     * Body: { file: "project/main.js", line: 12, condition?: "count > 3" }  (line is 1-based)
+     * Returns { breakpoint: { breakpointId, file, line, condition, locations } }; `locations` stays
+     * empty until the file is loaded.
+     */
+    router.post('/session/:id/breakpoints', trackControl('session.breakpoint.set', req => ({
+        file: req.body.file,
+        line: req.body.line
+    })), auth.requireWrite, async (req, res) => {
+        try {
+            const { file, line, condition } = req.body;
+            if (!file || line === undefined) {
+                return res.status(400).json({
+                    error: 'Bad request',
+                    message: 'Missing required fields: file, line'
+                });
+            }
+
+            const breakpoint = await sessionManager.getController(req.params.id).setBreakpoint(file, line, condition);
+            res.status(201).json({ success: true, breakpoint });
+        } catch (error) {
+            sendControlError(res, error, 'set breakpoint');
+        }
+    });
+
+    /**
+     * DELETE /debug/session/:id/breakpoints/:breakpointId - Remove a breakpoint
+     */
+    router.delete('/session/:id/breakpoints/:breakpointId', trackControl('session.breakpoint.remove', req => ({
+        breakpointId: req.params.breakpointId
+    })), auth.requireWrite, async (req, res) => {
+        try {
+            await sessionManager.getController(req.params.id).removeBreakpoint(req.params.breakpointId);
+            res.json({ success: true });
+        } catch (error) {
+            sendControlError(res, error, 'remove breakpoint');
+        }
+    });
+
+    /**
+     * POST /debug/session/:id/continue - Resume the program (or release it, when it waits for the debugger)
+     */
+    router.post('/session/:id/continue', trackControl('session.continue'), auth.requireWrite, async (req, res) => {
+        try {
+            await sessionManager.getController(req.params.id).resume();
+            res.json({ success: true });
+        } catch (error) {
+            sendControlError(res, error, 'continue');
+        }
+    });
+
+    /**
+     * POST /debug/session/:id/step - Step the paused program
+     * Body: { action?: "over" | "into" | "out" }  (default "over")
+     */
+    router.post('/session/:id/step', trackControl('session.step'), auth.requireWrite, async (req, res) => {
+        try {
+            await sessionManager.getController(req.params.id).step(req.body.action);
+            res.json({ success: true });
+        } catch (error) {
+            sendControlError(res, error, 'step');
+        }
+    });
+
+    /**
+     * POST /debug/session/:id/pause - Pause the running program
+     */
+    router.post('/session/:id/pause', trackControl('session.pause'), auth.requireWrite, async (req, res) => {
+        try {
+            await sessionManager.getController(req.params.id).pause();
+            res.json({ success: true });
+        } catch (error) {
+            sendControlError(res, error, 'pause');
+        }
+    });
+
+    /**
+     * POST /debug/session/:id/evaluate - Evaluate an expression
+     * Body: { expression: "sum * 2", frame?: 0 }
+     * In the given call frame while paused, otherwise in the global scope.
+     * Returns { result: { type, subtype, value, description } }
+     */
+    router.post('/session/:id/evaluate', trackControl('session.evaluate', req => ({
+        expression: req.body.expression
+    })), auth.requireWrite, async (req, res) => {
+        try {
+            const result = await sessionManager.getController(req.params.id).evaluate(req.body.expression, req.body.frame);
+            res.json({ result });
+        } catch (error) {
+            sendControlError(res, error, 'evaluate');
+        }
+    });
+
+    /**
+     * GET /debug/session/:id/paused - Where the program is paused
+     * Query: ?timeout=<ms> to wait that long for a pause (at most 5 minutes); 408 on timeout,
+     * 409 if the program exits first
+     * Returns { paused: false, exited } or { paused: true, reason, file, line, hitBreakpoints,
+     * callFrames: [{ functionName, file, url, line, column }] }
+     */
+    router.get('/session/:id/paused', auth.requireWrite, async (req, res) => {
+        try {
+            const timeout = Math.min(parseInt(req.query.timeout) || 0, 300000);
+            const state = await sessionManager.getController(req.params.id).waitForPause(timeout);
+            res.json(state);
+        } catch (error) {
+            sendControlError(res, error, 'get pause state');
+        }
+    });
+
     /**
      * DELETE /debug/session/:id - Stop a session
      */
-    router.delete('/session/:id', maybeAuth, async (req, res) => {
+    router.delete('/session/:id', trackControl('session.stop'), auth.requireWrite, async (req, res) => {
         try {
             const result = await sessionManager.stopSession(req.params.id);
 
@@ -303,11 +1585,11 @@ function createDebuggerSessionApi(config = {}) {
     });
 
     /**
-     * DELETE /debug/session - Stop current session
+     * DELETE /debug/session - Stop current (most recently started) session
      */
-    router.delete('/session', maybeAuth, async (req, res) => {
+    router.delete('/session', audit.track('session.stop', (req, body) => ({ sessionId: body?.sessionId })), auth.requireWrite, async (req, res) => {
         try {
-            const session = sessionManager.getCurrentSession();
+            const session = sessionManager.getCurrentSession(undefined, req.user);
 
             if (!session) {
                 return res.status(404).json({
@@ -336,4 +1618,4 @@ function createDebuggerSessionApi(config = {}) {
     return router;
 }
 
-module.exports = { createDebuggerSessionApi, DebuggerSessionManager };
+module.exports = { createDebuggerSessionApi, DebuggerSessionManager, getWsOrigin };
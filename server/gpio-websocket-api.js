@@ -1,4 +1,5 @@
 const express = require('express');
+const https = require('https');
 const WebSocket = require('ws');
 const Logger = require('../util/logger');
 
@@ -15,12 +16,35 @@ const Logger = require('../util/logger');
  * - Client connects and sends { type: 'register', role: 'simulator' | 'gpio-client' }
  * - GPIO commands flow: gpio-client → server → simulator
  * - GPIO events flow: simulator → server → gpio-client(s)
+ *
+ * Connections arrive on the main HTTP port at /gpio/ws (routed to handleUpgrade),
+ * or on a port of their own (gpioPort) when `listen` is set. Either way `authorize`
+ * (when given) decides who may connect; others are refused with 401. On its own port
+ * `verifyUpgrade` (the Origin check) comes first; refused with 403. With `tls` the
+ * port of its own speaks WSS (the main HTTP port has TLS of its own).
  */
 class GPIOWebSocketManager {
+    /**
+     * @param {Object} [config={}] - Configuration
+     * @param {number} [config.gpioPort=8081] - Port of its own (with `listen`)
+     * @param {number} [config.httpPort=8080] - Main HTTP port (/gpio/ws)
+     * @param {boolean} [config.listen=false] - Listen on gpioPort
+     * @param {TlsCredentials} [config.tls] - Serve WSS with this certificate (on gpioPort, and in getWsUrl)
+     * @param {Function} [config.authorize] - (request) => boolean, whether an upgrade request may connect
+     * @param {Function} [config.verifyUpgrade] - (request) => boolean, whether an upgrade on gpioPort may connect
+     *                                            (e.g. its Origin; the main port checks its own)
+     * @param {string} [config.logLevel='debug'] - Log level
+     */
     constructor(config = {}) {
         this.port = config.gpioPort || 8081;
+        this.httpPort = config.httpPort || 8080;
+        this.listen = config.listen || false;
+        this.tls = config.tls || null;
+        this.authorize = config.authorize || (() => true);
+        this.verifyUpgrade = config.verifyUpgrade || (() => true);
         this.logger = new Logger('GPIOWebSocket', 'info', config.logLevel || 'debug');
         this.wss = null;
+        this.server = null;     // HTTPS server of gpioPort (with `listen` and `tls`)
 
         // Track connections
         this.simulator = null;  // Only one simulator connection
@@ -37,8 +61,23 @@ class GPIOWebSocketManager {
             return;
         }
 
-        this.wss = new WebSocket.Server({ port: this.port });
-        this.logger.info(`GPIO WebSocket server starting on port ${this.port}`);
+        if (this.listen && this.tls) {
+            this.server = https.createServer({ cert: this.tls.cert, key: this.tls.key });
+            this.wss = new WebSocket.Server({
+                server: this.server,
+                verifyClient: (info, done) => this.verifyClient(info, done)
+            });
+            this.server.listen(this.port);
+            this.logger.info(`GPIO WebSocket server starting on port ${this.port}`);
+        } else if (this.listen) {
+            this.wss = new WebSocket.Server({
+                port: this.port,
+                verifyClient: (info, done) => this.verifyClient(info, done)
+            });
+            this.logger.info(`GPIO WebSocket server starting on port ${this.port}`);
+        } else {
+            this.wss = new WebSocket.Server({ noServer: true });
+        }
 
         this.wss.on('connection', (ws) => {
             this.logger.info('New WebSocket connection (unregistered)');
@@ -68,7 +107,59 @@ class GPIOWebSocketManager {
             });
         });
 
-        this.logger.info(`GPIO WebSocket server ready on ws://0.0.0.0:${this.port}`);
+        this.logger.info(`GPIO WebSocket server ready on ${this.getWsUrl()}`);
+    }
+
+    /**
+     * Accept a connection upgraded on the main HTTP server (/gpio/ws)
+     * @param {http.IncomingMessage} request - Upgrade request
+     * @param {net.Socket} socket - Client socket
+     * @param {Buffer} head - First packet of the upgraded stream
+     */
+    handleUpgrade(request, socket, head) {
+        if (!this.isAuthorized(request)) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        this.wss.handleUpgrade(request, socket, head, (ws) => {
+            this.wss.emit('connection', ws, request);
+        });
+    }
+
+    /**
+     * Decides on an upgrade on gpioPort (ws verifyClient)
+     * @param {Object} info - { req, origin, secure }
+     * @param {Function} done - (result, code) => void
+     * @private
+     */
+    verifyClient({ req }, done) {
+        if (!this.verifyUpgrade(req)) {
+            return done(false, 403);
+        }
+        done(this.isAuthorized(req), 401);
+    }
+
+    /**
+     * @param {http.IncomingMessage} request - Upgrade request
+     * @returns {boolean} Whether it may connect (refusals are logged)
+     * @private
+     */
+    isAuthorized(request) {
+        if (this.authorize(request)) {
+            return true;
+        }
+        this.logger.warn(`Refused unauthenticated GPIO connection from ${request.socket.remoteAddress}`);
+        return false;
+    }
+
+    /**
+     * Get the URL GPIO clients connect to (as seen from this machine)
+     */
+    getWsUrl(host = '0.0.0.0') {
+        const scheme = this.tls ? 'wss' : 'ws';
+        return this.listen ? `${scheme}://${host}:${this.port}` : `${scheme}://${host}:${this.httpPort}/gpio/ws`;
     }
 
     /**
@@ -77,8 +168,13 @@ class GPIOWebSocketManager {
     stop() {
         if (this.wss) {
             this.logger.info('Stopping GPIO WebSocket server');
+            this.wss.clients.forEach(ws => ws.close());
             this.wss.close();
             this.wss = null;
+            if (this.server) {
+                this.server.close();
+                this.server = null;
+            }
             this.simulator = null;
             this.clients.clear();
         }
@@ -303,8 +399,8 @@ class GPIOWebSocketManager {
     getStatus() {
         return {
             running: this.wss !== null,
-            port: this.port,
-            wsUrl: `ws://0.0.0.0:${this.port}`,
+            port: this.listen ? this.port : this.httpPort,
+            wsUrl: this.getWsUrl(),
             simulator: this.simulator ? 'connected' : 'disconnected',
             clientCount: this.clients.size,
             clients: Array.from(this.clients.values()).map(c => ({
@@ -1,86 +1,355 @@
 const { spawn } = require('child_process');
+const fs = require('fs');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const WebSocket = require('ws');
 const http = require('http');
+const https = require('https');
 const path = require('path');
 const Logger = require('../util/logger');
+const OutputBuffer = require('./output-buffer');
+const ChildTarget = require('./child-target');
+const ChildProcessDiscovery = require('./child-process-discovery');
+const SandboxPolicy = require('./sandbox-policy');
+
+// Notices the inspector itself prints on stderr; kept out of the program output.
+// The node --test runner passes them on as TAP comments on stdout. A forked child that
+// inherits --inspect=<port> reports the port taken and opens its own (see debug-bootstrap.js).
+const INSPECTOR_NOTICE = /^(# )?(Debugger listening on |Debugger attached\.|Debugger ending on |For help, see: https:\/\/nodejs\.org|Waiting for the debugger to disconnect|Starting inspector on \S+ failed)/;
+
+// Requests observers may send: they read state but never change what the target does.
+// Enabling/disabling domains is handled by the proxy, evaluation only without side effects.
+const OBSERVER_METHODS = new Set([
+    'Debugger.getScriptSource',
+    'Debugger.getPossibleBreakpoints',
+    'Debugger.searchInContent',
+    'Runtime.getProperties',
+    'Runtime.getHeapUsage',
+    'Runtime.getIsolateId',
+    'Runtime.releaseObject',
+    'Runtime.releaseObjectGroup',
+    'Schema.getDomains'
+]);
+const SIDE_EFFECT_FREE_METHODS = new Set(['Runtime.evaluate', 'Debugger.evaluateOnCallFrame']);
+
+// Clock ticks per second of the times in /proc/<pid>/stat (USER_HZ, 100 on practically every Linux)
+const CLOCK_TICKS = 100;
+
+// How long (ms) a stopped program gets to exit on SIGTERM before it is killed
+const KILL_TIMEOUT = 2000;
+
+// Preloaded into the processes of a debugged program, see debug-bootstrap.js
+const DEBUG_BOOTSTRAP = path.join(__dirname, 'debug-bootstrap.js');
+
+// What debugged programs get of the server's environment (with LC_*): the rest may be the
+// server's secrets, such as WORKSPACE_API_KEY. A session adds its own with env and envFile.
+const TARGET_ENV = new Set([
+    'PATH', 'HOME', 'USER', 'LOGNAME', 'SHELL', 'LANG', 'LANGUAGE', 'TERM', 'TZ', 'TMPDIR', 'DISPLAY',
+    'NODE_ENV', 'NODE_PATH', 'NODE_EXTRA_CA_CERTS',
+    // Windows
+    'USERPROFILE', 'HOMEDRIVE', 'HOMEPATH', 'APPDATA', 'LOCALAPPDATA', 'SYSTEMROOT', 'WINDIR',
+    'COMSPEC', 'PATHEXT', 'TEMP', 'TMP'
+]);
+
+/**
+ * Reads the fields of /proc/<pid>/stat that follow the command name
+ * @param {number|string} pid - Process id
+ * @returns {string[]} Fields, starting with the process state
+ */
+function readStat(pid) {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    // The command name is in parentheses and may contain spaces
+    return stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+}
+
+/**
+ * CPU time (user + system) a process, or a whole process group, has used so far
+ * @param {number} pid - Process id (of the group leader with `group`)
+ * @param {boolean} [group=false] - Count every process of the group, and the children they reaped
+ * @returns {number|null} Milliseconds, or null where /proc is not available
+ */
+function readCpuTime(pid, group = false) {
+    try {
+        if (!group) {
+            const fields = readStat(pid);
+            return (parseInt(fields[11]) + parseInt(fields[12])) * 1000 / CLOCK_TICKS;
+        }
+
+        let ticks = 0;
+        for (const entry of fs.readdirSync('/proc')) {
+            if (!/^\d+$/.test(entry)) continue;
+            try {
+                const fields = readStat(entry);
+                if (parseInt(fields[2]) !== pid) continue;
+                // utime, stime, cutime, cstime
+                ticks += fields.slice(11, 15).reduce((sum, value) => sum + parseInt(value), 0);
+            } catch (err) {
+                // The process ended meanwhile
+            }
+        }
+        return ticks * 1000 / CLOCK_TICKS;
+    } catch (err) {
+        return null;
+    }
+}
 
 /**
- * Bidirectional message proxy between client and Node debugger WebSockets
+ * One browser client attached to a debug session
+ *
+ * Several clients can share a session: the owning RemoteDebuggerProxyServer keeps the
+ * single connection to the Node debugger, renumbers each client's requests so responses
+ * find their way back, and broadcasts debugger events to every client.
+ *
+ * Roles:
+ * - driver: may do anything (step, resume, set breakpoints, evaluate...)
+ * - observer: receives all events but may only send read-only requests
+ *
+ * A driver that sends Proxy.setAutoAttach { waitForDebuggerOnStart: true } releases new
+ * child targets itself (after setting its breakpoints); otherwise the proxy does.
  */
 class Proxy{
     /**
      * Creates a new Proxy instance
-     * @param {WebSocket} nws - WebSocket connection to Node debugger
      * @param {WebSocket} cws - WebSocket connection to browser client
+     * @param {RemoteDebuggerProxyServer} owner - Server that routes this client's requests
+     * @param {Object} [options={}] - Client options
+     * @param {number} options.clientId - Id of this client within the session
+     * @param {string} [options.role='driver'] - 'driver' or 'observer'
+     * @param {boolean} [options.readOnly=false] - Joined with the observer token: stays an observer
+     * @param {string} [options.logLevel='debug'] - Log level
+     * @param {CdpRecorder} [options.recorder] - Records every message sent and received by this client
      */
-    constructor(nws, cws, logLevel){
-        this.nodews = nws;
+    constructor(cws, owner, options = {}){
         this.clientws = cws;
-        this.logLevel = logLevel || 'debug';
+        this.owner = owner;
+        this.clientId = options.clientId;
+        this.role = options.role || 'driver';
+        this.readOnly = options.readOnly || false;
+        this.autoAttach = false;
+        this.recorder = options.recorder || null;
+        this.logLevel = options.logLevel || 'debug';
         this.logger = new Logger('Proxy', 'info', this.logLevel);
     }
 
     /**
-     * Sets up bidirectional message forwarding between the two WebSockets
+     * Starts handing the client's requests to the owning server
      */
     patch(){
 
-        this.clientws.addEventListener('message', message =>{
+        this.onClientMessage = message =>{
             // Logging disabled - causes CPU pegging with high message volume
             // this.logger.info("clientws onmessage", message.data);
-            this.nodews.send(message.data);
-        });
+            let command;
+            try {
+                command = JSON.parse(message.data);
+            } catch (err) {
+                this.logger.error(`Ignoring malformed message from client ${this.clientId}`);
+                return;
+            }
+            if (this.recorder) {
+                this.recorder.record(this.clientId, 'client', message.data);
+            }
+            this.owner.handleClientCommand(this, command);
+        };
 
-        this.nodews.on('message', message =>{
-            // Logging disabled - causes CPU pegging with high message volume
-            // this.logger.info("nodews onmessage", message.toString());
-            this.clientws.send(message.toString());
-        });
+        this.clientws.addEventListener('message', this.onClientMessage);
+    }
+
+    /**
+     * Sends a message to the client (dropped if the client has gone away)
+     * @param {string|Object} message - Raw CDP message or object to serialize
+     */
+    send(message){
+        if (this.clientws && this.clientws.readyState === WebSocket.OPEN) {
+            const text = typeof message === 'string' ? message : JSON.stringify(message);
+            this.clientws.send(text);
+            if (this.recorder) {
+                this.recorder.record(this.clientId, 'inspector', text);
+            }
+        }
+    }
 
+    /**
+     * Describes the client for Proxy.clientsChanged and the session API
+     * @returns {Object} { clientId, role }
+     */
+    describe(){
+        return { clientId: this.clientId, role: this.role };
     }
 
     /**
      * Cleans up proxy resources
+     * Detaches the message listener; the WebSocket connection itself is managed by its owner
      */
     cleanup(){
-        // WebSocket connections are managed by their owners
-        // This method is here for future extensibility
-        this.nodews = null;
+        if (this.clientws && this.onClientMessage) {
+            this.clientws.removeEventListener('message', this.onClientMessage);
+        }
         this.clientws = null;
+        this.owner = null;
+        this.recorder = null;
     }
 }
 
 /**
- * Proxy server that spawns a Node process with debugging enabled and
- * allows remote clients to connect via WebSocket
+ * Proxy server that spawns a Node process with debugging enabled (or attaches
+ * to one that is already running) and allows remote clients to connect via WebSocket
+ *
+ * Any number of clients can share a session. A client connecting with the session
+ * token (ws://host:port/?token=...) while the target is up joins it: as the driver
+ * if nobody is driving, otherwise as a read-only observer (?role=observer forces
+ * observer). Joining clients are re-sent the parsed scripts and current pause state
+ * when they enable the Debugger domain, since Node only reports those once.
+ * A client without a valid token (or arriving after the target exited) starts the
+ * target afresh and disconnects everyone else.
+ *
+ * The observer token (observerToken) only lets a client watch: it joins the running
+ * target as an observer that can never take control, and is turned away when there
+ * is nothing running to watch.
+ *
+ * When the last client disconnects, the target keeps running for a grace period
+ * so that a returning client (page reload, network blip) can re-attach to it.
+ *
+ * The proxy port also answers the inspector's HTTP discovery endpoints (/json/list,
+ * /json/version, /json/protocol), so chrome://inspect and other CDP tools can attach
+ * through the proxy next to the built-in UI.
+ *
+ * With `listen: false` no port is opened; the owner of an HTTP server hands WebSocket
+ * upgrades for the session to handleUpgrade() instead (single-port mode). With `tls`
+ * the proxy port speaks HTTPS/WSS.
+ *
+ * With `command` (npm run <script>, node --test, ...) the proxy runs that command in a
+ * process group of its own instead of a script. Its Node processes preload
+ * debug-bootstrap.js through NODE_OPTIONS: the first one running user code opens the
+ * inspector on inspectPort and waits for the debugger, and the proxy attaches to it.
+ *
+ * Worker threads and child processes of the program are attached as child targets:
+ * workers through the NodeWorker domain, child processes through the inspector each
+ * opens when debug-bootstrap.js (preloaded into them as well) announces it to a
+ * ChildProcessDiscovery. New ones wait for the debugger like the main target does.
+ * Clients are sent Proxy.targetAttached { sessionId, type, title, url, pid, parentSessionId,
+ * waitingForDebugger } and Proxy.targetDetached { sessionId }, and talk to a child target
+ * by adding its sessionId to their requests; its responses and events carry the sessionId.
+ *
+ * When the target ends on its own (finished or crashed), clients are sent
+ * Proxy.targetExited { code, signal, exception, limit }.
+ *
+ * Resource limits (options.limits, 0 or missing = unlimited):
+ * - timeout: ms the program may run; time paused in the debugger does not count
+ * - cpuTime: ms of CPU time the program may use (Linux only, read from /proc)
+ * - maxHeap: MB of JavaScript heap (--max-old-space-size)
+ * - maxOutputRate: bytes per second of stdout + stderr; faster output is throttled
+ *   by not reading from the program until the next second, which blocks its writes
+ * Each violation is sent to clients as Proxy.limitExceeded { type, value, message, action },
+ * where action is 'killed' or 'throttled'.
+ *
+ * With options.sandbox (a SandboxPolicy) the script runs under Node's permission model.
+ * An access it is denied that ends up on stderr (ERR_ACCESS_DENIED) is sent to clients as
+ * Proxy.sandboxViolation { permission, resource, message }.
+ *
+ * Events (launch mode):
+ * - 'start' ({ pid, startedAt }) - the target process was spawned
+ * - 'exit' ({ pid, startedAt, exitedAt, code, signal, killed, exception, limit, outputSeq }) -
+ *   the target process ended and its output is complete; `killed` is set when the proxy
+ *   ended it on request (stop, restart), `exception` holds the uncaught exception it died
+ *   of, `limit` the resource limit that ended it (if any) and `outputSeq` the output entry
+ *   the run's output follows
+ * - 'limitExceeded' ({ type, value, message, action }) - a resource limit was hit
+ * - 'sandboxViolation' ({ permission, resource, message }) - the sandbox denied the program an access
  */
-class RemoteDebuggerProxyServer {
+class RemoteDebuggerProxyServer extends EventEmitter {
     /**
      * Creates a new RemoteDebuggerProxyServer instance
-     * @param {string} targetScript - Path to the Node script to debug
+     * @param {string|null} targetScript - Path to the Node script to debug (null in attach mode and with a command)
      * @param {Object} [options={}] - Configuration options
      * @param {number} [options.inspectPort=9229] - Port for Node inspector
      * @param {number} [options.proxyPort=8888] - Port for proxy server
+     * @param {boolean} [options.listen=true] - Listen on proxyPort (false when upgrades are routed to handleUpgrade)
+     * @param {TlsCredentials} [options.tls] - Serve HTTPS/WSS on proxyPort with this certificate
+     * @param {Function} [options.verifyUpgrade] - (request) => boolean, whether an upgrade on proxyPort may connect
+     *                                             (e.g. its Origin, see OriginPolicy); others are refused with 403
+     * @param {Function} [options.authorize] - (request) => boolean, whether an upgrade on proxyPort may connect
+     *                                         (e.g. a logged-in user); others are refused with 401
+     * @param {Function} [options.listTargets] - (request) => Array|null, the /json/list answer for a request on proxyPort
+     *                                           (null: not logged in, refused with 401); defaults to this target
+     *                                           with the session token in its address
      * @param {string} [options.logLevel='debug'] - Log level for WebSocket operations (debug, info, warn, error)
+     * @param {string[]} [options.args=[]] - Program arguments passed after the script
+     * @param {Object} [options.env={}] - Extra environment variables for the target process
+     * @param {string} [options.cwd] - Working directory of the target process (defaults to the script's directory)
+     * @param {string[]} [options.nodeFlags=[]] - Extra node flags passed before the script
+     * @param {boolean} [options.stopOnEntry=false] - Use --inspect-brk so execution pauses on the first line
+     * @param {boolean} [options.waitForDebugger=false] - Hold every start of the script until the driver sends
+     *                                                   Runtime.runIfWaitingForDebugger (as after a restart)
+     * @param {string[]} [options.command] - Command to run instead of the script, e.g. ['npm', 'run', 'test', '--'];
+     *                                       args are appended and nodeFlags passed through NODE_OPTIONS
+     * @param {Object} [options.limits={}] - Resource limits: timeout, cpuTime, maxHeap, maxOutputRate
+     * @param {SandboxPolicy} [options.sandbox] - Run the script under Node's permission model (not with a command)
+     * @param {number} [options.outputBufferSize=1000] - Number of output chunks kept for late joiners
+     * @param {number} [options.reconnectGracePeriod=30000] - How long (ms) the target outlives a disconnected client
+     * @param {string} [options.sessionToken] - Token that lets a returning client re-attach (generated if omitted)
+     * @param {string} [options.observerToken] - Token that lets a client watch only (generated if omitted)
+     * @param {CdpRecorder} [options.recorder] - Records all client traffic (closed when the server stops)
+     * @param {Object} [options.attach] - Attach to an already-running inspector instead of spawning
+     * @param {string} [options.attach.host='127.0.0.1'] - Inspector host
+     * @param {number} options.attach.port - Inspector port
+     * @param {string} [options.attach.targetId] - Target id from /json/list (defaults to the first target)
      */
     constructor(targetScript, options = {}) {
-        this.targetScript = path.resolve(targetScript);
+        super();
+        this.targetScript = targetScript ? path.resolve(targetScript) : null;
         this.inspectPort = options.inspectPort || 9229;
         this.proxyPort = options.proxyPort || 8888;
+        this.listen = options.listen !== false;
+        this.tls = options.tls || null;
+        this.verifyUpgrade = options.verifyUpgrade || (() => true);
+        this.authorize = options.authorize || (() => true);
+        this.listTargets = options.listTargets
+            || (request => [this.describeTarget(`${request.headers.host || `127.0.0.1:${this.proxyPort}`}/?token=${this.sessionToken}`)]);
         this.logLevel = options.logLevel || 'debug';
+        this.attachTarget = options.attach || null;
+        this.args = options.args || [];
+        this.env = options.env || {};
+        this.cwd = options.cwd || (this.targetScript ? path.dirname(this.targetScript) : undefined);
+        this.nodeFlags = options.nodeFlags || [];
+        this.stopOnEntry = options.stopOnEntry || false;
+        this.waitForDebugger = options.waitForDebugger || false;
+        this.command = options.command || null;
+        this.limits = options.limits || {};
+        this.sandbox = options.sandbox || null;
+        this.holdOnStart = false;
+        this.skipEntryPause = false;
+        this.cancelTargetStart = null;
+        this.lastException = null;
 
         this.debuggerURL = '';
         this.wsDebugger = null;
         this.server = null;
         this.appProcess = null;
         this.activeProxies = [];
+        this.nextClientId = 1;
+        this.pendingRequests = new Map();
+        this.nextRequestId = 1;
+        this.childTargets = new Map();
+        this.nextChildTargetId = 1;
+        this.discovery = null;
+        this.graceTimer = null;
+        this.reconnectGracePeriod = options.reconnectGracePeriod ?? 30000;
+        this.sessionToken = options.sessionToken || crypto.randomBytes(16).toString('hex');
+        this.observerToken = options.observerToken || crypto.randomBytes(16).toString('hex');
+        this.targetId = crypto.randomUUID();
+        this.recorder = options.recorder || null;
+        this.resetDebuggerState();
+        this.output = new OutputBuffer(options.outputBufferSize);
         this.logger = new Logger('RemoteDebuggerProxyServer', 'info', this.logLevel);
     }
 
     /**
-     * Starts the proxy server and spawns the target process
+     * Starts the proxy server (the target process is spawned when the first client connects)
      */
     start() {
+        if (!this.listen) return;
+
         this.startHttpServer();
         this.setupWebSocketUpgrade();
     }
@@ -90,44 +359,212 @@ class RemoteDebuggerProxyServer {
      * @private
      */
     startHttpServer() {
-        this.server = http.createServer((req, res) => {
+        const onRequest = (req, res) => {
+            const pathname = new URL(req.url, 'http://localhost').pathname.replace(/\/$/, '');
+
+            if (pathname.startsWith('/json')) {
+                this.handleDiscoveryRequest(pathname, req, res);
+                return;
+            }
+
             res.writeHead(200);
             res.end('Debugger Proxy API is running.');
-        });
+        };
+        this.server = this.tls
+            ? https.createServer({ cert: this.tls.cert, key: this.tls.key }, onRequest)
+            : http.createServer(onRequest);
 
         this.server.listen(this.proxyPort, () => {
-            this.logger.info(`Proxy API listening on http://0.0.0.0:${this.proxyPort}`);
-            this.logger.info(`Connect your client to ws://0.0.0.0:${this.proxyPort}\n`);
+            this.logger.info(`Proxy API listening on ${this.tls ? 'https' : 'http'}://0.0.0.0:${this.proxyPort}`);
+            this.logger.info(`Connect your client to ${this.tls ? 'wss' : 'ws'}://0.0.0.0:${this.proxyPort}\n`);
             // Don't spawn process here - wait for client connection
         });
     }
 
+    /**
+     * Answers the inspector's HTTP discovery endpoints, pointing at the proxy's own WebSocket
+     * /json/version and /json/protocol are fetched from the inspector while the target runs.
+     * @param {string} pathname - Request path without trailing slash
+     * @param {http.IncomingMessage} req - HTTP request
+     * @param {http.ServerResponse} res - HTTP response
+     * @private
+     */
+    async handleDiscoveryRequest(pathname, req, res) {
+        const sendJson = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json; charset=UTF-8' });
+            res.end(JSON.stringify(body, null, 2));
+        };
+
+        switch (pathname) {
+            case '/json':
+            case '/json/list': {
+                // The addresses carry a session's token, so only for those who may use it
+                const targets = this.listTargets(req);
+                if (!targets) {
+                    return sendJson(401, { error: 'Authentication required', message: 'Log in first' });
+                }
+                return sendJson(200, targets);
+            }
+
+            case '/json/version':
+                try {
+                    return sendJson(200, await this.fetchFromInspector('/json/version'));
+                } catch (err) {
+                    return sendJson(200, { 'Browser': `node.js/${process.version}`, 'Protocol-Version': '1.1' });
+                }
+
+            case '/json/protocol':
+                try {
+                    return sendJson(200, await this.fetchFromInspector('/json/protocol'));
+                } catch (err) {
+                    return sendJson(503, { error: `Protocol not available: ${err.message}` });
+                }
+
+            default:
+                return sendJson(404, { error: `Unknown endpoint: ${pathname}` });
+        }
+    }
+
+    /**
+     * Describes the session as a /json/list target
+     * The WebSocket address should carry the session token, so tools join the running
+     * target (as observers while someone else drives) instead of restarting it.
+     * @param {string} address - WebSocket address without scheme (host:port/path?token=...)
+     * @param {boolean} [secure] - Whether the address is wss:// (default: whether the proxy has TLS)
+     * @returns {Object} Target description in the inspector's format
+     */
+    describeTarget(address, secure = this.tls !== null) {
+        const scheme = secure ? 'wss' : 'ws';
+        const title = this.attachTarget
+            ? this.attachTarget.title || `${this.attachTarget.host || '127.0.0.1'}:${this.attachTarget.port}`
+            : path.basename(this.targetScript);
+
+        return {
+            description: 'node.js instance',
+            devtoolsFrontendUrl: `devtools://devtools/bundled/js_app.html?experiments=true&v8only=true&${scheme}=${address}`,
+            devtoolsFrontendUrlCompat: `devtools://devtools/bundled/inspector.html?experiments=true&v8only=true&${scheme}=${address}`,
+            faviconUrl: 'https://nodejs.org/static/images/favicons/favicon.ico',
+            id: this.targetId,
+            title,
+            type: 'node',
+            url: this.targetScript ? `file://${this.targetScript}` : '',
+            webSocketDebuggerUrl: `${scheme}://${address}`
+        };
+    }
+
+    /**
+     * Fetches one of the inspector's own /json endpoints
+     * @param {string} endpoint - e.g. '/json/version'
+     * @returns {Promise<Object>} Parsed response
+     * @throws {Error} If the target is not running or the inspector cannot be reached
+     * @private
+     */
+    fetchFromInspector(endpoint) {
+        if (this.attachTarget) {
+            return RemoteDebuggerProxyServer.fetchJson(this.attachTarget.host || '127.0.0.1', this.attachTarget.port, endpoint);
+        }
+        if (!this.appProcess) {
+            return Promise.reject(new Error('target is not running'));
+        }
+        return RemoteDebuggerProxyServer.fetchJson('127.0.0.1', this.inspectPort, endpoint);
+    }
+
     /**
      * Sets up WebSocket upgrade handling for incoming client connections
      * @private
      */
     setupWebSocketUpgrade() {
         this.server.on('upgrade', (request, socket, head) => {
-            const wss = new WebSocket.Server({ noServer: true });
-            wss.handleUpgrade(request, socket, head, (wsClient) => {
-                this.killChildProcess();
-                this.handleNewClient(wsClient);
-            });
+            if (!this.verifyUpgrade(request)) {
+                socket.write('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+                socket.destroy();
+                return;
+            }
+            if (!this.authorize(request)) {
+                socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+                socket.destroy();
+                return;
+            }
+            this.handleUpgrade(request, socket, head);
         });
     }
 
     /**
-     * Handles a new client connection
-     * Waits for debugger to be ready before creating proxy
-     * @param {WebSocket} wsClient - The client WebSocket connection
+     * Accepts a client WebSocket connection for this session
+     * Called for upgrades on the proxy port, or by the main HTTP server in single-port mode.
+     * @param {http.IncomingMessage} request - Upgrade request (?token=...&role=... in the URL)
+     * @param {net.Socket} socket - Client socket
+     * @param {Buffer} head - First packet of the upgraded stream
+     */
+    handleUpgrade(request, socket, head) {
+        const wss = new WebSocket.Server({ noServer: true });
+        wss.handleUpgrade(request, socket, head, (wsClient) => {
+            const query = new URL(request.url, 'http://localhost').searchParams;
+
+            // Watch-only clients never (re)start the target
+            if (query.get('token') === this.observerToken) {
+                if (!this.isResumable()) {
+                    wsClient.close(1008, 'Session is not running');
+                    return;
+                }
+                this.joinClient(wsClient, 'observer', true);
+                return;
+            }
+
+            if (this.canResume(query.get('token'))) {
+                this.joinClient(wsClient, query.get('role'));
+                return;
+            }
+
+            // Without the session token a client may watch, but not end the run of those attached
+            if (query.get('token') !== this.sessionToken && (this.isResumable() || this.activeProxies.length > 0)) {
+                if (this.isResumable()) {
+                    this.joinClient(wsClient, 'observer');
+                } else {
+                    wsClient.close(1008, 'Session is in use');
+                }
+                return;
+            }
+
+            // Fresh start: everyone still attached to the previous run is disconnected
+            this.disconnectAllClients();
+            this.endDebugging();
+            this.handleNewClient(this.addClient(wsClient, 'driver'));
+        });
+    }
+
+    /**
+     * Handles a new client connection that (re)starts the target
+     * Waits for debugger to be ready before announcing the client
+     * @param {Proxy} proxy - The client's proxy
      * @private
      */
 
-    handleNewClient(wsClient) {
+    handleNewClient(proxy) {
+        const wsClient = proxy.clientws;
         this.logger.info('Browser client connected');
 
+        const cancel = this.startTarget(wsClient, () => {
+            this.logger.info('Proxy created and patched');
+            this.announceClient(proxy, false);
+        });
+
+        wsClient.on('close', cancel);
+    }
+
+    /**
+     * Spawns the target (or attaches to it) and waits for the debugger connection
+     * @param {WebSocket|null} wsClient - Client notified if attaching fails
+     * @param {Function} onReady - Called once the debugger connection is open
+     * @returns {Function} Stops waiting; onReady is not called afterwards
+     * @private
+     */
+    startTarget(wsClient, onReady) {
+        let done = false;
+
         // If a process is being killed, wait for it to exit before spawning new one
         const attemptSpawn = () => {
+            if (done) return;
             if (this.appProcess) {
                 this.logger.info(this.appProcess.killed ? 'Process is killed but not exited yet, waiting...' : 'Process still running, waiting...');
                 setTimeout(attemptSpawn, 1000);
@@ -138,36 +575,30 @@ class RemoteDebuggerProxyServer {
             this.restartChildProcess();
         };
 
-        attemptSpawn();
-
-        // Event-driven proxy setup (replaces busy-wait polling)
-        const setupProxy = () => {
-            // Create and patch proxy
-            const proxy = new Proxy(this.wsDebugger, wsClient, this.logLevel);
-            this.activeProxies.push(proxy);
-            proxy.patch();
-            this.logger.info('Proxy created and patched');
+        if (this.attachTarget) {
+            this.attachToTarget(wsClient);
+        } else {
+            attemptSpawn();
+        }
 
-            // Send ready signal to client
-            wsClient.send(JSON.stringify({
-                method: 'Proxy.ready',
-                params: {}
-            }));
+        // Event-driven setup (replaces busy-wait polling)
+        const ready = () => {
+            if (done) return;
+            done = true;
+            clearInterval(checkDebuggerInterval);
+            onReady();
         };
 
         // Set up event listener for when debugger becomes ready
         const onDebuggerReady = () => {
             if (this.wsDebugger && this.wsDebugger.readyState === WebSocket.OPEN) {
-                setupProxy();
+                ready();
             } else if (this.wsDebugger) {
-                this.wsDebugger.once('open', setupProxy);
+                this.wsDebugger.once('open', ready);
             }
         };
 
-        // Check if debugger is already open, otherwise wait for it
-        onDebuggerReady();
-
-        // Also check periodically in case wsDebugger gets set after this point
+        // Check periodically in case wsDebugger gets set after this point
         // (but at a reasonable 100ms interval, not 1ms)
         const checkDebuggerInterval = setInterval(() => {
             if (this.wsDebugger) {
@@ -176,16 +607,552 @@ class RemoteDebuggerProxyServer {
             }
         }, 100);
 
-        // When client closes, kill debugger process
-        wsClient.on('close', () => {
+        // Check if debugger is already open, otherwise wait for it
+        onDebuggerReady();
+
+        return () => {
+            done = true;
             clearInterval(checkDebuggerInterval);
-            this.logger.info('Client disconnected, killing debugger process');
-            this.activeProxies = this.activeProxies.filter(p => p.clientws !== wsClient);
+        };
+    }
+
+    /**
+     * Restarts the target process without disconnecting the clients (watch mode)
+     *
+     * Clients are sent Proxy.targetRestarting, then Proxy.ready with `restarted: true`
+     * once the new process is up. The new process waits on its first line until the
+     * driver has set its breakpoints again and sends Runtime.runIfWaitingForDebugger
+     * (started right away if nobody is driving). With no clients connected the target
+     * is just ended; the next client starts it afresh.
+     * @param {string} [reason='restart requested'] - Why the target restarts (shown to clients)
+     * @throws {Error} In attach mode, where the proxy did not start the target
+     */
+    restartTarget(reason = 'restart requested') {
+        if (this.attachTarget) {
+            throw new Error('Cannot restart a target the proxy did not start');
+        }
+
+        this.logger.info(`Restarting target: ${reason}`);
+        this.output.append('system', `Restarting (${reason})\n`);
+        this.activeProxies.forEach(p => p.send({ method: 'Proxy.targetRestarting', params: { reason } }));
+
+        // The old connection must not deliver anything else to the clients
+        if (this.wsDebugger) {
+            this.wsDebugger.removeAllListeners('message');
+            this.wsDebugger.close();
+        }
+        this.endDebugging();
+
+        if (this.activeProxies.length === 0) return;
+
+        this.holdOnStart = true;
+        this.cancelTargetStart = this.startTarget(null, () => {
+            this.cancelTargetStart = null;
+            if (!this.getDriver()) {
+                this.wsDebugger.send(JSON.stringify({ id: this.nextRequestId++, method: 'Runtime.runIfWaitingForDebugger' }));
+            }
+
+            this.activeProxies.forEach(proxy => proxy.send({
+                method: 'Proxy.ready',
+                params: { clientId: proxy.clientId, role: proxy.role, resumed: false, restarted: true }
+            }));
+            this.broadcastClients();
+        });
+    }
+
+    /**
+     * Checks whether a connecting client may re-attach to the running target
+     * @param {string|null} token - Token from the client's connection URL
+     * @returns {boolean} True if the token matches and the debugger connection is still up
+     * @private
+     */
+    canResume(token) {
+        return Boolean(token) && token === this.sessionToken && this.isResumable();
+    }
+
+    /**
+     * Whether a returning client would re-attach to a live target (rather than start it afresh)
+     * @returns {boolean}
+     */
+    isResumable() {
+        return this.wsDebugger !== null && this.wsDebugger.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Adds a client to the session
+     * @param {WebSocket} wsClient - The client WebSocket connection
+     * @param {string} role - 'driver' or 'observer'
+     * @param {boolean} [readOnly=false] - The client may never drive
+     * @returns {Proxy} The client's proxy
+     * @private
+     */
+    addClient(wsClient, role, readOnly = false) {
+        const proxy = new Proxy(wsClient, this, {
+            clientId: this.nextClientId++,
+            role,
+            readOnly,
+            logLevel: this.logLevel,
+            recorder: this.recorder
+        });
+
+        this.activeProxies.push(proxy);
+        proxy.patch();
+        wsClient.on('close', () => this.detachClient(proxy));
+
+        return proxy;
+    }
+
+    /**
+     * Lets a client with the session token join the running target
+     * @param {WebSocket} wsClient - The client WebSocket connection
+     * @param {string|null} requestedRole - 'observer' to join read-only even if nobody is driving
+     * @param {boolean} [readOnly=false] - Joined with the observer token (may never drive)
+     * @private
+     */
+    joinClient(wsClient, requestedRole, readOnly = false) {
+        clearTimeout(this.graceTimer);
+        this.graceTimer = null;
+
+        const role = requestedRole !== 'observer' && !this.getDriver() ? 'driver' : 'observer';
+        const proxy = this.addClient(wsClient, role, readOnly);
+        this.logger.info(`Browser client ${proxy.clientId} joined running target as ${role}`);
+
+        this.announceClient(proxy, true);
+    }
+
+    /**
+     * Tells a client it can start talking to the debugger (and which child targets are
+     * attached already), and everyone else that it joined
+     * @param {Proxy} proxy - The client's proxy
+     * @param {boolean} resumed - True if the target was already running
+     * @private
+     */
+    announceClient(proxy, resumed) {
+        proxy.send({
+            method: 'Proxy.ready',
+            params: { clientId: proxy.clientId, role: proxy.role, resumed }
+        });
+        this.childTargets.forEach(target => proxy.send({ method: 'Proxy.targetAttached', params: target.describe() }));
+        this.broadcastClients();
+    }
+
+    /**
+     * Gets the client currently driving the session
+     * @returns {Proxy|undefined}
+     */
+    getDriver() {
+        return this.activeProxies.find(p => p.role === 'driver');
+    }
+
+    /**
+     * Lists the connected clients
+     * @returns {Array<Object>} [{ clientId, role }]
+     */
+    getClients() {
+        return this.activeProxies.map(p => p.describe());
+    }
+
+    /**
+     * Lists the attached child targets (worker threads and child processes)
+     * @returns {Array<Object>} [{ sessionId, type, title, url, pid, parentSessionId, waitingForDebugger }]
+     */
+    getTargets() {
+        return [...this.childTargets.values()].map(target => target.describe());
+    }
+
+    /**
+     * Sends Proxy.clientsChanged to every client
+     * @private
+     */
+    broadcastClients() {
+        const driver = this.getDriver();
+        const message = JSON.stringify({
+            method: 'Proxy.clientsChanged',
+            params: { driverId: driver ? driver.clientId : null, clients: this.getClients() }
+        });
+        this.activeProxies.forEach(p => p.send(message));
+    }
+
+    /**
+     * Closes every client connection (before the target is restarted)
+     * @private
+     */
+    disconnectAllClients() {
+        const proxies = this.activeProxies;
+        this.activeProxies = [];
+        this.pendingRequests.clear();
+
+        proxies.forEach(proxy => {
+            const wsClient = proxy.clientws;
+            proxy.cleanup();
+            if (wsClient && wsClient.readyState === WebSocket.OPEN) {
+                this.logger.info(`Closing connection of client ${proxy.clientId}`);
+                wsClient.close();
+            }
+        });
+    }
+
+    /**
+     * Handles a client going away. When it was the last one, starts the reconnect
+     * grace period, after which the target is killed (or detached from, in attach mode)
+     * @param {Proxy} proxy - The client that disconnected
+     * @private
+     */
+    detachClient(proxy) {
+        // Already dropped (e.g. disconnected because the target was restarted)
+        if (!this.activeProxies.includes(proxy)) {
+            return;
+        }
+
+        this.activeProxies = this.activeProxies.filter(p => p !== proxy);
+        for (const [id, pending] of this.pendingRequests) {
+            if (pending.proxy === proxy) this.pendingRequests.delete(id);
+        }
+        for (const target of this.childTargets.values()) {
+            for (const [id, pending] of target.pendingRequests) {
+                if (pending.proxy === proxy) target.pendingRequests.delete(id);
+            }
+        }
+        proxy.cleanup();
+        this.releaseWaitingTargets();
+
+        if (this.activeProxies.length > 0) {
+            this.logger.info(`Client ${proxy.clientId} left, ${this.activeProxies.length} still attached`);
+            this.broadcastClients();
+            return;
+        }
+
+        const debuggerOpen = this.wsDebugger && this.wsDebugger.readyState === WebSocket.OPEN;
+        if (!debuggerOpen || this.reconnectGracePeriod <= 0) {
+            this.endDebugging();
+            return;
+        }
+
+        this.logger.info(`Last client disconnected, keeping target alive for ${this.reconnectGracePeriod}ms`);
+        clearTimeout(this.graceTimer);
+        this.graceTimer = setTimeout(() => {
+            this.graceTimer = null;
+            this.logger.info('Reconnect grace period expired');
+            this.endDebugging();
+        }, this.reconnectGracePeriod);
+    }
+
+    /**
+     * Routes a request from a client to the debugger
+     * Request ids are renumbered so that clients can't collide; enabling a domain
+     * that is already enabled is answered by the proxy (with a replay of what Node
+     * reported the first time), and observers are limited to read-only requests.
+     * Requests with a sessionId go to that child target, under the same rules.
+     * @param {Proxy} proxy - The client that sent the request
+     * @param {Object} command - CDP request { id, method, params, sessionId }
+     * @private
+     */
+    handleClientCommand(proxy, command) {
+        const { sessionId, ...request } = command;
+        const method = request.method || '';
+        const [domain, name] = method.split('.');
+        const target = sessionId !== undefined ? this.childTargets.get(sessionId) : null;
+        const reply = (message) => proxy.send(sessionId !== undefined ? { ...message, sessionId } : message);
+
+        if (domain === 'Proxy') {
+            this.handleProxyCommand(proxy, command);
+            return;
+        }
+
+        if (target === undefined) {
+            reply({ id: request.id, error: { code: -32000, message: `Target not found: ${sessionId}` } });
+            return;
+        }
+
+        // Workers are attached by the proxy itself (see handleWorkerEvent)
+        if (domain === 'NodeWorker') {
+            reply(name === 'enable' || name === 'disable'
+                ? { id: request.id, result: {} }
+                : { id: request.id, error: { code: -32000, message: 'Worker threads are attached by the proxy, see Proxy.targetAttached' } });
+            return;
+        }
+
+        const state = target ? target.state : this.debuggerState;
+        if (name === 'enable' && state.enabledDomains.has(domain)) {
+            this.replayEnable(proxy, request, domain, target);
+            return;
+        }
+
+        // Disabling a shared domain would pull it out from under the other clients
+        if (name === 'disable' && (proxy.role !== 'driver' || this.activeProxies.length > 1)) {
+            reply({ id: request.id, result: {} });
+            return;
+        }
+
+        if (proxy.role !== 'driver' && !this.isObserverRequest(request, name)) {
+            reply({
+                id: request.id,
+                error: { code: -32000, message: `${method} is only available to the session's driver` }
+            });
+            return;
+        }
+
+        if (target) {
+            if (method === 'Runtime.runIfWaitingForDebugger') target.waitingForDebugger = false;
+            const requestId = target.nextRequestId++;
+            target.pendingRequests.set(requestId, { proxy, id: request.id, method });
+            target.send(JSON.stringify({ ...request, id: requestId }));
+            return;
+        }
+
+        if (!this.wsDebugger || this.wsDebugger.readyState !== WebSocket.OPEN) {
+            reply({ id: request.id, error: { code: -32000, message: 'Debugger is not connected' } });
+            return;
+        }
+
+        const requestId = this.nextRequestId++;
+        this.pendingRequests.set(requestId, { proxy, id: request.id, method });
+        this.wsDebugger.send(JSON.stringify({ ...request, id: requestId }));
+    }
+
+    /**
+     * Checks whether an observer may send a request
+     * @param {Object} command - CDP request
+     * @param {string} name - Method name without the domain
+     * @returns {boolean}
+     * @private
+     */
+    isObserverRequest(command, name) {
+        if (name === 'enable' || name === 'disable') return true;
+        if (OBSERVER_METHODS.has(command.method)) return true;
+        return SIDE_EFFECT_FREE_METHODS.has(command.method) && command.params?.throwOnSideEffect === true;
+    }
+
+    /**
+     * Answers an enable request for a domain that is already enabled, re-sending what
+     * Node reported when it was first enabled, in the order Node would send it:
+     * Runtime: executionContextCreated events, then the response.
+     * Debugger: scriptParsed events, then the response, then the current pause (if any).
+     * @param {Proxy} proxy - The client that sent the request
+     * @param {Object} command - The enable request
+     * @param {string} domain - Domain being enabled
+     * @param {ChildTarget|null} [target=null] - Child target the request is for (null: the main target)
+     * @private
+     */
+    replayEnable(proxy, command, domain, target = null) {
+        const state = target ? target.state : this.debuggerState;
+        const send = (text) => proxy.send(target ? target.tag(text) : text);
+
+        if (domain === 'Runtime') {
+            state.contexts.forEach(send);
+        }
+        if (domain === 'Debugger') {
+            this.logger.info(`Replaying ${state.scripts.size} parsed scripts${state.paused ? ' and pause state' : ''} to client ${proxy.clientId}`);
+            state.scripts.forEach(send);
+        }
+
+        send(JSON.stringify({ id: command.id, result: state.enabledDomains.get(domain) }));
+
+        if (domain === 'Debugger' && state.paused) {
+            send(state.paused);
+        }
+    }
+
+    /**
+     * Handles the proxy's own methods
+     * - Proxy.getClients: { clientId, clients }
+     * - Proxy.takeControl: become the driver (only if nobody is driving)
+     * - Proxy.setDriver { clientId }: the driver hands control to another client
+     * - Proxy.getTargets: { targets } - the attached child targets
+     * - Proxy.setAutoAttach { waitForDebuggerOnStart }: the driver releases new child targets itself
+     * @param {Proxy} proxy - The client that sent the request
+     * @param {Object} command - The request
+     * @private
+     */
+    handleProxyCommand(proxy, command) {
+        const reply = (result) => proxy.send({ id: command.id, result });
+        const fail = (message) => proxy.send({ id: command.id, error: { code: -32000, message } });
+        const driver = this.getDriver();
+
+        switch (command.method) {
+            case 'Proxy.getClients':
+                reply({ clientId: proxy.clientId, clients: this.getClients() });
+                return;
+
+            case 'Proxy.getTargets':
+                reply({ targets: this.getTargets() });
+                return;
+
+            case 'Proxy.setAutoAttach':
+                proxy.autoAttach = command.params?.waitForDebuggerOnStart === true;
+                reply({});
+                this.releaseWaitingTargets();
+                return;
+
+            case 'Proxy.takeControl':
+                if (proxy.readOnly) {
+                    fail('This client can only watch the session');
+                    return;
+                }
+                if (driver && driver !== proxy) {
+                    fail(`Client ${driver.clientId} is driving this session`);
+                    return;
+                }
+                proxy.role = 'driver';
+                reply({ role: proxy.role });
+                break;
+
+            case 'Proxy.setDriver': {
+                const target = this.activeProxies.find(p => p.clientId === command.params?.clientId);
+                if (proxy !== driver) {
+                    fail('Only the driver can hand over control');
+                    return;
+                }
+                if (!target) {
+                    fail(`Client not found: ${command.params?.clientId}`);
+                    return;
+                }
+                if (target.readOnly) {
+                    fail(`Client ${target.clientId} can only watch the session`);
+                    return;
+                }
+                proxy.role = 'observer';
+                target.role = 'driver';
+                reply({ role: proxy.role });
+                break;
+            }
+
+            default:
+                fail(`Unknown method: ${command.method}`);
+                return;
+        }
+
+        this.logger.info(`Client ${this.getDriver().clientId} is now driving`);
+        this.broadcastClients();
+        this.releaseWaitingTargets();
+    }
+
+    /**
+     * Ends the current debugging run: kills the target (or just detaches if we didn't spawn it)
+     * and resets state for the next connection
+     * @private
+     */
+    endDebugging() {
+        clearTimeout(this.graceTimer);
+        this.graceTimer = null;
+        if (this.cancelTargetStart) {
+            this.cancelTargetStart();
+            this.cancelTargetStart = null;
+        }
+        this.holdOnStart = false;
+
+        if (this.attachTarget) {
+            if (this.wsDebugger) {
+                this.logger.info('Detaching from target (process left running)');
+                this.wsDebugger.close();
+            }
+        } else if (this.appProcess) {
+            this.logger.info('Killing debugger process');
             this.killChildProcess();
-            // Reset state for next connection
-            this.wsDebugger = null;
-            this.debuggerURL = '';
+        }
+
+        this.childTargets.forEach(target => this.removeChildTarget(target));
+        this.wsDebugger = null;
+        this.debuggerURL = '';
+        this.pendingRequests.clear();
+        this.resetDebuggerState();
+    }
+
+    /**
+     * Forgets what the debugger reported (new target, or the connection to it ended)
+     * @private
+     */
+    resetDebuggerState() {
+        this.debuggerState = {
+            enabledDomains: new Map(),
+            scripts: new Map(),
+            contexts: new Map(),
+            paused: null
+        };
+    }
+
+    /**
+     * Attaches to an already-running inspector (attach mode)
+     * Discovers the target via /json/list and connects to its WebSocket
+     * @param {WebSocket} wsClient - The client WebSocket connection, notified on failure
+     * @private
+     */
+    async attachToTarget(wsClient) {
+        const { host = '127.0.0.1', port, targetId } = this.attachTarget;
+
+        try {
+            const targets = await RemoteDebuggerProxyServer.listTargets(host, port);
+            const target = targetId ? targets.find(t => t.id === targetId) : targets[0];
+
+            if (!target) {
+                throw new Error(targetId
+                    ? `Target ${targetId} not found on ${host}:${port}`
+                    : `No inspectable targets on ${host}:${port}`);
+            }
+
+            this.debuggerURL = target.webSocketDebuggerUrl;
+            this.logger.info(`\n*** Attaching to ${target.title} (${target.id}) at ${this.debuggerURL} ***\n`);
+            this.connectToDebugger();
+        } catch (err) {
+            this.logger.error('Failed to attach to target:', err.message);
+            if (wsClient.readyState === WebSocket.OPEN) {
+                wsClient.send(JSON.stringify({
+                    method: 'Proxy.error',
+                    params: { message: err.message }
+                }));
+                wsClient.close();
+            }
+        }
+    }
+
+    /**
+     * Lists the debuggable targets of a running inspector
+     * @param {string} host - Inspector host
+     * @param {number} port - Inspector port
+     * @returns {Promise<Array>} Targets as reported by /json/list (id, title, url, webSocketDebuggerUrl)
+     */
+    static listTargets(host, port) {
+        return RemoteDebuggerProxyServer.fetchJson(host, port, '/json/list');
+    }
+
+    /**
+     * Fetches a JSON document from an inspector's HTTP endpoint
+     * @param {string} host - Inspector host
+     * @param {number} port - Inspector port
+     * @param {string} endpoint - Path, e.g. '/json/list'
+     * @returns {Promise<Object|Array>} Parsed response
+     */
+    static fetchJson(host, port, endpoint) {
+        return new Promise((resolve, reject) => {
+            const req = http.get({ host, port, path: endpoint, timeout: 5000 }, (res) => {
+                let body = '';
+                res.on('data', chunk => body += chunk);
+                res.on('end', () => {
+                    try {
+                        resolve(JSON.parse(body));
+                    } catch (err) {
+                        reject(new Error(`Invalid ${endpoint} response from ${host}:${port}`));
+                    }
+                });
+            });
+
+            req.on('timeout', () => req.destroy(new Error(`Timed out contacting inspector at ${host}:${port}`)));
+            req.on('error', (err) => reject(new Error(`Cannot reach inspector at ${host}:${port}: ${err.message}`)));
+        });
+    }
+
+    /**
+     * The part of the server's environment that programs it runs for users get (see TARGET_ENV)
+     * @returns {Object} Environment variables
+     */
+    static getTargetEnv() {
+        const env = {};
+        Object.keys(process.env).forEach(name => {
+            if (TARGET_ENV.has(name.toUpperCase()) || name.startsWith('LC_')) {
+                env[name] = process.env[name];
+            }
         });
+        return env;
     }
 
     /**
@@ -200,19 +1167,81 @@ class RemoteDebuggerProxyServer {
             return;
         }
 
-        this.logger.info(`Spawning process for: ${this.targetScript}`);
+        this.logger.info(`Spawning process for: ${this.command ? this.command.join(' ') : this.targetScript}`);
+
+        const heapFlags = this.limits.maxHeap ? [`--max-old-space-size=${this.limits.maxHeap}`] : [];
+
+        // Child processes of the program announce their inspectors here
+        const discovery = new ChildProcessDiscovery();
+        discovery.on('process', info => this.attachChildProcess(info, discovery));
+        discovery.on('error', err => this.logger.warn(`No longer discovering child processes: ${err.message}`));
+        discovery.start();
+        this.discovery = discovery;
+
+        const preload = [this.env.NODE_OPTIONS ?? process.env.NODE_OPTIONS, `--require ${JSON.stringify(DEBUG_BOOTSTRAP)}`];
+        const env = { ...RemoteDebuggerProxyServer.getTargetEnv(), ...this.env, BADGERBOX_DEBUG_DIR: discovery.dir };
 
-        this.appProcess = spawn('node', [`--inspect=${this.inspectPort}`, this.targetScript]);
+        if (this.command) {
+            // The bootstrap makes the debugged process wait for the debugger anyway
+            this.skipEntryPause = false;
+            this.holdOnStart = false;
+            this.appProcess = spawn(this.command[0], [...this.command.slice(1), ...this.args], {
+                cwd: this.cwd,
+                env: {
+                    ...env,
+                    NODE_OPTIONS: [...preload, ...heapFlags, ...this.nodeFlags].filter(Boolean).join(' '),
+                    BADGERBOX_DEBUG_PORT: String(this.inspectPort)
+                },
+                // A group of its own, so the processes it starts can be ended with it
+                detached: true
+            });
+        } else {
+            // After a restart (or always, with waitForDebugger) the process waits for the driver's
+            // breakpoints; the pause --inspect-brk adds on the first line is skipped unless stopOnEntry wants it
+            const hold = this.holdOnStart || this.waitForDebugger;
+            const inspectFlag = this.stopOnEntry || hold ? '--inspect-brk' : '--inspect';
+            this.skipEntryPause = hold && !this.stopOnEntry;
+            this.holdOnStart = false;
+            const sandboxFlags = this.sandbox ? this.sandbox.getNodeFlags([DEBUG_BOOTSTRAP]) : [];
+            this.appProcess = spawn('node', [
+                ...sandboxFlags,
+                ...this.nodeFlags,
+                ...heapFlags,
+                `${inspectFlag}=${this.inspectPort}`,
+                this.targetScript,
+                ...this.args
+            ], {
+                cwd: this.cwd,
+                env: { ...env, NODE_OPTIONS: preload.filter(Boolean).join(' ') },
+                detached: true
+            });
+        }
+
+        const child = this.appProcess;
+        const run = {
+            pid: child.pid,
+            startedAt: new Date().toISOString(),
+            limit: null,
+            outputSeq: this.output.append('system', `Process started (pid ${child.pid})\n`).seq
+        };
+        this.lastException = null;
+        this.emit('start', { pid: run.pid, startedAt: run.startedAt });
+        const limits = this.enforceLimits(child, run);
 
         // Parse debugger URL from process output
         const checkOutputForUrl = (data) => {
             const output = data.toString();
             process.stdout.write(output);
 
-            const match = output.match(/(ws:\/\/\S+)/);
+            if (output.includes('Waiting for the debugger to disconnect')) {
+                this.releaseExitingTarget();
+            }
+
+            // Only the listening notice: an exiting process prints "Debugger ending on ws://..."
+            const match = output.match(/Debugger listening on (ws:\/\/\S+)/);
 
             if (match && !this.debuggerURL) {
-                this.debuggerURL = match[0];
+                this.debuggerURL = match[1];
                 const uri = this.debuggerURL.replaceAll('ws://', '');
                 let spec = uri.split('/')[0].split(':');
                 let host = spec[0];
@@ -225,19 +1254,192 @@ class RemoteDebuggerProxyServer {
             }
         };
 
-        this.appProcess.stdout.on('data', checkOutputForUrl);
-        this.appProcess.stderr.on('data', checkOutputForUrl);
+        this.appProcess.stdout.on('data', (data) => {
+            checkOutputForUrl(data);
+            // A command's processes may relay the inspector notices on stdout (node --test)
+            const text = this.command ? this.stripInspectorNotices(data.toString()) : data.toString();
+            if (text) {
+                this.output.append('stdout', text);
+                limits.countOutput(text.length);
+            }
+        });
+
+        this.appProcess.stderr.on('data', (data) => {
+            checkOutputForUrl(data);
+            const text = this.stripInspectorNotices(data.toString());
+            if (text) {
+                this.output.append('stderr', text);
+                limits.countOutput(text.length);
+            }
+            if (this.limits.maxHeap && text.includes('JavaScript heap out of memory')) {
+                limits.exceeded('maxHeap', this.limits.maxHeap, `Program used more than ${this.limits.maxHeap} MB of heap`);
+            }
+            const violation = this.sandbox && SandboxPolicy.parseViolation(text);
+            if (violation) {
+                this.reportSandboxViolation(violation);
+            }
+        });
 
         this.appProcess.on('error', (err) => {
             this.logger.error('Failed to spawn application process:', err);
+            this.output.append('system', `Failed to start process: ${err.message}\n`);
+            discovery.stop();
             this.appProcess = null;
         });
 
-        this.appProcess.on('exit', (code) => {
+        this.appProcess.on('exit', (code, signal) => {
             this.logger.info(`Process exited with code ${code}`);
+            this.output.append('system', signal
+                ? `Process exited with signal ${signal}\n`
+                : `Process exited with code ${code}\n`);
+            limits.stop();
+            discovery.stop();
+            if (this.discovery === discovery) this.discovery = null;
+            Object.assign(run, {
+                exitedAt: new Date().toISOString(),
+                code,
+                signal,
+                killed: child.killed && !run.limit,
+                exception: this.lastException
+            });
             // Clean up reference when process actually exits
             this.appProcess = null;
         });
+
+        // Reported once stdout/stderr are drained, so the run's output is complete
+        child.on('close', () => {
+            if (!run.exitedAt) return;
+            this.emit('exit', run);
+            if (!run.killed) {
+                const params = { code: run.code, signal: run.signal, exception: run.exception, limit: run.limit };
+                this.activeProxies.forEach(p => p.send({ method: 'Proxy.targetExited', params }));
+            }
+        });
+    }
+
+    /**
+     * Enforces the resource limits on a spawned target process
+     * Time and CPU usage are checked once a second; output is counted per second.
+     * @param {ChildProcess} child - The target process
+     * @param {Object} run - The run's exit report; `limit` is set when a limit ends the run
+     * @returns {Object} { countOutput(bytes), exceeded(type, value, message), stop() }
+     * @private
+     */
+    enforceLimits(child, run) {
+        const { timeout, cpuTime, maxOutputRate } = this.limits;
+        const streams = [child.stdout, child.stderr];
+        let runningMs = 0;
+        let lastTick = Date.now();
+        let outputBytes = 0;
+        let throttled = false;
+        let throttledThisSecond = false;
+
+        // The process ends because of the limit (it is killed, or dies of it like with maxHeap)
+        const exceeded = (type, value, message) => {
+            if (run.limit) return;
+            run.limit = this.reportLimit({ type, value, message, action: 'killed' });
+            if (type !== 'maxHeap') this.signalProcess(child, 'SIGKILL');
+        };
+
+        const tick = () => {
+            const now = Date.now();
+            if (!this.debuggerState.paused) runningMs += now - lastTick;
+            lastTick = now;
+
+            if (timeout && runningMs > timeout) {
+                exceeded('timeout', timeout, `Program ran longer than ${timeout / 1000}s`);
+            }
+            if (cpuTime) {
+                const used = readCpuTime(child.pid, true);
+                if (used !== null && used > cpuTime) {
+                    exceeded('cpuTime', cpuTime, `Program used more than ${cpuTime / 1000}s of CPU time`);
+                }
+            }
+
+            // A new second: read from the program again
+            if (!throttledThisSecond) throttled = false;
+            throttledThisSecond = false;
+            outputBytes = 0;
+            streams.forEach(stream => stream.resume());
+        };
+        const ticker = timeout || cpuTime || maxOutputRate ? setInterval(tick, 1000) : null;
+
+        const countOutput = (bytes) => {
+            outputBytes += bytes;
+            if (!maxOutputRate || outputBytes <= maxOutputRate) return;
+
+            streams.forEach(stream => stream.pause());
+            throttledThisSecond = true;
+            if (!throttled) {
+                throttled = true;
+                this.reportLimit({
+                    type: 'maxOutputRate',
+                    value: maxOutputRate,
+                    message: `Program writes more than ${maxOutputRate} bytes of output per second`,
+                    action: 'throttled'
+                });
+            }
+        };
+
+        // Paused streams would keep the process from closing
+        const stop = () => {
+            clearInterval(ticker);
+            streams.forEach(stream => stream.resume());
+        };
+
+        return { countOutput, exceeded, stop };
+    }
+
+    /**
+     * Tells the clients (and the output) that a resource limit was hit
+     * @param {Object} report - { type, value, message, action }
+     * @returns {Object} The report
+     * @private
+     */
+    reportLimit(report) {
+        this.logger.warn(`Limit exceeded: ${report.message}`);
+        this.output.append('system', `${report.message}, ${report.action === 'killed' ? 'stopping it' : 'throttling its output'}\n`);
+        this.activeProxies.forEach(p => p.send({ method: 'Proxy.limitExceeded', params: report }));
+        this.emit('limitExceeded', report);
+        return report;
+    }
+
+    /**
+     * Tells the clients (and the output) that the sandbox denied the program an access
+     * @param {Object} violation - { permission, resource } (see SandboxPolicy.parseViolation)
+     * @private
+     */
+    reportSandboxViolation({ permission, resource }) {
+        const report = { permission, resource, message: SandboxPolicy.describeViolation({ permission, resource }) };
+        this.logger.warn(report.message);
+        this.output.append('system', `${report.message}\n`);
+        this.activeProxies.forEach(p => p.send({ method: 'Proxy.sandboxViolation', params: report }));
+        this.emit('sandboxViolation', report);
+    }
+
+    /**
+     * Lets a finished (or crashed) target exit: Node keeps the process alive until
+     * its debugger disconnects
+     * @private
+     */
+    releaseExitingTarget() {
+        if (this.wsDebugger && !this.attachTarget) {
+            this.logger.info('Target is exiting, disconnecting from its debugger');
+            this.wsDebugger.close();
+        }
+    }
+
+    /**
+     * Removes the inspector's own notices from a chunk of stderr output
+     * @param {string} text - stderr chunk
+     * @returns {string} The chunk without inspector notices (may be empty)
+     * @private
+     */
+    stripInspectorNotices(text) {
+        return text
+            .split(/(?<=\n)/)
+            .filter(line => !INSPECTOR_NOTICE.test(line))
+            .join('');
     }
 
     /**
@@ -246,14 +1448,29 @@ class RemoteDebuggerProxyServer {
      */
     connectToDebugger() {
         this.logger.info('attempting to connect to debugger at:', this.debuggerURL);
-        this.wsDebugger = new WebSocket(this.debuggerURL);
+        const wsDebugger = new WebSocket(this.debuggerURL);
+        this.wsDebugger = wsDebugger;
+        this.resetDebuggerState();
+
+        this.wsDebugger.on('message', message => {
+            // Logging disabled - causes CPU pegging with high message volume
+            // this.logger.info("nodews onmessage", message.toString());
+            this.routeDebuggerMessage(message.toString());
+        });
 
         this.wsDebugger.on('open', () => {
             this.logger.info('*** Internal connection to Node Debugger established. ***');
+            this.sendToTarget(null, 'NodeWorker.enable', { waitForDebuggerOnStart: true });
         });
 
         this.wsDebugger.on('close', (code, reason) => {
             this.logger.error(`*** Debugger WebSocket CLOSED: code=${code}, reason=${reason.toString()}`);
+            // The main target's workers are out of reach now
+            if (this.wsDebugger === wsDebugger) {
+                this.childTargets.forEach(target => {
+                    if (target.type === 'worker' && !target.parent) this.removeChildTarget(target);
+                });
+            }
         });
 
         this.wsDebugger.on('error', (err) => {
@@ -261,6 +1478,296 @@ class RemoteDebuggerProxyServer {
         });
     }
 
+    /**
+     * Routes a message from the debugger: responses go back to the client that made
+     * the request (with its own id restored), events go to every client
+     * Responses to the proxy's own requests are dropped.
+     * @param {string} text - Raw debugger message
+     * @param {ChildTarget|null} [target=null] - Child target the message is from (null: the main target)
+     * @private
+     */
+    routeDebuggerMessage(text, target = null) {
+        // Errors about unknown methods come with "error" first
+        if (text.startsWith('{"error":')) {
+            const { id, ...rest } = JSON.parse(text);
+            text = JSON.stringify({ id, ...rest });
+        }
+
+        // Node serializes responses with "id" first and events with "method" first
+        const response = text.match(/^\{"id":(\d+)/);
+
+        if (response) {
+            const pendingRequests = target ? target.pendingRequests : this.pendingRequests;
+            const requestId = parseInt(response[1]);
+            const pending = pendingRequests.get(requestId);
+            if (!pending) return;
+            pendingRequests.delete(requestId);
+
+            const [domain, name] = pending.method.split('.');
+            if (name === 'enable' || name === 'disable') {
+                this.trackDomainState(domain, name, JSON.parse(text), target);
+            }
+
+            const reply = `{"id":${pending.id}${text.slice(response[0].length)}`;
+            pending.proxy.send(target ? target.tag(reply) : reply);
+            return;
+        }
+
+        if (text.startsWith('{"method":"NodeWorker.')) {
+            this.handleWorkerEvent(JSON.parse(text), target);
+            return;
+        }
+
+        const holder = target || this;
+        if (holder.skipEntryPause && text.startsWith('{"method":"Debugger.paused"')) {
+            holder.skipEntryPause = false;
+            if (JSON.parse(text).params.reason === 'Break on start') {
+                this.sendToTarget(target, 'Debugger.resume');
+                return;
+            }
+        }
+
+        this.trackDebuggerState(text, target);
+        const event = target ? target.tag(text) : text;
+        this.activeProxies.forEach(p => p.send(event));
+    }
+
+    /**
+     * Records which domains are enabled on the shared debugger connection
+     * @param {string} domain - Domain name
+     * @param {string} name - 'enable' or 'disable'
+     * @param {Object} response - Debugger response
+     * @param {ChildTarget|null} [target=null] - Child target of the connection (null: the main target)
+     * @private
+     */
+    trackDomainState(domain, name, response, target = null) {
+        if (response.error) return;
+        const state = target ? target.state : this.debuggerState;
+
+        if (name === 'enable') {
+            state.enabledDomains.set(domain, response.result);
+            return;
+        }
+
+        state.enabledDomains.delete(domain);
+        if (domain === 'Debugger') {
+            state.scripts.clear();
+            state.paused = null;
+        }
+        if (domain === 'Runtime') {
+            state.contexts.clear();
+        }
+    }
+
+    /**
+     * Records parsed scripts, execution contexts and the pause state from debugger events,
+     * so they can be re-sent to clients that enable a domain later, and the last uncaught
+     * exception for the target's exit report
+     * Only events that matter are parsed, the rest are skipped cheaply.
+     * @param {string} text - Raw debugger event
+     * @param {ChildTarget|null} [target=null] - Child target the event is from (null: the main target)
+     * @private
+     */
+    trackDebuggerState(text, target = null) {
+        const match = text.match(/^\{"method":"(Debugger\.scriptParsed|Debugger\.paused|Debugger\.resumed|Runtime\.executionContextCreated|Runtime\.executionContextDestroyed|Runtime\.executionContextsCleared|Runtime\.exceptionThrown)"/);
+        if (!match) return;
+
+        const state = target ? target.state : this.debuggerState;
+        switch (match[1]) {
+            case 'Debugger.scriptParsed':
+                state.scripts.set(JSON.parse(text).params.scriptId, text);
+                break;
+            case 'Debugger.paused':
+                state.paused = text;
+                break;
+            case 'Debugger.resumed':
+                state.paused = null;
+                break;
+            case 'Runtime.executionContextCreated':
+                state.contexts.set(JSON.parse(text).params.context.id, text);
+                break;
+            case 'Runtime.executionContextDestroyed':
+                state.contexts.delete(JSON.parse(text).params.executionContextId);
+                break;
+            case 'Runtime.executionContextsCleared':
+                state.contexts.clear();
+                state.scripts.clear();
+                break;
+            case 'Runtime.exceptionThrown':
+                if (!target) this.lastException = this.describeException(JSON.parse(text).params.exceptionDetails);
+                break;
+        }
+    }
+
+    /**
+     * Summarizes an uncaught exception reported by Runtime.exceptionThrown
+     * The position is that of the innermost stack frame in a file (0-based, like CDP),
+     * falling back to where the inspector reported the exception.
+     * @param {Object} details - exceptionDetails of the event
+     * @returns {Object} { message, stack, url, lineNumber, columnNumber }
+     * @private
+     */
+    describeException(details) {
+        const exception = details.exception || {};
+        const stack = exception.description || String(exception.value ?? details.text);
+        const frames = details.stackTrace ? details.stackTrace.callFrames : [];
+        const frame = frames.find(f => f.url.startsWith('file://')) || frames[0] || details;
+
+        return {
+            message: stack.split('\n')[0],
+            stack,
+            url: frame.url || null,
+            lineNumber: frame.lineNumber,
+            columnNumber: frame.columnNumber
+        };
+    }
+
+    /**
+     * Sends a request of the proxy's own to a target; its response is dropped
+     * @param {ChildTarget|null} target - Child target (null: the main target)
+     * @param {string} method - CDP method
+     * @param {Object} [params={}] - Parameters
+     * @private
+     */
+    sendToTarget(target, method, params = {}) {
+        if (target) {
+            target.request(method, params);
+        } else if (this.wsDebugger && this.wsDebugger.readyState === WebSocket.OPEN) {
+            this.wsDebugger.send(JSON.stringify({ id: this.nextRequestId++, method, params }));
+        }
+    }
+
+    /**
+     * Keeps track of the worker threads of a target (NodeWorker events)
+     * Messages from a worker arrive wrapped in its parent's receivedMessageFromWorker
+     * and are routed like those of any other target.
+     * @param {Object} event - NodeWorker event
+     * @param {ChildTarget|null} parent - Target that runs the worker (null: the main target)
+     * @private
+     */
+    handleWorkerEvent(event, parent) {
+        const workerSessionId = event.params.sessionId;
+        const worker = [...this.childTargets.values()]
+            .find(t => t.parent === parent && t.workerSessionId === workerSessionId);
+
+        switch (event.method) {
+            case 'NodeWorker.attachedToWorker': {
+                const { workerInfo, waitingForDebugger } = event.params;
+                const target = new ChildTarget({
+                    sessionId: `worker-${this.nextChildTargetId++}`,
+                    type: 'worker',
+                    title: workerInfo.title || `Worker ${workerInfo.workerId}`,
+                    url: workerInfo.url,
+                    parent,
+                    waitingForDebugger
+                }, message => this.sendToTarget(parent, 'NodeWorker.sendMessageToWorker', { sessionId: workerSessionId, message }));
+                target.workerSessionId = workerSessionId;
+                // A worker waiting for the debugger also pauses on its first line; it should just wait
+                target.skipEntryPause = waitingForDebugger;
+                target.request('NodeWorker.enable', { waitForDebuggerOnStart: true });
+                this.addChildTarget(target);
+                break;
+            }
+
+            case 'NodeWorker.receivedMessageFromWorker':
+                if (worker) this.routeDebuggerMessage(event.params.message, worker);
+                break;
+
+            case 'NodeWorker.detachedFromWorker':
+                if (worker) this.removeChildTarget(worker);
+                break;
+        }
+    }
+
+    /**
+     * Attaches to a child process that announced its inspector
+     * @param {Object} info - Announcement { pid, ppid, port, title, url }
+     * @param {ChildProcessDiscovery} discovery - Discovery of the run it belongs to
+     * @private
+     */
+    async attachChildProcess(info, discovery) {
+        let inspectorTarget;
+        try {
+            [inspectorTarget] = await RemoteDebuggerProxyServer.listTargets('127.0.0.1', info.port);
+        } catch (err) {
+            this.logger.warn(`Cannot attach to child process ${info.pid}: ${err.message}`);
+            return;
+        }
+        // The run ended meanwhile
+        if (!inspectorTarget || this.discovery !== discovery) return;
+
+        const target = new ChildTarget({
+            sessionId: `process-${this.nextChildTargetId++}`,
+            type: 'process',
+            title: info.title,
+            url: info.url || inspectorTarget.url,
+            pid: info.pid,
+            parent: [...this.childTargets.values()].find(t => t.type === 'process' && t.pid === info.ppid),
+            waitingForDebugger: true
+        }, message => {
+            if (target.ws && target.ws.readyState === WebSocket.OPEN) target.ws.send(message);
+        });
+
+        target.ws = new WebSocket(inspectorTarget.webSocketDebuggerUrl);
+        target.ws.on('open', () => {
+            target.request('NodeWorker.enable', { waitForDebuggerOnStart: true });
+            this.addChildTarget(target);
+        });
+        target.ws.on('message', message => this.routeDebuggerMessage(message.toString(), target));
+        target.ws.on('close', () => this.removeChildTarget(target));
+        target.ws.on('error', err => this.logger.warn(`Child process ${info.pid}: ${err.message}`));
+    }
+
+    /**
+     * Adds a child target and tells the clients about it
+     * A new target waiting for the debugger is released right away unless the driver
+     * releases targets itself (Proxy.setAutoAttach).
+     * @param {ChildTarget} target - The new target
+     * @private
+     */
+    addChildTarget(target) {
+        this.logger.info(`Attached to ${target.type} ${target.title} as ${target.sessionId}`);
+        this.childTargets.set(target.sessionId, target);
+
+        const params = target.describe();
+        this.activeProxies.forEach(p => p.send({ method: 'Proxy.targetAttached', params }));
+        this.releaseWaitingTargets();
+    }
+
+    /**
+     * Removes a child target (and the workers it ran) and tells the clients
+     * @param {ChildTarget} target - The target that went away
+     * @private
+     */
+    removeChildTarget(target) {
+        if (this.childTargets.get(target.sessionId) !== target) return;
+
+        this.childTargets.delete(target.sessionId);
+        target.close();
+        this.childTargets.forEach(child => {
+            if (child.parent === target) this.removeChildTarget(child);
+        });
+
+        this.logger.info(`Detached from ${target.type} ${target.title} (${target.sessionId})`);
+        const params = { sessionId: target.sessionId };
+        this.activeProxies.forEach(p => p.send({ method: 'Proxy.targetDetached', params }));
+    }
+
+    /**
+     * Lets child targets that wait for the debugger run, unless the driver releases them itself
+     * @private
+     */
+    releaseWaitingTargets() {
+        const driver = this.getDriver();
+        if (driver && driver.autoAttach) return;
+
+        this.childTargets.forEach(target => {
+            if (!target.waitingForDebugger) return;
+            target.waitingForDebugger = false;
+            target.request('Runtime.runIfWaitingForDebugger');
+        });
+    }
+
     /**
      * Gets the debugger WebSocket URL
      * @returns {string} The debugger WebSocket URL
@@ -270,41 +1777,83 @@ class RemoteDebuggerProxyServer {
     }
 
     /**
-     * Stops the proxy server and cleans up all resources
+     * Stops the target process and the processes it started
+     * What is left of them KILL_TIMEOUT ms later (SIGTERM may be ignored), or once the
+     * target has exited, is killed.
      */
     killChildProcess() {
-        if (this.appProcess) {
-            this.logger.info('Killing child process...');
+        const child = this.appProcess;
+        if (!child) return;
+
+        this.logger.info('Killing child process...');
+        try {
+            this.signalProcess(child);
+            // Don't set to null here - let the exit handler do it
+        } catch (err) {
+            this.logger.error('Error killing process:', err);
+            this.appProcess = null;
+            return;
+        }
+
+        const timer = setTimeout(() => this.signalProcess(child, 'SIGKILL'), KILL_TIMEOUT);
+        child.once('exit', () => {
+            clearTimeout(timer);
             try {
-                this.appProcess.kill();
-                // Don't set to null here - let the exit handler do it
+                process.kill(-child.pid, 'SIGKILL');
             } catch (err) {
-                this.logger.error('Error killing process:', err);
-                this.appProcess = null;
+                // Nothing of the group is left
             }
-        }
+        });
     }
 
-    restartChildProcess(){
-
-        try{
-            this.killChildProcess();
-        }
-        catch (e){
-            console.error(e);
+    /**
+     * Sends a signal to a target process and the processes it started (its process group)
+     * @param {ChildProcess} child - The target process
+     * @param {string} [signal='SIGTERM'] - Signal to send
+     * @private
+     */
+    signalProcess(child, signal = 'SIGTERM') {
+        try {
+            process.kill(-child.pid, signal);
+        } catch (err) {
+            // The group is gone already
         }
+        child.kill(signal);
+    }
 
+    /**
+     * Stops the target process (if any) and starts it again
+     */
+    restartChildProcess() {
+        this.killChildProcess();
         this.spawnTargetProcess();
     }
 
     /**
      * Stops the proxy server and cleans up all resources
+     * @returns {Promise<void>} Resolves once the target process has exited
      */
     stop() {
+        clearTimeout(this.graceTimer);
+        this.graceTimer = null;
+        if (this.cancelTargetStart) this.cancelTargetStart();
         if (this.server) this.server.close();
         if (this.wsDebugger) this.wsDebugger.close();
-        if (this.appProcess) this.killChildProcess();
-        this.activeProxies.forEach(proxy => proxy.cleanup());
+        this.disconnectAllClients();
+        this.childTargets.forEach(target => this.removeChildTarget(target));
+        if (this.recorder) this.recorder.close();
+
+        // Let output listeners see the exit notice before the stream ends
+        if (this.appProcess) {
+            const exited = new Promise(resolve => {
+                this.appProcess.once('exit', () => resolve());
+            });
+            this.appProcess.once('exit', () => this.output.close());
+            this.killChildProcess();
+            return exited;
+        }
+        this.output.close();
+        return Promise.resolve();
     }
 }
 
@@ -0,0 +1,421 @@
+const fs = require('fs').promises;
+const path = require('path');
+const WorkspaceSecurity = require('./workspace-security');
+const SandboxPolicy = require('./sandbox-policy');
+
+/**
+ * Launch Configurations
+ *
+ * Resolves the launch options of a debug session (program arguments, environment,
+ * working directory, extra node flags, stop-on-entry) and persists named launch
+ * configurations per project in .badgerbox/launch.json:
+ *
+ * {
+ *   "version": 1,
+ *   "configurations": [
+ *     {
+ *       "name": "Blink fast",
+ *       "program": "src/main.js",
+ *       "args": ["--interval", "100"],
+ *       "env": { "LED_PIN": "17" },
+ *       "envFile": ".env",
+ *       "cwd": ".",
+ *       "nodeFlags": ["--trace-warnings"],
+ *       "stopOnEntry": false,
+ *       "record": false,
+ *       "watch": false,
+ *       "sandbox": false,
+ *       "limits": { "timeout": 60000, "maxHeap": 128 }
+ *     },
+ *     { "name": "Tests", "script": "test" },
+ *     { "name": "Node tests", "command": ["node", "--test"] }
+ *   ]
+ * }
+ *
+ * Paths in a configuration (program, envFile, cwd) are relative to the project root.
+ * "record" saves the session's CDP traffic for replay (see CdpRecorder).
+ * "watch" restarts the program when a file of its project changes (see ProjectWatcher).
+ * "sandbox" runs the program under Node's permission model: files of its project only, no
+ * child processes, unless the project's package.json allows more (see SandboxPolicy).
+ * "limits" are resource limits (see LIMITS); they can tighten the server's defaults
+ * but not lift them.
+ * "script" (a package.json script, run with npm) or "command" (an argv starting with one
+ * of COMMAND_RUNNERS) run a command in the project root instead of a program; "args" are
+ * appended to it and "nodeFlags" passed through NODE_OPTIONS.
+ */
+class LaunchConfigManager {
+    /**
+     * Resource limits a launch configuration may set (0 = unlimited):
+     * timeout and cpuTime in ms, maxHeap in MB, maxOutputRate in bytes per second
+     */
+    static LIMITS = ['timeout', 'cpuTime', 'maxHeap', 'maxOutputRate'];
+
+    /**
+     * Executables a "command" may start
+     */
+    static COMMAND_RUNNERS = ['node', 'npm', 'npx'];
+
+    /**
+     * Node flags a sandboxed program may not be given: they would change what it is allowed
+     * (Node also reads them with underscores, and turned off with --no-)
+     */
+    static SANDBOX_FLAGS = /^--(no-)?(allow-|permission|experimental-permission)/;
+
+    /**
+     * Creates a new LaunchConfigManager instance
+     * @param {string} workspaceRoot - Absolute path to workspace root directory
+     */
+    constructor(workspaceRoot) {
+        this.security = new WorkspaceSecurity(workspaceRoot);
+    }
+
+    /**
+     * Parses the contents of a .env file
+     * Supports comments, blank lines, `export` prefixes and single/double quoted values.
+     * @param {string} content - .env file contents
+     * @returns {Object.<string, string>} Parsed variables
+     */
+    static parseEnv(content) {
+        const env = {};
+
+        content.split(/\r?\n/).forEach(line => {
+            const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)?\s*$/);
+            if (!match) return;
+
+            let value = (match[2] || '').trim();
+            const quote = value[0];
+
+            if ((quote === '"' || quote === "'") && value.endsWith(quote) && value.length > 1) {
+                value = value.slice(1, -1);
+                if (quote === '"') {
+                    value = value.replace(/\\n/g, '\n');
+                }
+            } else {
+                // Strip trailing comments from unquoted values
+                value = value.replace(/\s+#.*$/, '');
+            }
+
+            env[match[1]] = value;
+        });
+
+        return env;
+    }
+
+    /**
+     * Finds a flag a sandboxed program may not be given (see SANDBOX_FLAGS)
+     * @param {string[]} flags - Node flags
+     * @param {string} [nodeOptions] - NODE_OPTIONS for the program
+     * @returns {string|undefined} The first such flag, if any
+     */
+    static findSandboxFlag(flags, nodeOptions = '') {
+        return [...flags, ...nodeOptions.split(/\s+/)]
+            .find(flag => LaunchConfigManager.SANDBOX_FLAGS.test(flag.replace(/^"/, '').replace(/_/g, '-')));
+    }
+
+    /**
+     * Validates a launch configuration and returns a normalized copy
+     * @param {Object} config - Launch configuration
+     * @returns {Object} Normalized configuration
+     * @throws {Error} If a field has the wrong type
+     */
+    validate(config = {}) {
+        const invalid = (message) => new Error(`Invalid launch configuration: ${message}`);
+        const isStringArray = (value) => Array.isArray(value) && value.every(v => typeof v === 'string');
+
+        if (config.args !== undefined && !isStringArray(config.args)) {
+            throw invalid('args must be an array of strings');
+        }
+        if (config.nodeFlags !== undefined) {
+            if (!isStringArray(config.nodeFlags) || !config.nodeFlags.every(f => f.startsWith('-'))) {
+                throw invalid('nodeFlags must be an array of flags');
+            }
+            if (config.nodeFlags.some(f => f.startsWith('--inspect'))) {
+                throw invalid('nodeFlags must not contain --inspect flags (use stopOnEntry)');
+            }
+        }
+        if (config.env !== undefined) {
+            if (typeof config.env !== 'object' || config.env === null || Array.isArray(config.env)) {
+                throw invalid('env must be an object');
+            }
+            if (!Object.values(config.env).every(v => typeof v === 'string')) {
+                throw invalid('env values must be strings');
+            }
+        }
+        for (const field of ['name', 'program', 'envFile', 'cwd', 'script']) {
+            if (config[field] !== undefined && typeof config[field] !== 'string') {
+                throw invalid(`${field} must be a string`);
+            }
+        }
+        if (config.command !== undefined) {
+            if (!isStringArray(config.command) || config.command.length === 0) {
+                throw invalid('command must be a non-empty array of strings');
+            }
+            if (!LaunchConfigManager.COMMAND_RUNNERS.includes(config.command[0])) {
+                throw invalid(`command must start with one of: ${LaunchConfigManager.COMMAND_RUNNERS.join(', ')}`);
+            }
+        }
+        if (config.script !== undefined && config.command !== undefined) {
+            throw invalid('script and command cannot be used together');
+        }
+        if (config.stopOnEntry !== undefined && typeof config.stopOnEntry !== 'boolean') {
+            throw invalid('stopOnEntry must be a boolean');
+        }
+        if (config.record !== undefined && typeof config.record !== 'boolean') {
+            throw invalid('record must be a boolean');
+        }
+        if (config.watch !== undefined && typeof config.watch !== 'boolean') {
+            throw invalid('watch must be a boolean');
+        }
+        if (config.sandbox !== undefined && typeof config.sandbox !== 'boolean') {
+            throw invalid('sandbox must be a boolean');
+        }
+        if (config.sandbox) {
+            const flag = LaunchConfigManager.findSandboxFlag(config.nodeFlags || [], config.env?.NODE_OPTIONS);
+            if (flag) {
+                throw invalid(`${flag} cannot be used with sandbox (allow more in package.json)`);
+            }
+        }
+        if (config.limits !== undefined) {
+            if (typeof config.limits !== 'object' || config.limits === null || Array.isArray(config.limits)) {
+                throw invalid('limits must be an object');
+            }
+            for (const [name, value] of Object.entries(config.limits)) {
+                if (!LaunchConfigManager.LIMITS.includes(name)) {
+                    throw invalid(`unknown limit: ${name}`);
+                }
+                if (typeof value !== 'number' || !(value >= 0)) {
+                    throw invalid(`limits.${name} must be a non-negative number`);
+                }
+            }
+        }
+
+        return {
+            ...(config.name !== undefined && { name: config.name }),
+            ...(config.program !== undefined && { program: config.program }),
+            ...(config.script !== undefined && { script: config.script }),
+            ...(config.command !== undefined && { command: config.command }),
+            args: config.args || [],
+            env: config.env || {},
+            ...(config.envFile !== undefined && { envFile: config.envFile }),
+            ...(config.cwd !== undefined && { cwd: config.cwd }),
+            nodeFlags: config.nodeFlags || [],
+            stopOnEntry: config.stopOnEntry || false,
+            ...(config.record !== undefined && { record: config.record }),
+            ...(config.watch !== undefined && { watch: config.watch }),
+            ...(config.sandbox !== undefined && { sandbox: config.sandbox }),
+            ...(config.limits !== undefined && { limits: config.limits })
+        };
+    }
+
+    /**
+     * Finds the project root for a file: the nearest parent directory
+     * (inside the workspace) that contains a package.json
+     * @param {string} absolutePath - Absolute path to a file in the workspace
+     * @returns {Promise<string>} Absolute path of the project root (the file's directory if none found)
+     */
+    async findProjectRoot(absolutePath) {
+        const workspaceRoot = this.security.getWorkspaceRoot();
+        let dir = path.dirname(absolutePath);
+
+        while (this.security.isWithinWorkspace(dir)) {
+            try {
+                await fs.access(path.join(dir, 'package.json'));
+                return dir;
+            } catch (err) {
+                if (dir === workspaceRoot) break;
+                dir = path.dirname(dir);
+            }
+        }
+
+        return path.dirname(absolutePath);
+    }
+
+    /**
+     * Resolves launch options into the spawn options used by the debugger proxy
+     * @param {string} absolutePath - Absolute path of the program to debug
+     * @param {Object} [options={}] - Launch options (args, env, envFile, cwd, nodeFlags, stopOnEntry, sandbox)
+     * @returns {Promise<Object>} { args, env, cwd, nodeFlags, stopOnEntry, sandbox? } with absolute cwd
+     */
+    async resolve(absolutePath, options = {}) {
+        return this.resolveInProject(await this.findProjectRoot(absolutePath), this.validate(options));
+    }
+
+    /**
+     * Resolves the launch options of a command (script or command) into spawn options
+     * @param {string} projectRoot - Absolute path of the project to run the command in
+     * @param {Object} [options={}] - Launch options (script or command, args, env, envFile, cwd, nodeFlags)
+     * @returns {Promise<Object>} { command, args, env, cwd, nodeFlags, stopOnEntry } with absolute cwd
+     * @throws {Error} If neither script nor command is given, or the script does not exist
+     */
+    async resolveCommand(projectRoot, options = {}) {
+        const invalid = (message) => new Error(`Invalid launch configuration: ${message}`);
+        const config = this.validate(options);
+
+        if (config.script === undefined && config.command === undefined) {
+            throw invalid('script or command is required');
+        }
+        // The process to debug is not the one started, so there is no first line to stop on
+        if (config.stopOnEntry) {
+            throw invalid('stopOnEntry cannot be used with script or command');
+        }
+        // npm and the commands it starts would have to be allowed everything the program needs
+        if (config.sandbox) {
+            throw invalid('sandbox cannot be used with script or command');
+        }
+
+        let command = config.command;
+        if (config.script !== undefined) {
+            let scripts = {};
+            try {
+                scripts = JSON.parse(await fs.readFile(path.join(projectRoot, 'package.json'), 'utf8')).scripts || {};
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw invalid(`cannot read package.json: ${err.message}`);
+            }
+            if (typeof scripts[config.script] !== 'string') {
+                throw invalid(`package.json has no script named "${config.script}"`);
+            }
+            // npm passes what follows -- on to the script
+            command = ['npm', 'run', config.script, ...(config.args.length > 0 ? ['--'] : [])];
+        }
+
+        return { command, ...await this.resolveInProject(projectRoot, config) };
+    }
+
+    /**
+     * Resolves validated launch options against a project root
+     * @param {string} projectRoot - Absolute path of the project root
+     * @param {Object} config - Validated launch options
+     * @returns {Promise<Object>} { args, env, cwd, nodeFlags, stopOnEntry, sandbox? } with absolute cwd
+     *                            (sandbox: the project's SandboxPolicy)
+     * @private
+     */
+    async resolveInProject(projectRoot, config) {
+        const projectRelative = (p) => path.join(this.security.getRelativePath(projectRoot), p);
+
+        const cwd = config.cwd !== undefined
+            ? await this.security.validatePath(projectRelative(config.cwd))
+            : projectRoot;
+
+        // Variables from envFile first, explicit env wins
+        let fileEnv = {};
+        if (config.envFile) {
+            const envPath = await this.security.validatePath(projectRelative(config.envFile));
+            try {
+                fileEnv = LaunchConfigManager.parseEnv(await fs.readFile(envPath, 'utf8'));
+            } catch (err) {
+                if (err.code === 'ENOENT') {
+                    throw new Error(`Invalid launch configuration: envFile not found: ${config.envFile}`);
+                }
+                throw err;
+            }
+            const flag = config.sandbox && LaunchConfigManager.findSandboxFlag([], fileEnv.NODE_OPTIONS);
+            if (flag) {
+                throw new Error(`Invalid launch configuration: ${flag} in envFile cannot be used with sandbox`);
+            }
+        }
+
+        return {
+            args: config.args,
+            env: { ...fileEnv, ...config.env },
+            cwd,
+            nodeFlags: config.nodeFlags,
+            stopOnEntry: config.stopOnEntry,
+            ...(config.sandbox && { sandbox: await SandboxPolicy.load(projectRoot) })
+        };
+    }
+
+    /**
+     * Gets the path of a project's launch.json
+     * @param {string} projectPath - Project path relative to workspace root
+     * @returns {Promise<string>} Absolute path of .badgerbox/launch.json
+     * @private
+     */
+    async getLaunchFile(projectPath) {
+        const absolutePath = await this.security.validatePath(projectPath);
+        return path.join(absolutePath, '.badgerbox', 'launch.json');
+    }
+
+    /**
+     * Lists the named launch configurations of a project
+     * @param {string} projectPath - Project path relative to workspace root
+     * @returns {Promise<Array>} Launch configurations (empty if none saved)
+     */
+    async list(projectPath) {
+        const launchFile = await this.getLaunchFile(projectPath);
+
+        try {
+            const data = JSON.parse(await fs.readFile(launchFile, 'utf8'));
+            return Array.isArray(data.configurations) ? data.configurations : [];
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw new Error(`Invalid launch.json: ${err.message}`);
+        }
+    }
+
+    /**
+     * Gets a named launch configuration
+     * @param {string} projectPath - Project path relative to workspace root
+     * @param {string} name - Configuration name
+     * @returns {Promise<Object>} The configuration
+     * @throws {Error} If the configuration does not exist
+     */
+    async get(projectPath, name) {
+        const configurations = await this.list(projectPath);
+        const config = configurations.find(c => c.name === name);
+        if (!config) {
+            throw new Error(`Launch configuration not found: ${name}`);
+        }
+        return config;
+    }
+
+    /**
+     * Saves (creates or replaces) a named launch configuration
+     * @param {string} projectPath - Project path relative to workspace root
+     * @param {Object} config - Launch configuration (name required)
+     * @returns {Promise<Array>} All configurations after the save
+     */
+    async save(projectPath, config) {
+        if (!config || typeof config.name !== 'string' || !config.name.trim()) {
+            throw new Error('Invalid launch configuration: name is required');
+        }
+
+        const normalized = this.validate({ ...config, name: config.name.trim() });
+        const configurations = (await this.list(projectPath)).filter(c => c.name !== normalized.name);
+        configurations.push(normalized);
+
+        await this.write(projectPath, configurations);
+        return configurations;
+    }
+
+    /**
+     * Removes a named launch configuration
+     * @param {string} projectPath - Project path relative to workspace root
+     * @param {string} name - Configuration name
+     * @returns {Promise<Array>} All configurations after the removal
+     */
+    async remove(projectPath, name) {
+        const configurations = await this.list(projectPath);
+        const remaining = configurations.filter(c => c.name !== name);
+
+        if (remaining.length === configurations.length) {
+            throw new Error(`Launch configuration not found: ${name}`);
+        }
+
+        await this.write(projectPath, remaining);
+        return remaining;
+    }
+
+    /**
+     * Writes a project's launch.json
+     * @param {string} projectPath - Project path relative to workspace root
+     * @param {Array} configurations - Configurations to write
+     * @private
+     */
+    async write(projectPath, configurations) {
+        const launchFile = await this.getLaunchFile(projectPath);
+        await fs.mkdir(path.dirname(launchFile), { recursive: true });
+        await fs.writeFile(launchFile, JSON.stringify({ version: 1, configurations }, null, 2));
+    }
+}
+
+module.exports = LaunchConfigManager;
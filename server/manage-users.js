@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * manage-users - Manage the server's user accounts
+ *
+ * Usage (from the server directory):
+ *   npm run users -- add <username> [teacher|student|viewer]
+ *   npm run users -- passwd <username>
+ *   npm run users -- role <username> <teacher|student|viewer>
+ *   npm run users -- remove <username>
+ *   npm run users -- list
+ *
+ * New accounts are students unless a role is given. Students work in a workspace of
+ * their own (users/<username>), teachers in the whole workspace, viewers read-only.
+ *
+ * Passwords are prompted for (not echoed), or read from stdin when it is not a terminal.
+ * The accounts file is the server's (server.config "auth.usersFile" or $USERS_FILE); a
+ * running server picks up changes on the next request, and removed users are logged out.
+ */
+
+const UserStore = require('./user-store');
+const { loadConfig } = require('./server');
+
+const USAGE = `Usage: npm run users -- <command>
+
+Commands:
+  add <username> [role]     Create an account (role: ${UserStore.ROLES.join(', ')}; default student)
+  passwd <username>         Change an account's password
+  role <username> <role>    Change an account's role
+  remove <username>         Delete an account
+  list                      List the accounts`;
+
+/**
+ * Reads a password without echoing it (or the first line of stdin if it is not a terminal)
+ * @param {string} question - Prompt
+ * @returns {Promise<string>} The password
+ */
+function readPassword(question) {
+    const input = process.stdin;
+
+    if (!input.isTTY) {
+        return new Promise((resolve, reject) => {
+            let data = '';
+            input.setEncoding('utf8');
+            input.on('data', chunk => { data += chunk; });
+            input.on('end', () => resolve(data.split(/\r?\n/)[0]));
+            input.on('error', reject);
+        });
+    }
+
+    return new Promise((resolve, reject) => {
+        let password = '';
+        process.stdout.write(question);
+        input.setRawMode(true);
+        input.setEncoding('utf8');
+        input.resume();
+
+        const onData = (chars) => {
+            for (const char of chars) {
+                if (char === '\r' || char === '\n' || char === '\u0003') {
+                    input.setRawMode(false);
+                    input.pause();
+                    input.removeListener('data', onData);
+                    process.stdout.write('\n');
+                    if (char === '\u0003') {
+                        reject(new Error('Cancelled'));
+                    } else {
+                        resolve(password);
+                    }
+                    return;
+                }
+                if (char === '\u007f' || char === '\b') {
+                    password = password.slice(0, -1);
+                } else {
+                    password += char;
+                }
+            }
+        };
+        input.on('data', onData);
+    });
+}
+
+/**
+ * Asks for a new password twice (once when reading stdin)
+ * @returns {Promise<string>} The password
+ * @throws {Error} If the two entries differ
+ */
+async function readNewPassword() {
+    const password = await readPassword('Password: ');
+    if (process.stdin.isTTY && await readPassword('Repeat password: ') !== password) {
+        throw new Error('Passwords do not match');
+    }
+    return password;
+}
+
+async function main(argv) {
+    const [command, username, role] = argv;
+    const { usersFile } = loadConfig().auth;
+    const store = await new UserStore(usersFile).load();
+
+    switch (command) {
+        case 'add':
+            if (!username) throw new Error('Missing username');
+            if (store.users.has(username)) throw new Error(`User already exists: ${username}`);
+            if (role && !UserStore.ROLES.includes(role)) throw new Error(`Invalid role: ${role} (${UserStore.ROLES.join(', ')})`);
+            await store.addUser(username, await readNewPassword(), role);
+            console.log(`Created ${username} as ${role || 'student'} (${usersFile})`);
+            break;
+
+        case 'passwd':
+            if (!username) throw new Error('Missing username');
+            if (!store.users.has(username)) throw new Error(`User not found: ${username}`);
+            await store.setPassword(username, await readNewPassword());
+            console.log(`Changed the password of ${username}`);
+            break;
+
+        case 'role':
+            if (!username || !role) throw new Error('Missing username or role');
+            await store.setRole(username, role);
+            console.log(`${username} is now a ${role}`);
+            break;
+
+        case 'remove':
+            if (!username) throw new Error('Missing username');
+            await store.removeUser(username);
+            console.log(`Removed ${username}`);
+            break;
+
+        case 'list': {
+            const users = store.listUsers();
+            if (users.length === 0) {
+                console.log(`No accounts (${usersFile})`);
+            }
+            users.forEach(user => console.log(`${user.username.padEnd(32)} ${user.role.padEnd(8)} created ${user.createdAt}`));
+            break;
+        }
+
+        default:
+            console.error(command ? `Unknown command: ${command}\n\n${USAGE}` : USAGE);
+            process.exitCode = 1;
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,107 @@
+const Logger = require('../util/logger');
+
+/**
+ * OriginPolicy - Which web pages may talk to the server
+ *
+ * Browsers send the page's Origin with cross-origin requests and with every WebSocket
+ * upgrade, but leave it to the server to refuse. Without a check, any page a student
+ * visits could drive the workspace API or inject GPIO commands with their cookie.
+ *
+ * Allowed are:
+ * - the server's own pages (Origin matches the Host the request was sent to)
+ * - requests without an Origin (curl, scripts, editors, debugged programs)
+ * - the origins in `allowedOrigins` ('https://teacher.example.org:8443'), or any with '*'
+ *
+ * Other requests are refused (REST with 403, WebSocket upgrades with 403) and logged.
+ */
+class OriginPolicy {
+    /**
+     * Creates a new OriginPolicy instance
+     * @param {string[]} [allowedOrigins=[]] - Origins allowed besides the server's own ('*' allows any)
+     * @throws {Error} If an entry is not an origin
+     */
+    constructor(allowedOrigins = []) {
+        this.allowAll = allowedOrigins.includes('*');
+        this.allowedOrigins = new Set(allowedOrigins.filter(o => o !== '*').map(entry => {
+            let url;
+            try {
+                url = new URL(entry);
+            } catch (err) {
+                throw new Error(`Invalid allowedOrigins: ${entry} is not an origin (e.g. https://host:8080)`);
+            }
+            if (url.origin === 'null' || url.pathname !== '/' || url.search || url.hash) {
+                throw new Error(`Invalid allowedOrigins: ${entry} is not an origin (e.g. https://host:8080)`);
+            }
+            return url.origin;
+        }));
+        this.logger = new Logger('OriginPolicy');
+    }
+
+    /**
+     * @param {string} [origin] - Origin header of a request
+     * @param {string} [host] - Host header of the request
+     * @returns {boolean} Whether a request with this Origin may be served
+     */
+    isAllowed(origin, host) {
+        if (!origin || this.allowAll) {
+            return true;
+        }
+
+        try {
+            const url = new URL(origin);
+            return url.host === host || this.allowedOrigins.has(url.origin);
+        } catch (err) {
+            return false;      // 'null' (sandboxed frames, file://) or garbage
+        }
+    }
+
+    /**
+     * Checks a request (HTTP or WebSocket upgrade), logging refusals
+     * @param {http.IncomingMessage} request - Request
+     * @param {string} [target] - What it was for, for the log (default: the request URL)
+     * @returns {boolean} Whether it may be served
+     */
+    check(request, target = request.url) {
+        const origin = request.headers.origin;
+        if (this.isAllowed(origin, request.headers.host)) {
+            return true;
+        }
+        this.logger.warn(`Refused ${target} from origin ${origin} (${request.socket.remoteAddress}): not in allowedOrigins`);
+        return false;
+    }
+
+    /**
+     * Creates middleware that refuses requests from other origins and answers CORS
+     * for the allowed ones (with credentials, so their pages can use the login cookie;
+     * not with '*', which stays as open as it always was: no cookies)
+     * @returns {Function} Express middleware
+     */
+    middleware() {
+        return (req, res, next) => {
+            const origin = req.get('Origin');
+
+            if (!this.check(req, `${req.method} ${req.originalUrl}`)) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: `Origin ${origin} is not allowed`
+                });
+            }
+
+            if (origin) {
+                res.header('Vary', 'Origin');
+                res.header('Access-Control-Allow-Origin', this.allowAll ? '*' : origin);
+                if (!this.allowAll) {
+                    res.header('Access-Control-Allow-Credentials', 'true');
+                }
+                res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+                res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Workspace-API-Key');
+            }
+            if (req.method === 'OPTIONS') {
+                return res.sendStatus(200);
+            }
+            next();
+        };
+    }
+}
+
+module.exports = OriginPolicy;
@@ -0,0 +1,75 @@
+const EventEmitter = require('events');
+
+/**
+ * OutputBuffer - Ring buffer of a debug target's console output
+ *
+ * Keeps the most recent chunks written by the target process so that clients
+ * joining late still receive the history, and emits every new chunk as it arrives.
+ *
+ * Entries look like { seq, stream, text, timestamp } where stream is
+ * 'stdout', 'stderr' or 'system' (process started/exited notices).
+ * Sequence numbers keep increasing across process restarts, so a client can
+ * resume with getEntries(lastSeenSeq).
+ *
+ * Events:
+ * - 'data' (entry) - a chunk was appended
+ * - 'close' - the session ended, no more output will follow
+ */
+class OutputBuffer extends EventEmitter {
+    /**
+     * Creates a new OutputBuffer instance
+     * @param {number} [maxEntries=1000] - Number of chunks kept for late joiners
+     */
+    constructor(maxEntries = 1000) {
+        super();
+        this.maxEntries = maxEntries;
+        this.entries = [];
+        this.nextSeq = 1;
+        this.closed = false;
+    }
+
+    /**
+     * Appends a chunk of output
+     * @param {string} stream - 'stdout', 'stderr' or 'system'
+     * @param {string} text - Output text
+     * @returns {Object} The stored entry
+     */
+    append(stream, text) {
+        const entry = {
+            seq: this.nextSeq++,
+            stream,
+            text,
+            timestamp: new Date().toISOString()
+        };
+
+        this.entries.push(entry);
+
+        // Drop the oldest chunk once the buffer is full
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+
+        this.emit('data', entry);
+        return entry;
+    }
+
+    /**
+     * Gets buffered entries
+     * @param {number} [afterSeq=0] - Only return entries with a higher sequence number
+     * @returns {Array} Buffered entries, oldest first
+     */
+    getEntries(afterSeq = 0) {
+        return this.entries.filter(entry => entry.seq > afterSeq);
+    }
+
+    /**
+     * Marks the buffer as finished and notifies listeners
+     */
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close');
+    }
+}
+
+module.exports = OutputBuffer;
@@ -0,0 +1,75 @@
+const net = require('net');
+
+/**
+ * PortAllocator - Hands out free TCP ports for debug sessions
+ *
+ * Ports handed out are remembered until released, so two sessions started
+ * back to back never receive the same port before either process has bound it.
+ */
+class PortAllocator {
+    constructor() {
+        this.reserved = new Set();
+    }
+
+    /**
+     * Allocates a free port, preferring the given one when it is available
+     * @param {number} [preferredPort] - Port to try first (e.g. the configured default)
+     * @returns {Promise<number>} The allocated port
+     */
+    async allocate(preferredPort) {
+        if (preferredPort && !this.reserved.has(preferredPort) && await this.isPortFree(preferredPort)) {
+            this.reserved.add(preferredPort);
+            return preferredPort;
+        }
+
+        // Let the OS pick an ephemeral port, skipping any we already handed out
+        let port;
+        do {
+            port = await this.getEphemeralPort();
+        } while (this.reserved.has(port));
+
+        this.reserved.add(port);
+        return port;
+    }
+
+    /**
+     * Releases a previously allocated port
+     * @param {number} port - Port to release
+     */
+    release(port) {
+        this.reserved.delete(port);
+    }
+
+    /**
+     * Checks whether a port can currently be bound
+     * @param {number} port - Port to check
+     * @returns {Promise<boolean>} True if the port is free
+     * @private
+     */
+    isPortFree(port) {
+        return new Promise((resolve) => {
+            const probe = net.createServer();
+            probe.once('error', () => resolve(false));
+            probe.once('listening', () => probe.close(() => resolve(true)));
+            probe.listen(port);
+        });
+    }
+
+    /**
+     * Asks the OS for an unused port
+     * @returns {Promise<number>} A port that was free at the time of the call
+     * @private
+     */
+    getEphemeralPort() {
+        return new Promise((resolve, reject) => {
+            const probe = net.createServer();
+            probe.once('error', reject);
+            probe.listen(0, () => {
+                const { port } = probe.address();
+                probe.close(() => resolve(port));
+            });
+        });
+    }
+}
+
+module.exports = PortAllocator;
@@ -16,6 +16,7 @@
  *   src/                  # All user code
  *   .badgerbox/          # Internal config, meta, cached state
  *     state.json         # Editor state (cursors, breakpoints, open files)
+ *     launch.json        # Named debug launch configurations
  */
 
 const express = require('express');
@@ -27,6 +28,10 @@ const { promisify } = require('util');
 const archiver = require('archiver');
 const unzipper = require('unzipper');
 const WorkspaceSecurity = require('./workspace-security');
+const UserWorkspaces = require('./user-workspaces');
+const AuthMiddleware = require('./auth-middleware');
+const AuditLog = require('./audit-log');
+const LaunchConfigManager = require('./launch-config');
 
 const execAsync = promisify(exec);
 
@@ -35,6 +40,7 @@ class ProjectManager {
         this.workspaceRoot = workspaceRoot;
         this.currentProject = null;
         this.security = new WorkspaceSecurity(workspaceRoot);
+        this.launchConfigs = new LaunchConfigManager(workspaceRoot);
     }
 
     /**
@@ -551,15 +557,38 @@ class ProjectManager {
 
 /**
  * Create and configure project API router
+ * Project paths are relative to the caller's workspace (see UserWorkspaces).
+ * Changes are recorded in the audit log.
+ * @param {Object} config - Configuration
+ * @param {string} config.workspaceRoot - Absolute path to workspace root
+ * @param {UserWorkspaces} [config.workspaces] - Per-user workspaces (default: from workspaceRoot)
+ * @param {AuthMiddleware} [config.auth] - Authentication every route requires (default: API keys only)
+ * @param {string[]} [config.apiKeys] - Valid API keys, without config.auth
+ * @param {AuditLog} [config.audit] - Records the changes (default: none)
  */
 function createProjectApi(config = {}) {
     const router = express.Router();
-    const manager = new ProjectManager(config.workspaceRoot || process.cwd());
+    const workspaces = config.workspaces || new UserWorkspaces(config.workspaceRoot || process.cwd());
+    const managers = new Map();         // workspace root -> ProjectManager
+
+    const auth = config.auth || new AuthMiddleware({ apiKeys: config.apiKeys || [] });
+    router.use(auth.requireAuth);
+    const audit = config.audit || new AuditLog(null);
+
+    // The ProjectManager of the caller's workspace
+    router.use((req, res, next) => {
+        const root = workspaces.getSecurity(req.user).getWorkspaceRoot();
+        if (!managers.has(root)) {
+            managers.set(root, new ProjectManager(root));
+        }
+        req.projectManager = managers.get(root);
+        next();
+    });
 
     /**
      * POST /api/project/new - Create new project
      */
-    router.post('/new', async (req, res) => {
+    router.post('/new', audit.track('project.create', req => ({ path: req.body.name })), auth.requireWrite, async (req, res) => {
         try {
             const { name, hardware = 'none', entry = 'src/main.js' } = req.body;
 
@@ -569,7 +598,7 @@ function createProjectApi(config = {}) {
                 });
             }
 
-            const result = await manager.createProject(name, hardware, entry);
+            const result = await req.projectManager.createProject(name, hardware, entry);
             res.status(201).json(result);
         } catch (err) {
             console.error('Create project error:', err);
@@ -582,7 +611,7 @@ function createProjectApi(config = {}) {
     /**
      * POST /api/project/save - Save project state
      */
-    router.post('/save', async (req, res) => {
+    router.post('/save', audit.track('project.save', req => ({ path: req.body.projectPath })), auth.requireWrite, async (req, res) => {
         try {
             const { projectPath, circuitData = '', editorState = {} } = req.body;
 
@@ -592,7 +621,7 @@ function createProjectApi(config = {}) {
                 });
             }
 
-            const result = await manager.saveProject(projectPath, circuitData, editorState);
+            const result = await req.projectManager.saveProject(projectPath, circuitData, editorState);
             res.json(result);
         } catch (err) {
             console.error('Save project error:', err);
@@ -605,7 +634,7 @@ function createProjectApi(config = {}) {
     /**
      * POST /api/project/load - Load project and restore state
      */
-    router.post('/load', async (req, res) => {
+    router.post('/load', audit.track('project.load', req => ({ path: req.body.projectPath })), auth.requireWrite, async (req, res) => {
         try {
             const { projectPath, runNpmInstall = true } = req.body;
 
@@ -615,7 +644,7 @@ function createProjectApi(config = {}) {
                 });
             }
 
-            const result = await manager.loadProject(projectPath, runNpmInstall);
+            const result = await req.projectManager.loadProject(projectPath, runNpmInstall);
             res.json(result);
         } catch (err) {
             console.error('Load project error:', err);
@@ -638,7 +667,7 @@ function createProjectApi(config = {}) {
                 });
             }
 
-            await manager.exportProject(projectPath, res);
+            await req.projectManager.exportProject(projectPath, res);
         } catch (err) {
             console.error('Export project error:', err);
             if (!res.headersSent) {
@@ -652,7 +681,7 @@ function createProjectApi(config = {}) {
     /**
      * POST /api/project/import - Import project from zip
      */
-    router.post('/import', async (req, res) => {
+    router.post('/import', audit.track('project.import', (req, body) => ({ path: body?.projectPath || req.query.targetName })), auth.requireWrite, async (req, res) => {
         try {
             const contentType = req.headers['content-type'] || '';
 
@@ -665,7 +694,7 @@ function createProjectApi(config = {}) {
             const targetName = req.query.targetName || null;
             const runNpmInstall = req.query.runNpmInstall !== 'false';
 
-            const result = await manager.importProject(req, targetName, runNpmInstall);
+            const result = await req.projectManager.importProject(req, targetName, runNpmInstall);
             res.status(201).json(result);
         } catch (err) {
             console.error('Import project error:', err);
@@ -680,7 +709,7 @@ function createProjectApi(config = {}) {
      */
     router.get('/list', async (req, res) => {
         try {
-            const projects = await manager.listProjects();
+            const projects = await req.projectManager.listProjects();
             res.json({
                 success: true,
                 projects
@@ -698,7 +727,7 @@ function createProjectApi(config = {}) {
      */
     router.get('/current', async (req, res) => {
         try {
-            const current = await manager.getCurrentProject();
+            const current = await req.projectManager.getCurrentProject();
             res.json({
                 success: true,
                 project: current
@@ -711,6 +740,94 @@ function createProjectApi(config = {}) {
         }
     });
 
+    /**
+     * GET /api/project/launch-configs?projectPath=... - List named launch configurations
+     */
+    router.get('/launch-configs', async (req, res) => {
+        try {
+            const { projectPath } = req.query;
+
+            if (!projectPath) {
+                return res.status(400).json({
+                    error: 'Project path is required'
+                });
+            }
+
+            const configurations = await req.projectManager.launchConfigs.list(projectPath);
+            res.json({
+                success: true,
+                configurations
+            });
+        } catch (err) {
+            console.error('List launch configurations error:', err);
+            res.status(err.message.includes('Path traversal') ? 403 : 500).json({
+                error: err.message
+            });
+        }
+    });
+
+    /**
+     * POST /api/project/launch-configs - Save (create or replace) a named launch configuration
+     * Body: { projectPath, configuration: { name, program, args, env, envFile, cwd, nodeFlags, stopOnEntry } }
+     */
+    router.post('/launch-configs', audit.track('launch-config.save', req => ({
+        path: req.body.projectPath,
+        configuration: req.body.configuration?.name
+    })), auth.requireWrite, async (req, res) => {
+        try {
+            const { projectPath, configuration } = req.body;
+
+            if (!projectPath || !configuration) {
+                return res.status(400).json({
+                    error: 'Project path and configuration are required'
+                });
+            }
+
+            const configurations = await req.projectManager.launchConfigs.save(projectPath, configuration);
+            res.json({
+                success: true,
+                configurations
+            });
+        } catch (err) {
+            console.error('Save launch configuration error:', err);
+            const status = err.message.includes('Invalid launch configuration') ? 400
+                : err.message.includes('Path traversal') ? 403 : 500;
+            res.status(status).json({
+                error: err.message
+            });
+        }
+    });
+
+    /**
+     * DELETE /api/project/launch-configs - Remove a named launch configuration
+     * Body: { projectPath, name }
+     */
+    router.delete('/launch-configs', audit.track('launch-config.delete', req => ({
+        path: req.body.projectPath,
+        configuration: req.body.name
+    })), auth.requireWrite, async (req, res) => {
+        try {
+            const { projectPath, name } = req.body;
+
+            if (!projectPath || !name) {
+                return res.status(400).json({
+                    error: 'Project path and name are required'
+                });
+            }
+
+            const configurations = await req.projectManager.launchConfigs.remove(projectPath, name);
+            res.json({
+                success: true,
+                configurations
+            });
+        } catch (err) {
+            console.error('Delete launch configuration error:', err);
+            res.status(err.message.includes('not found') ? 404 : 500).json({
+                error: err.message
+            });
+        }
+    });
+
     return router;
 }
 
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+// Editor swap/backup files and temp files written by atomic saves
+const TEMP_FILE = /(^\.#|~$|\.swp$|\.swx$|\.tmp$|^\.goutputstream-)/;
+
+/**
+ * ProjectWatcher - Watches a project directory for file changes (watch mode)
+ *
+ * A save usually shows up as several file system events (and a workspace upload
+ * may write many files), so changes are collected and reported once things have
+ * been quiet for `debounce` milliseconds.
+ *
+ * Each directory is watched on its own, and ignored ones (node_modules...) are not
+ * descended into: a recursive watch would also watch everything in them, and one npm
+ * install can use up the system's watches (inotify's max_user_watches on Linux).
+ *
+ * Events:
+ * - 'change' (files) - files changed; paths relative to the project root
+ * - 'error' (err) - the directory can no longer be watched (stopped)
+ */
+class ProjectWatcher extends EventEmitter {
+    /**
+     * Creates a new ProjectWatcher instance
+     * @param {string} rootDir - Absolute path of the directory to watch (recursively)
+     * @param {Object} [options={}] - Watch options
+     * @param {number} [options.debounce=300] - Quiet period (ms) before changes are reported
+     * @param {string[]} [options.ignore] - Directory names that are never reported or watched
+     */
+    constructor(rootDir, options = {}) {
+        super();
+        this.rootDir = rootDir;
+        this.debounce = options.debounce ?? 300;
+        this.ignore = new Set(options.ignore || ['node_modules', '.git', '.badgerbox']);
+        this.watchers = new Map();      // relative directory path ('' for the root) => fs.FSWatcher
+        this.changed = new Set();
+        this.timer = null;
+    }
+
+    /**
+     * Starts watching
+     * @throws {Error} If the directory cannot be watched
+     */
+    start() {
+        if (this.watchers.size > 0) return;
+
+        try {
+            this.watchDirectory('');
+        } catch (err) {
+            this.stop();
+            throw err;
+        }
+    }
+
+    /**
+     * Watches a directory and the directories in it
+     * @param {string} dir - Path relative to the root ('' for the root)
+     * @throws {Error} If the root cannot be watched, or the system's watches run out
+     * @private
+     */
+    watchDirectory(dir) {
+        if (this.watchers.has(dir)) return;
+
+        const absolute = path.join(this.rootDir, dir);
+        let watcher;
+        try {
+            watcher = fs.watch(absolute, (eventType, filename) => {
+                if (dir !== '' && !fs.existsSync(absolute)) {
+                    this.unwatchDirectory(dir);     // Deleted or moved: reported by its parent
+                    return;
+                }
+                if (filename) this.onChange(dir ? path.join(dir, filename.toString()) : filename.toString());
+            });
+        } catch (err) {
+            if (err.code === 'ENOSPC' || err.code === 'EMFILE') {
+                throw new Error(`Cannot watch ${this.rootDir}: it has more directories than the system lets a process watch `
+                    + '(on Linux, raise fs.inotify.max_user_watches)');
+            }
+            if (dir === '') throw err;
+            return;     // Gone (or unreadable) meanwhile
+        }
+
+        watcher.on('error', (err) => {
+            if (dir !== '') {
+                this.unwatchDirectory(dir);     // Deleted, most likely
+                return;
+            }
+            this.stop();
+            this.emit('error', err);
+        });
+        this.watchers.set(dir, watcher);
+
+        let entries = [];
+        try {
+            entries = fs.readdirSync(absolute, { withFileTypes: true });
+        } catch (err) {
+            // Gone meanwhile; its parent reports that
+        }
+        entries
+            .filter(entry => entry.isDirectory() && !this.ignore.has(entry.name))
+            .forEach(entry => this.watchDirectory(dir ? path.join(dir, entry.name) : entry.name));
+    }
+
+    /**
+     * Stops watching a directory and the directories in it
+     * @param {string} dir - Path relative to the root
+     * @private
+     */
+    unwatchDirectory(dir) {
+        const prefix = dir + path.sep;
+        for (const [watched, watcher] of this.watchers) {
+            if (watched === dir || watched.startsWith(prefix)) {
+                watcher.close();
+                this.watchers.delete(watched);
+            }
+        }
+    }
+
+    /**
+     * Collects a changed file and (re)starts the quiet period
+     * A directory that appeared is watched from now on, one that went away no longer.
+     * @param {string} filename - Path relative to the project root
+     * @private
+     */
+    onChange(filename) {
+        const parts = filename.split(path.sep);
+        if (parts.some(part => this.ignore.has(part)) || TEMP_FILE.test(parts[parts.length - 1])) {
+            return;
+        }
+
+        let stats = null;
+        try {
+            stats = fs.lstatSync(path.join(this.rootDir, filename));
+        } catch (err) {
+            // Deleted (or renamed away)
+        }
+        if (!stats) {
+            this.unwatchDirectory(filename);
+        } else if (stats.isDirectory()) {
+            try {
+                this.watchDirectory(filename);
+            } catch (err) {
+                this.stop();
+                this.emit('error', err);
+                return;
+            }
+        }
+
+        this.changed.add(filename);
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            const files = Array.from(this.changed);
+            this.changed.clear();
+            this.timer = null;
+            this.emit('change', files);
+        }, this.debounce);
+    }
+
+    /**
+     * Stops watching; changes not yet reported are dropped
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.changed.clear();
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers.clear();
+    }
+}
+
+module.exports = ProjectWatcher;
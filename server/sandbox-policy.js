@@ -0,0 +1,223 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// How a program that tripped the permission model reports it (uncaught ERR_ACCESS_DENIED)
+const VIOLATION = /code: 'ERR_ACCESS_DENIED',\s*permission: '(\w+)'(?:,\s*resource: '([^']*)')?/;
+
+/**
+ * SandboxPolicy - What a sandboxed program may do (Node's permission model)
+ *
+ * A sandboxed session runs its program with --permission: it may read and write files
+ * in its project directory only, and may not start child processes or worker threads.
+ * A project opts into more in the "badgerbox" section of its package.json:
+ *
+ * "badgerbox": {
+ *   "permissions": {
+ *     "fsRead": ["../shared-data", "/usr/share/dict"],
+ *     "fsWrite": ["/tmp/blink"],
+ *     "childProcess": true,
+ *     "worker": true
+ *   }
+ * }
+ *
+ * Paths are relative to the project root (or absolute). Child processes a program is
+ * allowed to start are not sandboxed themselves (Node does not pass the model on).
+ *
+ * The inspector is off under the permission model unless Node has --allow-inspector
+ * (Node.js 24.12 and later; not 20 or 22), so sandboxed sessions need a Node.js that
+ * has it: the `node` programs run on (the one on the PATH, see probeNode).
+ */
+class SandboxPolicy {
+    /**
+     * Opt-ins the "permissions" of package.json may declare
+     */
+    static PERMISSIONS = ['fsRead', 'fsWrite', 'childProcess', 'worker'];
+
+    /**
+     * The opt-in that allows each permission of Node's permission model
+     */
+    static OPT_INS = {
+        FileSystemRead: 'fsRead',
+        FileSystemWrite: 'fsWrite',
+        ChildProcess: 'childProcess',
+        WorkerThreads: 'worker'
+    };
+
+    /**
+     * Node flags probeNode() looks for
+     */
+    static NODE_FLAGS = ['--permission', '--experimental-permission', '--allow-inspector'];
+
+    /**
+     * The running (or finished) probeNode()
+     */
+    static nodeProbe = null;
+
+    /**
+     * Creates a new SandboxPolicy instance
+     * @param {string} projectRoot - Absolute path of the program's project
+     * @param {Object} [permissions={}] - Validated opt-ins { fsRead, fsWrite, childProcess, worker }
+     * @param {string} [permissionFlag='--permission'] - Flag that turns the permission model on (see getPermissionFlag)
+     */
+    constructor(projectRoot, permissions = {}, permissionFlag = '--permission') {
+        this.projectRoot = projectRoot;
+        this.permissionFlag = permissionFlag;
+        this.fsRead = [projectRoot, ...(permissions.fsRead || []).map(p => path.resolve(projectRoot, p))];
+        this.fsWrite = [projectRoot, ...(permissions.fsWrite || []).map(p => path.resolve(projectRoot, p))];
+        this.childProcess = permissions.childProcess || false;
+        this.worker = permissions.worker || false;
+    }
+
+    /**
+     * Reads a project's opt-ins from its package.json
+     * @param {string} projectRoot - Absolute path of the project
+     * @returns {Promise<SandboxPolicy>} The project's policy
+     * @throws {Error} If the programs' Node.js cannot debug sandboxed programs, or the opt-ins are invalid
+     */
+    static async load(projectRoot) {
+        const node = await SandboxPolicy.probeNode();
+        SandboxPolicy.checkSupport(node.flags, node.version);
+
+        let packageData = {};
+        try {
+            packageData = JSON.parse(await fs.readFile(path.join(projectRoot, 'package.json'), 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw new Error(`Invalid sandbox permissions: cannot read package.json: ${err.message}`);
+            }
+        }
+
+        return new SandboxPolicy(projectRoot, SandboxPolicy.validate(packageData.badgerbox?.permissions),
+            SandboxPolicy.getPermissionFlag(node.flags));
+    }
+
+    /**
+     * Asks the Node.js programs run on (`node` on the PATH, which need not be the server's) for
+     * its version and which of NODE_FLAGS it has; asked once, a failure is asked again next time
+     * @returns {Promise<Object>} { version, flags: Set<string> }
+     * @throws {Error} If node cannot be run
+     */
+    static probeNode() {
+        if (!SandboxPolicy.nodeProbe) {
+            const script = `console.log(JSON.stringify({ version: process.version, flags: ${JSON.stringify(SandboxPolicy.NODE_FLAGS)}` +
+                '.filter(flag => process.allowedNodeEnvironmentFlags.has(flag)) }))';
+            SandboxPolicy.nodeProbe = execFileAsync('node', ['-e', script], { timeout: 10000 })
+                .then(({ stdout }) => {
+                    const { version, flags } = JSON.parse(stdout);
+                    return { version, flags: new Set(flags) };
+                })
+                .catch(err => {
+                    SandboxPolicy.nodeProbe = null;
+                    throw new Error(`Sandbox not supported: cannot run node: ${err.message}`);
+                });
+        }
+        return SandboxPolicy.nodeProbe;
+    }
+
+    /**
+     * Validates the "permissions" of package.json
+     * @param {Object} [permissions={}] - Opt-ins
+     * @returns {Object} The opt-ins
+     * @throws {Error} If an opt-in is unknown or has the wrong type
+     */
+    static validate(permissions = {}) {
+        const invalid = (message) => new Error(`Invalid sandbox permissions: ${message}`);
+
+        if (typeof permissions !== 'object' || permissions === null || Array.isArray(permissions)) {
+            throw invalid('badgerbox.permissions must be an object');
+        }
+        for (const [name, value] of Object.entries(permissions)) {
+            if (!SandboxPolicy.PERMISSIONS.includes(name)) {
+                throw invalid(`unknown permission: ${name}`);
+            }
+            if ((name === 'fsRead' || name === 'fsWrite')
+                && !(Array.isArray(value) && value.every(p => typeof p === 'string' && p !== ''))) {
+                throw invalid(`${name} must be an array of paths`);
+            }
+            if ((name === 'childProcess' || name === 'worker') && typeof value !== 'boolean') {
+                throw invalid(`${name} must be a boolean`);
+            }
+        }
+        return permissions;
+    }
+
+    /**
+     * Checks that a Node.js can debug sandboxed programs
+     * @param {Set<string>} [flags] - Node's flags (default: this Node.js)
+     * @param {string} [version] - Node's version (default: this Node.js)
+     * @throws {Error} If it has no permission model or no --allow-inspector
+     */
+    static checkSupport(flags = process.allowedNodeEnvironmentFlags, version = process.version) {
+        if (!SandboxPolicy.getPermissionFlag(flags) || !flags.has('--allow-inspector')) {
+            throw new Error(`Sandbox not supported: Node.js ${version} turns the inspector off under ` +
+                'the permission model (sandboxed sessions need Node.js 24.12 or later, for --allow-inspector)');
+        }
+    }
+
+    /**
+     * @param {Set<string>} [flags] - Node's flags (default: this Node.js)
+     * @returns {string|null} The flag that turns the permission model on, or null if Node has none
+     */
+    static getPermissionFlag(flags = process.allowedNodeEnvironmentFlags) {
+        if (flags.has('--permission')) return '--permission';
+        if (flags.has('--experimental-permission')) return '--experimental-permission';
+        return null;
+    }
+
+    /**
+     * Finds a permission model violation in a program's error output
+     * @param {string} text - stderr output
+     * @returns {Object|null} { permission, resource } (resource may be null), or null if none
+     */
+    static parseViolation(text) {
+        const match = text.match(VIOLATION);
+        return match ? { permission: match[1], resource: match[2] || null } : null;
+    }
+
+    /**
+     * Describes a violation for the program's output, with the opt-in that would allow it
+     * @param {Object} violation - { permission, resource } (see parseViolation)
+     * @returns {string} E.g. 'Sandbox blocked FileSystemRead of /etc/hostname (allow it with "fsRead" ...)'
+     */
+    static describeViolation({ permission, resource }) {
+        const optIn = SandboxPolicy.OPT_INS[permission];
+        return `Sandbox blocked ${permission}${resource ? ` of ${resource}` : ''}` +
+            (optIn ? ` (allow it with "${optIn}" in "badgerbox.permissions" of package.json)` : '');
+    }
+
+    /**
+     * Node flags that run a program under this policy
+     * @param {string[]} [extraReads=[]] - Files the debugger itself preloads into the program
+     * @returns {string[]} Flags for the node command line
+     */
+    getNodeFlags(extraReads = []) {
+        return [
+            this.permissionFlag,
+            '--allow-inspector',
+            ...[...this.fsRead, ...extraReads].map(p => `--allow-fs-read=${p}`),
+            ...this.fsWrite.map(p => `--allow-fs-write=${p}`),
+            ...(this.childProcess ? ['--allow-child-process'] : []),
+            ...(this.worker ? ['--allow-worker'] : [])
+        ];
+    }
+
+    /**
+     * Describes the policy for API responses
+     * @returns {Object} { fsRead, fsWrite, childProcess, worker }, paths relative to the project root
+     */
+    describe() {
+        const relative = (p) => path.relative(this.projectRoot, p) || '.';
+        return {
+            fsRead: this.fsRead.map(relative),
+            fsWrite: this.fsWrite.map(relative),
+            childProcess: this.childProcess,
+            worker: this.worker
+        };
+    }
+}
+
+module.exports = SandboxPolicy;
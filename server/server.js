@@ -8,13 +8,46 @@
  * - GPIO WebSocket API (bridge between CircuitJS1 and GPIO code)
  * - Project Management API (save/load/export/import)
  * - Demo Projects API (list and copy example projects)
+ * - DAP server (Debug Adapter Protocol for editors, on dapPort)
+ * - Authentication API (local accounts, see manage-users.js)
+ * - Audit API (who changed what, see AuditLog)
+ *
+ * With authentication on (the default), /workspace, /project, /api/project, /debug,
+ * /json and the GPIO WebSocket need a logged-in user (POST /auth/login), and DAP
+ * launch/attach requests a token. Users are teachers, students or viewers: students
+ * work in a workspace of their own (see UserWorkspaces), viewers only look. Changes
+ * to files, projects and sessions are recorded in the audit log (auditFile).
+ *
+ * WebSockets share the HTTP port: debug sessions at /debug/ws/:sessionId
+ * (/debug/ws for the most recent one) and GPIO at /gpio/ws. With `separatePorts`
+ * debug sessions and GPIO also listen on ports of their own (proxyPort, gpioPort)
+ * and advertise those, as before.
+ *
+ * With `tls.enabled` every listener speaks HTTPS/WSS instead (browsers only offer Web
+ * Serial and other APIs to secure origins, which a Pi reached by IP address is not
+ * over HTTP). The certificate is the user's own (tls.cert, tls.key) or a self-signed
+ * one generated on first run (see TlsCredentials).
+ *
+ * Browsers may only call the APIs and open WebSockets from the server's own pages and
+ * the origins in `allowedOrigins` (see OriginPolicy): any page a student visits could
+ * otherwise use their login. Refusals are logged.
  */
 
 const express = require('express');
+const http = require('http');
+const https = require('https');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
 const fs = require('fs');
 const fsPromises = require('fs').promises;
 const Logger = require('../util/logger');
+const AuthMiddleware = require('./auth-middleware');
+const UserStore = require('./user-store');
+const UserWorkspaces = require('./user-workspaces');
+const AuditLog = require('./audit-log');
+const TlsCredentials = require('./tls-credentials');
+const OriginPolicy = require('./origin-policy');
 
 class Server {
     constructor(options = {}) {
@@ -23,7 +56,12 @@ class Server {
             proxyPort: options.proxyPort || 8888,
             gpioPort: options.gpioPort || 8081,
             inspectPort: options.inspectPort || 9229,
+            dapPort: options.dapPort || 4711,
+            reconnectGracePeriod: options.reconnectGracePeriod || 30000,
+            separatePorts: options.separatePorts || false,
             workspaceRoot: options.workspaceRoot || '/tmp/node-inspector-websocket-proxy',
+            auditFile: options.auditFile || path.join(os.homedir(), '.pithagoras', 'audit.jsonl'),
+            allowedOrigins: options.allowedOrigins || [],
             staticDirs: options.staticDirs || [path.join(__dirname, 'www')],
             logLevels: options.logLevels || {
                 http: 'info',
@@ -33,6 +71,18 @@ class Server {
             ...options
         };
 
+        this.options.auth = {
+            enabled: true,
+            usersFile: path.join(os.homedir(), '.pithagoras', 'users.json'),
+            tokenTtl: 12 * 60 * 60 * 1000,
+            ...this.options.auth
+        };
+
+        this.options.tls = {
+            enabled: false,
+            ...this.options.tls
+        };
+
         // Normalize staticDirs to array
         if (!Array.isArray(this.options.staticDirs)) {
             this.options.staticDirs = [this.options.staticDirs];
@@ -55,6 +105,15 @@ class Server {
         }
 
         this.httpServer = null;
+        this.dapServer = null;
+        this.auth = null;
+        this.workspaces = null;
+        this.audit = null;
+        this.tls = null;
+        this.origins = null;
+        this.workspaceWatcher = null;
+        // Lets the programs of debug sessions (PITHAGORAS_GPIO_URL) reach the GPIO bridge
+        this.gpioToken = crypto.randomBytes(16).toString('hex');
         this.logger = new Logger('Server');
         this.httpLogger = new Logger('HTTP', 'info', this.options.logLevels.http);
         this.staticLogger = new Logger('Static', 'info', this.options.logLevels.static);
@@ -71,18 +130,32 @@ class Server {
 
         // Ensure workspace exists
         await fsPromises.mkdir(this.options.workspaceRoot, { recursive: true });
+        this.workspaces = new UserWorkspaces(this.options.workspaceRoot);
+        this.audit = new AuditLog(this.options.auditFile, { workspaces: this.workspaces });
 
         try {
+            this.origins = new OriginPolicy(this.options.allowedOrigins);
+            await this.setupAuth();
+            await this.setupTls();
             await this.startHttpServer();
+            await this.startDapServer();
             this.isRunning = true;
 
             this.logger.info('\n' + '='.repeat(70));
             this.logger.info('Server is ready!');
             this.logger.info('='.repeat(70));
-            this.logger.info(`HTTP Server:       http://0.0.0.0:${this.options.httpPort}`);
+            this.logger.info(`HTTP Server:       ${this.getHttpUrl()}`);
             this.logger.info(`Workspace Root:    ${this.options.workspaceRoot}`);
-            this.logger.info(`Debug WebSocket:   ws://0.0.0.0:${this.options.proxyPort} (when active)`);
-            this.logger.info(`GPIO WebSocket:    ws://0.0.0.0:${this.options.gpioPort}`);
+            this.logger.info(`Debug WebSocket:   ${this.getDebugWsUrl()}`);
+            this.logger.info(`GPIO WebSocket:    ${this.getGpioWsUrl()}`);
+            this.logger.info(`DAP Server:        tcp://0.0.0.0:${this.options.dapPort}`);
+            this.logger.info(`Authentication:    ${this.options.auth.enabled ? `on (accounts in ${this.options.auth.usersFile})` : 'off'}`);
+            this.logger.info(`Audit Log:         ${this.options.auditFile}`);
+            this.logger.info(`Allowed Origins:   ${['same origin', ...this.options.allowedOrigins].join(', ')}`);
+            if (this.tls) {
+                this.logger.info(`TLS Certificate:   ${this.tls.certFile}${this.tls.generated ? ' (self-signed)' : ''}`);
+                this.logger.info(`  SHA-256:         ${this.tls.fingerprint}`);
+            }
             this.logger.info('='.repeat(70));
             this.logger.info('Static directories:');
             this.options.staticDirs.forEach(dir => this.logger.info(`   ${dir}`));
@@ -96,6 +169,141 @@ class Server {
         }
     }
 
+    /**
+     * Loads the user accounts and sets up authentication
+     * @returns {Promise<void>}
+     */
+    async setupAuth() {
+        const { enabled, usersFile, tokenTtl } = this.options.auth;
+        const userStore = await new UserStore(usersFile).load();
+
+        this.auth = new AuthMiddleware({
+            apiKeys: process.env.WORKSPACE_API_KEY ? [process.env.WORKSPACE_API_KEY] : [],
+            apiKeyHeader: 'X-Workspace-API-Key',
+            userStore,
+            enabled,
+            tokenTtl
+        });
+
+        if (!enabled) {
+            this.logger.warn('Authentication is off: anyone who can reach this server can change the workspace and run code');
+        } else if (!userStore.hasUsers()) {
+            this.logger.warn(`No user accounts yet: create one with "npm run users -- add <username>" (in ${__dirname})`);
+        }
+    }
+
+    /**
+     * Loads (or generates) the TLS certificate when TLS is on
+     * @returns {Promise<void>}
+     */
+    async setupTls() {
+        const { enabled, cert, key, dir } = this.options.tls;
+        if (!enabled) {
+            return;
+        }
+
+        this.tls = await TlsCredentials.load({ cert, key, dir });
+        if (this.tls.generated) {
+            this.logger.warn(`Using a self-signed certificate: browsers warn until ${this.tls.certFile} is trusted`);
+        }
+    }
+
+    /**
+     * HTTP address for status output
+     * @returns {string}
+     */
+    getHttpUrl() {
+        return `${this.tls ? 'https' : 'http'}://0.0.0.0:${this.options.httpPort}`;
+    }
+
+    /**
+     * Whether a GPIO WebSocket upgrade may connect: a logged-in user (the simulator in
+     * the browser), or a debug session's program (the token in PITHAGORAS_GPIO_URL)
+     * @param {http.IncomingMessage} request - Upgrade request
+     * @returns {boolean}
+     */
+    authorizeGpio(request) {
+        if (!this.auth.enabled || this.auth.authenticate(request)) {
+            return true;
+        }
+        return new URL(request.url, 'http://localhost').searchParams.get('token') === this.gpioToken;
+    }
+
+    /**
+     * Whether a debug WebSocket upgrade may connect to a session: with one of the session's
+     * tokens (from its wsUrl), or as a logged-in user who may drive it. Anyone else would
+     * restart its program.
+     * @param {http.IncomingMessage} request - Upgrade request
+     * @param {Object} session - The session (see DebuggerSessionManager)
+     * @returns {boolean}
+     */
+    authorizeDebug(request, session) {
+        if (!this.auth.enabled) {
+            return true;
+        }
+
+        const token = new URL(request.url, 'http://localhost').searchParams.get('token');
+        if (token && (token === session.proxy.sessionToken || token === session.proxy.observerToken)) {
+            return true;
+        }
+
+        const user = this.auth.authenticate(request);
+        return Boolean(user) && user.role !== 'viewer' && this.workspaces.canAccess(user, session.owner);
+    }
+
+    /**
+     * Debug WebSocket address for status output
+     * @returns {string}
+     */
+    getDebugWsUrl() {
+        const scheme = this.tls ? 'wss' : 'ws';
+        return this.options.separatePorts
+            ? `${scheme}://0.0.0.0:${this.options.proxyPort} (first session; others get a free port)`
+            : `${scheme}://0.0.0.0:${this.options.httpPort}/debug/ws/:sessionId`;
+    }
+
+    /**
+     * GPIO WebSocket address for status output
+     * @returns {string}
+     */
+    getGpioWsUrl() {
+        const scheme = this.tls ? 'wss' : 'ws';
+        return this.options.separatePorts
+            ? `${scheme}://0.0.0.0:${this.options.gpioPort}`
+            : `${scheme}://0.0.0.0:${this.options.httpPort}/gpio/ws`;
+    }
+
+    /**
+     * Routes WebSocket upgrades on the HTTP port
+     * /debug/ws/:sessionId (or /debug/ws for the most recent session) and /gpio/ws
+     * @param {http.IncomingMessage} request - Upgrade request
+     * @param {net.Socket} socket - Client socket
+     * @param {Buffer} head - First packet of the upgraded stream
+     */
+    handleUpgrade(request, socket, head) {
+        const pathname = new URL(request.url, 'http://localhost').pathname;
+
+        if (!this.origins.check(request, `WebSocket ${pathname}`)) {
+            socket.write('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+        const debugMatch = pathname.match(/^\/debug\/ws(?:\/([^/]+))?\/?$/);
+
+        if (debugMatch) {
+            const sessionId = debugMatch[1] && decodeURIComponent(debugMatch[1]);
+            if (this.debugRouter.sessionManager.handleUpgrade(sessionId, request, socket, head)) {
+                return;
+            }
+        } else if (pathname === '/gpio/ws' && this.gpioManager) {
+            this.gpioManager.handleUpgrade(request, socket, head);
+            return;
+        }
+
+        this.httpLogger.debug(`404 WebSocket upgrade ${pathname}`);
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+    }
+
     serveFromMultipleDirectories(req, res, next) {
         const requestedPath = req.path;
         const startTime = Date.now();
@@ -134,58 +342,92 @@ class Server {
             app.use(express.json());
             app.use(express.urlencoded({ extended: true }));
 
-            // CORS
-            app.use((req, res, next) => {
-                res.header('Access-Control-Allow-Origin', '*');
-                res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
-                res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, X-Workspace-API-Key');
-                if (req.method === 'OPTIONS') {
-                    return res.sendStatus(200);
-                }
-                next();
-            });
+            // CORS: other origins only when allowed (see OriginPolicy)
+            app.use(this.origins.middleware());
 
             // Health check
             app.get('/health', (req, res) => {
                 res.json({
                     status: 'ok',
-                    http: `http://0.0.0.0:${this.options.httpPort}`,
-                    websocket: `ws://0.0.0.0:${this.options.proxyPort}`,
-                    gpio: `ws://0.0.0.0:${this.options.gpioPort}`,
+                    http: this.getHttpUrl(),
+                    websocket: this.getDebugWsUrl(),
+                    gpio: this.getGpioWsUrl(),
+                    dap: `tcp://0.0.0.0:${this.options.dapPort}`,
+                    authRequired: this.auth.enabled,
+                    tls: Boolean(this.tls),
                     workspaceRoot: this.options.workspaceRoot,
                     staticDirs: this.options.staticDirs,
                     timestamp: new Date().toISOString()
                 });
             });
 
+            // Authentication API
+            const { createAuthApi } = require('./auth-api');
+            app.use('/auth', createAuthApi({ auth: this.auth, workspaces: this.workspaces }));
+            this.logger.info('* Authentication API mounted at /auth');
+
+            // Audit API
+            const { createAuditApi } = require('./audit-api');
+            app.use('/api/audit', createAuditApi({ audit: this.audit, auth: this.auth }));
+            this.logger.info('* Audit API mounted at /api/audit');
+
             // Workspace API
             const createWorkspaceApi = require('./workspace-api');
             const workspaceRouter = createWorkspaceApi({
                 workspaceRoot: this.options.workspaceRoot,
-                apiKeys: [process.env.WORKSPACE_API_KEY || 'dev-key-123']
+                workspaces: this.workspaces,
+                auth: this.auth,
+                audit: this.audit
             });
             app.use('/project', workspaceRouter);
             app.use('/workspace', workspaceRouter);
+            this.workspaceWatcher = workspaceRouter.watcher;
             this.logger.info('* Workspace API mounted at /project and /workspace');
 
             // Debugger Session API
-            const { createDebuggerSessionApi } = require('./debugger-session-api');
+            const { createDebuggerSessionApi, getWsOrigin } = require('./debugger-session-api');
+            const wsScheme = this.tls ? 'wss' : 'ws';
             const debugRouter = createDebuggerSessionApi({
                 workspaceRoot: this.options.workspaceRoot,
+                workspaces: this.workspaces,
+                httpPort: this.options.httpPort,
+                separatePorts: this.options.separatePorts,
+                tls: this.tls,
+                gpioUrl: this.options.separatePorts
+                    ? `${wsScheme}://127.0.0.1:${this.options.gpioPort}?token=${this.gpioToken}`
+                    : `${wsScheme}://127.0.0.1:${this.options.httpPort}/gpio/ws?token=${this.gpioToken}`,
                 proxyPort: this.options.proxyPort,
                 inspectPort: this.options.inspectPort,
-                apiKeys: [process.env.WORKSPACE_API_KEY || 'dev-key-123'],
-                requireAuth: false,
+                reconnectGracePeriod: this.options.reconnectGracePeriod,
+                limits: this.options.limits,
+                auth: this.auth,
+                audit: this.audit,
+                authorize: (request, session) => this.authorizeDebug(request, session),
+                verifyUpgrade: (request) => this.origins.check(request, `WebSocket ${request.url.split('?')[0]}`),
                 websocketLogLevel: this.options.logLevels.websocket
             });
             app.use('/debug', debugRouter);
             this.debugRouter = debugRouter;
             this.logger.info('* Debugger Session API mounted at /debug');
 
+            // Inspector discovery for chrome://inspect and other CDP tools: every session is a target
+            // (its URL carries the session's token, so only for logged-in users)
+            app.get(['/json', '/json/list'], this.auth.requireAuth, (req, res) => {
+                res.json(debugRouter.sessionManager.listTargets(getWsOrigin(req), req.user));
+            });
+            app.get('/json/version', (req, res) => {
+                res.json({ 'Browser': `node.js/${process.version}`, 'Protocol-Version': '1.1' });
+            });
+
             // GPIO WebSocket API
             const { createGPIOWebSocketApi } = require('./gpio-websocket-api');
             const gpioRouter = createGPIOWebSocketApi({
                 gpioPort: this.options.gpioPort,
+                httpPort: this.options.httpPort,
+                listen: this.options.separatePorts,
+                tls: this.tls,
+                authorize: (request) => this.authorizeGpio(request),
+                verifyUpgrade: (request) => this.origins.check(request, 'GPIO WebSocket'),
                 logLevel: this.options.logLevels.websocket
             });
             app.use('/gpio', gpioRouter);
@@ -195,7 +437,10 @@ class Server {
             // Project Management API
             const { createProjectApi } = require('./project-api');
             const projectRouter = createProjectApi({
-                workspaceRoot: this.options.workspaceRoot
+                workspaceRoot: this.options.workspaceRoot,
+                workspaces: this.workspaces,
+                auth: this.auth,
+                audit: this.audit
             });
             app.use('/api/project', projectRouter);
             this.logger.info('* Project Management API mounted at /api/project');
@@ -233,18 +478,26 @@ class Server {
                 }
             });
 
-            app.post('/api/demo-projects/copy', async (req, res) => {
+            // Copies into the caller's workspace
+            const trackCopy = this.audit.track('project.copy-demo', req => ({
+                path: req.body.targetName || req.body.projectName,
+                demo: req.body.projectName
+            }));
+            app.post('/api/demo-projects/copy', this.auth.requireAuth, trackCopy, this.auth.requireWrite, async (req, res) => {
                 try {
                     const { projectName, targetName } = req.body;
 
                     if (!projectName) {
                         return res.status(400).json({ error: 'Project name required' });
                     }
+                    if (path.basename(projectName) !== projectName || projectName.startsWith('.')) {
+                        return res.status(400).json({ error: 'Invalid demo project' });
+                    }
 
                     const demoProjectsDir = path.join(__dirname, '..', 'pithagoras-gpio', 'demo-projects');
                     const sourcePath = path.join(demoProjectsDir, projectName);
                     const finalTargetName = targetName || projectName;
-                    const targetPath = path.join(this.options.workspaceRoot, finalTargetName);
+                    const targetPath = await this.workspaces.getSecurity(req.user).validatePath(finalTargetName);
 
                     // Verify source exists
                     try {
@@ -295,21 +548,30 @@ class Server {
                         path: targetPath
                     });
                 } catch (error) {
-                    res.status(500).json({ error: error.message });
+                    res.status(error.message.includes('Path traversal') ? 403 : 500).json({ error: error.message });
                 }
             });
             this.logger.info('* Demo Projects API mounted at /api/demo-projects');
 
-            // Index page
+            // Index page (session URLs carry their tokens: logged-in users only)
             app.get('/', async (req, res) => {
-                const currentSession = this.debugRouter?.sessionManager?.getCurrentSession?.();
+                if (this.auth.userStore) {
+                    await this.auth.userStore.refresh();
+                }
+                const user = this.auth.enabled ? this.auth.authenticate(req) : null;
+                if (this.auth.enabled && !user) {
+                    return res.redirect(`/app/login.html?next=${encodeURIComponent('/')}`);
+                }
+
+                const sessions = this.debugRouter?.sessionManager?.listSessions?.(getWsOrigin(req), user) || [];
+                const workspaceRoot = this.workspaces.getSecurity(user).getWorkspaceRoot();
 
                 let projects = [];
                 try {
-                    const files = await fsPromises.readdir(this.options.workspaceRoot);
+                    const files = await fsPromises.readdir(workspaceRoot);
                     const projectChecks = await Promise.all(
                         files.map(async (name) => {
-                            const filePath = path.join(this.options.workspaceRoot, name);
+                            const filePath = path.join(workspaceRoot, name);
                             const stats = await fsPromises.lstat(filePath);
                             return { name, isDirectory: stats.isDirectory() };
                         })
@@ -357,11 +619,11 @@ class Server {
 
     <h2>Server Status</h2>
     <div class="status">
-        <div class="status-row"><span class="status-label">HTTP Server:</span><span class="status-value">http://0.0.0.0:${this.options.httpPort}</span></div>
-        <div class="status-row"><span class="status-label">Workspace:</span><span class="status-value">${this.options.workspaceRoot}</span></div>
-        <div class="status-row"><span class="status-label">Debug WebSocket:</span><span class="status-value">ws://0.0.0.0:${this.options.proxyPort}</span></div>
-        <div class="status-row"><span class="status-label">GPIO WebSocket:</span><span class="status-value">ws://0.0.0.0:${this.options.gpioPort}</span></div>
-        <div class="status-row"><span class="status-label">Debug Session:</span><span class="status-value">${currentSession ? currentSession.targetFile : 'None'}</span></div>
+        <div class="status-row"><span class="status-label">HTTP Server:</span><span class="status-value">${escapeHtml(this.getHttpUrl())}</span></div>
+        <div class="status-row"><span class="status-label">Workspace:</span><span class="status-value">${escapeHtml(this.options.workspaceRoot)}</span></div>
+        <div class="status-row"><span class="status-label">Debug WebSocket:</span><span class="status-value">${escapeHtml(this.getDebugWsUrl())}</span></div>
+        <div class="status-row"><span class="status-label">GPIO WebSocket:</span><span class="status-value">${escapeHtml(this.getGpioWsUrl())}</span></div>
+        <div class="status-row"><span class="status-label">Debug Sessions:</span><span class="status-value">${sessions.length > 0 ? sessions.map(s => escapeHtml(`${s.targetFile} (${s.wsUrl})`)).join('<br>') : 'None'}</span></div>
     </div>
 
     <h2>Copy Example Project</h2>
@@ -379,7 +641,7 @@ class Server {
     <div class="status">
         ${projects.length > 0 ? `
             <ul class="projects-list">
-                ${projects.map(p => `<li class="project-item"><span>${p.name}</span><button class="danger" onclick="deleteProject('${p.name}')">Delete</button></li>`).join('')}
+                ${projects.map(p => `<li class="project-item"><span>${escapeHtml(p.name)}</span><button class="danger" data-name="${escapeHtml(p.name)}" onclick="deleteProject(this.dataset.name)">Delete</button></li>`).join('')}
             </ul>
         ` : '<p>No projects in workspace</p>'}
     </div>
@@ -393,8 +655,11 @@ class Server {
 
         function showMessage(msg, isError) {
             const el = document.getElementById('demo-message');
-            el.innerHTML = '<div class="message ' + (isError ? 'error' : 'success') + '">' + msg + '</div>';
-            setTimeout(() => el.innerHTML = '', 3000);
+            const message = document.createElement('div');
+            message.className = 'message ' + (isError ? 'error' : 'success');
+            message.textContent = msg;
+            el.replaceChildren(message);
+            setTimeout(() => el.replaceChildren(), 3000);
         }
 
         async function loadDemoProjects() {
@@ -456,11 +721,17 @@ class Server {
             // Static files (last)
             app.use((req, res, next) => this.serveFromMultipleDirectories(req, res, next));
 
-            this.httpServer = app.listen(this.options.httpPort, () => {
+            this.httpServer = this.tls
+                ? https.createServer({ cert: this.tls.cert, key: this.tls.key }, app)
+                : http.createServer(app);
+
+            this.httpServer.listen(this.options.httpPort, () => {
                 this.logger.info(`* HTTP server started on port ${this.options.httpPort}`);
                 resolve();
             });
 
+            this.httpServer.on('upgrade', (request, socket, head) => this.handleUpgrade(request, socket, head));
+
             this.httpServer.on('error', (err) => {
                 if (err.code === 'EADDRINUSE') {
                     reject(new Error(`Port ${this.options.httpPort} is already in use`));
@@ -471,6 +742,21 @@ class Server {
         });
     }
 
+    /**
+     * Starts the DAP server, which shares the debug sessions with the web UI
+     * @returns {Promise<void>}
+     */
+    async startDapServer() {
+        const DapServer = require('./dap-server');
+        this.dapServer = new DapServer(this.debugRouter.sessionManager, {
+            dapPort: this.options.dapPort,
+            logLevel: this.options.logLevels.websocket,
+            auth: this.auth
+        });
+        await this.dapServer.start();
+        this.logger.info(`* DAP server started on port ${this.options.dapPort}`);
+    }
+
     setupShutdownHandlers() {
         const shutdown = async (signal) => {
             this.logger.info(`\n${signal} received, shutting down...`);
@@ -491,6 +777,20 @@ class Server {
             this.gpioManager.stop();
         }
 
+        if (this.dapServer) {
+            await this.dapServer.stop();
+            this.dapServer = null;
+        }
+
+        // Programs run in process groups of their own, which would outlive the server
+        if (this.debugRouter) {
+            await this.debugRouter.sessionManager.stopAllSessions();
+        }
+
+        if (this.workspaceWatcher) {
+            this.workspaceWatcher.stop();     // Ends the /workspace/events streams
+        }
+
         if (this.httpServer) {
             await new Promise(resolve => this.httpServer.close(resolve));
         }
@@ -501,6 +801,22 @@ class Server {
     }
 }
 
+/**
+ * @param {*} value - Text for an HTML page
+ * @returns {string} The text with HTML's special characters escaped
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * @param {string} file - Path, possibly starting with ~/
+ * @returns {string} The path with ~/ replaced by the home directory
+ */
+function expandHome(file) {
+    return file.startsWith('~/') ? path.join(os.homedir(), file.slice(2)) : file;
+}
+
 // Load config from package.json
 function loadConfig() {
     let packageConfig = {};
@@ -510,15 +826,38 @@ function loadConfig() {
     } catch (err) {
         console.warn('Warning: Could not read server.config from package.json');
     }
+    const authConfig = packageConfig.auth || {};
+    const tlsConfig = packageConfig.tls || {};
+    const tlsCert = process.env.TLS_CERT || tlsConfig.cert;
+    const tlsKey = process.env.TLS_KEY || tlsConfig.key;
 
     return {
         httpPort: parseInt(process.env.HTTP_PORT) || packageConfig.httpPort || 8080,
         proxyPort: parseInt(process.env.PROXY_PORT) || packageConfig.proxyPort || 8888,
         gpioPort: parseInt(process.env.GPIO_PORT) || packageConfig.gpioPort || 8081,
         inspectPort: parseInt(process.env.INSPECT_PORT) || packageConfig.inspectPort || 9229,
+        dapPort: parseInt(process.env.DAP_PORT) || packageConfig.dapPort || 4711,
+        reconnectGracePeriod: parseInt(process.env.RECONNECT_GRACE_PERIOD) || packageConfig.reconnectGracePeriod || 30000,
+        separatePorts: process.env.SEPARATE_PORTS ? process.env.SEPARATE_PORTS === 'true' : packageConfig.separatePorts || false,
         workspaceRoot: process.env.WORKSPACE_ROOT || packageConfig.workspaceRoot || '/tmp/node-inspector-websocket-proxy',
         staticDirs: process.env.STATIC_DIRS?.split(',') || packageConfig.staticDirs || ['www'],
-        logLevels: packageConfig.logLevels || { http: 'info', static: 'info', websocket: 'info' }
+        logLevels: packageConfig.logLevels || { http: 'info', static: 'info', websocket: 'info' },
+        limits: packageConfig.limits || {},
+        auditFile: expandHome(process.env.AUDIT_FILE || packageConfig.auditFile || '~/.pithagoras/audit.jsonl'),
+        allowedOrigins: process.env.ALLOWED_ORIGINS !== undefined
+            ? process.env.ALLOWED_ORIGINS.split(',').map(o => o.trim()).filter(Boolean)
+            : packageConfig.allowedOrigins || [],
+        auth: {
+            enabled: process.env.AUTH_ENABLED ? process.env.AUTH_ENABLED === 'true' : authConfig.enabled !== false,
+            usersFile: expandHome(process.env.USERS_FILE || authConfig.usersFile || '~/.pithagoras/users.json'),
+            tokenTtl: parseInt(process.env.AUTH_TOKEN_TTL) || authConfig.tokenTtl || 12 * 60 * 60 * 1000
+        },
+        tls: {
+            enabled: process.env.TLS_ENABLED ? process.env.TLS_ENABLED === 'true' : tlsConfig.enabled || false,
+            cert: tlsCert && expandHome(tlsCert),
+            key: tlsKey && expandHome(tlsKey),
+            dir: expandHome(process.env.TLS_DIR || tlsConfig.dir || '~/.pithagoras/tls')
+        }
     };
 }
 
@@ -528,8 +867,16 @@ if (require.main === module) {
 
     console.log('Configuration:');
     console.log('  HTTP Port:', config.httpPort);
-    console.log('  Proxy Port:', config.proxyPort);
-    console.log('  GPIO Port:', config.gpioPort);
+    console.log('  Separate Ports:', config.separatePorts);
+    if (config.separatePorts) {
+        console.log('  Proxy Port:', config.proxyPort);
+        console.log('  GPIO Port:', config.gpioPort);
+    }
+    console.log('  DAP Port:', config.dapPort);
+    console.log('  Authentication:', config.auth.enabled ? config.auth.usersFile : 'off');
+    console.log('  Audit Log:', config.auditFile);
+    console.log('  Allowed Origins:', config.allowedOrigins.length > 0 ? config.allowedOrigins.join(', ') : 'same origin only');
+    console.log('  TLS:', config.tls.enabled ? config.tls.cert || `self-signed (${config.tls.dir})` : 'off');
     console.log('  Workspace:', config.workspaceRoot);
     console.log('  Static Dirs:', config.staticDirs);
     console.log('');
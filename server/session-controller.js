@@ -0,0 +1,383 @@
+const { pathToFileURL } = require('url');
+const CdpClient = require('./cdp-client');
+
+// Step actions of POST /debug/session/:id/step
+const STEP_METHODS = {
+    over: 'Debugger.stepOver',
+    into: 'Debugger.stepInto',
+    out: 'Debugger.stepOut'
+};
+
+/**
+ * SessionController - Debugger control on behalf of HTTP callers (CI jobs, grading scripts)
+ *
+ * Keeps a connection (CdpClient) to a session's main target, made on the first control
+ * request, and what a request/response API needs between calls: the current pause,
+ * the loaded scripts (to map call frames to workspace files), the breakpoints and how
+ * the program ended. It is a client like any other: the first client drives, so while
+ * a browser or editor drives the session, requests that change anything are refused.
+ *
+ * Lines and columns are 1-based, as editors show them. Breakpoints outlive watch-mode
+ * restarts: they are set again before the restarted program runs.
+ */
+class SessionController {
+    /**
+     * Creates a new SessionController instance
+     * @param {string} wsUrl - The session's WebSocket URL (with its token)
+     * @param {DebuggerSessionManager} sessionManager - Resolves and describes workspace files
+     * @param {WorkspaceSecurity} [security] - Workspace of the session's owner (default: the whole workspace)
+     */
+    constructor(wsUrl, sessionManager, security = sessionManager.workspaceSecurity) {
+        this.wsUrl = wsUrl;
+        this.sessionManager = sessionManager;
+        this.security = security;
+        this.client = null;
+        this.connecting = null;
+        this.scripts = new Map();       // scriptId -> url
+        this.breakpoints = new Map();   // breakpointId -> { breakpointId, file, url, line, condition, locations }
+        this.paused = null;             // Debugger.paused params
+        this.exited = null;             // Proxy.targetExited params
+        this.waiters = new Set();       // { resolve, reject, timer } of waitForPause
+    }
+
+    /**
+     * Connects on first use (starting the program if nobody else has)
+     * @returns {Promise<CdpClient>} The connection
+     * @throws {Error} If the session cannot be reached
+     * @private
+     */
+    getClient() {
+        if (!this.connecting) {
+            const client = new CdpClient({ tls: this.sessionManager.clientTls });
+            client.on('event', (method, params, sessionId) => {
+                if (!sessionId) this.onEvent(method, params);
+            });
+            client.on('close', () => {
+                if (this.client === client) this.client = null;
+                this.connecting = null;
+            });
+
+            this.connecting = client.connect(this.wsUrl)
+                .then(async () => {
+                    this.client = client;
+                    await client.send('Runtime.enable');
+                    await client.send('Debugger.enable');
+                    return client;
+                })
+                .catch(err => {
+                    this.connecting = null;
+                    client.close();
+                    throw err;
+                });
+        }
+        return this.connecting;
+    }
+
+    /**
+     * Tracks the target's state
+     * @param {string} method - CDP or Proxy method
+     * @param {Object} params - Its parameters
+     * @private
+     */
+    onEvent(method, params) {
+        switch (method) {
+            case 'Debugger.scriptParsed':
+                this.scripts.set(params.scriptId, params.url);
+                break;
+            case 'Debugger.breakpointResolved':
+                // Set before its script was loaded
+                if (this.breakpoints.has(params.breakpointId)) {
+                    this.breakpoints.get(params.breakpointId).locations.push(this.describeLocation(params.location));
+                }
+                break;
+            case 'Debugger.paused':
+                this.paused = params;
+                this.waiters.forEach(waiter => waiter.resolve(this.getState()));
+                break;
+            case 'Debugger.resumed':
+                this.paused = null;
+                break;
+            case 'Proxy.targetExited':
+                this.paused = null;
+                this.exited = params;
+                this.waiters.forEach(waiter => waiter.reject(new Error(this.describeExit())));
+                break;
+            case 'Proxy.targetRestarting':
+                this.paused = null;
+                this.exited = null;
+                this.scripts.clear();
+                break;
+            case 'Proxy.ready':
+                if (params.restarted) this.restoreBreakpoints();
+                break;
+        }
+    }
+
+    /**
+     * Sets the breakpoints again on a restarted program, then lets it run
+     * @private
+     */
+    async restoreBreakpoints() {
+        const client = this.client;
+        const breakpoints = [...this.breakpoints.values()];
+        this.breakpoints.clear();
+
+        try {
+            await client.send('Runtime.enable');
+            await client.send('Debugger.enable');
+            if (client.role !== 'driver') return;
+
+            for (const { file, url, line, condition } of breakpoints) {
+                const result = await client.send('Debugger.setBreakpointByUrl', { url, lineNumber: line - 1, columnNumber: 0, condition });
+                this.addBreakpoint(result, { file, url, line, condition });
+            }
+            await client.send('Runtime.runIfWaitingForDebugger');
+        } catch (err) {
+            console.error('Failed to restore breakpoints after restart:', err.message);
+        }
+    }
+
+    /**
+     * Sets a breakpoint (before its script is loaded, too)
+     * @param {string} file - File path relative to the owner's workspace
+     * @param {number} line - Line number (1-based)
+     * @param {string} [condition=''] - Only pause when this expression is true
+     * @returns {Promise<Object>} The breakpoint { breakpointId, file, line, condition, locations }
+     * @throws {Error} If the path is outside the workspace, the line is invalid or we don't drive the session
+     */
+    async setBreakpoint(file, line, condition = '') {
+        const lineNumber = parseInt(line);
+        if (!(lineNumber >= 1)) {
+            throw new Error(`Invalid line: ${line}`);
+        }
+
+        const absolutePath = await this.security.validatePath(file);
+        const url = pathToFileURL(absolutePath).href;
+        const client = await this.getClient();
+        const result = await client.send('Debugger.setBreakpointByUrl', { url, lineNumber: lineNumber - 1, columnNumber: 0, condition });
+
+        return this.describeBreakpoint(this.addBreakpoint(result, {
+            file: this.security.getRelativePath(absolutePath),
+            url,
+            line: lineNumber,
+            condition
+        }));
+    }
+
+    /**
+     * @param {Object} result - Debugger.setBreakpointByUrl result { breakpointId, locations }
+     * @param {Object} breakpoint - { file, url, line, condition }
+     * @returns {Object} The stored breakpoint
+     * @private
+     */
+    addBreakpoint(result, breakpoint) {
+        const stored = {
+            breakpointId: result.breakpointId,
+            ...breakpoint,
+            locations: result.locations.map(location => this.describeLocation(location))
+        };
+        this.breakpoints.set(result.breakpointId, stored);
+        return stored;
+    }
+
+    /**
+     * Removes a breakpoint
+     * @param {string} breakpointId - Id returned by setBreakpoint
+     * @throws {Error} If there is no such breakpoint
+     */
+    async removeBreakpoint(breakpointId) {
+        if (!this.breakpoints.has(breakpointId)) {
+            throw new Error(`Breakpoint not found: ${breakpointId}`);
+        }
+
+        const client = await this.getClient();
+        await client.send('Debugger.removeBreakpoint', { breakpointId });
+        this.breakpoints.delete(breakpointId);
+    }
+
+    /**
+     * @returns {Array<Object>} The breakpoints [{ breakpointId, file, line, condition, locations }]
+     */
+    listBreakpoints() {
+        return [...this.breakpoints.values()].map(breakpoint => this.describeBreakpoint(breakpoint));
+    }
+
+    /**
+     * @param {Object} breakpoint - Stored breakpoint
+     * @returns {Object} { breakpointId, file, line, condition, locations }
+     * @private
+     */
+    describeBreakpoint({ url, ...breakpoint }) {
+        return breakpoint;
+    }
+
+    /**
+     * Lets the program run: releases it if it waits for the debugger (waitForDebugger,
+     * or a command's first process), or resumes it if it is paused
+     */
+    async resume() {
+        const client = await this.getClient();
+        const wasPaused = this.paused !== null;
+
+        // Cleared up front, so a wait that follows doesn't see the old pause
+        this.paused = null;
+        await client.send('Runtime.runIfWaitingForDebugger');
+        if (wasPaused) {
+            await client.send('Debugger.resume');
+        }
+    }
+
+    /**
+     * Steps the paused program
+     * @param {string} [action='over'] - 'over', 'into' or 'out'
+     * @throws {Error} If the action is unknown or the program is not paused
+     */
+    async step(action = 'over') {
+        const method = STEP_METHODS[action];
+        if (!method) {
+            throw new Error(`Invalid step action: ${action}. Expected 'over', 'into' or 'out'`);
+        }
+
+        const client = await this.getClient();
+        if (!this.paused) {
+            throw new Error('Program is not paused');
+        }
+
+        this.paused = null;
+        await client.send(method);
+    }
+
+    /**
+     * Pauses the running program (see waitForPause for when it has)
+     */
+    async pause() {
+        const client = await this.getClient();
+        await client.send('Debugger.pause');
+    }
+
+    /**
+     * Evaluates an expression in a frame of the paused program, or globally while it runs
+     * @param {string} expression - JavaScript expression
+     * @param {number} [frame=0] - Call frame index (0: where the program is paused)
+     * @returns {Promise<Object>} { type, subtype, value, description }; `value` is the JSON value when there is one
+     * @throws {Error} If the expression throws or the frame does not exist
+     */
+    async evaluate(expression, frame = 0) {
+        if (typeof expression !== 'string' || !expression) {
+            throw new Error('Invalid expression');
+        }
+
+        const client = await this.getClient();
+        let callFrame = null;
+        if (this.paused) {
+            callFrame = this.paused.callFrames[parseInt(frame) || 0];
+            if (!callFrame) {
+                throw new Error(`Invalid frame: ${frame}`);
+            }
+        }
+
+        const run = returnByValue => callFrame
+            ? client.send('Debugger.evaluateOnCallFrame', { callFrameId: callFrame.callFrameId, expression, returnByValue })
+            : client.send('Runtime.evaluate', { expression, returnByValue });
+
+        // Objects that can't be sent as JSON (cycles, DOM-like host objects) are described instead
+        const response = await run(true).catch(() => run(false));
+
+        if (response.exceptionDetails) {
+            const { exception, text } = response.exceptionDetails;
+            throw new Error(`Evaluation failed: ${exception && exception.description ? exception.description.split('\n')[0] : text}`);
+        }
+
+        const { type, subtype, value, unserializableValue, description } = response.result;
+        return { type, subtype, value: unserializableValue ?? value, description };
+    }
+
+    /**
+     * Waits until the program is paused
+     * @param {number} [timeout=0] - How long (ms) to wait; 0 answers right away
+     * @returns {Promise<Object>} The state (see getState)
+     * @throws {Error} On timeout, or if the program ends first
+     */
+    async waitForPause(timeout = 0) {
+        await this.getClient();
+
+        if (this.paused || timeout <= 0) {
+            return this.getState();
+        }
+        if (this.exited) {
+            throw new Error(this.describeExit());
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                resolve: state => { this.waiters.delete(waiter); clearTimeout(waiter.timer); resolve(state); },
+                reject: err => { this.waiters.delete(waiter); clearTimeout(waiter.timer); reject(err); },
+                timer: setTimeout(() => waiter.reject(new Error(`Timed out waiting for the program to pause (${timeout}ms)`)), timeout)
+            };
+            this.waiters.add(waiter);
+        });
+    }
+
+    /**
+     * Describes where the program is
+     * @returns {Object} { paused: false, exited } or { paused: true, reason, file, line, hitBreakpoints, callFrames }
+     */
+    getState() {
+        if (!this.paused) {
+            return { paused: false, exited: this.exited };
+        }
+
+        const callFrames = this.paused.callFrames.map(callFrame => ({
+            functionName: callFrame.functionName || '(anonymous)',
+            ...this.describeLocation(callFrame.location)
+        }));
+
+        return {
+            paused: true,
+            reason: this.paused.reason,
+            file: callFrames.length > 0 ? callFrames[0].file : null,
+            line: callFrames.length > 0 ? callFrames[0].line : null,
+            hitBreakpoints: this.paused.hitBreakpoints || [],
+            callFrames
+        };
+    }
+
+    /**
+     * @param {Object} location - CDP location { scriptId, lineNumber, columnNumber }
+     * @returns {Object} { file, url, line, column } (file is null outside the workspace)
+     * @private
+     */
+    describeLocation(location) {
+        const url = this.scripts.get(location.scriptId) || '';
+        return {
+            file: this.sessionManager.getWorkspaceFile(url, this.security),
+            url,
+            line: location.lineNumber + 1,
+            column: (location.columnNumber || 0) + 1
+        };
+    }
+
+    /**
+     * @returns {string} Why the program is gone
+     * @private
+     */
+    describeExit() {
+        const { code, signal } = this.exited;
+        return signal ? `Program exited with signal ${signal}` : `Program exited with code ${code}`;
+    }
+
+    /**
+     * Disconnects (the session is being stopped)
+     */
+    close() {
+        this.waiters.forEach(waiter => waiter.reject(new Error('Session stopped')));
+        if (this.client) {
+            this.client.removeAllListeners();
+            this.client.close();
+        }
+        this.client = null;
+        this.connecting = null;
+    }
+}
+
+module.exports = SessionController;
@@ -0,0 +1,256 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('assert').strict;
+const net = require('net');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const DapServer = require('../dap-server');
+const { DebuggerSessionManager } = require('../debugger-session-api');
+const AuthMiddleware = require('../auth-middleware');
+const UserStore = require('../user-store');
+const { getFreePort } = require('./helpers');
+
+/**
+ * An editor's end of a DAP connection, for tests
+ */
+class DapClient {
+    /**
+     * @param {number} port - DAP server port
+     * @returns {Promise<DapClient>} Once connected
+     */
+    static connect(port) {
+        return new Promise((resolve, reject) => {
+            const socket = net.connect(port, '127.0.0.1', () => resolve(new DapClient(socket)));
+            socket.once('error', reject);
+        });
+    }
+
+    /**
+     * @param {net.Socket} socket - Connection
+     */
+    constructor(socket) {
+        this.socket = socket;
+        this.seq = 1;
+        this.buffer = '';
+        this.messages = [];
+        this.waiting = [];
+
+        socket.on('data', (chunk) => {
+            this.buffer += chunk.toString();
+            for (;;) {
+                const match = /^Content-Length: (\d+)\r\n\r\n/.exec(this.buffer);
+                if (!match || this.buffer.length < match[0].length + parseInt(match[1])) return;
+
+                const message = JSON.parse(this.buffer.substr(match[0].length, parseInt(match[1])));
+                this.buffer = this.buffer.slice(match[0].length + parseInt(match[1]));
+                this.messages.push(message);
+                this.waiting = this.waiting.filter(({ predicate, resolve }) => {
+                    if (!predicate(message)) return true;
+                    resolve(message);
+                    return false;
+                });
+            }
+        });
+    }
+
+    /**
+     * Waits for a message (one received already counts)
+     * @param {Function} predicate - (message) => boolean
+     * @param {number} [timeout=10000] - ms
+     * @returns {Promise<Object>} The message
+     */
+    next(predicate, timeout = 10000) {
+        const received = this.messages.find(predicate);
+        if (received) return Promise.resolve(received);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`No matching message within ${timeout}ms`)), timeout);
+            this.waiting.push({
+                predicate,
+                resolve: (message) => {
+                    clearTimeout(timer);
+                    resolve(message);
+                }
+            });
+        });
+    }
+
+    /**
+     * @param {string} event - Event name
+     * @returns {Promise<Object>} The event
+     */
+    event(event) {
+        return this.next(message => message.type === 'event' && message.event === event);
+    }
+
+    /**
+     * Sends a request and waits for its response
+     * @param {string} command - Command
+     * @param {Object} [args] - Arguments
+     * @returns {Promise<Object>} The response
+     */
+    request(command, args) {
+        const seq = this.seq++;
+        const json = JSON.stringify({ seq, type: 'request', command, arguments: args });
+        this.socket.write(`Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`);
+        return this.next(message => message.type === 'response' && message.request_seq === seq);
+    }
+
+    /**
+     * Disconnects
+     * @returns {Promise<void>} Once the connection is closed
+     */
+    close() {
+        if (this.socket.destroyed) return Promise.resolve();
+        return new Promise((resolve) => {
+            this.socket.once('close', () => resolve());
+            this.socket.destroy();
+        });
+    }
+}
+
+describe('DapServer', () => {
+    let dir;
+    let sessionManager;
+    let dapServer;
+    let editor;
+
+    /**
+     * Starts a DAP server for the tests of a block
+     * @param {Object} [config] - More DapServer options
+     */
+    async function startServer(config = {}) {
+        sessionManager = new DebuggerSessionManager({
+            workspaceRoot: dir,
+            separatePorts: true,
+            proxyPort: await getFreePort(),
+            inspectPort: await getFreePort(),
+            reconnectGracePeriod: 0,
+            websocketLogLevel: 'error'
+        });
+        dapServer = new DapServer(sessionManager, { dapPort: await getFreePort(), logLevel: 'error', ...config });
+        await dapServer.start();
+    }
+
+    async function stopServer() {
+        await dapServer.stop();
+        await sessionManager.stopAllSessions();
+    }
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dap-test-'));
+        await fs.writeFile(path.join(dir, 'main.js'), 'let count = 0;\ncount++;\nconsole.log(`count: ${count}`);\n');
+    });
+
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+        editor = null;
+    });
+
+    afterEach(async () => {
+        if (editor) await editor.close();
+    });
+
+    describe('debugging', () => {
+        before(() => startServer());
+        after(() => stopServer());
+
+        it('tells the editor what it supports', async () => {
+            editor = await DapClient.connect(dapServer.port);
+            const response = await editor.request('initialize', { adapterID: 'badgerbox', linesStartAt1: true });
+
+            assert.equal(response.success, true);
+            assert.equal(response.body.supportsConfigurationDoneRequest, true);
+            assert.equal(response.body.supportsConditionalBreakpoints, true);
+        });
+
+        it('refuses launches without a program', async () => {
+            editor = await DapClient.connect(dapServer.port);
+            const response = await editor.request('launch', {});
+
+            assert.equal(response.success, false);
+            assert.match(response.message, /Missing required field: program/);
+        });
+
+        it('stops at breakpoints set before the program runs', async () => {
+            editor = await DapClient.connect(dapServer.port);
+            await editor.request('initialize', { adapterID: 'badgerbox' });
+            assert.equal((await editor.request('launch', { program: 'main.js' })).success, true);
+            await editor.event('initialized');
+
+            const { body } = await editor.request('setBreakpoints', {
+                source: { path: path.join(dir, 'main.js') },
+                breakpoints: [{ line: 3 }]
+            });
+            assert.equal(body.breakpoints.length, 1);
+            await editor.request('configurationDone');
+
+            const stopped = await editor.event('stopped');
+            assert.equal(stopped.body.reason, 'breakpoint');
+            const { body: { stackFrames } } = await editor.request('stackTrace', { threadId: stopped.body.threadId });
+            assert.equal(stackFrames[0].line, 3);
+            assert.equal(stackFrames[0].source.path, path.join(dir, 'main.js'));
+
+            const evaluated = await editor.request('evaluate', { expression: 'count', frameId: stackFrames[0].id });
+            assert.equal(evaluated.body.result, '1');
+
+            await editor.request('continue', { threadId: stopped.body.threadId });
+            const output = await editor.next(message => message.event === 'output' && message.body.category === 'stdout');
+            assert.equal(output.body.output, 'count: 1\n');
+        });
+    });
+
+    describe('authentication', () => {
+        const tokens = {};
+
+        before(async () => {
+            const users = await new UserStore(path.join(dir, 'users.json')).load();
+            await users.addUser('ada', 'secretpw1', 'student');
+            await users.addUser('vic', 'secretpw1', 'viewer');
+            const auth = new AuthMiddleware({ userStore: users, enabled: true });
+            tokens.ada = (await auth.login('ada', 'secretpw1')).token;
+            tokens.vic = (await auth.login('vic', 'secretpw1')).token;
+            await startServer({ auth });
+        });
+
+        after(() => stopServer());
+
+        it('refuses launch and attach without a valid token', async () => {
+            editor = await DapClient.connect(dapServer.port);
+            for (const [command, args] of [
+                ['launch', { program: 'main.js' }],
+                ['launch', { program: 'main.js', token: 'guessed' }],
+                ['attach', { sessionId: '1' }]
+            ]) {
+                const response = await editor.request(command, args);
+                assert.equal(response.success, false);
+                assert.match(response.message, /Authentication required/);
+            }
+            assert.equal(sessionManager.sessions.size, 0);
+        });
+
+        it('refuses viewers', async () => {
+            editor = await DapClient.connect(dapServer.port);
+            const response = await editor.request('launch', { program: 'main.js', token: tokens.vic });
+
+            assert.equal(response.success, false);
+            assert.match(response.message, /viewers cannot debug/);
+        });
+
+        it('works in the workspace of the token\'s user', async () => {
+            await fs.mkdir(path.join(dir, 'users', 'ada'), { recursive: true });
+            await fs.copyFile(path.join(dir, 'main.js'), path.join(dir, 'users', 'ada', 'main.js'));
+
+            editor = await DapClient.connect(dapServer.port);
+            const response = await editor.request('launch', { program: 'main.js', token: tokens.ada });
+            assert.equal(response.success, true);
+
+            const [session] = sessionManager.sessions.values();
+            assert.equal(session.owner, 'ada');
+            assert.equal(session.absolutePath, path.join(dir, 'users', 'ada', 'main.js'));
+        });
+    });
+});
@@ -0,0 +1,151 @@
+const net = require('net');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+
+/**
+ * Helpers shared by the tests that run programs and talk to them over WebSockets
+ */
+
+/**
+ * @returns {Promise<number>} A port that was free at the time of the call
+ */
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Runs a Node program with its inspector open, as one started with --inspect by hand
+ * @param {string} source - Program source
+ * @param {number} port - Inspector port
+ * @returns {Promise<ChildProcess>} Once the inspector listens
+ */
+function startInspectedProgram(source, port) {
+    const child = spawn(process.execPath, [`--inspect=127.0.0.1:${port}`, '-e', source], {
+        stdio: ['ignore', 'ignore', 'pipe']
+    });
+
+    return new Promise((resolve, reject) => {
+        let stderr = '';
+        child.stderr.on('data', (data) => {
+            stderr += data;
+            if (stderr.includes('Debugger listening')) resolve(child);
+        });
+        child.once('exit', (code) => reject(new Error(`Program exited (${code}): ${stderr}`)));
+    });
+}
+
+/**
+ * Ends a program started by a test and waits until it is gone
+ * @param {ChildProcess} child - The program
+ * @returns {Promise<void>}
+ */
+function stopProgram(child) {
+    if (child.exitCode !== null || child.signalCode !== null) return Promise.resolve();
+    return new Promise((resolve) => {
+        child.once('exit', () => resolve());
+        child.kill('SIGKILL');
+    });
+}
+
+/**
+ * A CDP (or any JSON) WebSocket client that keeps what it is sent, for tests
+ */
+class TestClient {
+    /**
+     * Connects a client
+     * @param {string} url - WebSocket URL
+     * @param {Object} [options] - ws options (headers...)
+     * @returns {Promise<TestClient>} Once connected
+     * @throws {Error} With `status` set if the upgrade was answered with an HTTP status
+     */
+    static connect(url, options = {}) {
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(url, options);
+            const client = new TestClient(ws);
+            ws.once('open', () => resolve(client));
+            ws.once('unexpected-response', (request, response) => {
+                const err = new Error(`Upgrade refused with ${response.statusCode}`);
+                err.status = response.statusCode;
+                ws.terminate();
+                reject(err);
+            });
+            ws.once('error', reject);
+        });
+    }
+
+    /**
+     * @param {WebSocket} ws - Connection
+     */
+    constructor(ws) {
+        this.ws = ws;
+        this.messages = [];
+        this.waiting = [];
+        this.nextId = 1;
+        this.closed = new Promise(resolve => {
+            ws.once('close', (code, reason) => resolve({ code, reason: reason.toString() }));
+        });
+
+        ws.on('message', (data) => {
+            const message = JSON.parse(data.toString());
+            this.messages.push(message);
+            this.waiting = this.waiting.filter(({ predicate, resolve }) => {
+                if (!predicate(message)) return true;
+                resolve(message);
+                return false;
+            });
+        });
+    }
+
+    /**
+     * Waits for a message (one received already counts)
+     * @param {Function|string} predicate - (message) => boolean, or an event's method name
+     * @param {number} [timeout=5000] - ms
+     * @returns {Promise<Object>} The message
+     */
+    next(predicate, timeout = 5000) {
+        const matches = typeof predicate === 'string' ? (message => message.method === predicate) : predicate;
+        const received = this.messages.find(matches);
+        if (received) return Promise.resolve(received);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`No matching message within ${timeout}ms`)), timeout);
+            this.waiting.push({
+                predicate: matches,
+                resolve: (message) => {
+                    clearTimeout(timer);
+                    resolve(message);
+                }
+            });
+        });
+    }
+
+    /**
+     * Sends a request and waits for its response
+     * @param {string} method - Method
+     * @param {Object} [params] - Parameters
+     * @param {number} [id] - Request id (the next one by default)
+     * @returns {Promise<Object>} The response ({ id, result } or { id, error })
+     */
+    request(method, params, id = this.nextId++) {
+        this.ws.send(JSON.stringify({ id, method, params }));
+        return this.next(message => message.id === id && message.method === undefined);
+    }
+
+    /**
+     * Closes the connection
+     * @returns {Promise<Object>} { code, reason } once closed
+     */
+    close() {
+        this.ws.close();
+        return this.closed;
+    }
+}
+
+module.exports = { getFreePort, startInspectedProgram, stopProgram, TestClient };
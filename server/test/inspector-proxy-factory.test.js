@@ -0,0 +1,233 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('assert').strict;
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const RemoteDebuggerProxyServer = require('../inspector-proxy-factory');
+const { getFreePort, startInspectedProgram, stopProgram, TestClient } = require('./helpers');
+
+describe('RemoteDebuggerProxyServer', () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'proxy-test-'));
+        await fs.writeFile(path.join(dir, 'idle.js'), 'setInterval(() => {}, 1000);\n');
+    });
+
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    describe('attach', () => {
+        let program;
+        let inspectPort;
+        let proxy;
+
+        beforeEach(async () => {
+            inspectPort = await getFreePort();
+            program = await startInspectedProgram('setInterval(() => {}, 1000);', inspectPort);
+        });
+
+        afterEach(async () => {
+            await proxy.stop();
+            await stopProgram(program);
+        });
+
+        it('debugs a program that is already running, and leaves it running', async () => {
+            proxy = new RemoteDebuggerProxyServer(null, {
+                proxyPort: await getFreePort(),
+                attach: { port: inspectPort },
+                reconnectGracePeriod: 0,
+                logLevel: 'error'
+            });
+            proxy.start();
+
+            const client = await TestClient.connect(`ws://127.0.0.1:${proxy.proxyPort}/?token=${proxy.sessionToken}`);
+            await client.next('Proxy.ready');
+            const { result } = await client.request('Runtime.evaluate', { expression: 'process.pid' });
+            assert.equal(result.result.value, program.pid);
+
+            await client.close();
+            await proxy.stop();
+            assert.equal(program.exitCode, null);
+            assert.equal(program.signalCode, null);
+        });
+
+        it('tells the client when there is nothing to attach to', async () => {
+            await stopProgram(program);
+            proxy = new RemoteDebuggerProxyServer(null, {
+                proxyPort: await getFreePort(),
+                attach: { port: inspectPort },
+                logLevel: 'error'
+            });
+            proxy.start();
+
+            const client = await TestClient.connect(`ws://127.0.0.1:${proxy.proxyPort}/`);
+            const { params } = await client.next('Proxy.error');
+            assert.match(params.message, /Cannot reach inspector/);
+            await client.closed;
+        });
+
+        it('lists the target it attached to for /json/list', async () => {
+            proxy = new RemoteDebuggerProxyServer(null, {
+                proxyPort: await getFreePort(),
+                attach: { port: inspectPort, title: 'blink' },
+                logLevel: 'error'
+            });
+            proxy.start();
+            await new Promise(resolve => { proxy.server.once('listening', resolve); });
+
+            const targets = await (await fetch(`http://127.0.0.1:${proxy.proxyPort}/json/list`)).json();
+            assert.equal(targets.length, 1);
+            assert.equal(targets[0].title, 'blink');
+            assert.equal(targets[0].webSocketDebuggerUrl, `ws://127.0.0.1:${proxy.proxyPort}/?token=${proxy.sessionToken}`);
+        });
+    });
+
+    describe('shared sessions', () => {
+        let proxy;
+        let url;
+        let clients;
+
+        /**
+         * @param {string} [query] - Query string (the session token by default)
+         * @returns {Promise<TestClient>} Connected client, once the proxy says it is ready
+         */
+        const connect = async (query = `token=${proxy.sessionToken}`) => {
+            const client = await TestClient.connect(`${url}/?${query}`);
+            clients.push(client);
+            await client.next('Proxy.ready', 10000);
+            return client;
+        };
+
+        beforeEach(async () => {
+            proxy = new RemoteDebuggerProxyServer(path.join(dir, 'idle.js'), {
+                inspectPort: await getFreePort(),
+                proxyPort: await getFreePort(),
+                reconnectGracePeriod: 0,
+                logLevel: 'error'
+            });
+            proxy.start();
+            url = `ws://127.0.0.1:${proxy.proxyPort}`;
+            clients = [];
+        });
+
+        afterEach(async () => {
+            await Promise.all(clients.map(client => client.close()));
+            await proxy.stop();
+        });
+
+        it('makes the first client the driver and the others observers', async () => {
+            const driver = await connect();
+            const observer = await connect();
+
+            assert.equal((await driver.next('Proxy.ready')).params.role, 'driver');
+            assert.equal((await observer.next('Proxy.ready')).params.role, 'observer');
+            assert.equal((await observer.next('Proxy.ready')).params.resumed, true);
+        });
+
+        it('renumbers requests, so clients may use the same ids', async () => {
+            const driver = await connect();
+            const observer = await connect();
+
+            driver.ws.send(JSON.stringify({ id: 7, method: 'Runtime.evaluate', params: { expression: '"driver"' } }));
+            observer.ws.send(JSON.stringify({ id: 7, method: 'Runtime.evaluate', params: { expression: '"observer"', throwOnSideEffect: true } }));
+
+            const driverResponse = await driver.next(message => message.id === 7);
+            const observerResponse = await observer.next(message => message.id === 7);
+            assert.equal(driverResponse.result.result.value, 'driver');
+            assert.equal(observerResponse.result.result.value, 'observer');
+            assert.equal(driver.messages.filter(message => message.id === 7).length, 1);
+            assert.equal(observer.messages.filter(message => message.id === 7).length, 1);
+        });
+
+        it('keeps observers to requests that change nothing', async () => {
+            await connect();
+            const observer = await connect();
+
+            for (const [method, params] of [
+                ['Debugger.pause'],
+                ['Debugger.setBreakpointByUrl', { lineNumber: 1, url: 'file:///idle.js' }],
+                ['Runtime.evaluate', { expression: 'answer = 0' }]
+            ]) {
+                const { error } = await observer.request(method, params);
+                assert.match(error.message, /only available to the session's driver/, method);
+            }
+
+            const { result } = await observer.request('Runtime.evaluate', { expression: 'process.pid', throwOnSideEffect: true });
+            assert.equal(result.result.value, proxy.appProcess.pid);
+        });
+
+        it('lets an observer take control only when nobody drives', async () => {
+            const driver = await connect();
+            const observer = await connect();
+
+            const refused = await observer.request('Proxy.takeControl');
+            assert.match(refused.error.message, /Client \d+ is driving this session/);
+
+            await driver.close();
+            clients = clients.filter(client => client !== driver);
+            const { result } = await observer.request('Proxy.takeControl');
+            assert.equal(result.role, 'driver');
+            const evaluated = await observer.request('Runtime.evaluate', { expression: 'answer = 7' });
+            assert.equal(evaluated.result.result.value, 7);
+        });
+
+        it('never lets an observer-token client drive', async () => {
+            await connect();
+            const watcher = await connect(`token=${proxy.observerToken}`);
+
+            assert.equal((await watcher.next('Proxy.ready')).params.role, 'observer');
+            const { error } = await watcher.request('Proxy.takeControl');
+            assert.match(error.message, /can only watch/);
+        });
+
+        it('lets a client without the session token watch, but not restart the target', async () => {
+            const driver = await connect();
+            const stranger = await connect('');
+
+            assert.equal((await stranger.next('Proxy.ready')).params.role, 'observer');
+            assert.equal(driver.ws.readyState, driver.ws.OPEN);
+        });
+    });
+
+    describe('target environment', () => {
+        let proxy;
+        let saved;
+
+        beforeEach(() => {
+            saved = process.env.WORKSPACE_API_KEY;
+            process.env.WORKSPACE_API_KEY = 'server-secret';
+        });
+
+        afterEach(async () => {
+            if (saved === undefined) {
+                delete process.env.WORKSPACE_API_KEY;
+            } else {
+                process.env.WORKSPACE_API_KEY = saved;
+            }
+            await proxy.stop();
+        });
+
+        it('keeps the server\'s secrets from the program', async () => {
+            await fs.writeFile(path.join(dir, 'env.js'), 'console.log(JSON.stringify(process.env));\n');
+            proxy = new RemoteDebuggerProxyServer(path.join(dir, 'env.js'), {
+                inspectPort: await getFreePort(),
+                env: { LED_PIN: '17' },
+                logLevel: 'error'
+            });
+
+            const output = new Promise(resolve => {
+                proxy.output.on('data', entry => {
+                    if (entry.stream === 'stdout') resolve(JSON.parse(entry.text));
+                });
+            });
+            proxy.spawnTargetProcess();
+            const env = await output;
+
+            assert.equal(env.WORKSPACE_API_KEY, undefined);
+            assert.equal(env.LED_PIN, '17');
+            assert.equal(env.PATH, process.env.PATH);
+        });
+    });
+});
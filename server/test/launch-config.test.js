@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('assert').strict;
+const os = require('os');
+const LaunchConfigManager = require('../launch-config');
+
+describe('LaunchConfigManager', () => {
+    describe('parseEnv', () => {
+        it('reads variables, skipping comments and blank lines', () => {
+            const env = LaunchConfigManager.parseEnv('# pins\nLED_PIN=17\n\n  BUTTON_PIN = 27  \nexport MODE=fast\n');
+
+            assert.deepEqual(env, { LED_PIN: '17', BUTTON_PIN: '27', MODE: 'fast' });
+        });
+
+        it('unquotes values, expanding \\n in double quotes only', () => {
+            const env = LaunchConfigManager.parseEnv('A="two\\nlines"\nB=\'kept\\n\'\nC="# not a comment"\n');
+
+            assert.deepEqual(env, { A: 'two\nlines', B: 'kept\\n', C: '# not a comment' });
+        });
+
+        it('strips trailing comments from unquoted values', () => {
+            assert.deepEqual(LaunchConfigManager.parseEnv('PIN=17 # the LED\nURL=http://x/#anchor\n'),
+                { PIN: '17', URL: 'http://x/#anchor' });
+        });
+
+        it('ignores lines that are not assignments and handles CRLF', () => {
+            assert.deepEqual(LaunchConfigManager.parseEnv('garbage\r\n1BAD=x\r\nEMPTY=\r\nOK=1\r\n'),
+                { EMPTY: '', OK: '1' });
+        });
+    });
+
+    describe('validate', () => {
+        const manager = new LaunchConfigManager(os.tmpdir());
+
+        it('fills in defaults', () => {
+            assert.deepEqual(manager.validate({}), { args: [], env: {}, nodeFlags: [], stopOnEntry: false });
+        });
+
+        it('keeps the fields it knows', () => {
+            const config = {
+                name: 'Blink fast',
+                program: 'src/main.js',
+                args: ['--interval', '100'],
+                env: { LED_PIN: '17' },
+                envFile: '.env',
+                cwd: '.',
+                nodeFlags: ['--trace-warnings'],
+                stopOnEntry: true,
+                record: false,
+                watch: true,
+                sandbox: true,
+                limits: { timeout: 60000, maxHeap: 128 }
+            };
+
+            assert.deepEqual(manager.validate(config), config);
+        });
+
+        it('rejects fields of the wrong type', () => {
+            const invalid = /^Error: Invalid launch configuration/;
+
+            assert.throws(() => manager.validate({ args: 'a b' }), invalid);
+            assert.throws(() => manager.validate({ nodeFlags: ['trace-warnings'] }), invalid);
+            assert.throws(() => manager.validate({ env: { PIN: 17 } }), invalid);
+            assert.throws(() => manager.validate({ env: ['PIN=17'] }), invalid);
+            assert.throws(() => manager.validate({ program: 1 }), invalid);
+            assert.throws(() => manager.validate({ stopOnEntry: 'yes' }), invalid);
+            assert.throws(() => manager.validate({ sandbox: 1 }), invalid);
+        });
+
+        it('rejects --inspect flags', () => {
+            assert.throws(() => manager.validate({ nodeFlags: ['--inspect-brk'] }), /--inspect flags/);
+        });
+
+        it('checks commands and scripts', () => {
+            assert.deepEqual(manager.validate({ command: ['node', '--test'] }).command, ['node', '--test']);
+            assert.throws(() => manager.validate({ command: [] }), /non-empty array/);
+            assert.throws(() => manager.validate({ command: ['bash', '-c', 'ls'] }), /must start with one of/);
+            assert.throws(() => manager.validate({ script: 'test', command: ['npm', 'test'] }), /cannot be used together/);
+        });
+
+        it('checks limits', () => {
+            assert.throws(() => manager.validate({ limits: { memory: 1 } }), /unknown limit: memory/);
+            assert.throws(() => manager.validate({ limits: { timeout: -1 } }), /limits.timeout/);
+            assert.throws(() => manager.validate({ limits: [] }), /limits must be an object/);
+        });
+
+        it('rejects permission flags when sandboxed', () => {
+            const flags = ['--allow-fs-read=/', '--allow-child-process', '--allow_worker', '--permission',
+                '--experimental-permission', '--no-experimental-permission'];
+
+            flags.forEach(flag => {
+                assert.throws(() => manager.validate({ sandbox: true, nodeFlags: [flag] }), /cannot be used with sandbox/, flag);
+                assert.throws(() => manager.validate({ sandbox: true, env: { NODE_OPTIONS: `--trace-warnings ${flag}` } }),
+                    /cannot be used with sandbox/, flag);
+            });
+            assert.throws(() => manager.validate({ sandbox: true, env: { NODE_OPTIONS: '"--allow-worker"' } }), /sandbox/);
+        });
+
+        it('allows permission flags without the sandbox, and other flags with it', () => {
+            assert.doesNotThrow(() => manager.validate({ nodeFlags: ['--allow-fs-read=/'] }));
+            assert.doesNotThrow(() => manager.validate({
+                sandbox: true,
+                nodeFlags: ['--trace-warnings'],
+                env: { NODE_OPTIONS: '--max-old-space-size=64' }
+            }));
+        });
+    });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('assert').strict;
+const OriginPolicy = require('../origin-policy');
+
+/**
+ * @param {Object} headers - Request headers
+ * @returns {Object} Enough of an http.IncomingMessage for OriginPolicy.check
+ */
+function request(headers) {
+    return { url: '/debug/ws/session-1', headers, socket: { remoteAddress: '127.0.0.1' } };
+}
+
+describe('OriginPolicy', () => {
+    it('allows the server\'s own pages and requests without an Origin', () => {
+        const policy = new OriginPolicy();
+
+        assert.ok(policy.isAllowed('http://pi.local:8080', 'pi.local:8080'));
+        assert.ok(policy.isAllowed(undefined, 'pi.local:8080'));
+        assert.ok(policy.isAllowed('', 'pi.local:8080'));
+    });
+
+    it('refuses other origins, opaque ones and garbage', () => {
+        const policy = new OriginPolicy();
+
+        assert.ok(!policy.isAllowed('http://evil.example', 'pi.local:8080'));
+        assert.ok(!policy.isAllowed('http://pi.local:9090', 'pi.local:8080'));
+        assert.ok(!policy.isAllowed('null', 'pi.local:8080'));
+        assert.ok(!policy.isAllowed('not a url', 'pi.local:8080'));
+    });
+
+    it('allows the configured origins, compared as origins', () => {
+        const policy = new OriginPolicy(['https://teacher.example.org:8443', 'http://localhost:3000/']);
+
+        assert.ok(policy.isAllowed('https://teacher.example.org:8443', 'pi.local:8080'));
+        assert.ok(policy.isAllowed('http://localhost:3000', 'pi.local:8080'));
+        assert.ok(!policy.isAllowed('http://teacher.example.org:8443', 'pi.local:8080'));
+        assert.ok(!policy.isAllowed('https://teacher.example.org', 'pi.local:8080'));
+    });
+
+    it('allows any origin with *', () => {
+        const policy = new OriginPolicy(['*']);
+
+        assert.ok(policy.isAllowed('http://anywhere.example', 'pi.local:8080'));
+        assert.ok(policy.allowAll);
+    });
+
+    it('rejects entries that are not origins', () => {
+        assert.throws(() => new OriginPolicy(['teacher.example.org']), /Invalid allowedOrigins/);
+        assert.throws(() => new OriginPolicy(['https://teacher.example.org/app']), /Invalid allowedOrigins/);
+        assert.throws(() => new OriginPolicy(['https://teacher.example.org/?x=1']), /Invalid allowedOrigins/);
+    });
+
+    it('checks the Origin and Host of a request', () => {
+        const policy = new OriginPolicy();
+
+        assert.ok(policy.check(request({ origin: 'http://pi.local:8080', host: 'pi.local:8080' })));
+        assert.ok(!policy.check(request({ origin: 'http://evil.example', host: 'pi.local:8080' })));
+    });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('assert').strict;
+const net = require('net');
+const PortAllocator = require('../port-allocator');
+
+/**
+ * @returns {Promise<net.Server>} A server listening on a free port
+ */
+function listenOnFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, () => resolve(server));
+    });
+}
+
+describe('PortAllocator', () => {
+    it('hands out the preferred port when it is free', async () => {
+        const allocator = new PortAllocator();
+        const free = await allocator.allocate();
+        allocator.release(free);
+
+        assert.equal(await allocator.allocate(free), free);
+    });
+
+    it('never hands out a port twice before it is released', async () => {
+        const allocator = new PortAllocator();
+        const first = await allocator.allocate();
+        const second = await allocator.allocate(first);
+
+        assert.notEqual(second, first);
+        assert.ok(allocator.reserved.has(first));
+        assert.ok(allocator.reserved.has(second));
+    });
+
+    it('hands out a released port again', async () => {
+        const allocator = new PortAllocator();
+        const port = await allocator.allocate();
+        allocator.release(port);
+
+        assert.ok(!allocator.reserved.has(port));
+        assert.equal(await allocator.allocate(port), port);
+    });
+
+    it('skips a preferred port another process has bound', async () => {
+        const server = await listenOnFreePort();
+        const busy = server.address().port;
+        try {
+            const allocator = new PortAllocator();
+            const port = await allocator.allocate(busy);
+            assert.notEqual(port, busy);
+            assert.ok(port > 0);
+        } finally {
+            await new Promise(resolve => { server.close(resolve); });
+        }
+    });
+});
@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProjectWatcher = require('../project-watcher');
+const { DebuggerSessionManager } = require('../debugger-session-api');
+const { getFreePort } = require('./helpers');
+
+/**
+ * @param {number} code - Error code of fs.watch, e.g. 'ENOSPC'
+ * @returns {Error} The error fs.watch throws when the system's watches run out
+ */
+function watchError(code) {
+    const err = new Error(`${code}: System limit for number of file watchers reached, watch`);
+    err.code = code;
+    return err;
+}
+
+describe('ProjectWatcher', () => {
+    let dir;
+    let watcher;
+
+    /**
+     * @returns {Promise<string[]>} The next files reported
+     */
+    const nextChange = () => new Promise(resolve => { watcher.once('change', resolve); });
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'project-watcher-'));
+        fs.mkdirSync(path.join(dir, 'src', 'lib'), { recursive: true });
+        fs.mkdirSync(path.join(dir, 'node_modules', 'left-pad'), { recursive: true });
+        watcher = new ProjectWatcher(dir, { debounce: 50 });
+    });
+
+    afterEach(() => {
+        watcher.stop();
+        mock.restoreAll();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('reports changes in nested directories, once things are quiet', async () => {
+        watcher.start();
+        const changed = nextChange();
+        fs.writeFileSync(path.join(dir, 'src', 'lib', 'led.js'), 'module.exports = 1;\n');
+        fs.writeFileSync(path.join(dir, 'main.js'), 'require("./src/lib/led");\n');
+
+        assert.deepEqual((await changed).sort(), ['main.js', path.join('src', 'lib', 'led.js')]);
+    });
+
+    it('watches directories created after it started', async () => {
+        watcher.start();
+        const created = nextChange();
+        fs.mkdirSync(path.join(dir, 'test'));
+        await created;
+
+        const changed = nextChange();
+        fs.writeFileSync(path.join(dir, 'test', 'led.test.js'), '\n');
+        assert.deepEqual(await changed, [path.join('test', 'led.test.js')]);
+    });
+
+    it('does not watch ignored directories or what is in them', async () => {
+        watcher.start();
+        assert.deepEqual(Array.from(watcher.watchers.keys()).sort(), ['', 'src', path.join('src', 'lib')]);
+
+        const changed = nextChange();
+        fs.writeFileSync(path.join(dir, 'node_modules', 'left-pad', 'index.js'), '\n');
+        fs.writeFileSync(path.join(dir, 'main.js'), '\n');
+        assert.deepEqual(await changed, ['main.js']);
+    });
+
+    it('explains what to do when the system\'s watches run out', () => {
+        const watch = fs.watch;
+        mock.method(fs, 'watch', (filename, ...args) => {
+            if (filename !== dir) throw watchError('ENOSPC');
+            return watch(filename, ...args);
+        });
+
+        assert.throws(() => watcher.start(), /more directories than the system lets a process watch/);
+        assert.equal(watcher.watchers.size, 0);
+    });
+
+    it('stops with an error when a new directory cannot be watched', async () => {
+        watcher.start();
+        mock.method(fs, 'watch', () => { throw watchError('ENOSPC'); });
+
+        const failed = new Promise(resolve => { watcher.once('error', resolve); });
+        fs.mkdirSync(path.join(dir, 'test'));
+        assert.match((await failed).message, /max_user_watches/);
+        assert.equal(watcher.watchers.size, 0);
+    });
+});
+
+describe('DebuggerSessionManager watch mode', () => {
+    let dir;
+    let sessionManager;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-mode-'));
+        fs.writeFileSync(path.join(dir, 'main.js'), '\n');
+        sessionManager = new DebuggerSessionManager({
+            workspaceRoot: dir,
+            separatePorts: true,
+            proxyPort: await getFreePort(),
+            inspectPort: await getFreePort(),
+            websocketLogLevel: 'error'
+        });
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await sessionManager.stopAllSessions();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('gives back the session\'s ports when the project cannot be watched', async () => {
+        mock.method(fs, 'watch', () => { throw watchError('ENOSPC'); });
+
+        await assert.rejects(sessionManager.startSession('main.js', undefined, { watch: true }), /Cannot watch/);
+        assert.equal(sessionManager.sessions.size, 0);
+        assert.equal(sessionManager.portAllocator.reserved.size, 0);
+    });
+});
@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('assert').strict;
+const SandboxPolicy = require('../sandbox-policy');
+
+describe('SandboxPolicy', () => {
+    it('allows the project only by default', () => {
+        const policy = new SandboxPolicy('/ws/blink');
+
+        assert.deepEqual(policy.getNodeFlags(), [
+            '--permission',
+            '--allow-inspector',
+            '--allow-fs-read=/ws/blink',
+            '--allow-fs-write=/ws/blink'
+        ]);
+    });
+
+    it('adds the opt-ins, with paths relative to the project', () => {
+        const policy = new SandboxPolicy('/ws/blink', {
+            fsRead: ['../shared-data', '/usr/share/dict'],
+            fsWrite: ['/tmp/blink'],
+            childProcess: true,
+            worker: true
+        });
+
+        assert.deepEqual(policy.getNodeFlags(['/srv/debug-bootstrap.js']), [
+            '--permission',
+            '--allow-inspector',
+            '--allow-fs-read=/ws/blink',
+            '--allow-fs-read=/ws/shared-data',
+            '--allow-fs-read=/usr/share/dict',
+            '--allow-fs-read=/srv/debug-bootstrap.js',
+            '--allow-fs-write=/ws/blink',
+            '--allow-fs-write=/tmp/blink',
+            '--allow-child-process',
+            '--allow-worker'
+        ]);
+        assert.deepEqual(policy.describe(), {
+            fsRead: ['.', '../shared-data', '../../usr/share/dict'],
+            fsWrite: ['.', '../../tmp/blink'],
+            childProcess: true,
+            worker: true
+        });
+    });
+
+    it('turns the permission model on with the flag the Node.js has', () => {
+        assert.equal(new SandboxPolicy('/ws/blink', {}, '--experimental-permission').getNodeFlags()[0],
+            '--experimental-permission');
+        assert.equal(SandboxPolicy.getPermissionFlag(new Set(['--permission', '--experimental-permission'])), '--permission');
+        assert.equal(SandboxPolicy.getPermissionFlag(new Set(['--experimental-permission'])), '--experimental-permission');
+        assert.equal(SandboxPolicy.getPermissionFlag(new Set()), null);
+    });
+
+    it('needs a Node.js with --allow-inspector', () => {
+        assert.doesNotThrow(() => SandboxPolicy.checkSupport(new Set(['--permission', '--allow-inspector']), 'v24.12.0'));
+        // Node.js 22 and 20
+        assert.throws(() => SandboxPolicy.checkSupport(new Set(['--permission', '--experimental-permission']), 'v22.20.0'),
+            /Sandbox not supported: Node.js v22.20.0/);
+        assert.throws(() => SandboxPolicy.checkSupport(new Set(['--experimental-permission']), 'v20.19.5'),
+            /Sandbox not supported/);
+    });
+
+    it('validates the opt-ins of package.json', () => {
+        assert.deepEqual(SandboxPolicy.validate({ fsRead: ['data'], worker: true }), { fsRead: ['data'], worker: true });
+        assert.throws(() => SandboxPolicy.validate([]), /must be an object/);
+        assert.throws(() => SandboxPolicy.validate({ network: true }), /unknown permission: network/);
+        assert.throws(() => SandboxPolicy.validate({ fsRead: 'data' }), /fsRead must be an array of paths/);
+        assert.throws(() => SandboxPolicy.validate({ fsWrite: [''] }), /fsWrite must be an array of paths/);
+        assert.throws(() => SandboxPolicy.validate({ childProcess: 'yes' }), /childProcess must be a boolean/);
+    });
+
+    it('finds and describes violations in error output', () => {
+        const stderr = "Error: Access to this API has been restricted\n    at ... {\n  code: 'ERR_ACCESS_DENIED',\n" +
+            "  permission: 'FileSystemRead',\n  resource: '/etc/hostname'\n}";
+        const violation = SandboxPolicy.parseViolation(stderr);
+
+        assert.deepEqual(violation, { permission: 'FileSystemRead', resource: '/etc/hostname' });
+        assert.equal(SandboxPolicy.describeViolation(violation),
+            'Sandbox blocked FileSystemRead of /etc/hostname (allow it with "fsRead" in "badgerbox.permissions" of package.json)');
+        assert.deepEqual(SandboxPolicy.parseViolation("code: 'ERR_ACCESS_DENIED',\n  permission: 'ChildProcess'"),
+            { permission: 'ChildProcess', resource: null });
+        assert.equal(SandboxPolicy.parseViolation('TypeError: x is not a function'), null);
+    });
+});
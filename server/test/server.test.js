@@ -0,0 +1,180 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert').strict;
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Server } = require('../server');
+const UserStore = require('../user-store');
+const { getFreePort, TestClient } = require('./helpers');
+
+const PASSWORD = 'correct horse';
+
+describe('Server WebSocket upgrades', () => {
+    let dir;
+    let server;
+    let base;
+    let wsBase;
+    const tokens = {};
+    const clients = [];
+
+    /**
+     * @param {string} username - Account to log in as
+     * @returns {Promise<string>} Its token
+     */
+    async function login(username) {
+        const response = await fetch(`${base}/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password: PASSWORD })
+        });
+        assert.equal(response.status, 200);
+        return (await response.json()).token;
+    }
+
+    /**
+     * @param {string} username - Student (or teacher) who starts it
+     * @returns {Promise<Object>} The session, as POST /debug/session answers
+     */
+    async function startSession(username) {
+        const response = await fetch(`${base}/debug/session`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokens[username]}` },
+            body: JSON.stringify({ file: 'main.js' })
+        });
+        assert.equal(response.status, 201);
+        return (await response.json()).session;
+    }
+
+    /**
+     * Opens a WebSocket; it is closed after the tests
+     * @param {string} url - URL
+     * @param {string} [username] - Logged-in user to connect as
+     * @param {Object} [headers] - More headers
+     * @returns {Promise<TestClient>}
+     */
+    async function connect(url, username, headers = {}) {
+        if (username) headers.Authorization = `Bearer ${tokens[username]}`;
+        const client = await TestClient.connect(url, { headers });
+        clients.push(client);
+        return client;
+    }
+
+    /**
+     * @param {Promise} connecting - A connect() call
+     * @returns {Promise<number>} The HTTP status it was refused with
+     */
+    async function refusal(connecting) {
+        const err = await connecting.then(() => assert.fail('Upgrade was accepted'), err => err);
+        return err.status;
+    }
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'server-test-'));
+        const usersFile = path.join(dir, 'users.json');
+        const users = await new UserStore(usersFile).load();
+        await users.addUser('tess', PASSWORD, 'teacher');
+        await users.addUser('ada', PASSWORD, 'student');
+        await users.addUser('bob', PASSWORD, 'student');
+        await users.addUser('vic', PASSWORD, 'viewer');
+
+        const workspaceRoot = path.join(dir, 'workspace');
+        for (const student of ['ada', 'bob']) {
+            await fs.mkdir(path.join(workspaceRoot, 'users', student), { recursive: true });
+            await fs.writeFile(path.join(workspaceRoot, 'users', student, 'main.js'), 'setInterval(() => {}, 1000);\n');
+        }
+
+        const httpPort = await getFreePort();
+        server = new Server({
+            httpPort,
+            dapPort: await getFreePort(),
+            gpioPort: await getFreePort(),
+            proxyPort: await getFreePort(),
+            inspectPort: await getFreePort(),
+            workspaceRoot,
+            auditFile: path.join(dir, 'audit.jsonl'),
+            staticDirs: [dir],
+            auth: { usersFile },
+            logLevels: { http: 'error', static: 'error', websocket: 'error' }
+        });
+        await server.start();
+        base = `http://127.0.0.1:${httpPort}`;
+        wsBase = `ws://127.0.0.1:${httpPort}`;
+
+        for (const username of ['tess', 'ada', 'bob', 'vic']) {
+            tokens[username] = await login(username);
+        }
+    });
+
+    after(async () => {
+        await Promise.all(clients.map(client => client.close()));
+        await server.stop();
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    describe('debug sessions', () => {
+        let session;
+        let url;
+
+        before(async () => {
+            session = await startSession('ada');
+            url = `${wsBase}/debug/ws/${session.sessionId}`;
+        });
+
+        it('refuses clients without a token or login', async () => {
+            assert.equal(await refusal(connect(url)), 401);
+            assert.equal(await refusal(connect(`${url}?token=guessed`)), 401);
+        });
+
+        it('lets in clients with the session token', async () => {
+            const client = await connect(session.wsUrl);
+            assert.equal((await client.next('Proxy.ready', 10000)).params.role, 'driver');
+        });
+
+        it('lets in the owner and teachers', async () => {
+            await connect(url, 'ada');
+            await connect(url, 'tess');
+        });
+
+        it('refuses other students and viewers without a token', async () => {
+            assert.equal(await refusal(connect(url, 'bob')), 401);
+            assert.equal(await refusal(connect(url, 'vic')), 401);
+        });
+
+        it('lets anyone with the observer token watch', async () => {
+            const proxy = server.debugRouter.sessionManager.sessions.get(session.sessionId).proxy;
+            const client = await connect(`${url}?token=${proxy.observerToken}`);
+            assert.equal((await client.next('Proxy.ready', 10000)).params.role, 'observer');
+        });
+
+        it('sends /debug/ws to the newest session the client may connect to', async () => {
+            await startSession('bob');
+
+            const client = await connect(`${wsBase}/debug/ws`, 'ada');
+            await client.next('Proxy.ready', 10000);
+            const { result } = await client.request('Runtime.evaluate', { expression: 'process.argv[1]', throwOnSideEffect: true });
+            assert.equal(result.result.value, path.join(server.options.workspaceRoot, 'users', 'ada', 'main.js'));
+        });
+
+        it('refuses pages from other origins', async () => {
+            const status = await refusal(connect(session.wsUrl, null, { Origin: 'https://evil.example' }));
+            assert.equal(status, 403);
+        });
+    });
+
+    describe('GPIO', () => {
+        it('refuses clients without a token or login', async () => {
+            assert.equal(await refusal(connect(`${wsBase}/gpio/ws`)), 401);
+            assert.equal(await refusal(connect(`${wsBase}/gpio/ws?token=guessed`)), 401);
+        });
+
+        it('lets in logged-in users and the programs of debug sessions', async () => {
+            await connect(`${wsBase}/gpio/ws`, 'vic');
+            await connect(`${wsBase}/gpio/ws?token=${server.gpioToken}`);
+        });
+
+        it('refuses pages from other origins', async () => {
+            const status = await refusal(connect(`${wsBase}/gpio/ws`, 'tess', { Origin: 'https://evil.example' }));
+            assert.equal(status, 403);
+        });
+    });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('assert').strict;
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// A browser script (a global class), evaluated as the editor page loads it
+const source = path.join(__dirname, '../../www/editor/text-merge.js');
+const TextMerge = vm.runInThisContext(`${fs.readFileSync(source, 'utf8')}\nTextMerge;`, { filename: source });
+
+describe('TextMerge.merge', () => {
+    const base = 'a\nb\nc\nd\ne';
+
+    it('takes the side that changed', () => {
+        assert.deepEqual(TextMerge.merge(base, base, 'a\nB\nc\nd\ne'), { text: 'a\nB\nc\nd\ne', conflicts: 0 });
+        assert.deepEqual(TextMerge.merge(base, 'a\nb\nc\nD\ne', base), { text: 'a\nb\nc\nD\ne', conflicts: 0 });
+    });
+
+    it('combines changes to different lines', () => {
+        const { text, conflicts } = TextMerge.merge(base, 'A\nb\nc\nd\ne', 'a\nb\nc\nd\nE');
+
+        assert.equal(text, 'A\nb\nc\nd\nE');
+        assert.equal(conflicts, 0);
+    });
+
+    it('combines insertions and deletions', () => {
+        const { text, conflicts } = TextMerge.merge(base, 'a\nb\nnew\nc\nd\ne', 'a\nb\nc\ne');
+
+        assert.equal(text, 'a\nb\nnew\nc\ne');
+        assert.equal(conflicts, 0);
+    });
+
+    it('takes the same change made on both sides once', () => {
+        assert.deepEqual(TextMerge.merge(base, 'a\nX\nc\nd\ne', 'a\nX\nc\nd\ne'), { text: 'a\nX\nc\nd\ne', conflicts: 0 });
+    });
+
+    it('keeps both versions of a line changed differently, between conflict markers', () => {
+        const { text, conflicts } = TextMerge.merge(base, 'a\nmine\nc\nd\ne', 'a\ntheirs\nc\nd\ne');
+
+        assert.equal(conflicts, 1);
+        assert.equal(text, 'a\n<<<<<<< editor\nmine\n=======\ntheirs\n>>>>>>> disk\nc\nd\ne');
+    });
+
+    it('counts each conflicting region', () => {
+        const { text, conflicts } = TextMerge.merge(base, 'm1\nb\nc\nd\nm5', 't1\nb\nc\nd\nt5');
+
+        assert.equal(conflicts, 2);
+        assert.equal(text.split('<<<<<<< editor').length, 3);
+    });
+
+    it('conflicts when one side edits a line the other deleted', () => {
+        const { text, conflicts } = TextMerge.merge(base, 'a\nb\nC\nd\ne', 'a\nb\nd\ne');
+
+        assert.equal(conflicts, 1);
+        assert.equal(text, 'a\nb\n<<<<<<< editor\nC\n=======\n>>>>>>> disk\nd\ne');
+    });
+
+    it('merges texts that share nothing as one conflict', () => {
+        assert.deepEqual(TextMerge.merge('', 'mine', 'theirs'), {
+            text: '<<<<<<< editor\nmine\n=======\ntheirs\n>>>>>>> disk',
+            conflicts: 1
+        });
+    });
+});
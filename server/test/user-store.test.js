@@ -0,0 +1,125 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert').strict;
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const UserStore = require('../user-store');
+const AuthMiddleware = require('../auth-middleware');
+
+describe('UserStore', () => {
+    let dir;
+    let usersFile;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'user-store-'));
+        usersFile = path.join(dir, 'users.json');
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('stores salted scrypt hashes, not passwords', async () => {
+        const store = await new UserStore(usersFile).load();
+        await store.addUser('ada', 'secretpw1');
+        await store.addUser('bob', 'secretpw1');
+
+        const saved = await fs.readFile(usersFile, 'utf8');
+        assert.ok(!saved.includes('secretpw1'));
+
+        const [ada, bob] = JSON.parse(saved).users;
+        assert.match(ada.passwordHash, /^scrypt:[0-9a-f]{32}:[0-9a-f]{128}$/);
+        assert.notEqual(ada.passwordHash, bob.passwordHash);
+    });
+
+    it('verifies passwords', async () => {
+        const store = await new UserStore(usersFile).load();
+        await store.addUser('ada', 'secretpw1', 'teacher');
+
+        assert.deepEqual(await store.verify('ada', 'secretpw1'), { username: 'ada', role: 'teacher' });
+        assert.equal(await store.verify('ada', 'secretpw2'), null);
+        assert.equal(await store.verify('nobody', 'secretpw1'), null);
+    });
+
+    it('changes passwords', async () => {
+        const store = await new UserStore(usersFile).load();
+        await store.addUser('ada', 'secretpw1');
+        await store.setPassword('ada', 'newsecret1');
+
+        assert.equal(await store.verify('ada', 'secretpw1'), null);
+        assert.ok(await store.verify('ada', 'newsecret1'));
+        await assert.rejects(store.setPassword('ada', 'short'), /Invalid password/);
+        await assert.rejects(store.setPassword('nobody', 'newsecret1'), /User not found/);
+    });
+
+    it('rejects short passwords, bad usernames and roles, and duplicates', async () => {
+        const store = await new UserStore(usersFile).load();
+
+        await assert.rejects(store.addUser('ada', 'short'), /Invalid password/);
+        await assert.rejects(store.addUser('..', 'secretpw1'), /Invalid username/);
+        await assert.rejects(store.addUser('a/b', 'secretpw1'), /Invalid username/);
+        await assert.rejects(store.addUser('ada', 'secretpw1', 'admin'), /Invalid role/);
+
+        await store.addUser('ada', 'secretpw1');
+        await assert.rejects(store.addUser('ada', 'secretpw2'), /User already exists/);
+    });
+
+    it('keeps accounts across loads', async () => {
+        const store = await new UserStore(usersFile).load();
+        await store.addUser('ada', 'secretpw1', 'viewer');
+
+        const reloaded = await new UserStore(usersFile).load();
+        assert.equal(reloaded.getRole('ada'), 'viewer');
+        assert.ok(await reloaded.verify('ada', 'secretpw1'));
+
+        await reloaded.removeUser('ada');
+        assert.ok(!(await new UserStore(usersFile).load()).hasUsers());
+    });
+
+    describe('login lockout (AuthMiddleware)', () => {
+        let auth;
+
+        beforeEach(async () => {
+            const store = await new UserStore(usersFile).load();
+            await store.addUser('ada', 'secretpw1');
+            auth = new AuthMiddleware({ userStore: store });
+        });
+
+        it('refuses logins after 5 failed attempts, even with the right password', async () => {
+            for (let i = 0; i < 5; i++) {
+                await assert.rejects(auth.login('ada', 'wrong-password', '10.0.0.2'), /Invalid username or password/);
+            }
+
+            await assert.rejects(auth.login('ada', 'secretpw1', '10.0.0.2'), /Too many failed logins/);
+        });
+
+        it('counts failures per address', async () => {
+            for (let i = 0; i < 5; i++) {
+                await assert.rejects(auth.login('ada', 'wrong-password', '10.0.0.2'));
+            }
+
+            const { user } = await auth.login('ada', 'secretpw1', '10.0.0.3');
+            assert.equal(user.username, 'ada');
+        });
+
+        it('forgets failures after a successful login', async () => {
+            for (let i = 0; i < 4; i++) {
+                await assert.rejects(auth.login('ada', 'wrong-password', '10.0.0.2'));
+            }
+            await auth.login('ada', 'secretpw1', '10.0.0.2');
+
+            await assert.rejects(auth.login('ada', 'wrong-password', '10.0.0.2'), /Invalid username or password/);
+            assert.ok(await auth.login('ada', 'secretpw1', '10.0.0.2'));
+        });
+
+        it('lets the user try again once the window has passed', async () => {
+            for (let i = 0; i < 5; i++) {
+                await assert.rejects(auth.login('ada', 'wrong-password', '10.0.0.2'));
+            }
+            auth.failedLogins.get('10.0.0.2|ada').since -= 16 * 60 * 1000;
+
+            const { token } = await auth.login('ada', 'secretpw1', '10.0.0.2');
+            assert.deepEqual(auth.validateToken(token), { username: 'ada', role: 'student' });
+        });
+    });
+});
@@ -0,0 +1,195 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert').strict;
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const createWorkspaceApi = require('../workspace-api');
+const AuthMiddleware = require('../auth-middleware');
+
+describe('POST /workspace/move, /rename and /copy', () => {
+    let dir;
+    let root;
+    let server;
+    let baseUrl;
+
+    /**
+     * @param {string} route - 'move', 'rename' or 'copy'
+     * @param {Object} body - Request body
+     * @returns {Promise<Object>} { status, body }
+     */
+    const post = async (route, body) => {
+        const res = await fetch(`${baseUrl}/workspace/${route}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: res.status, body: await res.json() };
+    };
+
+    const read = (file) => fs.readFile(path.join(root, file), 'utf8');
+    const exists = (file) => fs.lstat(path.join(root, file)).then(() => true, () => false);
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'workspace-relocate-'));
+        root = path.join(dir, 'ws');
+
+        const app = express();
+        app.use(express.json());
+        app.use('/workspace', createWorkspaceApi({ workspaceRoot: root, auth: new AuthMiddleware({ enabled: false }) }));
+        server = app.listen(0);
+        await new Promise(resolve => { server.once('listening', resolve); });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => { server.close(resolve); });
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+        await fs.mkdir(path.join(root, 'blink/lib'), { recursive: true });
+        await fs.writeFile(path.join(root, 'blink/main.js'), 'main');
+        await fs.writeFile(path.join(root, 'blink/lib/led.js'), 'led');
+        await fs.writeFile(path.join(root, 'blink/other.js'), 'other');
+        await fs.writeFile(path.join(dir, 'secret.txt'), 'secret');
+    });
+
+    describe('move', () => {
+        it('moves a file, creating the destination\'s directories', async () => {
+            const res = await post('move', { from: '/blink/main.js', to: '/blink/src/main.js' });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.type, 'file');
+            assert.equal(await read('blink/src/main.js'), 'main');
+            assert.ok(!await exists('blink/main.js'));
+        });
+
+        it('refuses to replace a file unless asked to overwrite', async () => {
+            const refused = await post('move', { from: '/blink/other.js', to: '/blink/main.js' });
+            assert.equal(refused.status, 409);
+            assert.equal(await read('blink/main.js'), 'main');
+
+            const replaced = await post('move', { from: '/blink/other.js', to: '/blink/main.js', overwrite: true });
+            assert.equal(replaced.status, 200);
+            assert.equal(await read('blink/main.js'), 'other');
+            assert.ok(!await exists('blink/other.js'));
+        });
+
+        it('replaces a directory with overwrite', async () => {
+            await fs.mkdir(path.join(root, 'lib'));
+            await fs.writeFile(path.join(root, 'lib/old.js'), 'old');
+
+            const res = await post('move', { from: '/blink/lib', to: '/lib', overwrite: true });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.type, 'directory');
+            assert.deepEqual(await fs.readdir(path.join(root, 'lib')), ['led.js']);
+        });
+
+        it('refuses what cannot be moved', async () => {
+            assert.equal((await post('move', { from: '/blink/nope.js', to: '/x.js' })).status, 404);
+            assert.equal((await post('move', { from: '/blink', to: '/blink/lib/blink' })).status, 400);
+            assert.equal((await post('move', { from: '/', to: '/x' })).status, 400);
+            assert.equal((await post('move', { from: '/blink/main.js' })).status, 400);
+            assert.equal((await post('move', { from: '/blink/main.js', to: '/blink/main.js' })).status, 400);
+        });
+
+        it('keeps paths in the workspace', async () => {
+            // '..' at the root stays at the root
+            const clamped = await post('move', { from: '/blink/main.js', to: '/../../main.js' });
+            assert.equal(clamped.status, 200);
+            assert.ok(await exists('main.js'));
+
+            assert.equal((await post('move', { from: '../secret.txt', to: '/secret.txt' })).status, 403);
+            assert.equal(await fs.readFile(path.join(dir, 'secret.txt'), 'utf8'), 'secret');
+        });
+    });
+
+    describe('rename', () => {
+        it('renames in place', async () => {
+            const res = await post('rename', { path: '/blink/lib', name: 'drivers' });
+
+            assert.equal(res.status, 200);
+            assert.equal(await read('blink/drivers/led.js'), 'led');
+        });
+
+        it('takes a name, not a path', async () => {
+            assert.equal((await post('rename', { path: '/blink/main.js', name: '../main.js' })).status, 400);
+            assert.equal((await post('rename', { path: '/blink/main.js', name: '..' })).status, 400);
+            assert.ok(await exists('blink/main.js'));
+        });
+    });
+
+    describe('copy', () => {
+        it('copies a file, leaving the original', async () => {
+            const res = await post('copy', { from: '/blink/main.js', to: '/blink/main copy.js' });
+
+            assert.equal(res.status, 201);
+            assert.equal(await read('blink/main copy.js'), 'main');
+            assert.equal(await read('blink/main.js'), 'main');
+        });
+
+        it('copies a directory, and refuses to copy over it again unless asked to', async () => {
+            assert.equal((await post('copy', { from: '/blink', to: '/blink-v2' })).status, 201);
+            await fs.writeFile(path.join(root, 'blink-v2/main.js'), 'changed');
+            assert.equal(await read('blink/main.js'), 'main');
+
+            assert.equal((await post('copy', { from: '/blink', to: '/blink-v2' })).status, 409);
+            assert.equal((await post('copy', { from: '/blink', to: '/blink-v2', overwrite: true })).status, 201);
+            assert.equal(await read('blink-v2/main.js'), 'main');
+        });
+
+        it('leaves nothing behind in the destination directory', async () => {
+            await post('copy', { from: '/blink/lib', to: '/blink/lib2' });
+
+            assert.deepEqual((await fs.readdir(path.join(root, 'blink'))).sort(), ['lib', 'lib2', 'main.js', 'other.js']);
+        });
+    });
+
+    describe('symbolic links', () => {
+        beforeEach(async () => {
+            await fs.symlink('main.js', path.join(root, 'blink/link.js'));
+            await fs.symlink('blink', path.join(root, 'blink-link'));
+            await fs.symlink(path.join(dir, 'secret.txt'), path.join(root, 'outside'));
+        });
+
+        it('renames the link, not what it points to', async () => {
+            const res = await post('rename', { path: '/blink/link.js', name: 'alias.js' });
+
+            assert.equal(res.status, 200);
+            assert.equal(await fs.readlink(path.join(root, 'blink/alias.js')), 'main.js');
+            assert.equal(await read('blink/main.js'), 'main');
+        });
+
+        it('moves a link to a directory, not the directory', async () => {
+            const res = await post('move', { from: '/blink-link', to: '/links/blink' });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.type, 'file');
+            assert.equal(await fs.readlink(path.join(root, 'links/blink')), 'blink');
+            assert.ok((await fs.lstat(path.join(root, 'blink'))).isDirectory());
+        });
+
+        it('copies a link as a link', async () => {
+            assert.equal((await post('copy', { from: '/blink/link.js', to: '/blink/link2.js' })).status, 201);
+            assert.equal(await fs.readlink(path.join(root, 'blink/link2.js')), 'main.js');
+
+            // Not the contents of what it points to, outside the workspace
+            assert.equal((await post('copy', { from: '/outside', to: '/inside' })).status, 201);
+            assert.ok((await fs.lstat(path.join(root, 'inside'))).isSymbolicLink());
+        });
+
+        it('does not move through a link out of the workspace', async () => {
+            await fs.symlink(dir, path.join(root, 'up'));
+
+            assert.equal((await post('move', { from: '/blink/main.js', to: '/up/main.js' })).status, 403);
+            // ... where the directories to create are not there yet
+            assert.equal((await post('move', { from: '/blink/main.js', to: '/up/a/b/main.js' })).status, 403);
+            assert.equal((await post('copy', { from: '/blink', to: '/up/a/blink' })).status, 403);
+            assert.ok(!await fs.access(path.join(dir, 'a')).then(() => true, () => false));
+            assert.equal((await post('move', { from: '/up/secret.txt', to: '/secret.txt' })).status, 403);
+            assert.equal(await read('blink/main.js'), 'main');
+        });
+    });
+});
@@ -0,0 +1,178 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const tls = require('tls');
+const { X509Certificate } = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * TlsCredentials - The certificate the server's listeners use for HTTPS/WSS
+ *
+ * Either the user's own (cert and key files, e.g. from a local CA), or a self-signed
+ * one generated with openssl on first run and kept in `dir`:
+ *
+ *   ~/.pithagoras/tls/cert.pem
+ *   ~/.pithagoras/tls/key.pem
+ *
+ * A generated certificate names localhost, the host name and every address of the
+ * machine, so a Pi reached by IP address is covered. It is made again when it is
+ * about to expire or the machine got an address it does not name (a new network).
+ * Browsers still warn about it until it is trusted (or an exception is added).
+ */
+class TlsCredentials {
+    /**
+     * Days a generated certificate is valid (the most browsers accept)
+     */
+    static VALID_DAYS = 825;
+
+    /**
+     * Creates a new TlsCredentials instance
+     * @param {Object} credentials - Credentials
+     * @param {string} credentials.cert - Certificate (PEM, with its chain)
+     * @param {string} credentials.key - Private key (PEM)
+     * @param {string} credentials.certFile - Absolute path of the certificate
+     * @param {string} credentials.keyFile - Absolute path of the key
+     * @param {boolean} [credentials.generated=false] - Whether it was generated (self-signed)
+     */
+    constructor({ cert, key, certFile, keyFile, generated = false }) {
+        this.cert = cert;
+        this.key = key;
+        this.certFile = certFile;
+        this.keyFile = keyFile;
+        this.generated = generated;
+        this.x509 = new X509Certificate(cert);
+    }
+
+    /**
+     * Loads the user's certificate, or the generated one (generating it if needed)
+     * @param {Object} [options={}] - Options
+     * @param {string} [options.cert] - Certificate file (with `key`)
+     * @param {string} [options.key] - Key file (with `cert`)
+     * @param {string} [options.dir] - Where the generated certificate is kept (default: ~/.pithagoras/tls)
+     * @returns {Promise<TlsCredentials>} The credentials
+     * @throws {Error} If the files cannot be read, or the certificate cannot be generated
+     */
+    static async load(options = {}) {
+        if (options.cert || options.key) {
+            if (!options.cert || !options.key) {
+                throw new Error('Invalid TLS configuration: cert and key go together');
+            }
+            const [cert, key] = await Promise.all([
+                fs.readFile(options.cert, 'utf8'),
+                fs.readFile(options.key, 'utf8')
+            ]).catch(err => {
+                throw new Error(`Invalid TLS configuration: ${err.message}`);
+            });
+            return new TlsCredentials({ cert, key, certFile: options.cert, keyFile: options.key });
+        }
+
+        const dir = options.dir || path.join(os.homedir(), '.pithagoras', 'tls');
+        const certFile = path.join(dir, 'cert.pem');
+        const keyFile = path.join(dir, 'key.pem');
+
+        try {
+            const credentials = new TlsCredentials({
+                cert: await fs.readFile(certFile, 'utf8'),
+                key: await fs.readFile(keyFile, 'utf8'),
+                certFile,
+                keyFile,
+                generated: true
+            });
+            if (credentials.isCurrent()) {
+                return credentials;
+            }
+        } catch (err) {
+            // None yet (or unreadable): generate one
+        }
+
+        await TlsCredentials.generate(certFile, keyFile);
+        return new TlsCredentials({
+            cert: await fs.readFile(certFile, 'utf8'),
+            key: await fs.readFile(keyFile, 'utf8'),
+            certFile,
+            keyFile,
+            generated: true
+        });
+    }
+
+    /**
+     * Generates a self-signed certificate for this machine
+     * @param {string} certFile - Where to write the certificate
+     * @param {string} keyFile - Where to write the key (readable by the owner only)
+     * @returns {Promise<void>}
+     * @throws {Error} If openssl is missing or fails
+     */
+    static async generate(certFile, keyFile) {
+        await fs.mkdir(path.dirname(certFile), { recursive: true, mode: 0o700 });
+
+        const names = [...TlsCredentials.getHostNames().map(n => `DNS:${n}`), ...TlsCredentials.getAddresses().map(a => `IP:${a}`)];
+        try {
+            await execFileAsync('openssl', [
+                'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-sha256',
+                '-days', String(TlsCredentials.VALID_DAYS),
+                '-subj', `/CN=${os.hostname()}`,
+                '-addext', `subjectAltName=${names.join(',')}`,
+                '-keyout', keyFile,
+                '-out', certFile
+            ]);
+        } catch (err) {
+            throw new Error(`Cannot generate a TLS certificate (is openssl installed?): ${err.message}`);
+        }
+        await fs.chmod(keyFile, 0o600);
+    }
+
+    /**
+     * @returns {string[]} Names of this machine a certificate should cover
+     */
+    static getHostNames() {
+        const hostname = os.hostname();
+        return [...new Set(['localhost', hostname, `${hostname}.local`])];
+    }
+
+    /**
+     * @returns {string[]} Addresses of this machine a certificate should cover (loopback included)
+     */
+    static getAddresses() {
+        const addresses = Object.values(os.networkInterfaces()).flat()
+            .filter(({ family, address }) => family === 'IPv4' || !address.startsWith('fe80:'))
+            .map(({ address }) => address);
+        return [...new Set(['127.0.0.1', '::1', ...addresses])];
+    }
+
+    /**
+     * Whether a generated certificate still fits: valid for another day and naming
+     * every address the machine has now
+     * @returns {boolean}
+     */
+    isCurrent() {
+        const dayFromNow = Date.now() + 24 * 60 * 60 * 1000;
+        return Date.parse(this.x509.validTo) > dayFromNow
+            && TlsCredentials.getAddresses().every(address => this.x509.checkIP(address) !== undefined);
+    }
+
+    /**
+     * SHA-256 fingerprint, for comparing with what a browser shows
+     * @returns {string} e.g. 'AB:CD:...'
+     */
+    get fingerprint() {
+        return this.x509.fingerprint256;
+    }
+
+    /**
+     * Options for the server's own WebSocket clients (DAP, the control API), which connect
+     * over loopback: they accept this certificate whatever host name it was issued for
+     * @returns {Object} TLS options for ws / https clients
+     */
+    getClientOptions() {
+        return {
+            ca: [...tls.rootCertificates, this.cert],
+            checkServerIdentity: (host, peer) =>
+                peer.fingerprint256 === this.fingerprint ? undefined : tls.checkServerIdentity(host, peer)
+        };
+    }
+}
+
+module.exports = TlsCredentials;
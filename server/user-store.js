@@ -0,0 +1,239 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Key length (bytes) of the scrypt password hashes
+const KEY_LENGTH = 64;
+
+/**
+ * What a user may do:
+ * - teacher: everything, in the whole workspace (every student's included)
+ * - student: everything, in their own workspace (see UserWorkspaces)
+ * - viewer: read files and sessions in the whole workspace, change nothing
+ */
+const ROLES = ['teacher', 'student', 'viewer'];
+
+/**
+ * UserStore - Local user accounts
+ *
+ * Accounts live in a JSON file ({ users: [{ username, role, passwordHash, createdAt }] }) that
+ * only the server's user can read; passwords are stored as salted scrypt hashes
+ * ("scrypt:<salt>:<hash>", hex). Accounts are managed with manage-users.js. Accounts
+ * without a role (created before roles existed) are students.
+ */
+class UserStore {
+    static ROLES = ROLES;
+
+    /**
+     * Creates a new UserStore instance
+     * @param {string} usersFile - Absolute path of the accounts file (created on the first save)
+     */
+    constructor(usersFile) {
+        this.usersFile = usersFile;
+        this.users = new Map();     // username -> { username, role, passwordHash, createdAt }
+        this.loadedMtime = 0;
+    }
+
+    /**
+     * Reads the accounts file (a missing file means no accounts yet)
+     * @returns {Promise<UserStore>} This store
+     * @throws {Error} If the file exists but cannot be read
+     */
+    async load() {
+        let data;
+        try {
+            this.loadedMtime = (await fs.stat(this.usersFile)).mtimeMs;
+            data = JSON.parse(await fs.readFile(this.usersFile, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.users = new Map();
+                return this;
+            }
+            throw new Error(`Cannot read users file ${this.usersFile}: ${error.message}`);
+        }
+
+        this.users = new Map((data.users || []).map(user => [user.username, { role: 'student', ...user }]));
+        return this;
+    }
+
+    /**
+     * Reads the accounts file again if it changed (accounts are managed from another
+     * process, manage-users.js, while the server runs)
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        let mtime = 0;
+        try {
+            mtime = (await fs.stat(this.usersFile)).mtimeMs;
+        } catch (error) {
+            // Deleted: no accounts
+        }
+
+        if (mtime !== this.loadedMtime) {
+            await this.load().catch(error => console.error(error.message));
+            this.loadedMtime = mtime;
+        }
+    }
+
+    /**
+     * Writes the accounts file (atomically, readable by the owner only)
+     * @private
+     */
+    async save() {
+        await fs.mkdir(path.dirname(this.usersFile), { recursive: true });
+        const tempFile = `${this.usersFile}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify({ users: [...this.users.values()] }, null, 2), { mode: 0o600 });
+        await fs.rename(tempFile, this.usersFile);
+        this.loadedMtime = (await fs.stat(this.usersFile)).mtimeMs;
+    }
+
+    /**
+     * @returns {boolean} Whether any account exists
+     */
+    hasUsers() {
+        return this.users.size > 0;
+    }
+
+    /**
+     * @returns {Array<Object>} The accounts [{ username, role, createdAt }]
+     */
+    listUsers() {
+        return [...this.users.values()].map(({ username, role, createdAt }) => ({ username, role, createdAt }));
+    }
+
+    /**
+     * @param {string} username - Account
+     * @returns {string|null} The account's role, or null if there is no such user
+     */
+    getRole(username) {
+        const user = this.users.get(username);
+        return user ? user.role : null;
+    }
+
+    /**
+     * Creates an account
+     * @param {string} username - Letters, digits, '.', '_' or '-' (at most 32, not only dots)
+     * @param {string} password - At least 8 characters
+     * @param {string} [role='student'] - One of ROLES
+     * @returns {Promise<Object>} The account { username, role, createdAt }
+     * @throws {Error} If the username, password or role is invalid, or the user exists
+     */
+    async addUser(username, password, role = 'student') {
+        // Usernames name the student's workspace directory, so '.' and '..' are out
+        if (typeof username !== 'string' || !/^[A-Za-z0-9._-]{1,32}$/.test(username) || /^\.+$/.test(username)) {
+            throw new Error(`Invalid username: ${username} (letters, digits, '.', '_' and '-', at most 32)`);
+        }
+        validateRole(role);
+        if (this.users.has(username)) {
+            throw new Error(`User already exists: ${username}`);
+        }
+
+        const user = { username, role, passwordHash: await hashPassword(password), createdAt: new Date().toISOString() };
+        this.users.set(username, user);
+        await this.save();
+        return { username, role, createdAt: user.createdAt };
+    }
+
+    /**
+     * Changes an account's role
+     * @param {string} username - Account
+     * @param {string} role - One of ROLES
+     * @throws {Error} If there is no such user or the role is invalid
+     */
+    async setRole(username, role) {
+        const user = this.users.get(username);
+        if (!user) {
+            throw new Error(`User not found: ${username}`);
+        }
+        validateRole(role);
+
+        user.role = role;
+        await this.save();
+    }
+
+    /**
+     * Changes an account's password
+     * @param {string} username - Account
+     * @param {string} password - New password (at least 8 characters)
+     * @throws {Error} If there is no such user or the password is invalid
+     */
+    async setPassword(username, password) {
+        const user = this.users.get(username);
+        if (!user) {
+            throw new Error(`User not found: ${username}`);
+        }
+
+        user.passwordHash = await hashPassword(password);
+        await this.save();
+    }
+
+    /**
+     * Deletes an account
+     * @param {string} username - Account
+     * @throws {Error} If there is no such user
+     */
+    async removeUser(username) {
+        if (!this.users.delete(username)) {
+            throw new Error(`User not found: ${username}`);
+        }
+        await this.save();
+    }
+
+    /**
+     * Checks a username and password
+     * @param {string} username - Account
+     * @param {string} password - Password
+     * @returns {Promise<Object|null>} The account { username, role } if the password is right
+     */
+    async verify(username, password) {
+        const user = this.users.get(username);
+        // Unknown users cost a hash too, so timing doesn't tell which accounts exist
+        const passwordHash = user ? user.passwordHash : `scrypt:${'0'.repeat(32)}:${'0'.repeat(KEY_LENGTH * 2)}`;
+        const matches = await verifyPassword(String(password), passwordHash);
+        return user && matches ? { username: user.username, role: user.role } : null;
+    }
+}
+
+/**
+ * @param {string} role - Role to check
+ * @throws {Error} If it is not one of ROLES
+ */
+function validateRole(role) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Invalid role: ${role} (${ROLES.join(', ')})`);
+    }
+}
+
+/**
+ * @param {string} password - Password (at least 8 characters)
+ * @returns {Promise<string>} "scrypt:<salt>:<hash>"
+ * @throws {Error} If the password is too short
+ */
+async function hashPassword(password) {
+    if (typeof password !== 'string' || password.length < 8) {
+        throw new Error('Invalid password: use at least 8 characters');
+    }
+
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+/**
+ * @param {string} password - Password to check
+ * @param {string} passwordHash - Stored hash
+ * @returns {Promise<boolean>} Whether they match
+ */
+async function verifyPassword(password, passwordHash) {
+    const [scheme, salt, expected] = passwordHash.split(':');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+    const expectedHash = Buffer.from(expected, 'hex');
+    const hash = await scrypt(password, Buffer.from(salt, 'hex'), KEY_LENGTH);
+    return expectedHash.length === hash.length && crypto.timingSafeEqual(hash, expectedHash);
+}
+
+module.exports = UserStore;
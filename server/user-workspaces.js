@@ -0,0 +1,73 @@
+const path = require('path');
+const fsSync = require('fs');
+const WorkspaceSecurity = require('./workspace-security');
+
+/**
+ * UserWorkspaces - Which part of the workspace each user works in
+ *
+ * Students get a workspace of their own, <workspaceRoot>/users/<username>, and only
+ * see what is in it: file paths in their requests and in the answers are relative to
+ * it. Teachers and viewers work in the whole workspace, every student's included
+ * (viewers read-only, see AuthMiddleware.requireWrite). Without a user (authentication
+ * off) the whole workspace is used as before.
+ */
+class UserWorkspaces {
+    /**
+     * Creates a new UserWorkspaces instance
+     * @param {string} workspaceRoot - Absolute path to workspace root directory
+     * @param {Object} [options={}] - Options
+     * @param {string} [options.usersDir='users'] - Directory (in the workspace) of the students' workspaces
+     */
+    constructor(workspaceRoot, options = {}) {
+        this.root = new WorkspaceSecurity(workspaceRoot);
+        this.usersDir = options.usersDir || 'users';
+        this.securities = new Map();        // absolute root -> WorkspaceSecurity
+    }
+
+    /**
+     * @param {Object} [user] - Authenticated user (req.user)
+     * @returns {boolean} Whether the user is confined to a workspace of their own
+     */
+    isConfined(user) {
+        return Boolean(user && user.username && user.role === 'student');
+    }
+
+    /**
+     * Path of a student's workspace
+     * @param {string} username - Student
+     * @returns {string} Path relative to the workspace root, e.g. 'users/ada'
+     */
+    getUserPath(username) {
+        return path.join(this.usersDir, username);
+    }
+
+    /**
+     * The workspace a user works in (a student's is created on first use)
+     * @param {Object} [user] - Authenticated user (req.user)
+     * @returns {WorkspaceSecurity} Validates paths against the user's workspace
+     */
+    getSecurity(user) {
+        if (!this.isConfined(user)) {
+            return this.root;
+        }
+
+        const root = path.join(this.root.getWorkspaceRoot(), this.getUserPath(user.username));
+        if (!this.securities.has(root)) {
+            fsSync.mkdirSync(root, { recursive: true });
+            this.securities.set(root, new WorkspaceSecurity(root));
+        }
+        return this.securities.get(root);
+    }
+
+    /**
+     * Whether a user may see something (a debug session...) that belongs to `owner`
+     * @param {Object} [user] - Authenticated user (req.user)
+     * @param {string|null} owner - Username of the owner (null: started without a user)
+     * @returns {boolean}
+     */
+    canAccess(user, owner) {
+        return !this.isConfined(user) || owner === user.username;
+    }
+}
+
+module.exports = UserWorkspaces;
@@ -2,10 +2,14 @@ const express = require('express');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { spawn } = require('child_process');
-const WorkspaceSecurity = require('./workspace-security');
+const UserWorkspaces = require('./user-workspaces');
 const AuthMiddleware = require('./auth-middleware');
+const AuditLog = require('./audit-log');
 const ZipHandler = require('./zip-handler');
+const WorkspaceWatcher = require('./workspace-watcher');
+const RemoteDebuggerProxyServer = require('./inspector-proxy-factory');
 
 /**
  * Recursively copy directory contents
@@ -22,31 +26,93 @@ async function copyDirectory(src, dest) {
 
         if (entry.isDirectory()) {
             await copyDirectory(srcPath, destPath);
+        } else if (entry.isSymbolicLink()) {
+            // Copied as a link: following it could copy files from outside the workspace
+            await fs.symlink(await fs.readlink(srcPath), destPath);
         } else {
             await fs.copyFile(srcPath, destPath);
         }
     }
 }
 
+/**
+ * Resolves a path to move, rename or copy without following a link at its end, so that
+ * the link itself is moved: only its directory is resolved (and must be in the workspace)
+ * @param {WorkspaceSecurity} security - The caller's workspace
+ * @param {string} relativePath - Path relative to the workspace
+ * @returns {Promise<string>} Absolute path
+ * @throws {Error} 'Path traversal' if it escapes the workspace
+ */
+async function resolveEntry(security, relativePath) {
+    const normalizedPath = path.normalize(relativePath);
+    const name = path.basename(normalizedPath);
+    if (!name || name === '.' || name === '..') {
+        return security.validatePath(relativePath);
+    }
+    return path.join(await security.validatePath(path.dirname(normalizedPath)), name);
+}
+
+/**
+ * Checks that a directory about to be created stays in the workspace: validatePath cannot
+ * tell when not even the parent of a path exists, so the deepest directory of it that does
+ * exist is resolved (a link on the way may lead out of the workspace)
+ * @param {WorkspaceSecurity} security - The caller's workspace
+ * @param {string} dir - Absolute path of the directory
+ * @returns {Promise<void>}
+ * @throws {Error} 'Path traversal' if it escapes the workspace
+ */
+async function checkNewDirectory(security, dir) {
+    let ancestor = dir;
+    let resolved = null;
+    while (resolved === null) {
+        resolved = await fs.realpath(ancestor).catch(err => {
+            if (err.code !== 'ENOENT' || path.dirname(ancestor) === ancestor) throw err;
+            return null;
+        });
+        ancestor = path.dirname(ancestor);
+    }
+
+    if (!security.isWithinWorkspace(resolved)) {
+        throw new Error('Path traversal detected: path escapes workspace');
+    }
+}
+
 /**
  * Creates and configures the workspace API router
+ *
+ * Paths are relative to the caller's workspace: their own for students, the whole
+ * workspace otherwise (see UserWorkspaces). Viewers cannot change anything.
+ * Every change (and every refused attempt) is recorded in the audit log.
+ *
  * @param {Object} config - Configuration object
  * @param {string} config.workspaceRoot - Absolute path to workspace root
  * @param {string} config.demoProjectPath - Relative path to demo project template
- * @param {string[]} config.apiKeys - Array of valid API keys for authentication
- * @returns {express.Router} Configured Express router
+ * @param {UserWorkspaces} [config.workspaces] - Per-user workspaces (default: from workspaceRoot)
+ * @param {AuthMiddleware} [config.auth] - Authentication every route requires (default: API keys only)
+ * @param {string[]} [config.apiKeys] - Array of valid API keys, without config.auth
+ * @param {AuditLog} [config.audit] - Records the changes (default: none)
+ * @returns {express.Router} Configured Express router (its `watcher` is the WorkspaceWatcher behind /events)
  */
 function createWorkspaceApi(config = {}) {
     const router = express.Router();
 
-    // Initialize security and auth
-    const security = new WorkspaceSecurity(config.workspaceRoot || process.cwd());
-    const auth = new AuthMiddleware({
+    fsSync.mkdirSync(config.workspaceRoot, { recursive: true });
+
+    // Initialize workspaces and auth
+    const workspaces = config.workspaces || new UserWorkspaces(config.workspaceRoot || process.cwd());
+    const auth = config.auth || new AuthMiddleware({
         apiKeys: config.apiKeys || [],
         apiKeyHeader: 'X-Workspace-API-Key'
     });
+    router.use(auth.requireAuth);
+    const audit = config.audit || new AuditLog(null);
 
-    fsSync.mkdirSync(config.workspaceRoot, { recursive: true });
+    // Active project of each user ('' without authentication)
+    const activeProjects = new Map();
+
+    // Changes on disk, for GET /events
+    const watcher = new WorkspaceWatcher(workspaces.root.getWorkspaceRoot());
+    router.watcher = watcher;
 
     /**
      * Workspace info endpoint for handshake
@@ -54,7 +120,7 @@ function createWorkspaceApi(config = {}) {
      */
     router.get('/info', async (req, res) => {
         try {
-            const workspaceRoot = security.getWorkspaceRoot();
+            const workspaceRoot = workspaces.getSecurity(req.user).getWorkspaceRoot();
             const stats = await fs.stat(workspaceRoot);
 
             res.json({
@@ -62,11 +128,14 @@ function createWorkspaceApi(config = {}) {
                 exists: true,
                 type: stats.isDirectory() ? 'directory' : 'file',
                 modified: stats.mtime.toISOString(),
+                user: req.user || null,
+                readOnly: Boolean(req.user && req.user.role === 'viewer'),
                 apiVersion: '1.0',
                 features: {
                     upload: true,
                     download: true,
-                    zip: true
+                    zip: true,
+                    events: true
                 }
             });
         } catch (error) {
@@ -77,14 +146,91 @@ function createWorkspaceApi(config = {}) {
         }
     });
 
+    /**
+     * GET /events - Changes to the caller's workspace on disk (Server-Sent Events)
+     * Events: create, change, delete, rename with data { type, path, from?, isDirectory, modified? },
+     * paths like the other routes' ('/blink/main.js'). A rename into or out of the
+     * caller's workspace is a create or a delete. Whatever happens while nobody is
+     * connected is not sent later: reload what is shown after reconnecting.
+     * When the workspace cannot be watched (any longer), a stopped event { message } ends the stream.
+     */
+    router.get('/events', (req, res) => {
+        const userRoot = path.relative(workspaces.root.getWorkspaceRoot(), workspaces.getSecurity(req.user).getWorkspaceRoot())
+            .split(path.sep).join('/');
+
+        const toRequestPath = (relative) => {
+            if (!userRoot) return `/${relative}`;
+            return relative.startsWith(`${userRoot}/`) ? relative.slice(userRoot.length) : null;
+        };
+
+        const sendChanges = (changes) => {
+            for (const change of changes) {
+                const changePath = toRequestPath(change.path);
+                const from = change.from === undefined ? null : toRequestPath(change.from);
+                let event;
+
+                if (change.type !== 'rename') {
+                    event = changePath && { ...change, path: changePath };
+                } else if (changePath && from) {
+                    event = { ...change, path: changePath, from };
+                } else if (changePath) {
+                    event = { type: 'create', path: changePath, isDirectory: change.isDirectory, modified: change.modified };
+                } else if (from) {
+                    event = { type: 'delete', path: from, isDirectory: change.isDirectory };
+                }
+
+                if (event) {
+                    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+                }
+            }
+        };
+
+        // Why the workspace is not followed (any longer), e.g. the system's watches ran out;
+        // the stream ends after it
+        const sendStopped = (error) => {
+            res.write(`event: stopped\ndata: ${JSON.stringify({ message: error.message })}\n\n`);
+            res.end();
+        };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
 
+        let unsubscribe;
+        try {
+            unsubscribe = watcher.subscribe(sendChanges);
+        } catch (error) {
+            console.error('Cannot watch the workspace:', error.message);
+            return sendStopped(error);
+        }
+        res.write(': watching\n\n');
 
+        // Comment lines keep idle connections from being dropped by intermediaries
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+        const onClose = (error) => {
+            if (error) {
+                sendStopped(error);
+            } else {
+                res.end();
+            }
+        };
+        watcher.once('close', onClose);
+
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            watcher.off('close', onClose);
+            unsubscribe();
+        });
+    });
 
     /**
      * POST /active-project - Set the active project
      * Body: { project: "project-name" }
      */
-    router.post('/active-project', async (req, res) => {
+    router.post('/active-project', audit.track('project.activate', req => ({ path: req.body.projectPath })), async (req, res) => {
         try {
             const project = req.body.projectPath;
 
@@ -96,7 +242,7 @@ function createWorkspaceApi(config = {}) {
             }
 
             // Validate that the project path exists within workspace
-            const projectPath = await security.validatePath(project);
+            const projectPath = await workspaces.getSecurity(req.user).validatePath(project);
 
             // Check if it exists
             try {
@@ -119,7 +265,7 @@ function createWorkspaceApi(config = {}) {
             }
 
             // Store active project in router state
-            router.activeProject = project;
+            activeProjects.set(req.user?.username || '', project);
 
             res.json({
                 success: true,
@@ -146,7 +292,8 @@ function createWorkspaceApi(config = {}) {
      * GET /active-project - Get the current active project
      */
     router.get('/active-project', (req, res) => {
-        if (!router.activeProject) {
+        const project = activeProjects.get(req.user?.username || '');
+        if (!project) {
             return res.status(404).json({
                 error: 'No active project',
                 message: 'No project has been selected'
@@ -154,7 +301,7 @@ function createWorkspaceApi(config = {}) {
         }
 
         res.json({
-            project: router.activeProject
+            project
         });
     });
 
@@ -162,7 +309,7 @@ function createWorkspaceApi(config = {}) {
      * POST /demo-project - Copy demo project template to workspace
      * Creates a new project from the configured demo template
      */
-    router.post('/demo-project', async (req, res) => {
+    router.post('/demo-project', audit.track('project.create-demo', req => ({ path: req.body?.targetPath || 'demo-project' })), auth.requireWrite, async (req, res) => {
         try {
             if (!config.demoProjectPath) {
                 return res.status(500).json({
@@ -196,7 +343,7 @@ function createWorkspaceApi(config = {}) {
 
             // Get target path from request body or use default
             const targetPath = req.body?.targetPath || 'demo-project';
-            const workspacePath = await security.validatePath(targetPath);
+            const workspacePath = await workspaces.getSecurity(req.user).validatePath(targetPath);
 
             // Check if target already exists
             try {
@@ -251,15 +398,309 @@ function createWorkspaceApi(config = {}) {
         }
     });
 
+    /**
+     * POST /distribute - Copy a starter project into students' workspaces (teachers only)
+     * Body: { source: "starter-blink", students?: ["ada", ...], targetPath?: "blink", overwrite?: false }
+     * students defaults to every student account, targetPath to the name of the source.
+     * Students who already have targetPath are skipped unless overwrite is set.
+     */
+    router.post('/distribute', audit.track('project.distribute', (req, body) => ({
+        path: req.body?.source,
+        targetPath: body?.targetPath,
+        copied: body?.copied
+    })), auth.requireRole('teacher'), async (req, res) => {
+        try {
+            const { source, overwrite = false } = req.body || {};
+
+            if (!source) {
+                return res.status(400).json({
+                    error: 'Bad request',
+                    message: 'Missing required field: source'
+                });
+            }
+
+            const sourcePath = await workspaces.getSecurity(req.user).validatePath(source);
+            const stats = await fs.stat(sourcePath).catch(() => null);
+            if (!stats || !stats.isDirectory()) {
+                return res.status(404).json({
+                    error: 'Not found',
+                    message: `Project directory does not exist: ${source}`
+                });
+            }
+
+            const accounts = auth.userStore
+                ? auth.userStore.listUsers().filter(user => user.role === 'student').map(user => user.username)
+                : [];
+            if (req.body.students !== undefined && (!Array.isArray(req.body.students)
+                || !req.body.students.every(name => typeof name === 'string'))) {
+                return res.status(400).json({
+                    error: 'Bad request',
+                    message: 'students must be an array of usernames'
+                });
+            }
+            const students = [...new Set(req.body.students || accounts)];
+            const unknown = students.filter(name => !accounts.includes(name));
+            if (unknown.length > 0) {
+                return res.status(400).json({
+                    error: 'Bad request',
+                    message: `Not student accounts: ${unknown.join(', ')}`
+                });
+            }
+
+            const targetPath = req.body.targetPath || path.basename(sourcePath);
+            const copied = [];
+            const skipped = [];
+
+            for (const username of students) {
+                const studentSecurity = workspaces.getSecurity({ username, role: 'student' });
+                const target = await studentSecurity.validatePath(targetPath);
+
+                const exists = await fs.access(target).then(() => true).catch(() => false);
+                if (exists && !overwrite) {
+                    skipped.push(username);
+                    continue;
+                }
+                if (exists) {
+                    await fs.rm(target, { recursive: true, force: true });
+                }
+
+                await copyDirectory(sourcePath, target);
+                copied.push(username);
+            }
+
+            console.log(`Distributed ${source} to ${copied.length} student(s) as ${targetPath}`);
+
+            res.status(201).json({
+                success: true,
+                source,
+                targetPath,
+                copied,
+                skipped
+            });
+        } catch (err) {
+            console.error('Distribute error:', err);
+            if (err.message.includes('Path traversal')) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: err.message
+                });
+            }
+            res.status(500).json({
+                error: 'Internal server error',
+                message: err.message
+            });
+        }
+    });
+
+    /**
+     * Move or copy a file or directory within the caller's workspace
+     * A move is a rename(2), so it happens at once; a copy is made next to the destination
+     * first and renamed into place, so it never shows up half done. Links are moved and
+     * copied as links.
+     * @param {Object} user - Caller
+     * @param {Object} request - { from, to, overwrite? }, paths relative to the caller's workspace
+     * @param {boolean} copy - Copy instead of move
+     * @returns {Promise<Object>} { type: 'file'|'directory' }
+     * @throws {Error} 'Invalid request' (400), 'Path traversal' (403), 'Not found' (404), 'Destination exists' (409)
+     */
+    const relocate = async (user, { from, to, overwrite = false }, copy) => {
+        if (!from || !to) {
+            throw new Error('Invalid request: missing required fields: from, to');
+        }
+
+        const security = workspaces.getSecurity(user);
+        const source = await resolveEntry(security, from);
+        const target = await resolveEntry(security, to);
+        const root = security.getWorkspaceRoot();
+        const verb = copy ? 'copy' : 'move';
+
+        if (source === root || target === root) {
+            throw new Error(`Invalid request: cannot ${verb} the workspace itself`);
+        }
+        const stats = await fs.lstat(source).catch(() => null);
+        if (!stats) {
+            throw new Error(`Not found: ${from} does not exist`);
+        }
+        if (target === source) {
+            throw new Error(`Invalid request: ${from} and ${to} are the same`);
+        }
+        if (target.startsWith(source + path.sep)) {
+            throw new Error(`Invalid request: cannot ${verb} ${from} into itself`);
+        }
+        if (source.startsWith(target + path.sep)) {
+            throw new Error(`Invalid request: cannot replace ${to}, which contains ${from}`);
+        }
+
+        const existing = await fs.lstat(target).catch(() => null);
+        if (existing && !overwrite) {
+            throw new Error(`Destination exists: ${to} (set overwrite to replace it)`);
+        }
+        // rename(2) replaces a file, but not a directory (or a file with one)
+        const replace = existing && (existing.isDirectory() || stats.isDirectory());
+
+        await checkNewDirectory(security, path.dirname(target));
+        await fs.mkdir(path.dirname(target), { recursive: true });
+
+        if (copy) {
+            const staging = path.join(path.dirname(target), `.${path.basename(target)}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+            try {
+                if (stats.isDirectory()) {
+                    await copyDirectory(source, staging);
+                } else if (stats.isSymbolicLink()) {
+                    await fs.symlink(await fs.readlink(source), staging);
+                } else {
+                    await fs.copyFile(source, staging);
+                }
+                if (replace) {
+                    await fs.rm(target, { recursive: true, force: true });
+                }
+                await fs.rename(staging, target);
+            } catch (err) {
+                await fs.rm(staging, { recursive: true, force: true });
+                throw err;
+            }
+        } else {
+            if (replace) {
+                await fs.rm(target, { recursive: true, force: true });
+            }
+            await fs.rename(source, target);
+
+            // Follow the active project if it moved
+            const key = user?.username || '';
+            const active = activeProjects.get(key);
+            if (active) {
+                const activePath = path.join(root, path.normalize(active));
+                if (activePath === source || activePath.startsWith(source + path.sep)) {
+                    activeProjects.set(key, '/' + path.relative(root, target + activePath.slice(source.length)).split(path.sep).join('/'));
+                }
+            }
+        }
+
+        console.log(`${copy ? 'Copied' : 'Moved'} ${from} to ${to}`);
+        return { type: stats.isDirectory() ? 'directory' : 'file' };
+    };
+
+    /**
+     * Answer a failed move, rename or copy
+     * @param {Response} res - Express response
+     * @param {Error} error - What went wrong
+     * @param {string} action - What was attempted, for the generic error
+     */
+    const sendRelocateError = (res, error, action) => {
+        if (error.message.includes('Invalid request')) {
+            return res.status(400).json({
+                error: 'Bad request',
+                message: error.message
+            });
+        }
+        if (error.message.includes('Path traversal') || error.code === 'EACCES' || error.code === 'EPERM') {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: error.message
+            });
+        }
+        if (error.message.includes('Not found')) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: error.message
+            });
+        }
+        if (error.message.includes('Destination exists')) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: error.message
+            });
+        }
+
+        console.error(`${action} error:`, error);
+        res.status(500).json({
+            error: `${action} failed`,
+            message: error.message
+        });
+    };
+
+    /**
+     * POST /move - Move a file or directory (creating the destination's parent directories)
+     * Body: { from: "/blink/old.js", to: "/blink/lib/old.js", overwrite?: false }
+     * Fails with 409 if `to` exists, unless overwrite is set.
+     */
+    router.post('/move', audit.track('file.move', req => ({ path: req.body?.from, to: req.body?.to })), auth.requireWrite, async (req, res) => {
+        try {
+            const { from, to } = req.body || {};
+            const { type } = await relocate(req.user, req.body || {}, false);
+
+            res.json({
+                success: true,
+                message: 'Moved successfully',
+                from,
+                to,
+                type
+            });
+        } catch (error) {
+            sendRelocateError(res, error, 'Move');
+        }
+    });
+
+    /**
+     * POST /rename - Rename a file or directory in place
+     * Body: { path: "/blink/old.js", name: "new.js", overwrite?: false }
+     */
+    router.post('/rename', audit.track('file.rename', req => ({ path: req.body?.path, name: req.body?.name })), auth.requireWrite, async (req, res) => {
+        try {
+            const { path: from, name, overwrite } = req.body || {};
+            if (!from || !name) {
+                throw new Error('Invalid request: missing required fields: path, name');
+            }
+            if (name === '.' || name === '..' || /[/\\]/.test(name)) {
+                throw new Error(`Invalid request: ${name} is not a file name`);
+            }
+
+            const to = path.posix.join(path.posix.dirname(path.posix.normalize(from).replace(/\/+$/, '')), name);
+            const { type } = await relocate(req.user, { from, to, overwrite }, false);
+
+            res.json({
+                success: true,
+                message: 'Renamed successfully',
+                from,
+                to,
+                type
+            });
+        } catch (error) {
+            sendRelocateError(res, error, 'Rename');
+        }
+    });
+
+    /**
+     * POST /copy - Copy a file or directory (creating the destination's parent directories)
+     * Body: { from: "/blink", to: "/blink-copy", overwrite?: false }
+     * Fails with 409 if `to` exists, unless overwrite is set.
+     */
+    router.post('/copy', audit.track('file.copy', req => ({ path: req.body?.from, to: req.body?.to })), auth.requireWrite, async (req, res) => {
+        try {
+            const { from, to } = req.body || {};
+            const { type } = await relocate(req.user, req.body || {}, true);
+
+            res.status(201).json({
+                success: true,
+                message: 'Copied successfully',
+                from,
+                to,
+                type
+            });
+        } catch (error) {
+            sendRelocateError(res, error, 'Copy');
+        }
+    });
+
     /**
      * POST /*npm-install - Run npm install in a project directory
      * This must come before the generic GET handler
      */
-    router.post(/(.*)\/npm-install$/, async (req, res) => {
+    router.post(/(.*)\/npm-install$/, audit.track('project.npm-install', req => ({ path: req.params[0] || '/' })), auth.requireWrite, async (req, res) => {
         try {
             // Extract project path from the URL (everything before /npm-install)
             const projectPath = req.params[0] || '/';
-            const absolutePath = await security.validatePath(projectPath);
+            const absolutePath = await workspaces.getSecurity(req.user).validatePath(projectPath);
 
             // Verify the path exists and is a directory
             let stats;
@@ -301,9 +742,10 @@ function createWorkspaceApi(config = {}) {
 
             console.log(`Running npm install in: ${absolutePath}`);
 
-            // Run npm install as a child process
+            // Run npm install as a child process (its scripts are the project's: no server secrets)
             const npmProcess = spawn('npm', ['install'], {
                 cwd: absolutePath,
+                env: RemoteDebuggerProxyServer.getTargetEnv(),
                 shell: true
             });
 
@@ -376,7 +818,7 @@ function createWorkspaceApi(config = {}) {
     router.get('/*', async (req, res) => {
         try {
             const requestedPath = req.params[0] || '/';
-            const absolutePath = await security.validatePath(requestedPath);
+            const absolutePath = await workspaces.getSecurity(req.user).validatePath(requestedPath);
 
             // Check if path exists
             let stats;
@@ -484,7 +926,7 @@ function createWorkspaceApi(config = {}) {
     const uploadHandler = async (req, res) => {
         try {
             const requestedPath = req.params[0] || '/';
-            const absolutePath = await security.validatePath(requestedPath);
+            const absolutePath = await workspaces.getSecurity(req.user).validatePath(requestedPath);
 
             // Check if this is a directory creation request (POST with JSON body { type: 'directory' })
             if (req.method === 'POST' && req.is('application/json') && req.body && req.body.type === 'directory') {
@@ -580,21 +1022,26 @@ function createWorkspaceApi(config = {}) {
         limit: '50mb'
     });
 
-    // Apply authentication to write operations
-    // Using noAuth for now - authentication middleware in place but not enforcing
-    router.put('/*', textBodyParser, auth.noAuth, uploadHandler);
-    router.post('/*', textBodyParser, auth.noAuth, uploadHandler);
-    router.patch('/*', textBodyParser, auth.noAuth, uploadHandler);
+    // What an upload does: see uploadHandler
+    const trackUpload = audit.track(
+        req => req.is('application/json') && req.body?.type === 'directory' ? 'directory.create'
+            : ZipHandler.isZipRequest(req) ? 'zip.extract' : 'file.write',
+        req => ({ path: req.params[0] || '/' })
+    );
+
+    router.put('/*', trackUpload, auth.requireWrite, textBodyParser, uploadHandler);
+    router.post('/*', trackUpload, auth.requireWrite, textBodyParser, uploadHandler);
+    router.patch('/*', trackUpload, auth.requireWrite, textBodyParser, uploadHandler);
 
     /**
      * DELETE /* - Delete a file or directory
      */
-    router.delete('/*', auth.noAuth, async (req, res) => {
+    router.delete('/*', audit.track('file.delete', req => ({ path: req.path })), auth.requireWrite, async (req, res) => {
         try {
             const requestedPath = req.path;
 
             // Validate and resolve the path
-            const fullPath = await security.validatePath(requestedPath);
+            const fullPath = await workspaces.getSecurity(req.user).validatePath(requestedPath);
 
             // Check if path exists
             const exists = await fs.access(fullPath).then(() => true).catch(() => false);
@@ -0,0 +1,222 @@
+const fs = require('fs').promises;
+const path = require('path');
+const EventEmitter = require('events');
+const ProjectWatcher = require('./project-watcher');
+const Logger = require('../util/logger');
+
+/**
+ * WorkspaceWatcher - Tells editors what changed in the workspace on disk
+ *
+ * ProjectWatcher only says which paths were touched. To tell a created file from a
+ * changed or deleted one, this keeps an index of what is in the workspace (inode,
+ * type, mtime, size) and compares each touched path with it. A path deleted and one
+ * created with the same inode in the same batch were renamed (or moved). Changes in
+ * a directory that appears or disappears are reported as the directory only.
+ *
+ * The workspace is only watched while someone listens (see subscribe).
+ *
+ * Events:
+ * - 'changes' (changes) - [{ type: 'create'|'change'|'delete'|'rename', path, from?, isDirectory, modified? }],
+ *   paths relative to the root ('/'-separated); `from` for renames, `modified` (ISO time) unless deleted
+ * - 'close' (err) - stopped; listeners are not called again. `err` says why when the workspace
+ *   can no longer be watched (e.g. the system's watches ran out)
+ */
+class WorkspaceWatcher extends EventEmitter {
+    /**
+     * Creates a new WorkspaceWatcher instance
+     * @param {string} rootDir - Absolute path of the workspace root
+     * @param {Object} [options={}] - Options (see ProjectWatcher: debounce, ignore)
+     */
+    constructor(rootDir, options = {}) {
+        super();
+        this.rootDir = rootDir;
+        this.options = options;
+        this.watcher = null;
+        this.index = new Map();     // relative path => { ino, isDirectory, mtimeMs, size }
+        this.processing = Promise.resolve();
+        this.logger = new Logger('WorkspaceWatcher');
+    }
+
+    /**
+     * Listens for changes, watching the workspace from the first listener on
+     * @param {Function} listener - (changes) => void
+     * @returns {Function} Stops listening (and watching, after the last listener)
+     * @throws {Error} If the workspace cannot be watched
+     */
+    subscribe(listener) {
+        this.start();
+        this.on('changes', listener);
+
+        return () => {
+            this.off('changes', listener);
+            if (this.listenerCount('changes') === 0) {
+                this.stop();
+            }
+        };
+    }
+
+    /**
+     * Starts watching and indexing the workspace
+     * @throws {Error} If the workspace cannot be watched
+     * @private
+     */
+    start() {
+        if (this.watcher) return;
+
+        const watcher = new ProjectWatcher(this.rootDir, this.options);
+        watcher.on('change', (files) => {
+            this.processing = this.processing
+                .then(() => this.processBatch(watcher, files))
+                .catch(err => this.logger.error(`Cannot process workspace changes: ${err.message}`));
+        });
+        watcher.on('error', (err) => {
+            this.logger.error(`Cannot watch ${this.rootDir} any longer: ${err.message}`);
+            this.stop(err);
+        });
+        watcher.start();
+
+        this.watcher = watcher;
+        this.index.clear();
+        this.processing = this.indexDirectory('')
+            .catch(err => this.logger.error(`Cannot index ${this.rootDir}: ${err.message}`));
+    }
+
+    /**
+     * Stops watching; listeners get 'close'
+     * @param {Error} [err] - Why, if the workspace can no longer be watched
+     */
+    stop(err) {
+        if (!this.watcher) return;
+
+        this.watcher.stop();
+        this.watcher = null;
+        this.index.clear();
+        this.emit('close', err);
+    }
+
+    /**
+     * Adds a directory's contents to the index (without reporting them)
+     * @param {string} dir - Path relative to the root ('' for the root)
+     * @returns {Promise<void>}
+     * @private
+     */
+    async indexDirectory(dir) {
+        let entries;
+        try {
+            entries = await fs.readdir(path.join(this.rootDir, dir), { withFileTypes: true });
+        } catch (err) {
+            return;     // Gone (or unreadable) meanwhile
+        }
+
+        for (const entry of entries) {
+            if (this.watcher === null || this.watcher.ignore.has(entry.name)) continue;
+
+            const relative = dir ? `${dir}/${entry.name}` : entry.name;
+            const stats = await this.stat(relative);
+            if (!stats) continue;
+
+            this.index.set(relative, stats);
+            if (stats.isDirectory) {
+                await this.indexDirectory(relative);
+            }
+        }
+    }
+
+    /**
+     * @param {string} relative - Path relative to the root
+     * @returns {Promise<Object|null>} { ino, isDirectory, mtimeMs, size }, or null if there is nothing
+     * @private
+     */
+    async stat(relative) {
+        try {
+            const stats = await fs.lstat(path.join(this.rootDir, relative));
+            return { ino: stats.ino, isDirectory: stats.isDirectory(), mtimeMs: stats.mtimeMs, size: stats.size };
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Compares the touched paths with the index and reports what changed
+     * @param {ProjectWatcher} watcher - Watcher the paths came from
+     * @param {string[]} files - Touched paths, relative to the root
+     * @returns {Promise<void>}
+     * @private
+     */
+    async processBatch(watcher, files) {
+        // Parents first: what is in a directory that appeared or disappeared is not reported
+        const touched = [...new Set(files.map(file => file.split(path.sep).join('/')))]
+            .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+
+        const created = [];
+        const deleted = [];
+        const changes = [];
+
+        for (const relative of touched) {
+            if (this.watcher !== watcher) return;      // Stopped meanwhile
+
+            const known = this.index.get(relative);
+            const stats = await this.stat(relative);
+
+            if (stats && !known) {
+                if (!this.index.has(path.posix.dirname(relative)) && path.posix.dirname(relative) !== '.') {
+                    continue;       // In a directory that is reported (and indexed) already
+                }
+                this.index.set(relative, stats);
+                if (stats.isDirectory) {
+                    await this.indexDirectory(relative);
+                }
+                created.push({ path: relative, stats });
+            } else if (!stats && known) {
+                this.forget(relative);
+                deleted.push({ path: relative, stats: known });
+            } else if (stats && known) {
+                this.index.set(relative, stats);
+                if (!stats.isDirectory && (stats.ino !== known.ino || stats.mtimeMs !== known.mtimeMs || stats.size !== known.size)) {
+                    changes.push(describe('change', relative, stats));
+                }
+            }
+        }
+
+        for (const { path: from, stats: old } of deleted) {
+            const renamed = created.findIndex(({ stats }) => stats.ino === old.ino && stats.isDirectory === old.isDirectory);
+            if (renamed === -1) {
+                changes.push({ type: 'delete', path: from, isDirectory: old.isDirectory });
+            } else {
+                const [{ path: to, stats }] = created.splice(renamed, 1);
+                changes.push({ ...describe('rename', to, stats), from });
+            }
+        }
+        created.forEach(({ path: relative, stats }) => changes.push(describe('create', relative, stats)));
+
+        if (changes.length > 0 && this.watcher === watcher) {
+            this.emit('changes', changes);
+        }
+    }
+
+    /**
+     * Removes a path (and what was in it) from the index
+     * @param {string} relative - Path relative to the root
+     * @private
+     */
+    forget(relative) {
+        const prefix = `${relative}/`;
+        for (const known of this.index.keys()) {
+            if (known === relative || known.startsWith(prefix)) {
+                this.index.delete(known);
+            }
+        }
+    }
+}
+
+/**
+ * @param {string} type - Change type
+ * @param {string} relative - Path relative to the root
+ * @param {Object} stats - Index entry of the path
+ * @returns {Object} The change as reported
+ */
+function describe(type, relative, stats) {
+    return { type, path: relative, isDirectory: stats.isDirectory, modified: new Date(stats.mtimeMs).toISOString() };
+}
+
+module.exports = WorkspaceWatcher;
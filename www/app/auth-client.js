@@ -0,0 +1,91 @@
+/**
+ * AuthClient - Logs the browser in and out of the server (/auth)
+ *
+ * A login sets an HttpOnly session cookie, which the browser then sends with every API
+ * request, EventSource stream and WebSocket upgrade, so nothing else has to handle tokens.
+ *
+ * @class AuthClient
+ */
+class AuthClient {
+    static LOGIN_PAGE = '/app/login.html';
+    static DEFAULT_PAGE = '/app/index.html';
+
+    /**
+     * Creates a new AuthClient
+     * @param {string} [baseUrl=''] - Server origin (default: the page's)
+     */
+    constructor(baseUrl = '') {
+        this.baseUrl = baseUrl;
+        this.logger = new Logger('AuthClient');
+    }
+
+    /**
+     * Who is logged in
+     * @returns {Promise<Object>} { authRequired, authenticated, user: { username, role } | null, setupRequired }
+     */
+    async me() {
+        const response = await fetch(`${this.baseUrl}/auth/me`, { credentials: 'same-origin' });
+        if (!response.ok) {
+            throw new Error(`GET /auth/me failed (${response.status})`);
+        }
+        return await response.json();
+    }
+
+    /**
+     * Log in
+     * @param {string} username - Account
+     * @param {string} password - Password
+     * @returns {Promise<Object>} { user: { username, role }, expiresAt, ... }
+     * @throws {Error} With the server's message if the login is refused
+     */
+    async login(username, password) {
+        const response = await fetch(`${this.baseUrl}/auth/login`, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.message || `Login failed (${response.status})`);
+        }
+        this.logger.info('Logged in as', result.user.username);
+        return result;
+    }
+
+    /**
+     * Log out (ends the session on the server and clears the cookie)
+     * @returns {Promise<void>}
+     */
+    async logout() {
+        await fetch(`${this.baseUrl}/auth/logout`, { method: 'POST', credentials: 'same-origin' });
+        this.logger.info('Logged out');
+    }
+
+    /**
+     * Go to the login page, coming back to the current page afterwards
+     */
+    static redirectToLogin() {
+        const next = window.location.pathname + window.location.search + window.location.hash;
+        window.location.replace(`${AuthClient.LOGIN_PAGE}?next=${encodeURIComponent(next)}`);
+    }
+
+    /**
+     * Sends the page to the login page unless the user is logged in (or the server
+     * doesn't require it). Call it first thing on pages that use the APIs.
+     * @returns {Promise<Object|null>} The /auth/me answer, or null if the server didn't answer
+     */
+    static async guard() {
+        try {
+            const me = await new AuthClient().me();
+            if (me.authRequired && !me.authenticated) {
+                AuthClient.redirectToLogin();
+            }
+            return me;
+        } catch (error) {
+            // Server unreachable: the page reports that itself
+            return null;
+        }
+    }
+}
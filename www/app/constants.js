@@ -4,6 +4,7 @@
  */
 
 // Server Ports (defaults - actual values loaded from server/package.json)
+// GPIO_WS and PROXY_WS are only listened on when the server runs with separatePorts
 const PORTS = {
     HTTP: 8080,
     GPIO_WS: 8081,
@@ -11,11 +12,19 @@ const PORTS = {
     INSPECT: 9229
 };
 
+// Schemes of the server's URLs: https/wss when the page was served over HTTPS (server TLS on)
+const SECURE = typeof window !== 'undefined' && window.location.protocol === 'https:';
+const SCHEMES = {
+    HTTP: SECURE ? 'https' : 'http',
+    WS: SECURE ? 'wss' : 'ws'
+};
+
 // Default URLs (fallback if application.store not available)
+// The inspector itself never has TLS
 const DEFAULT_URLS = {
-    HTTP_BASE: `http://localhost:${PORTS.HTTP}`,
-    GPIO_WS: `ws://localhost:${PORTS.GPIO_WS}`,
-    PROXY_WS: `ws://localhost:${PORTS.PROXY_WS}`,
+    HTTP_BASE: `${SCHEMES.HTTP}://localhost:${PORTS.HTTP}`,
+    GPIO_WS: `${SCHEMES.WS}://localhost:${PORTS.HTTP}/gpio/ws`,
+    PROXY_WS: `${SCHEMES.WS}://localhost:${PORTS.HTTP}/debug/ws`,
     INSPECT_WS: `ws://localhost:${PORTS.INSPECT}`
 };
 
@@ -93,6 +102,7 @@ const WS_CLOSE_CODES = {
 if (typeof window !== 'undefined') {
     window.APP_CONSTANTS = {
         PORTS,
+        SCHEMES,
         DEFAULT_URLS,
         API_ENDPOINTS,
         WS_MESSAGE_TYPES,
@@ -106,6 +116,7 @@ if (typeof window !== 'undefined') {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         PORTS,
+        SCHEMES,
         DEFAULT_URLS,
         API_ENDPOINTS,
         WS_MESSAGE_TYPES,
@@ -486,7 +486,8 @@ class Pithagoras{
                 httpPort: 8080,
                 proxyPort: 8888,
                 gpioPort: 8081,
-                inspectPort: 9229
+                inspectPort: 9229,
+                separatePorts: false
             };
         }
     }
@@ -494,6 +495,15 @@ class Pithagoras{
     buildServerUrls(serverConfig, hostname = 'localhost') {
         this.logger.info("buildServerUrls", serverConfig, hostname);
 
+        // WebSockets share the HTTP port unless the server runs with separate ports
+        const httpHost = `${hostname}:${serverConfig.httpPort || 8080}`;
+        const separatePorts = serverConfig.separatePorts || false;
+
+        // https/wss when the page came over HTTPS or the server config turns TLS on
+        const secure = window.location.protocol === 'https:' || Boolean(serverConfig.tls?.enabled);
+        const httpScheme = secure ? 'https' : 'http';
+        const wsScheme = secure ? 'wss' : 'ws';
+
         const urls = {
             hostname: hostname,
             httpPort: serverConfig.httpPort || 8080,
@@ -502,9 +512,9 @@ class Pithagoras{
             inspectPort: serverConfig.inspectPort || 9229,
 
             // Constructed URLs
-            httpBase: `http://${hostname}:${serverConfig.httpPort || 8080}`,
-            proxyWs: `ws://${hostname}:${serverConfig.proxyPort || 8888}`,
-            gpioWs: `ws://${hostname}:${serverConfig.gpioPort || 8081}`,
+            httpBase: `${httpScheme}://${hostname}:${serverConfig.httpPort || 8080}`,
+            proxyWs: separatePorts ? `${wsScheme}://${hostname}:${serverConfig.proxyPort || 8888}` : `${wsScheme}://${httpHost}/debug/ws`,
+            gpioWs: separatePorts ? `${wsScheme}://${hostname}:${serverConfig.gpioPort || 8081}` : `${wsScheme}://${httpHost}/gpio/ws`,
             inspectWs: `ws://${hostname}:${serverConfig.inspectPort || 9229}`,
 
             // API endpoints
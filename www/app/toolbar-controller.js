@@ -1,7 +1,7 @@
 /**
  * ToolbarController - Manages unified application toolbar interactions
  *
- * Handles dropdown menus (mode, theme), fullscreen toggle, and coordinates
+ * Handles dropdown menus (mode, theme), fullscreen toggle, sign out, and coordinates
  * dropdown visibility across the application.
  *
  * @class ToolbarController
@@ -41,6 +41,7 @@ class ToolbarController {
         this.bindModeDropdown();
         this.bindThemeDropdown();
         this.bindFullscreen();
+        this.bindSignOut();
         this.bindGlobalDropdownClose();
     }
 
@@ -230,6 +231,36 @@ class ToolbarController {
         icon.text('⛶');
     }
 
+    /**
+     * Bind sign out handlers
+     * Shows who is logged in, and sends the page to the login page when the session
+     * ends (sign out, or a 401 from the server once the session expired)
+     */
+    bindSignOut() {
+        this.logger.info('Binding sign out handlers');
+
+        const authClient = new AuthClient();
+        authClient.me().then(me => {
+            if (me.authRequired && me.user) {
+                const readOnly = me.user.role === 'viewer' ? ', read-only' : '';
+                $('#logout-btn').attr('title', `Sign out ${me.user.username} (${me.user.role}${readOnly})`);
+                $('#logout-section').show();
+            }
+        }).catch(error => this.logger.warn('Could not get the logged-in user:', error.message));
+
+        $(document).on('click', '#logout-btn', async () => {
+            await authClient.logout().catch(error => this.logger.warn('Sign out failed:', error.message));
+            AuthClient.redirectToLogin();
+        });
+
+        $(document).ajaxError((event, xhr) => {
+            if (xhr.status === 401) {
+                this.logger.warn('Session expired, going to the login page');
+                AuthClient.redirectToLogin();
+            }
+        });
+    }
+
     /**
      * Bind global dropdown close handler
      */
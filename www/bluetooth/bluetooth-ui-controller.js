@@ -499,7 +499,7 @@ class BluetoothUIController {
             // Get the inspector proxy and disconnect
             const aceController = window.application?.aceController;
             if (aceController && aceController.inspectorProxy && aceController.inspectorProxy.ws) {
-                aceController.inspectorProxy.ws.close();
+                await aceController.debuggerConnectionHelper.closeCurrentConnection();
             }
 
             this.localServerConnected = false;
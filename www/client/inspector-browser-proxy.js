@@ -3,6 +3,11 @@
  *
  * Manages WebSocket connection to Chrome DevTools Protocol,
  * sending commands and routing responses/events via RegexPubSub.
+ *
+ * The proxy may attach worker threads and child processes next to the main target
+ * (Proxy.targetAttached). Commands go to the selected target (see selectTarget); events
+ * of the other targets are published as `background:<method>`, so the domain
+ * controllers only see the selected one.
  */
 
 const METHOD_TYPE = {
@@ -17,6 +22,8 @@ class InspectorBrowserProxy {
     this.queue = new RegexPubSub();
     this.messageId = 1;
     this.wsSpec = wsSpec;
+    // sessionId of the selected child target (null: the main target)
+    this.targetSessionId = null;
     this.options = options;
     // Controllers will be initialized after this instance is set as static eventQueue
     this.consoleController = null;
@@ -102,7 +109,11 @@ class InspectorBrowserProxy {
     }
     else if (hasMethod && !hasId) {
       message.type = METHOD_TYPE.EVENT;
-      this.queue.publish(message.method, message);
+      if ((message.sessionId || null) === this.targetSessionId) {
+        this.queue.publish(message.method, message);
+      } else {
+        this.queue.publish(`background:${message.method}`, message);
+      }
     }
     else if (hasId && hasMethod) {
       console.warn(`   Type: ⚠️  AMBIGUOUS (has both id and method) message:`, message);
@@ -115,12 +126,22 @@ class InspectorBrowserProxy {
     // console.log('='.repeat(60));
   };
 
-  send(method, params={}){
+  /**
+   * Sends a command (to the selected target, unless it is one of the proxy's own)
+   * @param {string} method - Method name, e.g. 'Debugger.resume'
+   * @param {Object} [params={}] - Parameters
+   * @param {string|null} [sessionId] - Target to send it to (defaults to the selected one)
+   * @returns {number} The command id
+   */
+  send(method, params={}, sessionId=this.targetSessionId){
     const command = {
       id: this.messageId++,
       method: method,
       params: params
     };
+    if (sessionId && !method.startsWith('Proxy.')) {
+      command.sessionId = sessionId;
+    }
 
     console.log('==> Sending command:', command);
     console.log(JSON.stringify(command, null, 2));
@@ -129,6 +150,36 @@ class InspectorBrowserProxy {
     return command.id;
   }
 
+  /**
+   * Sends a command to a particular target and waits for its result
+   * @param {string|null} sessionId - Child target (null: the main target)
+   * @param {string} method - Method name
+   * @param {Object} [params={}] - Parameters
+   * @returns {Promise<Object>} The result
+   */
+  sendToTarget(sessionId, method, params={}){
+    return new Promise((resolve, reject) => {
+      // Subscribe to the response before sending, as BaseDomainController.send does
+      const commandId = this.messageId;
+      this.queue.once(`^response:${commandId}$`, (topic, message) => {
+        if (message.error) {
+          reject(new Error(message.error.message));
+        } else {
+          resolve(message.result);
+        }
+      });
+      this.send(method, params, sessionId);
+    });
+  }
+
+  /**
+   * Directs commands and events to another target
+   * @param {string|null} sessionId - Child target (null: the main target)
+   */
+  selectTarget(sessionId){
+    this.targetSessionId = sessionId || null;
+  }
+
   async enable() {
 
     if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
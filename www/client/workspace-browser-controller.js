@@ -33,7 +33,7 @@ class WorkspaceBrowserController {
      * @param {Function} [config.onWorkspaceChange] - Callback when workspace info changes (info)
      * @param {Function} [config.onDebugFile] - Callback when user wants to debug a file (path)
      * @param {Function} [config.onError] - Callback for errors (error)
-     * @param {string} [config.apiKey] - API key for authenticated operations
+     * @param {string} [config.apiKey] - API key (X-Workspace-API-Key); without one, requests use the login session cookie
      * @param {boolean} [config.showDebugAction=false] - Show "Debug" action on files
      */
     constructor(config) {
@@ -99,17 +99,15 @@ class WorkspaceBrowserController {
      * @returns {Promise<Object>} Upload result
      */
     async uploadProject(zipFile, targetPath = '/') {
-        if (!this.apiKey) {
-            throw new Error('API key required for upload');
-        }
-
         try {
+            const headers = { 'Content-Type': 'application/zip' };
+            if (this.apiKey) {
+                headers['X-Workspace-API-Key'] = this.apiKey;
+            }
+
             const response = await fetch(`${this.apiUrl}${targetPath}`, {
                 method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/zip',
-                    'X-Workspace-API-Key': this.apiKey
-                },
+                headers,
                 body: zipFile
             });
 
@@ -267,7 +265,7 @@ class WorkspaceBrowserController {
                     </div>
                     <div class="workspace-toolbar">
                         <input type="file" id="upload-zip" accept=".zip" style="display:none">
-                        <button class="btn-upload" ${this.apiKey ? '' : 'disabled'} title="${this.apiKey ? 'Upload ZIP' : 'API key required'}">Upload ZIP</button>
+                        <button class="btn-upload" title="Upload ZIP">Upload ZIP</button>
                     </div>
                     <div class="workspace-content">
                         <div class="file-list">
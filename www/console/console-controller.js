@@ -13,13 +13,15 @@ class ConsoleUIController {
         this.isDetached = false;
         this.detachedWindow = null;
         this.consoleSplit = null;
+        this.programOutput = new ProgramOutputController();
 
         // Events to filter out (too noisy)
         this.noisyEvents = [
             /^editor:cursor:moved$/,
             /^circuit:view:scaled$/,
             /^circuit:elements:dragged$/,
-            /^breadboard:.*:hover$/
+            /^breadboard:.*:hover$/,
+            /^debugger:script:parsed$/
         ];
 
         // Batching for performance - only update display once per frame
@@ -32,6 +34,7 @@ class ConsoleUIController {
      */
     setCtx(ctx) {
         this.application = ctx;
+        this.programOutput.setCtx(ctx);
         this.logger.info('Context set');
     }
 
@@ -80,6 +83,7 @@ class ConsoleUIController {
         this.application.sub(/^debugger:connected$/, (topic, data) => {
             this.logger.info('Debugger connected - showing tabs');
             this.showTabs();
+            this.programOutput.connect(data.sessionId);
         });
 
         this.application.sub(/^debugger:disconnected$/, (topic, data) => {
@@ -96,6 +100,8 @@ class ConsoleUIController {
             onDetach: () => this.detachConsole()
         });
 
+        this.programOutput.bind();
+
         // Bind tab click handlers for docked tabs
         $('#console-tabs .console-tab').on('click', (e) => {
             this.handleTabClick(e);
@@ -329,6 +335,8 @@ class ConsoleUIController {
         // Get console content
         const consoleContent = $('#console-content').detach();
         const consoleToolbar = $('#console-toolbar').detach();
+        const programOutputToolbar = $('#program-output-toolbar').detach();
+        const programOutputContent = $('#program-output-content').detach();
 
         // Create floating window
         this.detachedWindow = $('<div></div>')
@@ -370,7 +378,12 @@ class ConsoleUIController {
             .attr('data-tab', 'scopes')
             .text('Scopes');
 
-        tabsContainer.append(consoleTab, breakpointsTab, watchesTab, scopesTab);
+        const programOutputTab = $('<div></div>')
+            .addClass('console-tab')
+            .attr('data-tab', 'program-output')
+            .text('Program Output');
+
+        tabsContainer.append(consoleTab, programOutputTab, breakpointsTab, watchesTab, scopesTab);
 
         // Create tab content containers
         const consoleTabContent = $('<div></div>')
@@ -379,6 +392,12 @@ class ConsoleUIController {
             .append(consoleToolbar)
             .append(consoleContent);
 
+        const programOutputTabContent = $('<div></div>')
+            .addClass('console-tab-content')
+            .attr('data-tab-content', 'program-output')
+            .append(programOutputToolbar)
+            .append(programOutputContent);
+
         const breakpointsTabContent = $('<div></div>')
             .addClass('console-tab-content')
             .attr('data-tab-content', 'breakpoints')
@@ -399,6 +418,7 @@ class ConsoleUIController {
             .addClass('draggable-content console-detached-content')
             .append(tabsContainer)
             .append(consoleTabContent)
+            .append(programOutputTabContent)
             .append(breakpointsTabContent)
             .append(watchesTabContent)
             .append(scopesTabContent);
@@ -468,12 +488,15 @@ class ConsoleUIController {
         // Get content from floating window
         const consoleContent = this.detachedWindow.find('#console-content').detach();
         const consoleToolbar = this.detachedWindow.find('#console-toolbar').detach();
+        const programOutputToolbar = this.detachedWindow.find('#program-output-toolbar').detach();
+        const programOutputContent = this.detachedWindow.find('#program-output-content').detach();
 
         // Remove placeholder
         $('.console-placeholder').remove();
 
         // Reattach to panel - put back into the console tab content
         $('#console-tab-content').append(consoleToolbar).append(consoleContent);
+        $('#program-output-tab-content').append(programOutputToolbar).append(programOutputContent);
 
         // Reset inline styles that may have been added while detached
         consoleContent.css('height', '');
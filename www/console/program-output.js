@@ -0,0 +1,123 @@
+/**
+ * ProgramOutputController - Shows the debug target's stdout/stderr in the
+ * "Program Output" tab of the console panel
+ *
+ * Subscribes to the session's Server-Sent Events stream
+ * (GET /debug/session/:id/output). The server replays its buffered output
+ * first, so switching to a session that has been running for a while still
+ * shows what it printed earlier.
+ */
+class ProgramOutputController {
+    constructor() {
+        this.logger = new Logger('ProgramOutputController');
+        this.application = null;
+        this.eventSource = null;
+        this.sessionId = null;
+        this.maxLines = 2000;
+        this.autoScroll = true;
+    }
+
+    /**
+     * Set application context
+     * @param {Object} ctx - Application context
+     */
+    setCtx(ctx) {
+        this.application = ctx;
+    }
+
+    /**
+     * Bind toolbar handlers of the Program Output tab
+     */
+    bind() {
+        this.logger.info('Binding program output controller');
+
+        // stdout / stderr toggles
+        $('#program-output-toolbar .program-output-stream-btn').on('click', (e) => {
+            const btn = $(e.currentTarget);
+            btn.toggleClass('active');
+            $('#program-output-content').toggleClass(`hide-${btn.data('stream')}`, !btn.hasClass('active'));
+        });
+
+        $('#program-output-clear-btn').on('click', () => this.clear());
+
+        $('#program-output-content').on('scroll', (e) => {
+            const content = e.currentTarget;
+            this.autoScroll = content.scrollHeight - content.scrollTop - content.clientHeight < 50;
+        });
+    }
+
+    /**
+     * Start streaming the output of a session (replaces any previous stream)
+     * @param {string} sessionId - Debug session ID
+     */
+    connect(sessionId) {
+        if (!sessionId || (sessionId === this.sessionId && this.eventSource)) {
+            return;
+        }
+
+        this.disconnect();
+        this.clear();
+        this.sessionId = sessionId;
+
+        const serverUrls = APP_CONSTANTS.getServerUrls(this.application);
+        const url = `${serverUrls.httpBase}/debug/session/${encodeURIComponent(sessionId)}/output`;
+        this.logger.info('Streaming program output from:', url);
+
+        this.eventSource = new EventSource(url);
+
+        this.eventSource.addEventListener('output', (e) => {
+            this.appendEntry(JSON.parse(e.data));
+        });
+
+        this.eventSource.addEventListener('end', () => {
+            this.appendEntry({ stream: 'system', text: 'Session ended\n' });
+            this.disconnect();
+        });
+
+        // EventSource retries on its own (resuming via Last-Event-ID); just note it
+        this.eventSource.onerror = () => {
+            this.logger.warn('Program output stream interrupted, retrying...');
+        };
+    }
+
+    /**
+     * Stop streaming (the output shown so far is kept)
+     */
+    disconnect() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
+    /**
+     * Append an output chunk
+     * @param {Object} entry - { stream: 'stdout'|'stderr'|'system', text }
+     */
+    appendEntry(entry) {
+        const content = $('#program-output-content');
+
+        content.append(
+            $('<span></span>')
+                .addClass(`program-output-chunk program-output-${entry.stream}`)
+                .text(entry.text)
+        );
+
+        // Keep the DOM bounded for chatty programs
+        const chunks = content.children();
+        if (chunks.length > this.maxLines) {
+            chunks.slice(0, chunks.length - this.maxLines).remove();
+        }
+
+        if (this.autoScroll && content[0]) {
+            content[0].scrollTop = content[0].scrollHeight;
+        }
+    }
+
+    /**
+     * Clear the displayed output
+     */
+    clear() {
+        $('#program-output-content').empty();
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * CrashPanelHelper - Shows the post-mortem of a debugged program that crashed
+ *
+ * Fed from the session history (GET /debug/history/:id): exit code or signal (or the
+ * resource limit that stopped it), the uncaught exception with its stack, and the
+ * last lines of program output.
+ * The exception's location links to the failing line in the editor.
+ */
+class CrashPanelHelper {
+    constructor(ace) {
+        this.ace = ace;
+        this.logger = new Logger("CrashPanelHelper");
+        this.panel = null;
+        this.location = null;
+    }
+
+    initialize() {
+        this.logger.info("initialize()");
+        this.panel = $('#crash-panel');
+
+        this.panel.draggable({
+            handle: '.draggable-header',
+            containment: 'window'
+        });
+
+        this.panel.find('.close-btn').on('click', () => this.hide());
+
+        this.panel.find('.crash-location').on('click', (e) => {
+            e.preventDefault();
+            this.openLocation();
+        });
+    }
+
+    /**
+     * Show the crash report of a session
+     * @param {string} sessionId - Session ID
+     */
+    async showForSession(sessionId) {
+        this.logger.info("showForSession", sessionId);
+
+        try {
+            const entry = await this.ace.debuggerApiClient.getSessionHistoryEntry(sessionId);
+            if (entry.status === 'crashed' || entry.status === 'killed') {
+                this.show(entry);
+            }
+        } catch (error) {
+            this.logger.error("Failed to load crash report:", error);
+        }
+    }
+
+    /**
+     * Fill in and show the panel
+     * @param {Object} entry - Session history entry
+     */
+    show(entry) {
+        if (!this.panel) {
+            this.initialize();
+        }
+
+        const exception = entry.exception;
+        const ending = entry.signal ? `was killed by ${entry.signal}` : `exited with code ${entry.exitCode}`;
+        this.panel.find('.crash-summary').text(entry.limit
+            ? `${entry.targetFile || entry.command || entry.sessionId}: ${entry.limit.message}`
+            : `${entry.targetFile || entry.command || entry.sessionId} ${ending}`);
+
+        this.location = exception && exception.file
+            ? { file: exception.file, lineNumber: exception.lineNumber, columnNumber: exception.columnNumber }
+            : null;
+        this.panel.find('.crash-location')
+            .text(this.location ? `${this.location.file}:${this.location.lineNumber + 1}` : '')
+            .toggle(Boolean(this.location));
+
+        this.panel.find('.crash-stack')
+            .text(exception ? exception.stack : '')
+            .toggle(Boolean(exception));
+        this.panel.find('.crash-output').text(entry.output.join('\n'));
+
+        this.panel.fadeIn(200);
+    }
+
+    hide() {
+        if (this.panel) {
+            this.panel.fadeOut(200);
+        }
+    }
+
+    /**
+     * Open the file the exception was thrown in, at the failing line
+     */
+    async openLocation() {
+        if (!this.location) return;
+
+        const { file, lineNumber, columnNumber } = this.location;
+        this.logger.info("openLocation", file, lineNumber);
+
+        try {
+            const content = await this.ace.debuggerApiClient.getFileContent(file);
+            this.ace.editorHelper.openFile(file, content);
+            this.ace.editorHelper.gotoLine(lineNumber, columnNumber);
+        } catch (error) {
+            this.logger.error("Failed to open crash location:", error);
+            alert(`Failed to open ${file}: ${error.message}`);
+        }
+    }
+}
@@ -247,6 +247,7 @@ class DebugToolbarHelper {
                 .catch((error) => {
                     this.logger.error("Failed to remove breakpoint from debugger", error);
                 });
+            this.mirrorToOtherTargets('Debugger.removeBreakpoint', { breakpointId });
         }
 
         // Remove from map
@@ -292,6 +293,7 @@ class DebugToolbarHelper {
                     .catch((error) => {
                         this.logger.error("Failed to re-enable breakpoint in debugger", error);
                     });
+                this.mirrorToOtherTargets('Debugger.setBreakpointByUrl', { lineNumber: breakpoint.line, url: fullUrl, columnNumber: 0, condition: '' });
             } else {
                 // Disable: remove the breakpoint from the debugger
                 debuggerController.removeBreakpoint(breakpointId)
@@ -301,6 +303,7 @@ class DebugToolbarHelper {
                     .catch((error) => {
                         this.logger.error("Failed to disable breakpoint in debugger", error);
                     });
+                this.mirrorToOtherTargets('Debugger.removeBreakpoint', { breakpointId });
             }
         }
 
@@ -336,6 +339,7 @@ class DebugToolbarHelper {
                 .catch((error) => {
                     this.logger.error("Failed to update breakpoints active state", error);
                 });
+            this.mirrorToOtherTargets('Debugger.setBreakpointsActive', { active: this.allBreakpointsActive });
         }
 
         // Update the global toggle button
@@ -353,6 +357,38 @@ class DebugToolbarHelper {
         }
     }
 
+    /**
+     * Set the enabled breakpoints again on a new target process (watch mode restart)
+     * A restarted process knows nothing of the breakpoints set on the previous one.
+     * @returns {Promise<void>}
+     */
+    async reapplyBreakpoints() {
+        const debuggerController = this.ace.inspectorProxy?.debuggerController;
+        if (!debuggerController) {
+            return;
+        }
+
+        const enabled = Array.from(this.breakpoints.values()).filter(bp => bp.enabled);
+        this.logger.info("reapplyBreakpoints, count:", enabled.length);
+
+        for (const breakpoint of enabled) {
+            try {
+                const result = await debuggerController.setBreakpointByUrl(breakpoint.line, breakpoint.file, 0, '');
+                const location = result.locations && result.locations[0];
+
+                this.breakpoints.delete(breakpoint.id);
+                breakpoint.id = result.breakpointId;
+                breakpoint.scriptId = location ? location.scriptId : null;
+                breakpoint.pending = !location;
+                this.breakpoints.set(breakpoint.id, breakpoint);
+            } catch (error) {
+                this.logger.error("Failed to re-apply breakpoint", breakpoint.file, breakpoint.line, error);
+            }
+        }
+
+        this.updateBreakpointsList();
+    }
+
     // Called when breakpoint is added via ACE editor gutter click
     onBreakpointAdded(file, line) {
         this.logger.info("onBreakpointAdded", file, line);
@@ -477,6 +513,19 @@ class DebugToolbarHelper {
                 this.logger.error("Failed to set breakpoint", error);
                 alert(`Failed to set breakpoint: ${error.message || error}`);
             });
+        this.mirrorToOtherTargets('Debugger.setBreakpointByUrl', { lineNumber: line, url: fullUrl, columnNumber: 0, condition: '' });
+    }
+
+    /**
+     * Make the same breakpoint change on the program's other targets (workers, child processes)
+     * Breakpoints set by URL get the same id on every target, so one id covers them all.
+     * @param {string} method - Debugger method
+     * @param {Object} params - Parameters
+     */
+    mirrorToOtherTargets(method, params) {
+        if (this.ace.debuggerTargetHelper) {
+            this.ace.debuggerTargetHelper.sendToOtherTargets(method, params);
+        }
     }
 
     // Called when breakpoint is removed via ACE editor gutter click
@@ -237,18 +237,28 @@ class DebuggerApiClient {
 
     /**
      * Start a debug session for a specific file
-     * @param {string} filePath - Absolute path to the JavaScript file to debug
+     * @param {string|null} filePath - Path to the JavaScript file to debug (null when a saved
+     *                                 configuration names its own program, or to run a command)
+     * @param {Object} [launchOptions={}] - Launch options: args, env, envFile, cwd, nodeFlags, stopOnEntry, record, watch,
+     *                                      limits, sandbox, or { projectPath, configuration } to use a saved launch configuration,
+     *                                      or { projectPath, script } / { projectPath, command } to run an npm script or
+     *                                      a command such as ['node', '--test'] instead of a file
      * @returns {Promise<Object>} Session object with sessionId, wsUrl, status, etc.
      */
-    async startDebugSession(filePath) {
+    async startDebugSession(filePath, launchOptions = {}) {
         try {
-            this.logger.info(`Starting debug session for file: ${filePath}`);
+            this.logger.info(`Starting debug session for file: ${filePath}`, launchOptions);
+
+            const requestData = { ...launchOptions };
+            if (filePath) {
+                requestData.file = filePath;
+            }
 
             const response = await $.ajax({
                 url: `${this.baseUrl}/debug/session`,
                 type: 'POST',
                 contentType: 'application/json',
-                data: JSON.stringify({ file: filePath }),
+                data: JSON.stringify(requestData),
                 timeout: this.timeout,
                 dataType: 'json'
             });
@@ -257,7 +267,153 @@ class DebuggerApiClient {
             return response;
         } catch (error) {
             this.logger.error("Failed to start debug session:", error);
-            throw new Error(`Failed to start debug session: ${error.statusText || error.message}`);
+            throw new Error(`Failed to start debug session: ${error.responseJSON?.message || error.statusText || error.message}`);
+        }
+    }
+
+    /**
+     * Attach a debug session to an already-running Node process (started with --inspect)
+     * @param {string} host - Inspector host (e.g., "127.0.0.1")
+     * @param {number} port - Inspector port (e.g., 9229)
+     * @param {string} [targetId] - Target id from listInspectorTargets() (defaults to the first target)
+     * @returns {Promise<Object>} Session object with sessionId, wsUrl, status, etc.
+     */
+    async attachDebugSession(host, port, targetId = null) {
+        try {
+            this.logger.info(`Attaching debug session to ${host}:${port}`, targetId || '');
+
+            const requestData = { mode: 'attach', host, port };
+            if (targetId) {
+                requestData.targetId = targetId;
+            }
+
+            const response = await $.ajax({
+                url: `${this.baseUrl}/debug/session`,
+                type: 'POST',
+                contentType: 'application/json',
+                data: JSON.stringify(requestData),
+                timeout: this.timeout,
+                dataType: 'json'
+            });
+
+            this.logger.info("Debug session attached:", response);
+            return response;
+        } catch (error) {
+            this.logger.error("Failed to attach debug session:", error);
+            throw new Error(`Failed to attach debug session: ${error.responseJSON?.message || error.statusText || error.message}`);
+        }
+    }
+
+    /**
+     * List the inspectable targets of a running Node process
+     * @param {string} host - Inspector host
+     * @param {number} port - Inspector port
+     * @returns {Promise<Array>} Array of targets with id, title, url, type
+     */
+    async listInspectorTargets(host, port) {
+        try {
+            this.logger.info(`Listing inspector targets on ${host}:${port}`);
+
+            const response = await $.ajax({
+                url: `${this.baseUrl}/debug/targets`,
+                type: 'GET',
+                data: { host, port },
+                timeout: this.timeout,
+                dataType: 'json'
+            });
+
+            this.logger.info("Inspector targets:", response);
+            return response.targets || [];
+        } catch (error) {
+            this.logger.error("Failed to list inspector targets:", error);
+            throw new Error(`Failed to list inspector targets: ${error.responseJSON?.message || error.statusText || error.message}`);
+        }
+    }
+
+    /**
+     * Start a session that replays a CDP recording (see GET /debug/recordings)
+     * Connect to it like any other session; no process is run.
+     * @param {string} recording - Recording path relative to workspace root
+     * @param {number} [speed=1] - Playback speed factor (0 sends events without delay)
+     * @returns {Promise<Object>} Session object with sessionId, wsUrl, status, etc.
+     */
+    async replayDebugSession(recording, speed = 1) {
+        try {
+            this.logger.info(`Replaying recording: ${recording}`);
+
+            const response = await $.ajax({
+                url: `${this.baseUrl}/debug/session`,
+                type: 'POST',
+                contentType: 'application/json',
+                data: JSON.stringify({ mode: 'replay', recording, speed }),
+                timeout: this.timeout,
+                dataType: 'json'
+            });
+
+            this.logger.info("Replay session started:", response);
+            return response;
+        } catch (error) {
+            this.logger.error("Failed to start replay session:", error);
+            throw new Error(`Failed to start replay session: ${error.responseJSON?.message || error.statusText || error.message}`);
+        }
+    }
+
+    /**
+     * List the CDP recordings saved in the workspace
+     * @returns {Promise<Array>} Array of recordings with path, size, modified (newest first)
+     */
+    async listRecordings() {
+        try {
+            const response = await $.ajax({
+                url: `${this.baseUrl}/debug/recordings`,
+                type: 'GET',
+                timeout: this.timeout,
+                dataType: 'json'
+            });
+
+            return response.recordings || [];
+        } catch (error) {
+            this.logger.error("Failed to list recordings:", error);
+            throw new Error(`Failed to list recordings: ${error.responseJSON?.message || error.statusText || error.message}`);
+        }
+    }
+
+    /**
+     * List the session history: running, stopped and crashed sessions
+     * @returns {Promise<Array>} History entries (newest first) with status, exitCode, signal, exception
+     */
+    async getSessionHistory() {
+        try {
+            const response = await $.ajax({
+                url: `${this.baseUrl}/debug/history`,
+                type: 'GET',
+                timeout: this.timeout,
+                dataType: 'json'
+            });
+
+            return response.history || [];
+        } catch (error) {
+            this.logger.error("Failed to get session history:", error);
+            throw new Error(`Failed to get session history: ${error.responseJSON?.message || error.statusText || error.message}`);
+        }
+    }
+
+    /**
+     * Get the history entry of a session, with the last lines of its output
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<Object>} History entry
+     */
+    async getSessionHistoryEntry(sessionId) {
+        try {
+            return await $.ajax({
+                url: `${this.baseUrl}/debug/history/${encodeURIComponent(sessionId)}`,
+                type: 'GET',
+                timeout: this.timeout,
+                dataType: 'json'
+            });
+        } catch (error) {
+            this.logger.error("Failed to get session history entry:", error);
+            throw new Error(`Failed to get session history entry: ${error.responseJSON?.message || error.statusText || error.message}`);
         }
     }
 
@@ -289,15 +445,64 @@ class DebuggerApiClient {
     }
 
     /**
-     * Stop the current debug session
+     * List all running debug sessions
+     * @returns {Promise<Array>} Array of session objects with sessionId, targetFile, wsUrl, etc.
+     */
+    async listDebugSessions() {
+        try {
+            this.logger.info("Listing debug sessions");
+
+            const response = await $.ajax({
+                url: `${this.baseUrl}/debug/sessions`,
+                type: 'GET',
+                timeout: this.timeout,
+                dataType: 'json'
+            });
+
+            this.logger.info("Debug sessions:", response);
+            return response.sessions || [];
+        } catch (error) {
+            this.logger.error("Failed to list debug sessions:", error);
+            throw new Error(`Failed to list debug sessions: ${error.statusText || error.message}`);
+        }
+    }
+
+    /**
+     * Get information about a specific debug session
+     * @param {string} sessionId - Session ID (e.g., "session-2")
+     * @returns {Promise<Object>} Session info with wsUrl, ports, status, etc.
+     */
+    async getDebugSession(sessionId) {
+        try {
+            this.logger.info(`Fetching debug session: ${sessionId}`);
+
+            const response = await $.ajax({
+                url: `${this.baseUrl}/debug/session/${encodeURIComponent(sessionId)}`,
+                type: 'GET',
+                timeout: this.timeout,
+                dataType: 'json'
+            });
+
+            this.logger.info("Debug session info:", response);
+            return response;
+        } catch (error) {
+            this.logger.error(`Failed to fetch debug session ${sessionId}:`, error);
+            throw new Error(`Failed to get debug session: ${error.statusText || error.message}`);
+        }
+    }
+
+    /**
+     * Stop a debug session
+     * @param {string} [sessionId] - Session to stop (defaults to the current session)
      * @returns {Promise<Object>} Response with status
      */
-    async stopDebugSession() {
+    async stopDebugSession(sessionId = null) {
         try {
-            this.logger.info("Stopping debug session");
+            this.logger.info("Stopping debug session", sessionId || '(current)');
 
+            const sessionPath = sessionId ? `/${encodeURIComponent(sessionId)}` : '';
             const response = await $.ajax({
-                url: `${this.baseUrl}/debug/session`,
+                url: `${this.baseUrl}/debug/session${sessionPath}`,
                 type: 'DELETE',
                 timeout: this.timeout,
                 dataType: 'json'
@@ -410,4 +615,70 @@ class DebuggerApiClient {
             throw new Error(`Failed to create directory: ${error.statusText || error.message}`);
         }
     }
+
+    /**
+     * Move a file or directory in the workspace
+     * @param {string} fromPath - Path to move (e.g., "/demo-project/old.js")
+     * @param {string} toPath - New path (e.g., "/demo-project/lib/old.js")
+     * @param {boolean} [overwrite=false] - Replace what is at toPath
+     * @returns {Promise<Object>} Response with from, to and type
+     * @throws {Error} With `conflict` set if toPath exists (and overwrite is not set)
+     */
+    async movePath(fromPath, toPath, overwrite = false) {
+        return await this.relocatePath('move', { from: fromPath, to: toPath, overwrite });
+    }
+
+    /**
+     * Rename a file or directory in place
+     * @param {string} itemPath - Path to rename (e.g., "/demo-project/old.js")
+     * @param {string} name - New name (e.g., "new.js")
+     * @param {boolean} [overwrite=false] - Replace a sibling with that name
+     * @returns {Promise<Object>} Response with from, to and type
+     * @throws {Error} With `conflict` set if the name is taken (and overwrite is not set)
+     */
+    async renamePath(itemPath, name, overwrite = false) {
+        return await this.relocatePath('rename', { path: itemPath, name, overwrite });
+    }
+
+    /**
+     * Copy a file or directory in the workspace
+     * @param {string} fromPath - Path to copy (e.g., "/demo-project")
+     * @param {string} toPath - Path of the copy (e.g., "/demo-project-copy")
+     * @param {boolean} [overwrite=false] - Replace what is at toPath
+     * @returns {Promise<Object>} Response with from, to and type
+     * @throws {Error} With `conflict` set if toPath exists (and overwrite is not set)
+     */
+    async copyPath(fromPath, toPath, overwrite = false) {
+        return await this.relocatePath('copy', { from: fromPath, to: toPath, overwrite });
+    }
+
+    /**
+     * POST a move, rename or copy to the workspace API
+     * @param {string} operation - 'move', 'rename' or 'copy'
+     * @param {Object} body - Request body
+     * @returns {Promise<Object>} Response
+     * @private
+     */
+    async relocatePath(operation, body) {
+        try {
+            this.logger.info(`Workspace ${operation}:`, body);
+
+            const response = await $.ajax({
+                url: `${this.baseUrl}/workspace/${operation}`,
+                type: 'POST',
+                contentType: 'application/json',
+                data: JSON.stringify(body),
+                timeout: this.timeout,
+                dataType: 'json'
+            });
+
+            this.logger.info(`Workspace ${operation} done:`, response);
+            return response;
+        } catch (error) {
+            this.logger.error(`Workspace ${operation} failed:`, error);
+            const failure = new Error(`Failed to ${operation}: ${error.responseJSON?.message || error.statusText || error.message}`);
+            failure.conflict = error.status === 409;
+            throw failure;
+        }
+    }
 }
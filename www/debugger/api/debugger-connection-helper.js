@@ -1,29 +1,56 @@
 /**
  * DebuggerConnectionHelper - Handles debugger connection and initialization
+ *
+ * If the debugger WebSocket drops without us closing it, or the page is reloaded,
+ * the helper re-attaches to the same session: the server keeps the target running
+ * for a grace period and the session's wsUrl carries the token that lets us back in.
+ *
+ * Several browsers can share a session. The proxy makes one of them the driver;
+ * the others are observers that follow along but can't step, resume or set breakpoints.
  */
 class DebuggerConnectionHelper {
+    static STORAGE_KEY = 'debugger-active-session';
+    static MAX_RECONNECT_ATTEMPTS = 5;
+    static RECONNECT_DELAY = 2000;
+
     constructor(aceController) {
         this.ace = aceController;
         this.logger = new Logger("DebuggerConnectionHelper");
+        this.closingIntentionally = false;
+        this.reconnectAttempts = 0;
+        this.role = null;
+        this.clientId = null;
     }
 
     async connectToDebuggerWithSelectedFile() {
-        if (!this.ace.selectedFileForDebugging) {
+        const launchConfigHelper = this.ace.launchConfigHelper;
+        const launchOptions = launchConfigHelper ? launchConfigHelper.getSelectedLaunchOptions() : {};
+
+        // A saved configuration with its own program (or command) doesn't need a file selected in the editor
+        const file = launchConfigHelper && launchConfigHelper.selectedConfigHasProgram()
+            ? null
+            : this.ace.selectedFileForDebugging;
+
+        if (!file && !launchOptions.configuration) {
             alert("Please select a file from the file tree first");
             return;
         }
 
-        this.logger.info(`Starting debug session for: ${this.ace.selectedFileForDebugging}`);
+        this.logger.info(`Starting debug session for: ${file || launchOptions.configuration}`);
 
         try {
             // Start debug session via API
-            const response = await this.ace.debuggerApiClient.startDebugSession(this.ace.selectedFileForDebugging);
+            const response = await this.ace.debuggerApiClient.startDebugSession(file, launchOptions);
             this.logger.info("Debug session response:", response);
 
             // Extract WebSocket URL from response
             const wsUrl = response.session ? response.session.wsUrl : response.wsUrl;
+            this.ace.activeSessionId = response.session ? response.session.sessionId : response.sessionId;
 
             if (wsUrl) {
+                // Disconnect from the session we're currently attached to (it keeps running)
+                await this.closeCurrentConnection();
+
                 // Connect to the debugger using the WebSocket URL
                 this.connectToDebugger(wsUrl);
             } else {
@@ -36,8 +63,286 @@ class DebuggerConnectionHelper {
         }
     }
 
+    /**
+     * Bind the session selector in the menubar so the user can switch sessions
+     */
+    bindSessionSelector() {
+        this.logger.info("bindSessionSelector()");
+
+        const select = $('#debug-session-select');
+
+        // Pick up sessions started from other browsers since the last refresh
+        select.on('mousedown', () => this.refreshSessionList());
+
+        select.on('change', (e) => {
+            const sessionId = $(e.currentTarget).val();
+            this.switchToSession(sessionId);
+        });
+
+        // Offer to join sessions that are already running (e.g. started by another browser)
+        this.refreshSessionList();
+    }
+
+    /**
+     * Bind the "Take control" button shown to observers of a session nobody is driving
+     */
+    bindTakeControlButton() {
+        $('#debug-take-control').on('click', () => this.takeControl());
+    }
+
+    /**
+     * Whether the debugger WebSocket is currently open
+     * @returns {boolean}
+     */
+    isConnected() {
+        return this.ace.inspectorProxy?.ws?.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Refresh the session selector from the list of running sessions
+     * The selector is shown when there is a session other than ours to switch to or join.
+     */
+    async refreshSessionList() {
+        try {
+            const sessions = await this.ace.debuggerApiClient.listDebugSessions();
+            const select = $('#debug-session-select');
+            const connected = this.isConnected();
+
+            select.empty();
+            if (!connected) {
+                select.append($('<option>').val('').text('Join session…'));
+            }
+            sessions.forEach(session => {
+                let label;
+                if (session.mode === 'replay') {
+                    label = `replay of ${(session.targetFile || session.replay.recording).split('/').pop()}`;
+                } else {
+                    label = session.targetFile
+                        ? session.targetFile.split('/').pop()
+                        : session.command || `attached ${session.attach.host}:${session.attach.port}`;
+                }
+                const clients = session.clients && session.clients.length > 0
+                    ? ` (${session.clients.length} connected)`
+                    : '';
+                select.append($('<option>').val(session.sessionId).text(`${session.sessionId}: ${label}${clients}`));
+            });
+            select.val(connected ? this.ace.activeSessionId : '');
+
+            $('.debug-session-group').toggle(connected ? sessions.length > 1 : sessions.length > 0);
+        } catch (error) {
+            this.logger.error("Failed to refresh session list:", error);
+        }
+    }
+
+    /**
+     * Switch the debugger UI to another running session
+     * @param {string} sessionId - Session to attach to
+     */
+    async switchToSession(sessionId) {
+        if (!sessionId || (sessionId === this.ace.activeSessionId && this.isConnected())) {
+            return;
+        }
+
+        this.logger.info(`Switching to session: ${sessionId}`);
+
+        try {
+            const session = await this.ace.debuggerApiClient.getDebugSession(sessionId);
+
+            await this.closeCurrentConnection();
+
+            this.ace.activeSessionId = session.sessionId;
+            this.connectToDebugger(session.wsUrl);
+        } catch (error) {
+            this.logger.error("Failed to switch session:", error);
+            alert(`Failed to switch session: ${error.message}`);
+            $('#debug-session-select').val(this.ace.activeSessionId);
+        }
+    }
+
+    /**
+     * Close the current debugger WebSocket (if any) and wait for it to finish closing,
+     * so its close handlers don't run after the next connection is up
+     * @returns {Promise<void>}
+     */
+    closeCurrentConnection() {
+        const ws = this.ace.inspectorProxy?.ws;
+        if (!ws || ws.readyState === WebSocket.CLOSED) {
+            return Promise.resolve();
+        }
+
+        this.closingIntentionally = true;
+        return new Promise(resolve => {
+            ws.addEventListener('close', () => resolve(), { once: true });
+            ws.close();
+        });
+    }
+
+    /**
+     * Re-attach to the session this tab was debugging before a page reload (if it is still running)
+     */
+    async resumeStoredSession() {
+        const sessionId = sessionStorage.getItem(DebuggerConnectionHelper.STORAGE_KEY);
+        if (!sessionId || this.ace.inspectorProxy) {
+            return;
+        }
+
+        this.logger.info(`Resuming debug session after reload: ${sessionId}`);
+        this.ace.activeSessionId = sessionId;
+        await this.resumeSession(sessionId);
+    }
+
+    /**
+     * Reconnect to a running session with its tokenized wsUrl
+     * @param {string} sessionId - Session to re-attach to
+     */
+    async resumeSession(sessionId) {
+        // The user started or switched to another session in the meantime
+        if (sessionId !== this.ace.activeSessionId) {
+            return;
+        }
+
+        try {
+            const session = await this.ace.debuggerApiClient.getDebugSession(sessionId);
+
+            // Past the grace period the target is gone; reconnecting would restart it
+            if (!session.resumable) {
+                this.logger.info(`Session ${sessionId} can no longer be resumed`);
+                this.forgetSession();
+                return;
+            }
+
+            this.connectToDebugger(session.wsUrl);
+        } catch (error) {
+            if (error.message.includes('Not Found')) {
+                this.logger.info(`Session ${sessionId} no longer exists, not reconnecting`);
+                this.forgetSession();
+                return;
+            }
+            this.logger.error("Failed to look up session for reconnect:", error);
+            this.scheduleReconnect();
+        }
+    }
+
+    /**
+     * Try to re-attach to the active session after an unexpected disconnect
+     */
+    scheduleReconnect() {
+        if (this.reconnectAttempts >= DebuggerConnectionHelper.MAX_RECONNECT_ATTEMPTS) {
+            this.logger.error("Giving up reconnecting to the debugger");
+            this.forgetSession();
+            return;
+        }
+
+        this.reconnectAttempts++;
+        const sessionId = this.ace.activeSessionId;
+        this.logger.info(`Reconnecting to ${sessionId} (attempt ${this.reconnectAttempts}/${DebuggerConnectionHelper.MAX_RECONNECT_ATTEMPTS})`);
+
+        setTimeout(() => this.resumeSession(sessionId), DebuggerConnectionHelper.RECONNECT_DELAY);
+    }
+
+    /**
+     * Stop re-attaching to the active session (it was stopped or can't be reached)
+     */
+    forgetSession() {
+        sessionStorage.removeItem(DebuggerConnectionHelper.STORAGE_KEY);
+        this.reconnectAttempts = 0;
+    }
+
+    /**
+     * Disconnect from the active session and stop it on the server (kills the target)
+     * Observers only disconnect; the session belongs to whoever is driving it.
+     */
+    async stopActiveSession() {
+        const sessionId = this.ace.activeSessionId;
+        const observing = this.role === 'observer';
+
+        await this.closeCurrentConnection();
+        this.forgetSession();
+        this.ace.activeSessionId = null;
+
+        if (sessionId && !observing) {
+            await this.ace.debuggerApiClient.stopDebugSession(sessionId);
+        }
+    }
+
+    /**
+     * Send one of the proxy's own commands (Proxy.takeControl, Proxy.getClients, ...)
+     * @param {string} method - Proxy method
+     * @param {Object} [params={}] - Parameters
+     * @returns {Promise<Object>} The result
+     */
+    sendProxyCommand(method, params = {}) {
+        const proxy = this.ace.inspectorProxy;
+
+        return new Promise((resolve, reject) => {
+            // Subscribe to the response before sending, as BaseDomainController.send does
+            const commandId = proxy.messageId;
+            proxy.queue.once(`^response:${commandId}$`, (topic, message) => {
+                if (message.error) {
+                    reject(new Error(message.error.message));
+                } else {
+                    resolve(message.result);
+                }
+            });
+            proxy.send(method, params);
+        });
+    }
+
+    /**
+     * Become the driver of a session nobody is driving
+     */
+    async takeControl() {
+        try {
+            await this.sendProxyCommand('Proxy.takeControl');
+        } catch (error) {
+            this.logger.error("Failed to take control:", error);
+            alert(`Failed to take control: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update our role and the role indicator from the proxy's client list
+     * @param {Object} params - Proxy.clientsChanged params { driverId, clients }
+     */
+    onClientsChanged(params) {
+        const me = params.clients.find(c => c.clientId === this.clientId);
+        if (me) {
+            this.applyRole(me.role);
+        }
+
+        const others = params.clients.length - 1;
+        const label = this.role === 'driver'
+            ? `Driving · ${others} watching`
+            : (params.driverId ? `Observing · client ${params.driverId} is driving` : 'Observing · nobody is driving');
+
+        $('#debug-role-label').text(label);
+        $('#debug-take-control').toggle(this.role === 'observer' && !params.driverId);
+        $('.debug-role-group').toggle(this.role === 'observer' || others > 0);
+    }
+
+    /**
+     * Enable or disable the execution controls for our role
+     * @param {string} role - 'driver' or 'observer'
+     */
+    applyRole(role) {
+        if (role !== this.role) {
+            this.logger.info(`Role: ${role}`);
+        }
+        this.role = role;
+        this.ace.debuggerRole = role;
+
+        const observing = role === 'observer';
+        $('#debug-continue, #debug-pause, #debug-step-over, #debug-step-into, #debug-step-out')
+            .prop('disabled', observing)
+            .attr('title', function() {
+                const title = $(this).attr('title').replace(/ \(driver only\)$/, '');
+                return observing ? `${title} (driver only)` : title;
+            });
+    }
+
     connectToDebugger(wsUrl) {
         this.logger.info("connectToDebugger:", wsUrl);
+        this.closingIntentionally = false;
 
         if (!this.ace.debuggerClientLoaded) {
             alert("Debugger client is still loading. Please wait and try again.");
@@ -77,10 +382,53 @@ class DebuggerConnectionHelper {
             });
 
             // Wait for Proxy.ready event from the server before initializing
-            this.ace.inspectorProxy.queue.subscribe('Proxy.ready', () => {
+            // (params.resumed is set when we re-attached to a target that kept running,
+            // params.restarted when watch mode restarted the target under this connection)
+            this.ace.inspectorProxy.queue.subscribe('Proxy.ready', (topic, data) => {
                 this.logger.info("✓ Proxy is ready, initializing debugger...");
                 clearTimeout(this.ace.connectionTimeout);
-                this.onConnectionOpen();
+                this.clientId = data.params?.clientId ?? null;
+                this.applyRole(data.params?.role || 'driver');
+                if (data.params?.restarted) {
+                    this.onTargetRestarted();
+                } else {
+                    this.onConnectionOpen(Boolean(data.params?.resumed));
+                }
+            });
+
+            // Watch mode: a file changed and the target is being restarted
+            this.ace.inspectorProxy.queue.subscribe('Proxy.targetRestarting', (topic, data) => {
+                this.onTargetRestarting(data.params);
+            });
+
+            // The program ended on its own (finished or crashed)
+            this.ace.inspectorProxy.queue.subscribe('Proxy.targetExited', (topic, data) => {
+                this.onTargetExited(data.params);
+            });
+
+            // The program hit a resource limit (killed, or its output throttled)
+            this.ace.inspectorProxy.queue.subscribe('Proxy.limitExceeded', (topic, data) => {
+                this.onLimitExceeded(data.params);
+            });
+
+            // The sandbox denied the program an access (file, child process...)
+            this.ace.inspectorProxy.queue.subscribe('Proxy.sandboxViolation', (topic, data) => {
+                this.onSandboxViolation(data.params);
+            });
+
+            // Other browsers joined or left the session, or control was handed over
+            this.ace.inspectorProxy.queue.subscribe('Proxy.clientsChanged', (topic, data) => {
+                this.onClientsChanged(data.params);
+            });
+
+            // Worker threads and child processes of the program come and go
+            this.ace.debuggerTargetHelper.attach(this.ace.inspectorProxy);
+
+            // The proxy reports failures it can't recover from (e.g. attach target gone)
+            this.ace.inspectorProxy.queue.subscribe('Proxy.error', (topic, data) => {
+                this.logger.error("Proxy error:", data.params);
+                clearTimeout(this.ace.connectionTimeout);
+                alert(`Debugger proxy error: ${data.params.message}`);
             });
 
             this.ace.inspectorProxy.queue.subscribe(/^WebSocket\.close$/, (topic, data) => {
@@ -118,8 +466,13 @@ class DebuggerConnectionHelper {
         }
     }
 
-    async onConnectionOpen() {
-        this.logger.info("onConnectionOpen()");
+    /**
+     * Initialize the debugger once the proxy is ready
+     * @param {boolean} [resumed=false] - True when re-attached to a target that kept running
+     */
+    async onConnectionOpen(resumed = false) {
+        this.logger.info("onConnectionOpen()", resumed ? "(resumed)" : "");
+        this.ace.crashPanelHelper.hide();
 
         try {
             // Fetch workspace info to get the workspace root path
@@ -131,19 +484,32 @@ class DebuggerConnectionHelper {
                 this.logger.error("Failed to load workspace info:", error);
             }
 
+            // Set up debugger event listeners before enabling, so the scripts and pause state
+            // reported during Debugger.enable (or replayed by the proxy on resume) are seen
+            this.setupDebuggerListeners();
+
             // Enable the debugger domains
             await this.ace.inspectorProxy.enable();
 
             this.logger.info("Debugger domains enabled successfully");
 
-            // Activate breakpoints
-            if (this.ace.inspectorProxy.debuggerController) {
+            // Activate breakpoints (observers follow the driver's session as it is)
+            if (this.role === 'driver' && this.ace.inspectorProxy.debuggerController) {
                 await this.ace.inspectorProxy.debuggerController.setBreakpointsActive(true);
                 this.logger.info("Breakpoints activated");
             }
 
-            // Set up debugger event listeners
-            this.setupDebuggerListeners();
+            // Release the target if it was started with --inspect-brk (stop on entry); no-op otherwise
+            if (!resumed && this.role === 'driver') {
+                await this.ace.inspectorProxy.runtimeController.runIfWaitingForDebugger();
+            }
+
+            // Workers and child processes wait for our breakpoints while we drive (see DebuggerTargetHelper)
+            await this.sendProxyCommand('Proxy.setAutoAttach', { waitForDebuggerOnStart: true });
+
+            // Remember the session so a reload or dropped connection can re-attach to it
+            sessionStorage.setItem(DebuggerConnectionHelper.STORAGE_KEY, this.ace.activeSessionId);
+            this.reconnectAttempts = 0;
 
             // Connect GPIO WebSocket client (tied to debugger lifecycle)
             this.connectGPIOClient();
@@ -152,12 +518,15 @@ class DebuggerConnectionHelper {
             if (this.ace.application) {
                 this.ace.application.pub("debugger:connected", {
                     url: this.ace.debuggerUrl,
+                    sessionId: this.ace.activeSessionId,
+                    resumed,
                     timestamp: Date.now()
                 });
             }
 
             // Update UI
             this.showDebugControls();
+            this.refreshSessionList();
             this.ace.application.simulator.reset();
 
             // Wait for reset to complete before re-registering GPIO callbacks
@@ -165,7 +534,9 @@ class DebuggerConnectionHelper {
                 this.ace.application.gpioClient?.refreshGPIOOutputStates();
             }, 100);
 
-            alert("Connected to debugger successfully!");
+            if (!resumed) {
+                alert("Connected to debugger successfully!");
+            }
 
         } catch (error) {
             this.logger.error("Error during debugger initialization:", error);
@@ -173,6 +544,132 @@ class DebuggerConnectionHelper {
         }
     }
 
+    /**
+     * Forget the state of the target process that is being restarted (watch mode)
+     * @param {Object} params - Proxy.targetRestarting params { reason }
+     */
+    onTargetRestarting(params) {
+        this.logger.info("onTargetRestarting()", params?.reason);
+
+        if (this.ace.editorHelper) {
+            this.ace.editorHelper.clearDebugMarkers();
+        }
+        this.ace.currentCallFrames = null;
+        if (this.ace.scripts) {
+            this.ace.scripts.clear();
+        }
+
+        if (this.ace.application) {
+            this.ace.application.pub("debugger:restarting", {
+                sessionId: this.ace.activeSessionId,
+                reason: params?.reason,
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    /**
+     * The program ended on its own; show the crash report if it failed
+     * @param {Object} params - Proxy.targetExited params { code, signal, exception, limit }
+     */
+    onTargetExited(params) {
+        this.logger.info("onTargetExited()", params);
+
+        if (this.ace.editorHelper) {
+            this.ace.editorHelper.clearDebugMarkers();
+        }
+        this.ace.currentCallFrames = null;
+
+        if (params.code !== 0 || params.limit) {
+            this.ace.crashPanelHelper.showForSession(this.ace.activeSessionId);
+        }
+
+        if (this.ace.application) {
+            this.ace.application.pub("debugger:target:exited", {
+                sessionId: this.ace.activeSessionId,
+                code: params.code,
+                signal: params.signal,
+                exception: params.exception,
+                limit: params.limit,
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    /**
+     * The program hit a resource limit
+     * @param {Object} params - Proxy.limitExceeded params { type, value, message, action }
+     */
+    onLimitExceeded(params) {
+        this.logger.warn("onLimitExceeded()", params);
+
+        if (this.ace.application) {
+            this.ace.application.pub("debugger:limit:exceeded", {
+                sessionId: this.ace.activeSessionId,
+                type: params.type,
+                value: params.value,
+                message: params.message,
+                action: params.action,
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    /**
+     * The sandbox denied the program an access
+     * @param {Object} params - Proxy.sandboxViolation params { permission, resource, message }
+     */
+    onSandboxViolation(params) {
+        this.logger.warn("onSandboxViolation()", params);
+
+        if (this.ace.application) {
+            this.ace.application.pub("debugger:sandbox:violation", {
+                sessionId: this.ace.activeSessionId,
+                permission: params.permission,
+                resource: params.resource,
+                message: params.message,
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    /**
+     * Pick up the restarted target (watch mode)
+     * The listeners set up by onConnectionOpen are still in place; the new process only
+     * needs its domains enabled and, from the driver, the breakpoints before it may run.
+     */
+    async onTargetRestarted() {
+        this.logger.info("onTargetRestarted()");
+        this.ace.crashPanelHelper.hide();
+
+        try {
+            await this.ace.inspectorProxy.enable();
+
+            if (this.role === 'driver') {
+                const toolbarHelper = this.ace.debugToolbarHelper;
+                await this.ace.inspectorProxy.debuggerController.setBreakpointsActive(toolbarHelper ? toolbarHelper.allBreakpointsActive : true);
+                if (toolbarHelper) {
+                    await toolbarHelper.reapplyBreakpoints();
+                }
+
+                // The proxy holds the new process until we have set our breakpoints
+                await this.ace.inspectorProxy.runtimeController.runIfWaitingForDebugger();
+            }
+
+            this.ace.application.simulator.reset();
+            setTimeout(() => {
+                this.ace.application.gpioClient?.refreshGPIOOutputStates();
+            }, 100);
+
+            this.ace.application.pub("debugger:restarted", {
+                sessionId: this.ace.activeSessionId,
+                timestamp: Date.now()
+            });
+        } catch (error) {
+            this.logger.error("Error re-initializing the restarted target:", error);
+        }
+    }
+
     onConnectionClose() {
         this.logger.info("onConnectionClose()");
 
@@ -186,6 +683,8 @@ class DebuggerConnectionHelper {
 
         // Hide debug controls
         this.hideDebugControls();
+        this.ace.debuggerTargetHelper.reset();
+        this.refreshSessionList();
 
         // Publish disconnection event
         if (this.ace.application) {
@@ -193,6 +692,11 @@ class DebuggerConnectionHelper {
                 timestamp: Date.now()
             });
         }
+
+        // Dropped rather than closed by us: the server keeps the target alive for a while, go back
+        if (!this.closingIntentionally && this.ace.activeSessionId) {
+            this.scheduleReconnect();
+        }
     }
 
     connectGPIOClient() {
@@ -327,6 +831,7 @@ class DebuggerConnectionHelper {
         // Hide all debug control buttons and separators
         $('.debug-control').hide();
         $('.debug-control-separator').hide();
+        $('.debug-role-group').hide();
 
         // Show the Debug start button again
         $('#debug-start-btn').show();
@@ -0,0 +1,246 @@
+/**
+ * DebuggerTargetHelper - Worker threads and child processes of the debugged program
+ *
+ * The proxy attaches every worker and child process the program starts as a child
+ * target of the session (Proxy.targetAttached / Proxy.targetDetached). They are listed
+ * in the target picker in the menubar; selecting one points the debugger UI at it, so
+ * the editor markers, call stack and stepping controls follow that target.
+ *
+ * As the driver we get to set up a new target before it runs: its domains are enabled,
+ * our breakpoints set, and then it is released (Runtime.runIfWaitingForDebugger).
+ * A target that pauses while another one is selected is selected, unless the one we
+ * look at is paused itself.
+ */
+class DebuggerTargetHelper {
+    constructor(aceController) {
+        this.ace = aceController;
+        this.logger = new Logger("DebuggerTargetHelper");
+        this.targets = new Map(); // sessionId -> { sessionId, type, title, url, pid, parentSessionId, paused }
+        this.mainPaused = false;
+    }
+
+    /**
+     * Bind the target picker in the menubar
+     */
+    bind() {
+        this.logger.info("bind()");
+
+        $('#debug-target-select').on('change', (e) => {
+            this.selectTarget($(e.currentTarget).val() || null);
+        });
+    }
+
+    /**
+     * Follow the targets of a new debugger connection
+     * @param {InspectorBrowserProxy} inspectorProxy - The connection's proxy
+     */
+    attach(inspectorProxy) {
+        this.reset();
+
+        inspectorProxy.queue.subscribe('Proxy.targetAttached', (topic, data) => this.onTargetAttached(data.params));
+        inspectorProxy.queue.subscribe('Proxy.targetDetached', (topic, data) => this.onTargetDetached(data.params));
+
+        // The selected target
+        inspectorProxy.queue.subscribe(/^Debugger\.paused$/, () => this.setPaused(inspectorProxy.targetSessionId, true));
+        inspectorProxy.queue.subscribe(/^Debugger\.resumed$/, () => this.setPaused(inspectorProxy.targetSessionId, false));
+
+        // The others
+        inspectorProxy.queue.subscribe(/^background:Debugger\.paused$/, (topic, data) => this.onBackgroundPaused(data.sessionId || null));
+        inspectorProxy.queue.subscribe(/^background:Debugger\.resumed$/, (topic, data) => this.setPaused(data.sessionId || null, false));
+    }
+
+    /**
+     * Forget the targets (new connection, or the connection closed)
+     */
+    reset() {
+        this.targets.clear();
+        this.mainPaused = false;
+        this.render();
+    }
+
+    /**
+     * A worker or child process was attached
+     * @param {Object} params - Proxy.targetAttached params { sessionId, type, title, url, pid, parentSessionId, waitingForDebugger }
+     */
+    async onTargetAttached(params) {
+        // Sent again with Proxy.ready if it attached while we were connecting
+        if (this.targets.has(params.sessionId)) {
+            return;
+        }
+
+        this.logger.info("onTargetAttached", params);
+        this.targets.set(params.sessionId, { ...params, paused: false });
+        this.render();
+
+        const inspectorProxy = this.ace.inspectorProxy;
+        const send = (method, methodParams) => inspectorProxy.sendToTarget(params.sessionId, method, methodParams);
+
+        try {
+            await send('Runtime.enable');
+            await send('Debugger.enable');
+
+            if (this.ace.debuggerRole === 'driver') {
+                const toolbarHelper = this.ace.debugToolbarHelper;
+                await send('Debugger.setBreakpointsActive', { active: toolbarHelper ? toolbarHelper.allBreakpointsActive : true });
+
+                const breakpoints = toolbarHelper ? Array.from(toolbarHelper.breakpoints.values()).filter(bp => bp.enabled) : [];
+                for (const breakpoint of breakpoints) {
+                    await send('Debugger.setBreakpointByUrl', { lineNumber: breakpoint.line, url: breakpoint.file, columnNumber: 0, condition: '' })
+                        .catch(error => this.logger.warn("Failed to set breakpoint on", params.sessionId, error.message));
+                }
+
+                if (params.waitingForDebugger) {
+                    await send('Runtime.runIfWaitingForDebugger');
+                }
+            }
+        } catch (error) {
+            // The target may already be gone again
+            this.logger.warn("Failed to set up target", params.sessionId, error.message);
+        }
+
+        if (this.ace.application) {
+            this.ace.application.pub("debugger:target:attached", {
+                sessionId: params.sessionId,
+                type: params.type,
+                title: params.title,
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    /**
+     * A worker or child process went away
+     * @param {Object} params - Proxy.targetDetached params { sessionId }
+     */
+    onTargetDetached(params) {
+        this.logger.info("onTargetDetached", params.sessionId);
+        this.targets.delete(params.sessionId);
+
+        if (this.ace.inspectorProxy && this.ace.inspectorProxy.targetSessionId === params.sessionId) {
+            this.selectTarget(null);
+        } else {
+            this.render();
+        }
+
+        if (this.ace.application) {
+            this.ace.application.pub("debugger:target:detached", {
+                sessionId: params.sessionId,
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    /**
+     * A target other than the selected one paused; look at it unless we are paused ourselves
+     * @param {string|null} sessionId - Target that paused (null: the main target)
+     */
+    onBackgroundPaused(sessionId) {
+        this.setPaused(sessionId, true);
+
+        const selected = this.ace.inspectorProxy ? this.ace.inspectorProxy.targetSessionId : null;
+        if (!this.isPaused(selected)) {
+            this.selectTarget(sessionId);
+        }
+    }
+
+    /**
+     * Point the debugger UI at another target
+     * The proxy re-sends the target's scripts and pause state when its domains are
+     * enabled again, which brings up its call stack.
+     * @param {string|null} sessionId - Child target (null: the main target)
+     */
+    async selectTarget(sessionId) {
+        const inspectorProxy = this.ace.inspectorProxy;
+        if (!inspectorProxy || inspectorProxy.targetSessionId === (sessionId || null)) {
+            this.render();
+            return;
+        }
+
+        this.logger.info("selectTarget", sessionId || 'main');
+        inspectorProxy.selectTarget(sessionId);
+
+        if (this.ace.editorHelper) {
+            this.ace.editorHelper.clearDebugMarkers();
+        }
+        this.ace.currentCallFrames = null;
+        if (this.ace.scripts) {
+            this.ace.scripts.clear();
+        }
+        this.render();
+
+        try {
+            await inspectorProxy.enable();
+        } catch (error) {
+            this.logger.error("Failed to switch target:", error);
+        }
+
+        if (this.ace.application) {
+            this.ace.application.pub("debugger:target:selected", {
+                sessionId: sessionId || null,
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    /**
+     * Send a command to every target but the selected one (which the caller has already sent it to)
+     * Used to keep breakpoints the same across targets.
+     * @param {string} method - Method name
+     * @param {Object} [params={}] - Parameters
+     */
+    sendToOtherTargets(method, params = {}) {
+        const inspectorProxy = this.ace.inspectorProxy;
+        if (!inspectorProxy || this.targets.size === 0) {
+            return;
+        }
+
+        [null, ...this.targets.keys()]
+            .filter(sessionId => sessionId !== inspectorProxy.targetSessionId)
+            .forEach(sessionId => {
+                inspectorProxy.sendToTarget(sessionId, method, params)
+                    .catch(error => this.logger.warn(`${method} failed on`, sessionId || 'main', error.message));
+            });
+    }
+
+    /**
+     * @param {string|null} sessionId - Child target (null: the main target)
+     * @returns {boolean} Whether the target is paused
+     */
+    isPaused(sessionId) {
+        return sessionId ? Boolean(this.targets.get(sessionId)?.paused) : this.mainPaused;
+    }
+
+    /**
+     * @param {string|null} sessionId - Child target (null: the main target)
+     * @param {boolean} paused - Whether the target is paused now
+     */
+    setPaused(sessionId, paused) {
+        if (!sessionId) {
+            this.mainPaused = paused;
+        } else if (this.targets.has(sessionId)) {
+            this.targets.get(sessionId).paused = paused;
+        }
+        this.render();
+    }
+
+    /**
+     * Fill in the target picker; it is only shown while there is more than the main target
+     */
+    render() {
+        const select = $('#debug-target-select');
+        const selected = this.ace.inspectorProxy ? this.ace.inspectorProxy.targetSessionId : null;
+        const label = (name, paused) => paused ? `${name} ⏸` : name;
+
+        select.empty();
+        select.append($('<option>').val('').text(label('Main process', this.mainPaused)));
+        this.targets.forEach(target => {
+            const name = target.type === 'worker'
+                ? `Worker: ${target.title}`
+                : `Process ${target.pid}: ${target.title}`;
+            select.append($('<option>').val(target.sessionId).text(label(name, target.paused)));
+        });
+
+        select.val(selected || '');
+        select.closest('.debug-target-group').toggle(this.targets.size > 0);
+    }
+}
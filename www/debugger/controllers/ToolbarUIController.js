@@ -56,7 +56,7 @@ export class ToolbarUIController extends DockableUIController {
         const savedSize = localStorage.getItem('debugger-icon-size') || 'medium';
 
         // Get proxy WebSocket URL from application store if available
-        let wsUrl = 'ws://localhost:8888'; // default fallback
+        let wsUrl = 'ws://localhost:8080/debug/ws'; // default fallback
         if (typeof APP_CONSTANTS !== 'undefined' && window.application) {
             const serverUrls = APP_CONSTANTS.getServerUrls(window.application);
             wsUrl = serverUrls.proxyWs;
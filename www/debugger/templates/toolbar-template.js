@@ -8,7 +8,7 @@ import { escapeHtml } from '../TemplateRegistry.js';
  * 2. Settings panel
  *
  * @param {Object} data - Template data
- * @param {string} data.wsUrl - WebSocket URL (default: 'ws://localhost:8888')
+ * @param {string} data.wsUrl - WebSocket URL (default: 'ws://localhost:8080/debug/ws')
  * @param {string} data.iconSize - Icon size ('small', 'medium', 'large') (default: 'medium')
  * @param {boolean} data.debugControlsVisible - Show debug controls (default: false)
  * @param {string} instanceId - Unique instance identifier for DOM elements
@@ -16,7 +16,7 @@ import { escapeHtml } from '../TemplateRegistry.js';
  */
 export function toolbarTemplate(data = {}, instanceId = 'toolbar') {
     const {
-        wsUrl = 'ws://localhost:8888',
+        wsUrl = 'ws://localhost:8080/debug/ws',
         iconSize = 'medium',
         debugControlsVisible = false
     } = data;
@@ -29,7 +29,7 @@ export function toolbarTemplate(data = {}, instanceId = 'toolbar') {
 
                 <!-- Connection Controls -->
                 <div id="${instanceId}-connection-controls" class="toolbar-group">
-                    <input type="text" id="${instanceId}-ws-url" class="toolbar-input" value="${escapeHtml(wsUrl)}" placeholder="ws://localhost:8888" title="WebSocket URL">
+                    <input type="text" id="${instanceId}-ws-url" class="toolbar-input" value="${escapeHtml(wsUrl)}" placeholder="ws://localhost:8080/debug/ws" title="WebSocket URL">
                     <button class="toolbar-btn success" id="${instanceId}-connect-btn">
                         <span class="btn-icon">🔌</span>
                         <span class="btn-label">Connect</span>
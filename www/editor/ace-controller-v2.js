@@ -21,6 +21,19 @@ function pithagorasToolbarTemplate(data = {}, instanceId = 'code-toolbar') {
                     <div id="debug-filename" class="debug-filename"></div>
                 </button>
             </div>
+            <div class="menubar-btn-group launch-config-group" style="display: none;">
+                <select id="launch-config-select" class="menubar-select" title="Launch Configuration"></select>
+            </div>
+            <div class="menubar-btn-group debug-session-group" style="display: none;">
+                <select id="debug-session-select" class="menubar-select" title="Switch Debug Session"></select>
+            </div>
+            <div class="menubar-btn-group debug-target-group" style="display: none;">
+                <select id="debug-target-select" class="menubar-select" title="Debug Target (main process, workers, child processes)"></select>
+            </div>
+            <div class="menubar-btn-group debug-role-group" style="display: none;">
+                <span id="debug-role-label" class="debug-role-label"></span>
+                <button id="debug-take-control" class="menubar-btn" title="Drive this session (step, resume, set breakpoints)" style="display: none;">Take control</button>
+            </div>
             <div class="menubar-separator debug-control-separator" style="display: none;"></div>
             <div class="menubar-btn-group-compact debug-control" style="display: none;">
                 <button id="debug-stop" class="menubar-btn-compact" title="Stop">⏹</button>
@@ -71,7 +84,7 @@ class AceController {
         this.scripts = new Map();
 
         // MDI (Multiple Document Interface) state
-        this.openSessions = new Map();  // filePath -> {session, isDirty, fileName}
+        this.openSessions = new Map();  // filePath -> {session, isDirty, fileName, savedContent}
         this.activeFile = null;
         this.tabManager = null;  // Will be initialized after editor loads
 
@@ -90,6 +103,10 @@ class AceController {
         this.debuggerEventHelper = new DebuggerEventHelper(this);
         this.editorHelper = new EditorHelper(this);
         this.toolbarHelper = new ToolbarHelper(this);
+        this.launchConfigHelper = new LaunchConfigHelper(this);
+        this.crashPanelHelper = new CrashPanelHelper(this);
+        this.debuggerTargetHelper = new DebuggerTargetHelper(this);
+        this.fileSyncHelper = new FileSyncHelper(this);
 
         // DebuggerUIApplet instance
         this.debuggerApplet = null;
@@ -265,11 +282,22 @@ class AceController {
                 // Bind Connect button (Debug button)
                 this.bindConnectButton();
 
+                // Bind debug session selector, driver/observer controls and launch configuration picker
+                this.debuggerConnectionHelper.bindSessionSelector();
+                this.debuggerConnectionHelper.bindTakeControlButton();
+                this.debuggerTargetHelper.bind();
+                this.launchConfigHelper.bind();
+
                 // Bind debug control buttons
                 this.bindDebugControls();
 
                 this.logger.info('Debug controls bound');
 
+                // Re-attach to the session this tab was debugging before a reload
+                if (this.debuggerClientLoaded && this.application) {
+                    this.debuggerConnectionHelper.resumeStoredSession();
+                }
+
                 // Mark as successfully bound
                 this.boundSuccessfully = true;
             } else {
@@ -398,9 +426,8 @@ class AceController {
             try {
                 await this.inspectorProxy.debuggerController.disable();
 
-                if (this.inspectorProxy.ws) {
-                    this.inspectorProxy.ws.close();
-                }
+                // Close our connection and stop the session (otherwise the target outlives us for the grace period)
+                await this.debuggerConnectionHelper.stopActiveSession();
 
                 this.clearDebugMarkers();
                 if (this.scripts) {
@@ -440,6 +467,14 @@ class AceController {
         if (!this.consoleController.application) {
             this.initializeConsole();
         }
+
+        // Follow changes made to the workspace outside the editor
+        this.fileSyncHelper.connect();
+
+        // bind() ran before the context was available, so the reload resume happens here
+        if (this.boundSuccessfully && this.debuggerClientLoaded) {
+            this.debuggerConnectionHelper.resumeStoredSession();
+        }
     }
 
     // Editor delegation methods
@@ -478,7 +513,8 @@ class AceController {
             session: session,
             isDirty: false,
             filePath: filePath,
-            fileName: this.getFileName(filePath)
+            fileName: this.getFileName(filePath),
+            savedContent: content || ''     // Last known content on disk (base for merges)
         };
 
         this.openSessions.set(filePath, sessionData);
@@ -506,6 +542,35 @@ class AceController {
         return true;
     }
 
+    /**
+     * Move a session to another path (the file was renamed or moved on disk)
+     * @param {string} oldPath - Full path the session was opened with
+     * @param {string} newPath - New full path
+     * @returns {boolean} True if there was a session to move
+     */
+    renameSession(oldPath, newPath) {
+        const sessionData = this.openSessions.get(oldPath);
+        if (!sessionData) {
+            return false;
+        }
+
+        this.openSessions.delete(oldPath);
+        sessionData.filePath = newPath;
+        sessionData.fileName = this.getFileName(newPath);
+        sessionData.session.setMode(this.editorHelper.getModeForExtension(newPath.split('.').pop()));
+        this.openSessions.set(newPath, sessionData);
+
+        if (this.activeFile === oldPath) {
+            this.activeFile = newPath;
+            this.currentFile = newPath;
+        }
+        if (this.tabManager) {
+            this.tabManager.renameTab(oldPath, newPath, sessionData.fileName);
+        }
+        this.logger.info(`Renamed session: ${oldPath} -> ${newPath}`);
+        return true;
+    }
+
     /**
      * Close a session
      * @param {string} filePath - Full path to the file
@@ -553,11 +618,15 @@ class AceController {
     /**
      * Mark a file as clean (saved)
      * @param {string} filePath - Full path to the file
+     * @param {string} [savedContent] - Content now on disk, if it changed
      */
-    markClean(filePath) {
+    markClean(filePath, savedContent) {
         const sessionData = this.openSessions.get(filePath);
         if (sessionData) {
             sessionData.isDirty = false;
+            if (savedContent !== undefined) {
+                sessionData.savedContent = savedContent;
+            }
             this.logger.debug(`Marked as clean: ${filePath}`);
         }
     }
@@ -39,14 +39,15 @@ class AceTabManager {
         const closeBtn = document.createElement('span');
         closeBtn.className = 'editor-tab-close';
         closeBtn.innerHTML = '&times;';
+        // The path is read from the tab, which renameTab() may change
         closeBtn.onclick = (e) => {
             e.stopPropagation();
-            this.closeTab(filePath);
+            this.closeTab(tab.dataset.filepath);
         };
 
         tab.appendChild(label);
         tab.appendChild(closeBtn);
-        tab.onclick = () => this.switchToTab(filePath);
+        tab.onclick = () => this.switchToTab(tab.dataset.filepath);
 
         this.tabContainer.appendChild(tab);
         this.setActiveTab(filePath);
@@ -112,6 +113,23 @@ class AceTabManager {
         }
     }
 
+    /**
+     * Point a tab at another file (renamed or moved on disk)
+     * @param {string} oldPath - Full path the tab was created with
+     * @param {string} newPath - New full path
+     * @param {string} fileName - New display name
+     */
+    renameTab(oldPath, newPath, fileName) {
+        const tab = this.tabContainer.querySelector(`[data-filepath="${oldPath}"]`);
+        if (tab) {
+            tab.dataset.filepath = newPath;
+            tab.title = newPath;
+            const label = tab.querySelector('.editor-tab-label');
+            label.textContent = tab.classList.contains('dirty') ? '• ' + fileName : fileName;
+            this.logger.info('Renamed tab:', oldPath, '->', newPath);
+        }
+    }
+
     /**
      * Mark a tab as dirty (has unsaved changes)
      * @param {string} filePath - Full path to the file
@@ -454,7 +454,7 @@ class EditorHelper {
             this.logger.info('File saved successfully:', response);
 
             // Mark file as clean (no unsaved changes)
-            this.ace.markClean(activeFile);
+            this.ace.markClean(activeFile, content);
 
             // Update tab UI to clear dirty indicator
             if (this.ace.tabManager) {
@@ -0,0 +1,275 @@
+/**
+ * FileSyncHelper - Keeps the file tree and open tabs in step with the workspace on disk
+ *
+ * Subscribes to the workspace's Server-Sent Events stream (GET /workspace/events),
+ * which reports files created, changed, deleted and renamed by anything: another
+ * editor, git checkout, npm install. The file tree is updated in place. When an open
+ * file changes on disk, its tab offers to reload it or merge the change into what
+ * is in the editor (see TextMerge); deleted files stay open, marked unsaved, and
+ * renamed ones move with their tab.
+ */
+class FileSyncHelper {
+    static EVENT_TYPES = ['create', 'change', 'delete', 'rename'];
+
+    constructor(ace) {
+        this.ace = ace;
+        this.logger = new Logger('FileSyncHelper');
+        this.eventSource = null;
+        this.prompting = new Set();     // Files with a reload/merge dialog open
+    }
+
+    /**
+     * Start following the workspace (again, after the server changed)
+     */
+    connect() {
+        this.disconnect();
+
+        const url = `${this.ace.debuggerApiClient.baseUrl}/workspace/events`;
+        this.logger.info('Following workspace changes from:', url);
+
+        this.eventSource = new EventSource(url);
+
+        FileSyncHelper.EVENT_TYPES.forEach(type => {
+            this.eventSource.addEventListener(type, (e) => {
+                this.onChange(JSON.parse(e.data));
+            });
+        });
+
+        // The server cannot watch the workspace (any longer): retrying would not help
+        this.eventSource.addEventListener('stopped', (e) => {
+            const { message } = JSON.parse(e.data);
+            this.logger.error('Workspace changes are no longer followed:', message);
+            this.disconnect();
+            this.ace.projectHelper.ui.showNotification(`⚠️ Changes on disk are no longer shown: ${message}`, 'warning', 10000);
+        });
+
+        // EventSource retries on its own; changes made meanwhile are not sent again
+        this.eventSource.onerror = () => {
+            this.logger.warn('Workspace change stream interrupted, retrying...');
+        };
+    }
+
+    /**
+     * Stop following the workspace
+     */
+    disconnect() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
+    /**
+     * Handle a change on disk
+     * @param {Object} change - { type, path, from?, isDirectory, modified? }
+     */
+    onChange(change) {
+        this.logger.debug('Workspace change:', change);
+
+        this.ace.projectHelper.fileTree.applyChange(change);
+
+        if (change.type === 'change' || change.type === 'create') {
+            // A create may be an open file coming back (git checkout deletes and recreates them)
+            this.onFileChanged(change.path);
+        } else if (change.type === 'delete') {
+            this.onDeleted(change.path);
+        } else if (change.type === 'rename') {
+            this.onRenamed(change.from, change.path);
+        }
+
+        if (this.ace.application) {
+            this.ace.application.pub(`workspace:file:${change.type}`, {
+                ...change,
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    /**
+     * An open file changed on disk: take it over if it is what the editor has, ask otherwise
+     * @param {string} filePath - Full path to the file
+     */
+    async onFileChanged(filePath) {
+        const sessionData = this.ace.openSessions.get(filePath);
+        if (!sessionData || this.prompting.has(filePath)) {
+            return;
+        }
+
+        let diskContent;
+        try {
+            diskContent = await this.ace.debuggerApiClient.getFileContent(filePath);
+        } catch (error) {
+            this.logger.warn(`Cannot read ${filePath} after it changed:`, error);
+            return;
+        }
+
+        if (diskContent === sessionData.session.getValue()) {
+            // Our own save (or the same edit made elsewhere)
+            this.markClean(sessionData, diskContent);
+            return;
+        }
+        if (diskContent === sessionData.savedContent) {
+            return;
+        }
+
+        this.prompting.add(filePath);
+        const choice = await this.askWhatToKeep(sessionData);
+        this.prompting.delete(filePath);
+
+        // The file may have been closed (or renamed) while the dialog was open
+        if (this.ace.openSessions.get(sessionData.filePath) !== sessionData) {
+            return;
+        }
+
+        // What is on disk may have changed again meanwhile
+        try {
+            diskContent = await this.ace.debuggerApiClient.getFileContent(sessionData.filePath);
+        } catch (error) {
+            this.logger.warn(`Cannot read ${sessionData.filePath}:`, error);
+            return;
+        }
+
+        if (choice === 'reload') {
+            this.replaceContent(sessionData, diskContent);
+            this.markClean(sessionData, diskContent);
+        } else if (choice === 'merge') {
+            this.merge(sessionData, diskContent);
+        } else {
+            sessionData.savedContent = diskContent;
+            this.markDirty(sessionData);
+        }
+    }
+
+    /**
+     * Ask whether to reload a file that changed on disk, merge the change, or keep the editor's version
+     * @param {Object} sessionData - The file's session
+     * @returns {Promise<string>} 'reload', 'merge' or 'keep'
+     */
+    askWhatToKeep(sessionData) {
+        const dialogId = `file-changed-dialog-${Date.now()}`;
+        const changes = sessionData.isDirty
+            ? 'You have unsaved changes to it.'
+            : 'It has no unsaved changes in the editor.';
+
+        const dialog = $(`
+            <div id="${dialogId}" title="File changed on disk">
+                <p style="margin: 0 0 8px;"><strong class="file-changed-path"></strong> was changed outside the editor.</p>
+                <p style="margin: 0; color: var(--color-text-secondary); font-size: 12px;">${changes}
+                    Merge keeps the changes of both; where they overlap, both versions are kept between conflict markers.</p>
+            </div>
+        `);
+        dialog.find('.file-changed-path').text(sessionData.filePath);
+        $('body').append(dialog);
+
+        return new Promise((resolve) => {
+            let choice = 'keep';
+            const choose = (value) => {
+                choice = value;
+                dialog.dialog('close');
+            };
+
+            dialog.dialog({
+                modal: true,
+                width: 460,
+                position: { my: 'center', at: 'center', of: window },
+                buttons: {
+                    'Reload': () => choose('reload'),
+                    'Merge': () => choose('merge'),
+                    'Keep editor version': () => choose('keep')
+                },
+                close: function() {
+                    $(this).remove();
+                    resolve(choice);
+                }
+            });
+        });
+    }
+
+    /**
+     * Merge what changed on disk into the editor's version
+     * @param {Object} sessionData - The file's session
+     * @param {string} diskContent - Content on disk now
+     */
+    merge(sessionData, diskContent) {
+        const { text, conflicts } = TextMerge.merge(sessionData.savedContent, sessionData.session.getValue(), diskContent);
+
+        this.replaceContent(sessionData, text);
+        if (text === diskContent) {
+            this.markClean(sessionData, diskContent);
+        } else {
+            sessionData.savedContent = diskContent;
+            this.markDirty(sessionData);
+        }
+
+        const ui = this.ace.projectHelper.ui;
+        if (conflicts > 0) {
+            ui.showNotification(`⚠️ ${sessionData.fileName}: ${conflicts} conflict${conflicts === 1 ? '' : 's'} to resolve (between the conflict markers)`, 'warning', 6000);
+        } else {
+            ui.showNotification(`✓ Merged the changes to ${sessionData.fileName}`, 'success');
+        }
+    }
+
+    /**
+     * An open file was deleted on disk: keep it open, unsaved, so it can be saved again
+     * @param {string} deletedPath - Full path of the deleted file or directory
+     */
+    onDeleted(deletedPath) {
+        const deleted = this.ace.getOpenFiles().filter(filePath =>
+            filePath === deletedPath || filePath.startsWith(`${deletedPath}/`));
+
+        deleted.forEach(filePath => {
+            const sessionData = this.ace.openSessions.get(filePath);
+            sessionData.savedContent = '';
+            this.markDirty(sessionData);
+            this.ace.projectHelper.ui.showNotification(`⚠️ ${sessionData.fileName} was deleted on disk; save it to keep it`, 'warning', 5000);
+        });
+    }
+
+    /**
+     * Open files were renamed or moved on disk (the file, or a directory they are in)
+     * @param {string} fromPath - Old full path
+     * @param {string} toPath - New full path
+     */
+    onRenamed(fromPath, toPath) {
+        this.ace.getOpenFiles().forEach(filePath => {
+            if (filePath === fromPath) {
+                this.ace.renameSession(filePath, toPath);
+            } else if (filePath.startsWith(`${fromPath}/`)) {
+                this.ace.renameSession(filePath, toPath + filePath.slice(fromPath.length));
+            }
+        });
+    }
+
+    /**
+     * Replace a session's content as one undoable edit (Ace's session.setValue would clear the history)
+     * @param {Object} sessionData - The file's session
+     * @param {string} content - New content
+     */
+    replaceContent(sessionData, content) {
+        const session = sessionData.session;
+        const cursor = session.selection.getCursor();
+        session.getDocument().setValue(content);
+        session.selection.moveCursorTo(cursor.row, cursor.column);
+    }
+
+    /**
+     * @param {Object} sessionData - The file's session
+     * @param {string} savedContent - Content on disk now
+     */
+    markClean(sessionData, savedContent) {
+        this.ace.markClean(sessionData.filePath, savedContent);
+        if (this.ace.tabManager) {
+            this.ace.tabManager.markTabClean(sessionData.filePath);
+        }
+    }
+
+    /**
+     * @param {Object} sessionData - The file's session
+     */
+    markDirty(sessionData) {
+        this.ace.markDirty(sessionData.filePath);
+        if (this.ace.tabManager) {
+            this.ace.tabManager.markTabDirty(sessionData.filePath);
+        }
+    }
+}
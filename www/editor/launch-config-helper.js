@@ -0,0 +1,134 @@
+/**
+ * LaunchConfigHelper - Launch configuration picker for debug sessions
+ *
+ * Lists the named launch configurations saved in the project's
+ * .badgerbox/launch.json and turns the selected one into the options
+ * sent with POST /debug/session.
+ */
+class LaunchConfigHelper {
+    static EDIT_OPTION = '__edit__';
+
+    constructor(aceController) {
+        this.ace = aceController;
+        this.logger = new Logger('LaunchConfigHelper');
+        this.configurations = [];
+    }
+
+    /**
+     * Bind the picker in the menubar
+     */
+    bind() {
+        this.logger.info('bind()');
+
+        const select = $('#launch-config-select');
+
+        // Pick up edits made to launch.json since the last refresh
+        select.on('mousedown', () => this.refresh());
+
+        select.on('change', () => {
+            if (select.val() === LaunchConfigHelper.EDIT_OPTION) {
+                select.val('');
+                this.editConfigurations();
+            }
+        });
+    }
+
+    /**
+     * Reload the configurations of the current project into the picker
+     */
+    async refresh() {
+        const select = $('#launch-config-select');
+        const projectManager = this.ace.application?.projectManager;
+
+        if (!this.ace.currentProjectPath || !projectManager) {
+            select.closest('.launch-config-group').hide();
+            return;
+        }
+
+        try {
+            this.configurations = await projectManager.listLaunchConfigs(this.ace.currentProjectPath);
+        } catch (error) {
+            this.logger.error('Failed to load launch configurations:', error);
+            this.configurations = [];
+        }
+
+        const selected = select.val();
+        select.empty();
+        select.append($('<option>').val('').text('Default launch'));
+        this.configurations.forEach(config => {
+            select.append($('<option>').val(config.name).text(config.name));
+        });
+        select.append($('<option>').val(LaunchConfigHelper.EDIT_OPTION).text('Edit configurations…'));
+
+        select.val(this.configurations.some(c => c.name === selected) ? selected : '');
+        select.closest('.launch-config-group').show();
+    }
+
+    /**
+     * Get the launch options for the selected configuration
+     * @returns {Object} Options for DebuggerApiClient.startDebugSession (empty for the default launch)
+     */
+    getSelectedLaunchOptions() {
+        const name = $('#launch-config-select').val();
+        const config = this.configurations.find(c => c.name === name);
+
+        if (!config) {
+            return {};
+        }
+
+        return {
+            projectPath: this.ace.currentProjectPath,
+            configuration: config.name
+        };
+    }
+
+    /**
+     * Whether the selected configuration names its own program, npm script or command
+     * (otherwise the file selected in the editor is debugged)
+     * @returns {boolean}
+     */
+    selectedConfigHasProgram() {
+        const name = $('#launch-config-select').val();
+        const config = this.configurations.find(c => c.name === name);
+        return Boolean(config && (config.program || config.script || config.command));
+    }
+
+    /**
+     * Open the project's launch.json in the editor, creating a starter configuration if needed
+     */
+    async editConfigurations() {
+        const projectPath = this.ace.currentProjectPath;
+        const projectManager = this.ace.application?.projectManager;
+
+        if (!projectPath || !projectManager) {
+            alert('Open a project first');
+            return;
+        }
+
+        try {
+            if (this.configurations.length === 0) {
+                const selected = this.ace.selectedFileForDebugging || '';
+                const program = selected.startsWith(`${projectPath}/`)
+                    ? selected.slice(projectPath.length + 1)
+                    : undefined;
+
+                await projectManager.saveLaunchConfig({
+                    name: 'Default',
+                    program,
+                    args: [],
+                    env: {},
+                    nodeFlags: [],
+                    stopOnEntry: false
+                }, projectPath);
+                await this.refresh();
+            }
+
+            const launchFile = `${projectPath}/.badgerbox/launch.json`;
+            const content = await this.ace.debuggerApiClient.getFileContent(launchFile);
+            this.ace.editorHelper.openFile(launchFile, content);
+        } catch (error) {
+            this.logger.error('Failed to open launch configurations:', error);
+            alert(`Failed to open launch configurations: ${error.message}`);
+        }
+    }
+}
@@ -75,6 +75,42 @@ class ProjectAPI {
         return await this.apiClient.createDirectory(directoryPath);
     }
 
+    /**
+     * Move a file or directory
+     * @param {string} fromPath - Full path to move
+     * @param {string} toPath - New full path
+     * @param {boolean} [overwrite=false] - Replace what is at toPath
+     * @returns {Promise<Object>} Result object {success, from, to, type}
+     */
+    async movePath(fromPath, toPath, overwrite = false) {
+        this.logger.info('Moving:', fromPath, 'to', toPath);
+        return await this.apiClient.movePath(fromPath, toPath, overwrite);
+    }
+
+    /**
+     * Rename a file or directory in place
+     * @param {string} itemPath - Full path to rename
+     * @param {string} name - New name
+     * @param {boolean} [overwrite=false] - Replace a sibling with that name
+     * @returns {Promise<Object>} Result object {success, from, to, type}
+     */
+    async renamePath(itemPath, name, overwrite = false) {
+        this.logger.info('Renaming:', itemPath, 'to', name);
+        return await this.apiClient.renamePath(itemPath, name, overwrite);
+    }
+
+    /**
+     * Copy a file or directory
+     * @param {string} fromPath - Full path to copy
+     * @param {string} toPath - Full path of the copy
+     * @param {boolean} [overwrite=false] - Replace what is at toPath
+     * @returns {Promise<Object>} Result object {success, from, to, type}
+     */
+    async copyPath(fromPath, toPath, overwrite = false) {
+        this.logger.info('Copying:', fromPath, 'to', toPath);
+        return await this.apiClient.copyPath(fromPath, toPath, overwrite);
+    }
+
     /**
      * Set the active project
      * @param {string} projectPath - Path to the project
@@ -19,6 +19,9 @@ class ProjectFileTree {
         this.logger = logger;
         this.onFileOpenCallback = null;
         this.onFileSelectCallback = null;
+        this.onItemMovedCallback = null;
+        this.projectPath = null;
+        this.dragPath = null;       // Item being dragged to another directory
     }
 
     /**
@@ -37,6 +40,14 @@ class ProjectFileTree {
         this.onFileSelectCallback = callback;
     }
 
+    /**
+     * Set callback for when a file or folder is moved or renamed from the tree
+     * @param {Function} callback - Function(fromPath, toPath) to call after the move
+     */
+    setOnItemMovedCallback(callback) {
+        this.onItemMovedCallback = callback;
+    }
+
     /**
      * Load and render project files into the tree
      * @param {string} projectPath - Path to the project
@@ -44,6 +55,7 @@ class ProjectFileTree {
      */
     async loadProjectFilesIntoTree(projectPath) {
         this.logger.info('Loading files into tree for:', projectPath);
+        this.projectPath = projectPath;
 
         try {
             const files = await this.api.listProjectFiles(projectPath);
@@ -81,6 +93,9 @@ class ProjectFileTree {
             fileTree.append(projectRoot);
             fileTree.append(projectContents);
 
+            // Items can be dragged onto the project itself
+            this.bindDropTarget(projectRoot, projectPath);
+
             // Add icon click handler for root
             projectRoot.find('.add-icon').on('click', async (e) => {
                 e.stopPropagation();
@@ -149,11 +164,15 @@ class ProjectFileTree {
                 <span class="file-icon dir-icon">▶</span>
                 <span class="file-icon">📁</span>
                 <span class="file-name">${item.name}</span>
+                <span class="file-action-icon hover-action rename-icon" title="Rename">✏️</span>
+                <span class="file-action-icon hover-action duplicate-icon" title="Duplicate">⧉</span>
                 <span class="file-action-icon add-icon" title="Create new file or folder">➕</span>
             </div>
         `);
 
         dirItem.css('padding-left', `${depth * 16 + 8}px`);
+        this.bindItemActions(dirItem, `${currentPath}/${item.name}`);
+        this.bindDropTarget(dirItem, `${currentPath}/${item.name}`);
 
         const dirContents = $(`
             <div class="file-tree-directory-contents"></div>
@@ -195,11 +214,14 @@ class ProjectFileTree {
             <div class="file-tree-item file-tree-file" data-file-path="${currentPath}/${item.name}" data-file-name="${item.name}" data-depth="${depth}">
                 <span class="file-icon">${fileIcon}</span>
                 <span class="file-name">${item.name}</span>
+                <span class="file-action-icon hover-action rename-icon" title="Rename">✏️</span>
+                <span class="file-action-icon hover-action duplicate-icon" title="Duplicate">⧉</span>
                 ${gearIconHtml}
             </div>
         `);
 
         fileItem.css('padding-left', `${depth * 16 + 8}px`);
+        this.bindItemActions(fileItem, `${currentPath}/${item.name}`);
 
         // Gear icon handler for package.json
         if (isPackageJson) {
@@ -224,6 +246,82 @@ class ProjectFileTree {
         container.append(fileItem);
     }
 
+    /**
+     * Bind rename, duplicate and drag-to-move to a file or directory item
+     * @param {jQuery} item - File or directory item element
+     * @param {string} itemPath - Full path of the item
+     */
+    bindItemActions(item, itemPath) {
+        item.find('.rename-icon').on('click', async (e) => {
+            e.stopPropagation();
+            await this.handleRename(itemPath);
+        });
+
+        item.find('.duplicate-icon').on('click', async (e) => {
+            e.stopPropagation();
+            await this.handleDuplicate(itemPath);
+        });
+
+        // Double clicks on the icons would otherwise open the file
+        item.find('.hover-action').on('dblclick', (e) => e.stopPropagation());
+
+        item.attr('draggable', 'true');
+        item.on('dragstart', (e) => {
+            e.stopPropagation();
+            this.dragPath = itemPath;
+            e.originalEvent.dataTransfer.setData('text/plain', itemPath);
+            e.originalEvent.dataTransfer.effectAllowed = 'move';
+        });
+        item.on('dragend', () => {
+            this.dragPath = null;
+            $('#file-tree .drop-target').removeClass('drop-target');
+        });
+    }
+
+    /**
+     * Let items be dropped onto a directory item, moving them into it
+     * @param {jQuery} dirItem - Directory item element
+     * @param {string} dirPath - Full path of the directory
+     */
+    bindDropTarget(dirItem, dirPath) {
+        dirItem.on('dragover', (e) => {
+            if (!this.canMoveInto(this.dragPath, dirPath)) {
+                return;
+            }
+            e.preventDefault();
+            e.originalEvent.dataTransfer.dropEffect = 'move';
+            dirItem.addClass('drop-target');
+        });
+
+        dirItem.on('dragleave', () => {
+            dirItem.removeClass('drop-target');
+        });
+
+        dirItem.on('drop', async (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            dirItem.removeClass('drop-target');
+
+            const fromPath = this.dragPath;
+            this.dragPath = null;
+            if (this.canMoveInto(fromPath, dirPath)) {
+                await this.handleMove(fromPath, dirPath);
+            }
+        });
+    }
+
+    /**
+     * @param {string|null} fromPath - Item being dragged
+     * @param {string} dirPath - Directory it would be dropped into
+     * @returns {boolean} Whether moving it there changes anything (and is possible)
+     */
+    canMoveInto(fromPath, dirPath) {
+        return Boolean(fromPath)
+            && fromPath.slice(0, fromPath.lastIndexOf('/')) !== dirPath
+            && dirPath !== fromPath
+            && !dirPath.startsWith(`${fromPath}/`);
+    }
+
     /**
      * Get icon for file based on extension
      * @param {string} extension - File extension
@@ -442,4 +540,194 @@ class ProjectFileTree {
             throw error;
         }
     }
+
+    /**
+     * Handle rename request: ask for the new name and rename in place
+     * @param {string} itemPath - Full path of the file or folder
+     */
+    async handleRename(itemPath) {
+        const newName = await this.ui.showRenameDialog(itemPath.split('/').pop());
+        if (!newName) {
+            return;
+        }
+
+        const toPath = `${itemPath.slice(0, itemPath.lastIndexOf('/'))}/${newName}`;
+        await this.relocateItem(toPath, overwrite => this.api.renamePath(itemPath, newName, overwrite), `✓ Renamed to ${newName}`);
+    }
+
+    /**
+     * Handle drag-to-move: move an item into another directory
+     * @param {string} fromPath - Full path of the file or folder
+     * @param {string} dirPath - Directory to move it into
+     */
+    async handleMove(fromPath, dirPath) {
+        const toPath = `${dirPath}/${fromPath.split('/').pop()}`;
+        await this.relocateItem(toPath, overwrite => this.api.movePath(fromPath, toPath, overwrite), `✓ Moved to ${dirPath.split('/').pop()}`);
+    }
+
+    /**
+     * Run a move or rename, offering to replace what is in the way, and show the result
+     * @param {string} toPath - Where the item ends up
+     * @param {Function} operation - (overwrite) => Promise with the API response { from, to, type }
+     * @param {string} successMessage - Notification on success
+     */
+    async relocateItem(toPath, operation, successMessage) {
+        try {
+            let result;
+            try {
+                result = await operation(false);
+            } catch (error) {
+                const name = toPath.split('/').pop();
+                if (!error.conflict || !confirm(`${name} already exists. Replace it?`)) {
+                    throw error;
+                }
+                result = await operation(true);
+            }
+
+            // The workspace change stream reports this too; applying it twice is harmless
+            this.removeItem(result.to);
+            this.applyChange({ type: 'rename', from: result.from, path: result.to, isDirectory: result.type === 'directory' });
+            if (this.onItemMovedCallback) {
+                this.onItemMovedCallback(result.from, result.to);
+            }
+
+            this.ui.showNotification(successMessage, 'success');
+        } catch (error) {
+            if (!error.conflict) {
+                this.logger.error('Failed to move item:', error);
+                this.ui.showNotification(`⚠️ ${error.message}`, 'error', 5000);
+            }
+        }
+    }
+
+    /**
+     * Handle duplicate request: copy an item next to itself as name-copy, name-copy-2, ...
+     * @param {string} itemPath - Full path of the file or folder
+     */
+    async handleDuplicate(itemPath) {
+        const parentPath = itemPath.slice(0, itemPath.lastIndexOf('/'));
+        const name = itemPath.split('/').pop();
+        const isDirectory = this.findItem(itemPath).hasClass('file-tree-directory');
+        const dot = isDirectory ? -1 : name.lastIndexOf('.');
+        const base = dot > 0 ? name.slice(0, dot) : name;
+        const extension = dot > 0 ? name.slice(dot) : '';
+
+        try {
+            for (let attempt = 1; attempt <= 100; attempt++) {
+                const copyName = `${base}-copy${attempt > 1 ? `-${attempt}` : ''}${extension}`;
+                try {
+                    const result = await this.api.copyPath(itemPath, `${parentPath}/${copyName}`);
+                    this.applyChange({ type: 'create', path: result.to, isDirectory: result.type === 'directory' });
+                    this.ui.showNotification(`✓ Duplicated as ${copyName}`, 'success');
+                    return;
+                } catch (error) {
+                    if (!error.conflict) {
+                        throw error;
+                    }
+                }
+            }
+            throw new Error(`Too many copies of ${name}`);
+        } catch (error) {
+            this.logger.error('Failed to duplicate item:', error);
+            this.ui.showNotification(`⚠️ ${error.message}`, 'error', 5000);
+        }
+    }
+
+    /**
+     * Apply a change made on disk (see FileSyncHelper) without reloading the tree
+     * Only what is shown changes: items in directories not loaded yet are picked up
+     * when the directory is expanded.
+     * @param {Object} change - { type: 'create'|'change'|'delete'|'rename', path, from?, isDirectory }
+     */
+    applyChange(change) {
+        if (change.type === 'delete' || change.type === 'rename') {
+            this.removeItem(change.type === 'rename' ? change.from : change.path);
+        }
+        if (change.type === 'create' || change.type === 'rename') {
+            this.insertItem(change.path, change.isDirectory);
+        }
+    }
+
+    /**
+     * Find the tree item of a path
+     * @param {string} itemPath - File or directory path (e.g. "/blink/main.js")
+     * @returns {jQuery} The item (empty if it is not shown)
+     */
+    findItem(itemPath) {
+        return $('#file-tree .file-tree-item').filter((index, el) =>
+            el.dataset.filePath === itemPath || el.dataset.dirPath === itemPath);
+    }
+
+    /**
+     * Remove the item of a path (with a directory's contents)
+     * @param {string} itemPath - File or directory path
+     */
+    removeItem(itemPath) {
+        const item = this.findItem(itemPath);
+        if (item.length === 0) {
+            return;
+        }
+
+        if (item.hasClass('file-tree-root')) {
+            $('#file-tree').html('<div class="file-tree-placeholder">The project was removed</div>');
+            return;
+        }
+        if (item.hasClass('file-tree-directory')) {
+            item.next('.file-tree-directory-contents').remove();
+        }
+        item.remove();
+    }
+
+    /**
+     * Insert an item for a new path where it sorts among its siblings
+     * @param {string} itemPath - File or directory path
+     * @param {boolean} isDirectory - Whether it is a directory
+     */
+    insertItem(itemPath, isDirectory) {
+        const parentPath = itemPath.slice(0, itemPath.lastIndexOf('/'));
+        const name = itemPath.slice(itemPath.lastIndexOf('/') + 1);
+
+        if (this.findItem(itemPath).length > 0) {
+            return;
+        }
+
+        const parent = this.findItem(parentPath).filter('.file-tree-directory');
+        if (parent.length === 0) {
+            // The first file of an empty project: the tree shows a placeholder instead of the root
+            if (parentPath === this.projectPath && $('#file-tree .file-tree-root').length === 0) {
+                this.loadProjectFilesIntoTree(this.projectPath).catch(() => {});
+            }
+            return;
+        }
+
+        const contents = parent.next('.file-tree-directory-contents');
+        if (contents.children().length === 0 && !contents.hasClass('expanded')) {
+            return;     // Not loaded yet
+        }
+
+        const rendered = $('<div></div>');
+        const depth = Number(parent.attr('data-depth')) + 1;
+        const item = { name, type: isDirectory ? 'directory' : 'file' };
+        if (isDirectory) {
+            this.renderDirectoryItem(item, parentPath, rendered, depth);
+        } else {
+            this.renderFileItem(item, parentPath, rendered, depth);
+        }
+
+        // Same order as renderFileTreeItems: directories first, then by name
+        const next = contents.children('.file-tree-item').filter((index, el) => {
+            const siblingIsDirectory = el.classList.contains('file-tree-directory');
+            const siblingName = siblingIsDirectory ? el.dataset.dirPath.split('/').pop() : el.dataset.fileName;
+            if (siblingIsDirectory !== isDirectory) {
+                return isDirectory;
+            }
+            return siblingName.localeCompare(name) > 0;
+        }).first();
+
+        if (next.length > 0) {
+            rendered.children().insertBefore(next);
+        } else {
+            contents.append(rendered.children());
+        }
+    }
 }
\ No newline at end of file
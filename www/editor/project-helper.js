@@ -30,6 +30,11 @@ class ProjectHelper {
         this.fileTree.setOnFileSelectCallback((filePath) => {
             this.onFileSelected(filePath);
         });
+
+        // Open files move with their tab
+        this.fileTree.setOnItemMovedCallback((fromPath, toPath) => {
+            this.ace.fileSyncHelper.onRenamed(fromPath, toPath);
+        });
     }
 
     /**
@@ -521,6 +526,11 @@ main().catch(error => {
         // Load files into tree
         await this.fileTree.loadProjectFilesIntoTree(projectPath);
 
+        // Offer the project's saved launch configurations
+        if (this.ace.launchConfigHelper) {
+            this.ace.launchConfigHelper.refresh();
+        }
+
         // Show file tree panel if collapsed
         const fileTreePanel = $('#file-tree-panel');
         const wasCollapsed = fileTreePanel.hasClass('collapsed');
@@ -727,6 +727,68 @@ class ProjectUI {
         });
     }
 
+    /**
+     * Show rename dialog
+     * @param {string} currentName - Current name of the file or folder
+     * @returns {Promise<string|null>} New name, or null if cancelled (or unchanged)
+     */
+    async showRenameDialog(currentName) {
+        return new Promise((resolve) => {
+            const dialogHtml = `
+                <div id="rename-item-dialog" title="Rename" style="display: none;">
+                    <div style="padding: 15px;">
+                        <p style="margin-bottom: 15px;">New name for <strong class="rename-current-name"></strong>:</p>
+                        <input type="text" id="rename-item-name" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px; font-size: 13px;">
+                    </div>
+                </div>
+            `;
+
+            $('#rename-item-dialog').remove();
+            $('body').append(dialogHtml);
+            $('#rename-item-dialog .rename-current-name').text(currentName);
+
+            let newName = null;
+
+            $('#rename-item-dialog').dialog({
+                modal: true,
+                width: 400,
+                position: { my: 'center', at: 'center', of: window },
+                buttons: {
+                    'Rename': () => {
+                        const itemName = $('#rename-item-name').val().trim();
+
+                        if (!/^[a-zA-Z0-9_.-]+$/.test(itemName) || itemName === '.' || itemName === '..') {
+                            alert('Invalid name. Use only letters, numbers, dots, hyphens, and underscores.');
+                            return;
+                        }
+
+                        newName = itemName === currentName ? null : itemName;
+                        $('#rename-item-dialog').dialog('close');
+                    },
+                    'Cancel': function() {
+                        $(this).dialog('close');
+                    }
+                },
+                close: function() {
+                    $(this).remove();
+                    resolve(newName);
+                }
+            });
+
+            // Select the name without its extension, ready to type over
+            const input = $('#rename-item-name');
+            const dot = currentName.lastIndexOf('.');
+            input.val(currentName).focus();
+            input[0].setSelectionRange(0, dot > 0 ? dot : currentName.length);
+
+            input.on('keypress', (e) => {
+                if (e.which === 13) {
+                    $(".ui-dialog-buttonpane button:contains('Rename')").click();
+                }
+            });
+        });
+    }
+
     /**
      * Show a temporary notification message
      * @param {string} message - Message to display
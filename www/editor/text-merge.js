@@ -0,0 +1,141 @@
+/**
+ * TextMerge - Three-way merge of text, line by line (like diff3)
+ *
+ * Used when a file open in the editor changed on disk: the editor's version and the
+ * one on disk are merged against the version both started from. Where only one side
+ * changed a region, that side wins; where both changed it differently, both are kept
+ * between conflict markers:
+ *
+ *   <<<<<<< editor
+ *   ...the editor's lines...
+ *   =======
+ *   ...the lines on disk...
+ *   >>>>>>> disk
+ *
+ * @class TextMerge
+ */
+class TextMerge {
+    /**
+     * Most cells of the table matchLines() fills (lines changed in one x in the other);
+     * past it, the changed regions are taken as a whole (one conflict at worst)
+     */
+    static MAX_TABLE_CELLS = 16 * 1024 * 1024;
+
+    /**
+     * Merge two versions of a text that both started from `base`
+     * @param {string} base - Common ancestor (what was on disk when the editor loaded or saved it)
+     * @param {string} mine - The editor's version
+     * @param {string} theirs - The version on disk now
+     * @returns {{text: string, conflicts: number}} Merged text and how many conflicts it has
+     */
+    static merge(base, mine, theirs) {
+        const baseLines = base.split('\n');
+        const myLines = mine.split('\n');
+        const theirLines = theirs.split('\n');
+
+        const myMatches = TextMerge.matchLines(baseLines, myLines);
+        const theirMatches = TextMerge.matchLines(baseLines, theirLines);
+
+        const merged = [];
+        let conflicts = 0;
+        let baseStart = 0;
+        let myStart = 0;
+        let theirStart = 0;
+
+        // Merge the region since the last line all three have in common
+        const mergeRegion = (baseEnd, myEnd, theirEnd) => {
+            const baseRegion = baseLines.slice(baseStart, baseEnd);
+            const myRegion = myLines.slice(myStart, myEnd);
+            const theirRegion = theirLines.slice(theirStart, theirEnd);
+
+            if (TextMerge.sameLines(myRegion, baseRegion)) {
+                merged.push(...theirRegion);
+            } else if (TextMerge.sameLines(theirRegion, baseRegion) || TextMerge.sameLines(myRegion, theirRegion)) {
+                merged.push(...myRegion);
+            } else {
+                conflicts++;
+                merged.push('<<<<<<< editor', ...myRegion, '=======', ...theirRegion, '>>>>>>> disk');
+            }
+        };
+
+        baseLines.forEach((line, index) => {
+            if (myMatches[index] === -1 || theirMatches[index] === -1) {
+                return;
+            }
+            mergeRegion(index, myMatches[index], theirMatches[index]);
+            merged.push(line);
+            baseStart = index + 1;
+            myStart = myMatches[index] + 1;
+            theirStart = theirMatches[index] + 1;
+        });
+        mergeRegion(baseLines.length, myLines.length, theirLines.length);
+
+        return { text: merged.join('\n'), conflicts };
+    }
+
+    /**
+     * Match the lines of two texts (longest common subsequence)
+     * @param {string[]} a - Lines of one text
+     * @param {string[]} b - Lines of the other
+     * @returns {number[]} For each line of `a`, the index of its line in `b` (-1 if none)
+     */
+    static matchLines(a, b) {
+        const matches = new Array(a.length).fill(-1);
+
+        // Unchanged lines at the start and end need no table
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            matches[start] = start;
+            start++;
+        }
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+            matches[endA] = endB;
+        }
+
+        const rows = endA - start;
+        const columns = endB - start;
+        if ((rows + 1) * (columns + 1) > TextMerge.MAX_TABLE_CELLS) {
+            return matches;
+        }
+
+        // lengths[i][j]: length of the common subsequence of a[start + i..endA) and b[start + j..endB)
+        const width = columns + 1;
+        const lengths = new Uint32Array((rows + 1) * width);
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = columns - 1; j >= 0; j--) {
+                lengths[i * width + j] = a[start + i] === b[start + j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < rows && j < columns) {
+            if (a[start + i] === b[start + j]) {
+                matches[start + i] = start + j;
+                i++;
+                j++;
+            } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * @param {string[]} a - Lines
+     * @param {string[]} b - Lines
+     * @returns {boolean} Whether both have the same lines
+     */
+    static sameLines(a, b) {
+        return a.length === b.length && a.every((line, index) => line === b[index]);
+    }
+}
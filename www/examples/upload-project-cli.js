@@ -6,6 +6,8 @@
  * Usage:
  *   node upload-project-cli.js <zipfile> [upload-path]
  *
+ * Authenticates with $PITHAGORAS_TOKEN (from POST /auth/login) or $WORKSPACE_API_KEY.
+ *
  * Examples:
  *   node upload-project-cli.js my-project.zip /
  *   node upload-project-cli.js my-project.zip /my-project
@@ -16,7 +18,8 @@ const path = require('path');
 const http = require('http');
 
 const API_BASE = 'http://localhost:8080';
-const API_KEY = 'dev-key-123';
+const TOKEN = process.env.PITHAGORAS_TOKEN;
+const API_KEY = process.env.WORKSPACE_API_KEY;
 
 // Parse command line arguments
 const zipFile = process.argv[2];
@@ -95,7 +98,8 @@ async function uploadProject(filePath, targetPath) {
             path: url.pathname,
             method: 'POST',
             headers: {
-                'X-Workspace-API-Key': API_KEY,
+                ...(TOKEN && { 'Authorization': `Bearer ${TOKEN}` }),
+                ...(API_KEY && { 'X-Workspace-API-Key': API_KEY }),
                 'Content-Type': 'application/zip',
                 'Content-Length': fileSize
             }
@@ -17,7 +17,7 @@ class GPIOWebSocketClient {
         } else if (typeof APP_CONSTANTS !== 'undefined') {
             this.serverUrl = APP_CONSTANTS.DEFAULT_URLS.GPIO_WS;
         } else {
-            this.serverUrl = 'ws://localhost:8081';
+            this.serverUrl = 'ws://localhost:8080/gpio/ws';
         }
 
         this.autoReconnect = options.autoReconnect !== false;
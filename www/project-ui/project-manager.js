@@ -304,6 +304,41 @@ class ProjectManager {
         return this.currentProject;
     }
 
+    /**
+     * List the named launch configurations of a project (.badgerbox/launch.json)
+     */
+    async listLaunchConfigs(projectPath = null) {
+        const path = projectPath || this.currentProject?.path;
+        const response = await this._apiRequest(`/launch-configs?projectPath=${encodeURIComponent(path)}`, 'GET');
+        return response.configurations || [];
+    }
+
+    /**
+     * Save (create or replace) a named launch configuration
+     */
+    async saveLaunchConfig(configuration, projectPath = null) {
+        const path = projectPath || this.currentProject?.path;
+        const response = await this._apiRequest('/launch-configs', 'POST', {
+            projectPath: path,
+            configuration
+        });
+        this.ctx.pub('project:launchConfigs:changed', { projectPath: path, configurations: response.configurations });
+        return response.configurations;
+    }
+
+    /**
+     * Delete a named launch configuration
+     */
+    async deleteLaunchConfig(name, projectPath = null) {
+        const path = projectPath || this.currentProject?.path;
+        const response = await this._apiRequest('/launch-configs', 'DELETE', {
+            projectPath: path,
+            name
+        });
+        this.ctx.pub('project:launchConfigs:changed', { projectPath: path, configurations: response.configurations });
+        return response.configurations;
+    }
+
     // ===== Private Methods =====
 
     /**